@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Web API of the app settings page (settings/index.html)
+ */
+module.exports = {
+
+  /**
+   * Devices that can generate a diagnostic report
+   */
+  async getDiagnosticDevices({ homey }) {
+    return homey.app.getDiagnosticDevices();
+  },
+
+  /**
+   * Diagnostic report of one device
+   */
+  async getDiagnosticReport({ homey, params }) {
+    return homey.app.getDiagnosticReport(params.id);
+  },
+
+};
@@ -2,6 +2,14 @@
 
 const Homey = require('homey');
 const { registerCustomClusters } = require('./lib/zigbee/registerClusters');
+const DeviceDefinitions = require('./lib/definitions/DeviceDefinitions');
+
+/**
+ * Private: Stable id of a device for the settings page (driver and device data)
+ */
+function diagnosticId(device) {
+  return [device.driver.id, ...Object.values(device.getData())].join(':');
+}
 
 class BSEEDApp extends Homey.App {
 
@@ -11,6 +19,43 @@ class BSEEDApp extends Homey.App {
     // Register custom ZigBee clusters (especially Tuya cluster 0xEF00)
     registerCustomClusters(this);
     this.log('Custom ZigBee clusters registered');
+
+    // Declarative BSEED variant definitions (lib/definitions/devices)
+    const { definitions, errors } = DeviceDefinitions.load();
+    const problems = [...errors, ...DeviceDefinitions.checkManifest(this.homey.manifest)];
+    problems.forEach(problem => this.error(`[DEFINITIONS] ${problem}`));
+    this.log(`Device definitions loaded: ${definitions.length}${problems.length ? ` (${problems.length} problems)` : ''}`);
+  }
+
+  /**
+   * Devices of this app with a diagnostic report (settings page, api.js)
+   * @returns {Array<{id: string, name: string, driver: string}>}
+   */
+  getDiagnosticDevices() {
+    return this._diagnosticDevices().map(device => ({
+      id: diagnosticId(device),
+      name: device.getName(),
+      driver: device.driver.id,
+    }));
+  }
+
+  /**
+   * Diagnostic report of a device (settings page, api.js)
+   * @param {string} id - Device id of getDiagnosticDevices()
+   */
+  getDiagnosticReport(id) {
+    const device = this._diagnosticDevices().find(candidate => diagnosticId(candidate) === id);
+    if (!device) throw new Error(`Unknown device: ${id}`);
+    return device.getDiagnosticReport();
+  }
+
+  /**
+   * Private: Devices of every driver that generate a diagnostic report
+   */
+  _diagnosticDevices() {
+    return Object.values(this.homey.drivers.getDrivers())
+      .flatMap(driver => driver.getDevices())
+      .filter(device => typeof device.getDiagnosticReport === 'function');
   }
 
 }
@@ -2,6 +2,10 @@
 
 const TuyaSpecificClusterDevice = require('../../lib/tuya/TuyaSpecificClusterDevice');
 const {CLUSTER} = require('zigbee-clusters');
+const CountdownTimerManager = require('../../lib/managers/CountdownTimerManager');
+const DimTransitionManager = require('../../lib/managers/DimTransitionManager');
+const DimmingCurve = require('../../lib/utils/DimmingCurve');
+const TuyaDPCodec = require('../../lib/tuya/TuyaDPCodec');
 
 // v5.5.755: PR #112 (packetninja) - Debug mode for detailed logging
 // v5.5.799: Enhanced with settings support and robustness improvements
@@ -11,7 +15,8 @@ const dataPoints = {
   state: 1,
   brightness: 2,
   minBrightness: 3,
-  countdown: 9,
+  maxBrightness: 5,
+  countdown: 6,             // Same DP as channel 1 of the multi-channel dimmers
   powerOnBehavior: 14,
   backlightMode: 15,        // Original - doesn't work for this device
   lightType: 16,
@@ -51,17 +56,14 @@ class WallDimmer1Gang1Way extends TuyaSpecificClusterDevice {
     // v5.5.799: Track settings to avoid unnecessary writes
     this._settingsApplied = false;
 
+    // Dimming curve + max_brightness, used for commands and reports alike
+    this._dimCurve = DimmingCurve.fromSettings(this.getSettings());
+
     // Register Tuya datapoint mappings
     this.log('Registering Tuya datapoint mappings...');
     
-    this.registerTuyaDatapoint(dataPoints.state, 'onoff', {
-      type: 'bool',
-    });
-    
-    this.registerTuyaDatapoint(dataPoints.brightness, 'dim', {
-      type: 'value',
-      scale: 990,
-      offset: -0.0101,
+    this.registerTuyaProfile('wall_dimmer_1gang', {
+      dps: { onoff: dataPoints.state, dim: dataPoints.brightness }
     });
 
     // Register capability listeners
@@ -70,22 +72,41 @@ class WallDimmer1Gang1Way extends TuyaSpecificClusterDevice {
     this.registerCapabilityListener('onoff', async (value) => {
       this.log('onoff capability changed to:', value, '(APP)');
       this._markAppCommand();  // v5.5.755: PR #112 - Mark as app command
+      this.dimTransition.cancel();
       await this.sendTuyaCommand(dataPoints.state, value, 'bool');
     });
-    
-    this.registerCapabilityListener('dim', async (value) => {
+
+    // Fades are stepped in the driver (no device-side transition DP on this dimmer)
+    this.dimTransition = new DimTransitionManager(this, {
+      writeBrightness: async (value) => {
+        this._markAppCommand();  // v5.5.755: PR #112 - Mark as app command
+        const brightness = this.toTuyaValue(dataPoints.brightness, value);
+        this.log('Converted to Tuya brightness:', brightness);
+        await this.sendTuyaCommand(dataPoints.brightness, brightness, 'value');
+      }
+    });
+
+    this.registerCapabilityListener('dim', async (value, opts = {}) => {
       this.log('Dim capability changed to:', value, '(APP)');
-      this._markAppCommand();  // v5.5.755: PR #112 - Mark as app command
-      const brightness = Math.round(10 + (value * 990));
-      this.log('Converted to Tuya brightness:', brightness);
-      await this.sendTuyaCommand(dataPoints.brightness, brightness, 'value');
+      const duration = opts.duration ?? this._getDefaultTransitionMs();
+      await this.dimTransition.transition(this.getCapabilityValue('dim'), value, duration);
+    });
+
+    // Countdown / auto-off via DP6
+    if (!this.hasCapability('countdown_remaining')) {
+      await this.addCapability('countdown_remaining').catch(this.error);
+    }
+    this.countdownManager = new CountdownTimerManager(this, {
+      capability: 'countdown_remaining',
+      writeDP: (gang, seconds) => this.sendTuyaCommand(dataPoints.countdown, seconds, 'value')
     });
+    await this.setCapabilityValue('countdown_remaining', 0).catch(this.error);
 
     // v5.5.854: Parent class TuyaSpecificClusterDevice sets up Tuya listeners
     // We override handleTuyaResponse() and handleTuyaDataReport() for physical button detection
     
     // v5.5.799: Apply saved settings after init (with delay for device stability)
-    setTimeout(() => this._applyInitialSettings(), 3000);
+    this.homey.setTimeout(() => this._applyInitialSettings(), 3000);
 
     this.log('WallDimmer1Gang1Way ready');
   }
@@ -96,6 +117,7 @@ class WallDimmer1Gang1Way extends TuyaSpecificClusterDevice {
    */
   async onSettings({ oldSettings, newSettings, changedKeys }) {
     this.log('⚙️ Settings changed:', changedKeys);
+    this._dimCurve = DimmingCurve.fromSettings(newSettings);
     
     for (const key of changedKeys) {
       try {
@@ -147,6 +169,35 @@ class WallDimmer1Gang1Way extends TuyaSpecificClusterDevice {
               this.log('DP15 failed (expected):', err.message));
             break;
 
+          case 'auto_off':
+            this.log(`Setting auto_off: ${newSettings.auto_off}s`);
+            if (newSettings.auto_off > 0 && this.getCapabilityValue('onoff')) {
+              await this.countdownManager.armCountdown(1, newSettings.auto_off);
+            }
+            break;
+
+          case 'max_brightness': {
+            const maxBrightness = DimmingCurve.percentToTuya(newSettings.max_brightness);
+            this.log(`Setting max_brightness: ${newSettings.max_brightness}% → ${maxBrightness}`);
+            await this.sendTuyaCommand(dataPoints.maxBrightness, maxBrightness, 'value');
+            break;
+          }
+
+          case 'dim_curve':
+          case 'dim_gamma':
+            // Applied to the next command / report via this._dimCurve
+            this.log(`Setting dimming curve: ${this._dimCurve.curve} (gamma ${this._dimCurve.gamma})`);
+            break;
+
+          case 'transition_time':
+            // Used for dim commands without their own duration
+            this.log(`Setting transition_time: ${newSettings.transition_time}s`);
+            break;
+
+          case 'dp_capture':
+            this.dpRecorder.setEnabled(newSettings.dp_capture);
+            break;
+
           default:
             this.log(`Unknown setting: ${key}`);
         }
@@ -157,6 +208,31 @@ class WallDimmer1Gang1Way extends TuyaSpecificClusterDevice {
     }
   }
   
+  /**
+   * Default fade time for dim commands without a duration (transition_time setting)
+   */
+  _getDefaultTransitionMs() {
+    return Math.round((Number(this.getSetting('transition_time')) || 0) * 1000);
+  }
+
+  /**
+   * The dim converter applies the dimming curve + max_brightness of the settings
+   */
+  getTuyaConverterOptions(capability) {
+    return capability === 'dim' ? this._dimCurve : {};
+  }
+
+  /**
+   * Turn on and let the dimmer switch off after `seconds` (flow action)
+   */
+  async turnOnFor(seconds) {
+    return this.countdownManager.setCountdown(1, Math.round(seconds));
+  }
+
+  hasActiveCountdown() {
+    return this.countdownManager ? this.countdownManager.hasActiveCountdown(1) : false;
+  }
+
   /**
    * v5.5.799: Apply initial settings after device init
    */
@@ -178,6 +254,14 @@ class WallDimmer1Gang1Way extends TuyaSpecificClusterDevice {
         });
       }
 
+      // Apply max_brightness if not default
+      if (settings.max_brightness && settings.max_brightness < 100) {
+        const maxBrightness = DimmingCurve.percentToTuya(settings.max_brightness);
+        await this.sendTuyaCommand(dataPoints.maxBrightness, maxBrightness, 'value').catch(e => {
+          if (DEBUG_MODE) this.log('max_brightness not supported by this device');
+        });
+      }
+
       // Apply power_on_behavior if not default
       if (settings.power_on_behavior && settings.power_on_behavior !== '2') {
         const powerOnValue = parseInt(settings.power_on_behavior, 10);
@@ -272,6 +356,7 @@ class WallDimmer1Gang1Way extends TuyaSpecificClusterDevice {
 
         this._lastOnoffState = state;
         this.setCapabilityValue('onoff', state).catch(this.error);
+        this.countdownManager.handleStateChange(1, state, Number(this.getSetting('auto_off')) || 0);
 
         // Trigger flow cards ONLY if this is a physical button press
         if (isPhysicalPress) {
@@ -295,7 +380,7 @@ class WallDimmer1Gang1Way extends TuyaSpecificClusterDevice {
         brightnessRaw = data.data || 0;
       }
       
-      const brightness = Math.max(0, Math.min(1, (brightnessRaw - 10) / 990));
+      const brightness = this.fromTuyaValue(dataPoints.brightness, brightnessRaw);
       
       // Only process if brightness changed significantly (~1%)
       const changeThreshold = 10;
@@ -340,51 +425,8 @@ class WallDimmer1Gang1Way extends TuyaSpecificClusterDevice {
         this.log(`Sending Tuya command: DP ${dp} = ${value} (${type})`);
       }
 
-      let dataBuffer;
-      let datatype;
-
-      switch (type) {
-        case 'bool':
-          dataBuffer = Buffer.alloc(1);
-          dataBuffer.writeUInt8(value ? 1 : 0, 0);
-          datatype = 1;
-          break;
-
-        case 'value':
-          dataBuffer = Buffer.alloc(4);
-          dataBuffer.writeInt32BE(value, 0);
-          datatype = 2;
-          break;
-
-        case 'enum':
-          dataBuffer = Buffer.alloc(1);
-          dataBuffer.writeUInt8(Number(value), 0);
-          datatype = 4;
-          break;
-
-        case 'string':
-          dataBuffer = Buffer.from(String(value), 'utf8');
-          datatype = 3;
-          break;
-
-        default:
-          dataBuffer = Buffer.from([value]);
-          datatype = 2;
-      }
-
-      const lengthBuffer = Buffer.alloc(2);
-      lengthBuffer.writeUInt16BE(dataBuffer.length, 0);
-
-      const transid = Math.floor(Math.random() * 256);
-
-      await tuyaCluster.datapoint({
-        status: 0,
-        transid,
-        dp,
-        datatype,
-        length: lengthBuffer,
-        data: dataBuffer,
-      });
+      const datapoint = await TuyaDPCodec.sendDatapoint(tuyaCluster, dp, value, type);
+      this.dpRecorder.outbound(datapoint);
 
       if (DEBUG_MODE) {
         this.log('✅ Tuya command sent');
@@ -412,7 +454,14 @@ class WallDimmer1Gang1Way extends TuyaSpecificClusterDevice {
   }
 
   onDeleted() {
+    if (this.countdownManager) {
+      this.countdownManager.destroy();
+    }
+    if (this.dimTransition) {
+      this.dimTransition.destroy();
+    }
     this.log('Switch Touch Dimmer (1 Gang) removed');
+    super.onDeleted();
   }
 
 }
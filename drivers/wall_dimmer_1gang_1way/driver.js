@@ -36,6 +36,58 @@ class WallDimmer1Gang1WayDriver extends ZigBeeDriver {
     } catch (err) {
       this.log(`⚠️ Flow card registration failed: ${err.message}`);
     }
+
+    // ACTION: Turn on for a number of minutes (auto-off)
+    try {
+      this.homey.flow.getActionCard('wall_dimmer_1gang_1way_turn_on_for')
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          this.log(`Flow: Turning on for ${args.minutes} min`);
+          await args.device.turnOnFor(args.minutes * 60);
+          return true;
+        });
+      this.log('✅ Flow card registered: wall_dimmer_1gang_1way_turn_on_for');
+    } catch (err) {
+      this.log(`⚠️ Flow card registration failed: ${err.message}`);
+    }
+
+    // ACTION: Export the DP capture as JSON (token)
+    try {
+      this.homey.flow.getActionCard('wall_dimmer_1gang_1way_export_dp_capture')
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          this.log('Flow: Exporting DP capture');
+          return { capture: args.device.exportDPCapture() || '' };
+        });
+      this.log('✅ Flow card registered: wall_dimmer_1gang_1way_export_dp_capture');
+    } catch (err) {
+      this.log(`⚠️ Flow card registration failed: ${err.message}`);
+    }
+
+    // ACTION: Export the diagnostic report as JSON (token)
+    try {
+      this.homey.flow.getActionCard('wall_dimmer_1gang_1way_export_diagnostics')
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          this.log('Flow: Exporting diagnostic report');
+          return { report: args.device.exportDiagnostics() };
+        });
+      this.log('✅ Flow card registered: wall_dimmer_1gang_1way_export_diagnostics');
+    } catch (err) {
+      this.log(`⚠️ Flow card registration failed: ${err.message}`);
+    }
+
+    // CONDITION: Auto-off timer is active
+    try {
+      this.homey.flow.getConditionCard('wall_dimmer_1gang_1way_countdown_active')
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          return args.device.hasActiveCountdown();
+        });
+      this.log('✅ Flow card registered: wall_dimmer_1gang_1way_countdown_active');
+    } catch (err) {
+      this.log(`⚠️ Flow card registration failed: ${err.message}`);
+    }
   }
 
 
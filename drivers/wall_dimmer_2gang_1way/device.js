@@ -0,0 +1,23 @@
+'use strict';
+const MultiChannelDimmerBase = require('../../lib/devices/MultiChannelDimmerBase');
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   WALL DIMMER 2-GANG 1-WAY - Sub-Device Implementation                      ║
+ * ╠══════════════════════════════════════════════════════════════════════════════╣
+ * ║  Creates TWO separate device cards in Homey:                               ║
+ * ║  - Primary Device: Channel 1 (DP1 state, DP2 brightness, DP3 min brightness) ║
+ * ║  - Sub-Device: Channel 2 (DP7 state, DP8 brightness, DP9 min brightness)     ║
+ * ║                                                                               ║
+ * ║  Channel/sub-device behaviour lives in MultiChannelDimmerBase                ║
+ * ║                                                                               ║
+ * ║  Compatible with: TS0601 devices on Homey 12.10.0+                           ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ */
+class WallDimmer2Gang1WayDevice extends MultiChannelDimmerBase {
+
+  get totalChannels() { return 2; }
+
+}
+
+module.exports = WallDimmer2Gang1WayDevice;
@@ -0,0 +1,24 @@
+'use strict';
+const MultiChannelDimmerBase = require('../../lib/devices/MultiChannelDimmerBase');
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   WALL DIMMER 3-GANG 1-WAY - Sub-Device Implementation                      ║
+ * ╠══════════════════════════════════════════════════════════════════════════════╣
+ * ║  Creates THREE separate device cards in Homey:                               ║
+ * ║  - Primary Device: Channel 1 (DP1 state, DP2 brightness, DP3 min brightness) ║
+ * ║  - Sub-Device: Channel 2 (DP7 state, DP8 brightness, DP9 min brightness)     ║
+ * ║  - Sub-Device: Channel 3 (DP15 state, DP16 brightness, DP17 min brightness)  ║
+ * ║                                                                               ║
+ * ║  Channel/sub-device behaviour lives in MultiChannelDimmerBase                ║
+ * ║                                                                               ║
+ * ║  Compatible with: TS0601 devices on Homey 12.10.0+                           ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ */
+class WallDimmer3Gang1WayDevice extends MultiChannelDimmerBase {
+
+  get totalChannels() { return 3; }
+
+}
+
+module.exports = WallDimmer3Gang1WayDevice;
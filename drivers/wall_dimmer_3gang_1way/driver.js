@@ -0,0 +1,14 @@
+'use strict';
+
+const MultiChannelDimmerDriver = require('../../lib/drivers/MultiChannelDimmerDriver');
+
+/**
+ * Wall Dimmer 3-Gang 1-Way Driver
+ * Sub-device support is configured via driver.compose.json "devices" section.
+ * Framework automatically creates separate device cards for each channel.
+ * Flow cards are registered by MultiChannelDimmerDriver.
+ */
+class WallDimmer3Gang1WayDriver extends MultiChannelDimmerDriver {
+}
+
+module.exports = WallDimmer3Gang1WayDriver;
@@ -76,7 +76,7 @@ class WallSwitch1Gang1WayDevice extends PhysicalButtonMixin(HybridSwitchBase) {
         // Check if this is an onoff change
         if (dp === 1) {
           const state = Boolean(data?.value ?? data);
-          const isPhysicalPress = reportingEvent && !this._appCommandPending;
+          const isPhysicalPress = reportingEvent && !this._appCommandPending && !this.isExpectedAutoOff(1, state);
 
           // Only trigger flows if state actually changed and it's physical
           if (this._lastOnoffState !== state) {
@@ -103,6 +103,7 @@ class WallSwitch1Gang1WayDevice extends PhysicalButtonMixin(HybridSwitchBase) {
    * Used to distinguish physical button presses from app commands
    */
   _markAppCommand() {
+    this.markAppCommand(1);
     this._appCommandPending = true;
     if (this._appCommandTimeout) {
       clearTimeout(this._appCommandTimeout);
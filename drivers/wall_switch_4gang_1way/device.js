@@ -0,0 +1,26 @@
+'use strict';
+const SubDeviceSwitchBase = require('../../lib/devices/SubDeviceSwitchBase');
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   WALL SWITCH 4-GANG 1-WAY - Sub-Device Implementation                      ║
+ * ╠══════════════════════════════════════════════════════════════════════════════╣
+ * ║  Creates FOUR separate device cards in Homey:                                ║
+ * ║  - Primary Device: Gang 1 (uses full HybridSwitchBase)                       ║
+ * ║  - Sub-Device 1: Gang 2 (minimal initialization, specific endpoint)          ║
+ * ║  - Sub-Device 2: Gang 3 (minimal initialization, specific endpoint)          ║
+ * ║  - Sub-Device 3: Gang 4 (minimal initialization, specific endpoint)          ║
+ * ║                                                                               ║
+ * ║  BSEED TS0726 sends physical presses as onOff commands: every endpoint is    ║
+ * ║  bound explicitly (requiresExplicitBinding in bseed_ts0726_4gang.json)       ║
+ * ║                                                                               ║
+ * ║  Compatible with: TS0726 devices on Homey 12.10.0+                           ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ */
+class WallSwitch4Gang1WayDevice extends SubDeviceSwitchBase {
+
+  get totalGangs() { return 4; }
+
+}
+
+module.exports = WallSwitch4Gang1WayDevice;
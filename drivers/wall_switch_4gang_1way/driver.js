@@ -0,0 +1,14 @@
+'use strict';
+
+const MultiGangSwitchDriver = require('../../lib/drivers/MultiGangSwitchDriver');
+
+/**
+ * Wall Switch 4-Gang 1-Way Driver
+ * Sub-device support is configured via driver.compose.json "devices" section.
+ * Framework automatically creates separate device cards for each gang.
+ * Flow cards are registered by MultiGangSwitchDriver.
+ */
+class WallSwitch4Gang1WayDriver extends MultiGangSwitchDriver {
+}
+
+module.exports = WallSwitch4Gang1WayDriver;
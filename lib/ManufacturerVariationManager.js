@@ -1,6 +1,7 @@
 'use strict';
 
 const { includesCI, startsWithCI, equalsCI, containsCI } = require('./utils/CaseInsensitiveMatcher');
+const DeviceDefinitions = require('./definitions/DeviceDefinitions');
 
 /**
  * ManufacturerVariationManager - Gestion dynamique des variations par manufacturerName
@@ -432,25 +433,95 @@ class ManufacturerVariationManager {
       config.endpoints = {
         1: { clusters: [0, 4, 5, 6, 8, 61184, 2820], bindings: [1, 6] }
       };
-      
-      // BSEED TS0726 specific - needs additional endpoints with clusters 0xE000/0xE001
-      if (equalsCI(manufacturerName, '_TZ3002_pzao9ls1') && equalsCI(productId, 'TS0726')) {
-        for (let i = 2; i <= 4; i++) {
-          config.endpoints[i] = { 
-            clusters: [0, 3, 4, 5, 57344, 57345], // 0xE000, 0xE001 
-            bindings: [6] 
-          };
-        }
-        config.specialHandling = 'bseed_ts0726_4gang';
-        config.powerSource = 'mains'; // Force mains power detection
-      }
-      
       config.zclClusters = [6, 8, 2820]; // OnOff + Level + ElectricalMeasurement
     }
 
+    // Declarative variant definition (lib/definitions/devices) over the prefix defaults
+    // BSEED TS0726: endpoints 2-4 with clusters 0xE000/0xE001, mains powered
+    const definition = DeviceDefinitions.find(manufacturerName, productId);
+    if (definition) {
+      this._applyDefinition(config, definition);
+    }
+
+    return config;
+  }
+
+  /**
+   * Applique une définition déclarative (lib/definitions/devices) à la config
+   */
+  static _applyDefinition(config, definition) {
+    config.definition = definition.id;
+    config.protocol = definition.protocol;
+
+    for (const [endpoint, layout] of Object.entries(definition.endpoints || {})) {
+      config.endpoints[endpoint] = { clusters: [...layout.clusters], bindings: [...(layout.bindings || [])] };
+    }
+
+    if (definition.protocol === 'tuya_dp' && definition.deviceType === 'switch') {
+      config.dpMappings = {};
+      for (const { gang, dp } of definition.gangs) {
+        config.dpMappings[dp] = {
+          capability: gang === 1 ? 'onoff' : `onoff.gang_${gang}`,
+          transform: (v) => Boolean(v)
+        };
+      }
+    }
+
+    if (definition.specialHandling) {
+      config.specialHandling = definition.specialHandling;
+    }
+    if (definition.powerSource) {
+      config.powerSource = definition.powerSource;
+    }
     return config;
   }
 
+  /**
+   * Résout le verrouillage enfant (child lock) pour un manufacturerName
+   * Sources: Z2M tuya.ts (genOnOff 0x8000 pour _TZ3000_, DP101 pour TS0601)
+   * DP16 = rétroéclairage, jamais le child lock
+   * @returns {{method: 'zcl', endpoint: number, attribute: string}|{method: 'tuya_dp', dp: number}|null}
+   *          null = non supporté
+   */
+  static getChildLockConfig(manufacturerName, productId) {
+    // Définition déclarative: null = pas de child lock dans le firmware
+    const definition = DeviceDefinitions.find(manufacturerName, productId);
+    if (definition?.settingsDPs && 'childLock' in definition.settingsDPs) {
+      const childLock = definition.settingsDPs.childLock;
+      return childLock ? { ...childLock } : null;
+    }
+
+    // BSEED TS0726: pas de child lock dans le firmware
+    if (startsWithCI(manufacturerName, '_TZ3002_')) {
+      return null;
+    }
+
+    // TS0601 Tuya DP (_TZE200_ / _TZE204_): DP101
+    if (startsWithCI(manufacturerName, '_TZE200_') || startsWithCI(manufacturerName, '_TZE204_')) {
+      return { method: 'tuya_dp', dp: 101 };
+    }
+
+    // _TZ3000_ ZCL: attribut Tuya 0x8000 du cluster onOff (TuyaOnOffCluster.childLock)
+    if (startsWithCI(manufacturerName, '_TZ3000_')) {
+      return { method: 'zcl', endpoint: 1, attribute: 'childLock' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Résout le mode découplé (relais détaché) pour un manufacturerName
+   * Uniquement depuis la définition déclarative: l'attribut 0xE001 switchMode
+   * ou les DPs par gang varient trop d'un firmware à l'autre pour deviner
+   * @returns {{method: 'zcl', attribute: string}|{method: 'tuya_dp', dps: number[]}|null}
+   *          null = non supporté
+   */
+  static getDecoupledConfig(manufacturerName, productId) {
+    const definition = DeviceDefinitions.find(manufacturerName, productId);
+    const decoupled = definition?.settingsDPs?.decoupled;
+    return decoupled ? { ...decoupled } : null;
+  }
+
   /**
    * Configuration spécifique pour sensors
    */
@@ -651,7 +722,8 @@ class ManufacturerVariationManager {
     // v5.5.522: BSEED TS0726 power correction
     // ═══════════════════════════════════════════════════════════════
     const BSEED_MAINS_IDS = [
-      '_TZ3002_pzao9ls1' // BSEED TS0726 4-gang switch
+      '_TZ3002_pzao9ls1', // BSEED TS0726 4-gang switch
+      '_TZ3002_vaq2bfcu'  // BSEED TS0726 4-gang switch
     ];
     if (includesCI(BSEED_MAINS_IDS, manufacturerName)) {
       config.powerSource = 'mains'; // Force mains power detection
@@ -79,6 +79,7 @@ class ProtocolAutoOptimizer extends EventEmitter {
     // Decision state
     this.decided = false;
     this.decidedMode = null;
+    this.forced = false;
     this.decisionTimeout = null;
     this.startTime = Date.now();
 
@@ -160,6 +161,8 @@ class ProtocolAutoOptimizer extends EventEmitter {
         sources: [{ protocol, identifier, hits: 1 }]
       });
 
+      this.protocolPerCapability.set(key, protocol);
+
       // Emit discovery event
       this.emit('capability_discovered', capability, protocol, identifier);
     } else {
@@ -174,9 +177,25 @@ class ProtocolAutoOptimizer extends EventEmitter {
       } else {
         data.sources.push({ protocol, identifier, hits: 1 });
       }
+
+      // Preferred protocol: the one reporting the capability most
+      const hits = {};
+      for (const source of data.sources) {
+        hits[source.protocol] = (hits[source.protocol] || 0) + source.hits;
+      }
+      const preferred = Object.keys(hits).sort((a, b) => hits[b] - hits[a])[0];
+      this.protocolPerCapability.set(key, preferred);
     }
   }
 
+  /**
+   * Preferred protocol per capability, learned from the hits
+   * @returns {Object<string, string>} e.g. { onoff: 'zcl', 'onoff.gang2': 'tuya' }
+   */
+  getProtocolPerCapability() {
+    return Object.fromEntries(this.protocolPerCapability);
+  }
+
   /**
    * v5.5.122: Get discovered capabilities report
    */
@@ -203,6 +222,22 @@ class ProtocolAutoOptimizer extends EventEmitter {
     return this.active[protocol] !== false;
   }
 
+  /**
+   * Protocol for outgoing commands of a capability, one path per command
+   * zcl_only / tuya_only send on that protocol, hybrid on the protocol learned
+   * for the capability; while learning (or nothing learned) the fallback.
+   * Passive listening is not affected, see isActive()
+   * @param {string|null} capability - e.g. 'onoff.gang2'
+   * @param {string} fallback - PROTOCOL.ZCL or PROTOCOL.TUYA
+   * @returns {string} PROTOCOL.ZCL or PROTOCOL.TUYA
+   */
+  getCommandProtocol(capability, fallback) {
+    if (this.decidedMode === 'zcl_only') return PROTOCOL.ZCL;
+    if (this.decidedMode === 'tuya_only') return PROTOCOL.TUYA;
+    const learned = this.decided ? this.protocolPerCapability.get(capability) : null;
+    return learned === PROTOCOL.ZCL || learned === PROTOCOL.TUYA ? learned : fallback;
+  }
+
   /**
    * Get current protocol mode
    */
@@ -218,9 +253,11 @@ class ProtocolAutoOptimizer extends EventEmitter {
     return {
       decided: this.decided,
       mode: this.decidedMode,
+      forced: this.forced,
       elapsed: Date.now() - this.startTime,
       protocols: { ...this.stats },
       active: { ...this.active },
+      capabilities: this.getProtocolPerCapability(),
     };
   }
 
@@ -282,6 +319,7 @@ class ProtocolAutoOptimizer extends EventEmitter {
   /**
    * Apply a decision
    * v5.5.71: NEVER fully disable any protocol - they must remain able to receive passive data
+   * Outgoing commands follow the decision through getCommandProtocol()
    */
   _applyDecision(mode, save = true) {
     this.decided = true;
@@ -322,19 +360,29 @@ class ProtocolAutoOptimizer extends EventEmitter {
 
   /**
    * Force a specific mode (manual override)
+   * Stops learning, the scheduled decision would overwrite the forced mode
    */
   forceMode(mode) {
     this._log(`🔧 Force mode: ${mode}`);
+    if (this.decisionTimeout) {
+      clearTimeout(this.decisionTimeout);
+      this.decisionTimeout = null;
+    }
+    this.forced = true;
     this._applyDecision(mode, true);
   }
 
   /**
    * Reset to hybrid mode
+   * Forgets the saved decision and the learned capabilities, learning starts again
    */
   reset() {
     this._log('🔄 Resetting to hybrid mode');
     this.decided = false;
     this.decidedMode = null;
+    this.forced = false;
+    this.discoveredCapabilities.clear();
+    this.protocolPerCapability.clear();
     this.active = { tuya: true, zcl: true, ias: true, raw: true };
     this.stats = {
       tuya: { hits: 0, lastHit: null, dps: new Set() },
@@ -343,6 +391,7 @@ class ProtocolAutoOptimizer extends EventEmitter {
       raw: { hits: 0, lastHit: null },
     };
     this.startTime = Date.now();
+    this._clearSavedDecision();
     this._scheduleDecision();
   }
 
@@ -355,6 +404,7 @@ class ProtocolAutoOptimizer extends EventEmitter {
       await this.device?.setStoreValue?.('protocol_mode', mode);
       await this.device?.setStoreValue?.('protocol_decision_time', Date.now());
       await this.device?.setStoreValue?.('protocol_decision_version', CURRENT_VERSION);
+      await this.device?.setStoreValue?.('protocol_per_capability', this.getProtocolPerCapability());
       this._log(`💾 Saved decision: ${mode} (v${CURRENT_VERSION})`);
     } catch (e) {
       this._log('⚠️ Could not save decision:', e.message);
@@ -380,6 +430,10 @@ class ProtocolAutoOptimizer extends EventEmitter {
 
       // Expire after 24 hours (reduced from 7 days)
       if (mode && time && (Date.now() - time) < 24 * 60 * 60 * 1000) {
+        const perCapability = await this.device?.getStoreValue?.('protocol_per_capability');
+        for (const [capability, protocol] of Object.entries(perCapability || {})) {
+          this.protocolPerCapability.set(capability, protocol);
+        }
         return mode;
       }
     } catch (e) {
@@ -388,6 +442,19 @@ class ProtocolAutoOptimizer extends EventEmitter {
     return null;
   }
 
+  /**
+   * Forget the saved decision (reset)
+   */
+  async _clearSavedDecision() {
+    try {
+      for (const key of ['protocol_mode', 'protocol_decision_time', 'protocol_per_capability']) {
+        await this.device?.unsetStoreValue?.(key);
+      }
+    } catch (e) {
+      this._log('⚠️ Could not clear decision:', e.message);
+    }
+  }
+
   /**
    * Cleanup
    */
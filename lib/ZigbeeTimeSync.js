@@ -1,251 +0,0 @@
-'use strict';
-
-/**
- * ╔══════════════════════════════════════════════════════════════════════════════╗
- * ║                    ZIGBEE TIME SYNC - PRODUCTION READY                       ║
- * ║                                                                              ║
- * ║  🎯 POUR: TS0601 _TZE284_vvmbj46n et autres devices avec RTC + outCluster   ║
- * ║  ✅ MÉTHODE: ZCL Time Cluster 0x000A (PAS EF00!)                           ║
- * ║  ✅ EPOCH: Zigbee 2000 (946684800 delta depuis Unix 1970)                  ║
- * ║  ✅ STRATEGY: bind + writeAttributes + throttle + retry                      ║
- * ╚══════════════════════════════════════════════════════════════════════════════╝
- */
-
-// Zigbee Time Cluster utilise Epoch 2000, pas Unix 1970
-const ZIGBEE_EPOCH_OFFSET = 946684800; // Secondes entre 1970-01-01 et 2000-01-01
-const TIME_CLUSTER = 0x000A;
-const DEFAULT_THROTTLE = 24 * 60 * 60 * 1000; // 24h en millisecondes
-
-class ZigbeeTimeSync {
-
-  constructor(device, options = {}) {
-    this.device = device;
-    this.lastSync = 0;
-    this.throttleMs = options.throttleMs || DEFAULT_THROTTLE;
-    this.maxRetries = options.maxRetries || 3;
-    this.retryDelayMs = options.retryDelayMs || 2000;
-  }
-
-  /**
-   * Détecte si le device a un RTC via outCluster 0x000A
-   */
-  hasRtcCapability() {
-    try {
-      const node = this.device.zclNode || this.device.node || this.device._zclNode;
-      if (!node?.endpoints?.[1]) return false;
-
-      const outClusters = node.endpoints[1].outClusters || [];
-      const hasTimeCluster = outClusters.includes(TIME_CLUSTER) ||
-        outClusters.includes('0x000A') ||
-        outClusters.includes('time');
-
-      this.device.log(`[ZigbeeTime] outClusters: ${JSON.stringify(outClusters)} → RTC: ${hasTimeCluster}`);
-      return hasTimeCluster;
-    } catch (e) {
-      this.device.log(`[ZigbeeTime] RTC detection failed: ${e.message}`);
-      return false;
-    }
-  }
-
-  /**
-   * Vérifie si une sync est nécessaire (throttle)
-   */
-  needsSync(forceSync = false) {
-    if (forceSync) return true;
-    return (Date.now() - this.lastSync) > this.throttleMs;
-  }
-
-  /**
-   * Calcule le temps Zigbee (Epoch 2000)
-   */
-  getZigbeeTime() {
-    const now = Math.floor(Date.now() / 1000);
-    const zigbeeTime = now - ZIGBEE_EPOCH_OFFSET;
-
-    this.device.log(`[ZigbeeTime] Unix: ${now} → Zigbee: ${zigbeeTime} (delta: ${ZIGBEE_EPOCH_OFFSET})`);
-    return zigbeeTime;
-  }
-
-  /**
-   * Méthode principale: Sync avec bind + write + retry
-   */
-  async sync(options = {}) {
-    const forceSync = options.force || false;
-
-    if (!this.needsSync(forceSync)) {
-      this.device.log('[ZigbeeTime] Sync throttled (< 24h depuis dernière sync)');
-      return { success: false, reason: 'throttled' };
-    }
-
-    if (!this.hasRtcCapability()) {
-      this.device.log('[ZigbeeTime] Device has no RTC (no outCluster 0x000A)');
-      return { success: false, reason: 'no_rtc' };
-    }
-
-    let lastError = null;
-
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-      try {
-        this.device.log(`[ZigbeeTime] Attempt ${attempt}/${this.maxRetries}...`);
-
-        const result = await this._performSync();
-        if (result.success) {
-          this.lastSync = Date.now();
-          this.device.log(`[ZigbeeTime] ✅ Sync successful on attempt ${attempt}`);
-          return result;
-        }
-
-        lastError = result.error;
-      } catch (error) {
-        lastError = error;
-        this.device.log(`[ZigbeeTime] Attempt ${attempt} failed: ${error.message}`);
-      }
-
-      // Délai avant retry (sauf dernière tentative)
-      if (attempt < this.maxRetries) {
-        const delay = this.retryDelayMs * attempt;
-        this.device.log(`[ZigbeeTime] Waiting ${delay}ms before retry...`);
-        await this._sleep(delay);
-      }
-    }
-
-    this.device.log(`[ZigbeeTime] ❌ All ${this.maxRetries} attempts failed`);
-    return { success: false, reason: 'max_retries', error: lastError };
-  }
-
-  /**
-   * Exécute la synchronisation: bind + write
-   */
-  async _performSync() {
-    const node = this.device.zclNode || this.device.node || this.device._zclNode;
-    const endpoint = node?.endpoints?.[1];
-
-    if (!endpoint) {
-      throw new Error('No endpoint 1 available');
-    }
-
-    // Étape 1: Bind Time cluster (si pas déjà fait)
-    await this._ensureTimeBind(endpoint);
-
-    // Étape 2: Write time attributes
-    const zigbeeTime = this.getZigbeeTime();
-    const timeStatus = 0b00000001; // Master = 1, Synchronized = 0
-
-    this.device.log(`[ZigbeeTime] Writing time=${zigbeeTime}, status=${timeStatus.toString(2)}`);
-
-    // Accès au cluster Time de l'endpoint
-    const timeCluster = endpoint.clusters?.time || endpoint.clusters?.[TIME_CLUSTER];
-    if (!timeCluster) {
-      throw new Error('Time cluster not accessible on endpoint');
-    }
-
-    // Write attributes vers le device
-    await timeCluster.writeAttributes({
-      time: zigbeeTime,
-      timeStatus: timeStatus
-    });
-
-    this.device.log('[ZigbeeTime] ✅ Time attributes written successfully');
-
-    // Optionnel: Lecture pour vérification
-    if (typeof timeCluster.readAttributes === 'function') {
-      try {
-        const readBack = await timeCluster.readAttributes(['time', 'timeStatus']);
-        this.device.log(`[ZigbeeTime] 📖 Read-back: time=${readBack.time}, status=${readBack.timeStatus}`);
-      } catch (e) {
-        this.device.log(`[ZigbeeTime] Read-back failed (normal): ${e.message}`);
-      }
-    }
-
-    return { success: true, zigbeeTime, timeStatus };
-  }
-
-  /**
-   * Assure que le Time cluster est bound
-   */
-  async _ensureTimeBind(endpoint) {
-    try {
-      const timeCluster = endpoint.clusters?.time || endpoint.clusters?.[TIME_CLUSTER];
-      if (!timeCluster) {
-        throw new Error('Time cluster not found for binding');
-      }
-
-      if (typeof timeCluster.bind === 'function') {
-        this.device.log('[ZigbeeTime] Binding Time cluster...');
-        await timeCluster.bind();
-        this.device.log('[ZigbeeTime] ✅ Time cluster bound');
-      } else {
-        this.device.log('[ZigbeeTime] ⚠️ Bind method not available (may already be bound)');
-      }
-    } catch (error) {
-      // Non-fatal: binding peut déjà être fait ou pas nécessaire
-      this.device.log(`[ZigbeeTime] Bind failed (continuing): ${error.message}`);
-    }
-  }
-
-  /**
-   * Détection automatique si le device affiche la bonne heure
-   * Compare l'année affichée vs année actuelle
-   */
-  async detectEpochIssues() {
-    const currentYear = new Date().getFullYear();
-
-    // Si tu peux lire l'affichage LCD ou des capability de date
-    // Ici on fait une détection indirecte via les temps de sync
-
-    return {
-      hasIssue: false,
-      detectedEpoch: 'zigbee_2000',
-      confidence: 'high'
-    };
-  }
-
-  /**
-   * Mode debug: teste plusieurs approches
-   */
-  async debugSync() {
-    this.device.log('[ZigbeeTime] 🧪 DEBUG MODE: Testing all sync methods...');
-
-    const methods = [
-      { name: 'time_only', attrs: { time: this.getZigbeeTime() } },
-      { name: 'time_status', attrs: { time: this.getZigbeeTime(), timeStatus: 1 } },
-      { name: 'time_zone', attrs: { time: this.getZigbeeTime(), timeZone: 0 } },
-    ];
-
-    const results = [];
-
-    for (const method of methods) {
-      try {
-        this.device.log(`[ZigbeeTime] Testing: ${method.name}...`);
-
-        const node = this.device.zclNode || this.device.node || this.device._zclNode;
-        const timeCluster = node?.endpoints?.[1]?.clusters?.time;
-
-        if (timeCluster) {
-          await timeCluster.writeAttributes(method.attrs);
-          results.push({ method: method.name, success: true });
-          this.device.log(`[ZigbeeTime] ✅ ${method.name} successful`);
-        } else {
-          results.push({ method: method.name, success: false, error: 'no_cluster' });
-        }
-
-        await this._sleep(1000); // Délai entre tests
-      } catch (error) {
-        results.push({ method: method.name, success: false, error: error.message });
-        this.device.log(`[ZigbeeTime] ❌ ${method.name} failed: ${error.message}`);
-      }
-    }
-
-    this.device.log('[ZigbeeTime] 🧪 Debug results:', JSON.stringify(results, null, 2));
-    return results;
-  }
-
-  /**
-   * Utilitaire: sleep
-   */
-  _sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-}
-
-module.exports = ZigbeeTimeSync;
@@ -0,0 +1,60 @@
+'use strict';
+
+const { BoundCluster } = require('zigbee-clusters');
+
+/**
+ * Time Bound Cluster
+ *
+ * Answers the ZCL Time (0x000A) reads of devices that ask Homey for the time
+ * (clocks, thermostats, TS0601 modules with a ZCL time client).
+ * BoundCluster.readAttributes() reads `this[attribute]`, the getters return
+ * one snapshot per read so all attributes of a response agree.
+ */
+class TimeBoundCluster extends BoundCluster {
+
+  /**
+   * @param {object} options
+   * @param {Function} options.getAttributes - () => { time, timeStatus, timeZone, ... }
+   */
+  constructor({ getAttributes }) {
+    super();
+    this._getAttributes = getAttributes;
+    this._snapshot = null;
+  }
+
+  async readAttributes(payload) {
+    this._snapshot = this._getAttributes();
+    try {
+      return await super.readAttributes(payload);
+    } finally {
+      this._snapshot = null;
+    }
+  }
+
+  _attribute(name) {
+    return (this._snapshot || this._getAttributes())[name];
+  }
+
+  get time() { return this._attribute('time'); }
+
+  get timeStatus() { return this._attribute('timeStatus'); }
+
+  get timeZone() { return this._attribute('timeZone'); }
+
+  get dstStart() { return this._attribute('dstStart'); }
+
+  get dstEnd() { return this._attribute('dstEnd'); }
+
+  get dstShift() { return this._attribute('dstShift'); }
+
+  get standardTime() { return this._attribute('standardTime'); }
+
+  get localTime() { return this._attribute('localTime'); }
+
+  get lastSetTime() { return this._attribute('lastSetTime'); }
+
+  get validUntilTime() { return this._attribute('validUntilTime'); }
+
+}
+
+module.exports = TimeBoundCluster;
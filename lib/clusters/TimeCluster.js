@@ -0,0 +1,42 @@
+'use strict';
+
+const { TimeCluster: ZCLTimeCluster, ZCLDataType, ZCLDataTypes } = require('zigbee-clusters');
+
+/**
+ * TimeCluster - ZCL Time cluster (0x000A) with its attributes
+ *
+ * zigbee-clusters defines the cluster without attributes, so a TimeBoundCluster
+ * could not answer reads. Registered in place of the stock cluster (same NAME
+ * and ID) by registerCustomClusters().
+ *
+ * Times are seconds since 2000-01-01 00:00 UTC, offsets are seconds.
+ */
+
+// UTCTime (0xE2): uint32 on the wire with its own type id
+const utc = new ZCLDataType(0xE2, 'utc', 4, ZCLDataTypes.uint32.toBuffer, ZCLDataTypes.uint32.fromBuffer);
+
+const ATTRIBUTES = {
+  time: { id: 0x0000, type: utc },
+  timeStatus: {
+    id: 0x0001,
+    type: ZCLDataTypes.map8('master', 'synchronized', 'masterZoneDst', 'superseding'),
+  },
+  timeZone: { id: 0x0002, type: ZCLDataTypes.int32 },
+  dstStart: { id: 0x0003, type: ZCLDataTypes.uint32 },
+  dstEnd: { id: 0x0004, type: ZCLDataTypes.uint32 },
+  dstShift: { id: 0x0005, type: ZCLDataTypes.int32 },
+  standardTime: { id: 0x0006, type: ZCLDataTypes.uint32 },
+  localTime: { id: 0x0007, type: ZCLDataTypes.uint32 },
+  lastSetTime: { id: 0x0008, type: utc },
+  validUntilTime: { id: 0x0009, type: utc },
+};
+
+class TimeCluster extends ZCLTimeCluster {
+
+  static get ATTRIBUTES() {
+    return ATTRIBUTES;
+  }
+
+}
+
+module.exports = TimeCluster;
@@ -0,0 +1,55 @@
+'use strict';
+
+const { Cluster, ZCLDataTypes } = require('zigbee-clusters');
+
+/**
+ * TuyaExternalSwitchCluster - Tuya cluster 0xE001 (57345), switch mode per endpoint
+ *
+ * Present on BSEED / Zemismart wall switches next to 0xE000. zigbee-clusters
+ * does not know it, registered by registerCustomClusters().
+ *
+ * Attributes:
+ * - switchMode (0xD020): relay = the button toggles the relay,
+ *   scene = relay decoupled, the button only sends a press (0xE000 / onOff command)
+ * - externalSwitchType (0xD030): wiring of an external switch input
+ */
+
+const ATTRIBUTES = {
+  switchMode: {
+    id: 0xD020,
+    type: ZCLDataTypes.enum8({
+      relay: 0,
+      scene: 1,
+    }),
+  },
+  externalSwitchType: {
+    id: 0xD030,
+    type: ZCLDataTypes.enum8({
+      toggle: 0,
+      state: 1,
+      momentary: 2,
+    }),
+  },
+};
+
+class TuyaExternalSwitchCluster extends Cluster {
+
+  static get ID() {
+    return 0xE001;
+  }
+
+  static get NAME() {
+    return 'tuyaExternalSwitch';
+  }
+
+  static get ATTRIBUTES() {
+    return ATTRIBUTES;
+  }
+
+  static get COMMANDS() {
+    return {};
+  }
+
+}
+
+module.exports = TuyaExternalSwitchCluster;
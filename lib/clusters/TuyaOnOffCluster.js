@@ -0,0 +1,41 @@
+'use strict';
+
+const { OnOffCluster, ZCLDataTypes } = require('zigbee-clusters');
+
+/**
+ * TuyaOnOffCluster - On/Off cluster (0x0006) with the attributes Tuya switches use
+ *
+ * zigbee-clusters only knows onOff / onTime / offWaitTime. Registered in place
+ * of the stock cluster (same NAME and ID) by registerCustomClusters().
+ *
+ * Added attributes:
+ * - startUpOnOff (0x4003): ZCL power-on behaviour, per endpoint
+ * - childLock (0x8000): Tuya child lock, endpoint 1
+ */
+
+const ATTRIBUTES = {
+  ...OnOffCluster.ATTRIBUTES,
+  startUpOnOff: {
+    id: 0x4003,
+    type: ZCLDataTypes.enum8({
+      off: 0,
+      on: 1,
+      toggle: 2,
+      previous: 255,
+    }),
+  },
+  childLock: {
+    id: 0x8000,
+    type: ZCLDataTypes.bool,
+  },
+};
+
+class TuyaOnOffCluster extends OnOffCluster {
+
+  static get ATTRIBUTES() {
+    return ATTRIBUTES;
+  }
+
+}
+
+module.exports = TuyaOnOffCluster;
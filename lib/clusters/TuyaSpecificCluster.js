@@ -1,6 +1,7 @@
 'use strict';
 
 const { Cluster, ZCLDataTypes } = require('zigbee-clusters');
+const TuyaDPCodec = require('../tuya/TuyaDPCodec');
 
 /**
  * Tuya Specific Cluster (0xEF00)
@@ -129,13 +130,15 @@ class TuyaSpecificCluster extends Cluster {
       },
 
       /**
-       * MCU sync time (0x24) - device requests time
+       * MCU sync time (0x24) - device requests time, Homey answers with the time
+       * Request: payloadSize carries the sequence number, no payload
+       * Answer: payloadSize = payload length, payload built by TimeSyncService
        */
       mcuSyncTime: {
         id: 0x24,
         args: {
-          utc: ZCLDataTypes.uint32,
-          local: ZCLDataTypes.int32,
+          payloadSize: ZCLDataTypes.uint16,
+          payload: ZCLDataTypes.buffer,
         },
       },
 
@@ -174,19 +177,6 @@ class TuyaSpecificCluster extends Cluster {
           payload: ZCLDataTypes.buffer,
         },
       },
-
-      /**
-       * Time Response (0x24) - Response to time sync request
-       * Used to send time to device
-       */
-      timeResponse: {
-        id: 0x24,
-        manufacturerSpecific: true,
-        args: {
-          utcTime: ZCLDataTypes.uint32,
-          localTime: ZCLDataTypes.uint32,
-        },
-      },
     };
   }
 
@@ -252,42 +242,11 @@ class TuyaSpecificCluster extends Cluster {
 
   /**
    * v5.5.95: Handler for MCU Sync Time request (0x24)
-   * When device requests time, we respond automatically with current time
+   * Emits 'mcuSyncTime', TimeSyncService answers in the format the device understands
    * Source: https://github.com/Koenkk/zigbee2mqtt/issues/26078
    */
   onMcuSyncTime(data) {
     this.emit('mcuSyncTime', data);
-    // Auto-respond with current time
-    this.timeSync().catch(() => { });
-  }
-
-  /**
-   * v5.5.95: Send time sync to device (TZE284 LCD clock sync)
-   * This is CRITICAL for _TZE284_vvmbj46n (TH05Z) LCD display!
-   *
-   * The device expects:
-   * - utcTime: Unix timestamp (seconds since 1970)
-   * - localTime: Unix timestamp + timezone offset
-   *
-   * @param {Object} options - Optional time override
-   * @param {number} options.utcTime - UTC timestamp in seconds
-   * @param {number} options.localTime - Local timestamp in seconds
-   */
-  async timeSync(options = {}) {
-    const now = new Date();
-    const utcSeconds = options.utcTime || Math.floor(now.getTime() / 1000);
-    const timezoneOffset = -now.getTimezoneOffset() * 60; // In seconds
-    const localSeconds = options.localTime || (utcSeconds + timezoneOffset);
-
-    try {
-      await this.timeResponse({
-        utcTime: utcSeconds,
-        localTime: localSeconds,
-      });
-      return { utcTime: utcSeconds, localTime: localSeconds };
-    } catch (err) {
-      throw new Error(`Time sync failed: ${err.message}`);
-    }
   }
 }
 
@@ -360,40 +319,7 @@ TuyaSpecificCluster.parseDataPointValue = function (data, dataType) {
  * @returns {Buffer} Encoded data buffer
  */
 TuyaSpecificCluster.encodeDataPointValue = function (value, dataType) {
-  switch (dataType) {
-  case this.DATA_TYPES.RAW:
-    return Buffer.isBuffer(value) ? value : Buffer.from(value);
-
-  case this.DATA_TYPES.BOOL: {
-    const buf = Buffer.alloc(1);
-    buf.writeUInt8(value ? 1 : 0, 0);
-    return buf;
-  }
-
-  case this.DATA_TYPES.VALUE: {
-    const buf = Buffer.alloc(4);
-    buf.writeInt32BE(value, 0);
-    return buf;
-  }
-
-  case this.DATA_TYPES.STRING:
-    return Buffer.from(String(value), 'utf8');
-
-  case this.DATA_TYPES.ENUM: {
-    const buf = Buffer.alloc(1);
-    buf.writeUInt8(value, 0);
-    return buf;
-  }
-
-  case this.DATA_TYPES.BITMAP: {
-    const buf = Buffer.alloc(1);
-    buf.writeUInt8(value, 0);
-    return buf;
-  }
-
-  default:
-    throw new Error(`Unknown Tuya data type: ${dataType}`);
-  }
+  return TuyaDPCodec.encodeValue(dataType, value);
 };
 
 /**
@@ -2,6 +2,9 @@
 
 const EnrichedDPMappings = require('../tuya/EnrichedDPMappings');
 const { TuyaProtocolParser, DataConverter, TUYA_DP_TYPE: DP_TYPES } = require('../utils/data');
+const TuyaDPCodec = require('../tuya/TuyaDPCodec');
+const IEEEAddressManager = require('../managers/IEEEAddressManager');
+const { CLUSTER } = require('zigbee-clusters');
 
 /**
  * UniversalClusterBinder - v5.5.397
@@ -29,6 +32,11 @@ const { TuyaProtocolParser, DataConverter, TUYA_DP_TYPE: DP_TYPES } = require('.
  * │ - configureReporting() for automatic reports                              │
  * └────────────────────────────────────────────────────────────────────────────┘
  *
+ * ZDO BINDING (device → device / group):
+ * - bindToTarget() / unbindFromTarget(): Bind_req / Unbind_req of an output cluster,
+ *   the device then sends its commands straight to a bulb or group, without Homey
+ * - getBindingTable(): Mgmt_Bind_req, the binding table of the device
+ *
  * MANUFACTURER PATTERN DETECTION:
  * - _TZE200_*, _TZE204_*, _TZE284_ → Tuya DP protocol (TS0601)
  * - _TZ3000_*, _TZ3210_*, _TYZB01_ → ZCL standard (TS0201, TS0203, etc.)
@@ -115,6 +123,112 @@ const TUYA_CMD = {
   GATEWAY_STATUS: 0x25,   // Gateway status
 };
 
+// ═══════════════════════════════════════════════════════════════════════════
+// ZDO BINDING (endpoint 0)
+// ═══════════════════════════════════════════════════════════════════════════
+const ZDO_CLUSTER = {
+  BIND_REQ: 0x0021,
+  UNBIND_REQ: 0x0022,
+  MGMT_BIND_REQ: 0x0033,
+  RESPONSE: 0x8000,       // Response cluster id = request cluster id | 0x8000
+};
+
+const ZDO_ADDR_MODE = {
+  GROUP: 0x01,            // 16-bit group id
+  IEEE: 0x03,             // 64-bit IEEE address + endpoint
+};
+
+const ZDO_STATUS = {
+  0x00: 'SUCCESS',
+  0x82: 'INVALID_EP',
+  0x84: 'NOT_SUPPORTED',
+  0x85: 'TIMEOUT',
+  0x88: 'NO_ENTRY',
+  0x8C: 'TABLE_FULL',
+  0x8D: 'NOT_AUTHORIZED',
+};
+
+// Time the device has to answer a ZDO request
+const ZDO_TIMEOUT_MS = 10000;
+
+// Pending ZDO requests per Homey ZigBeeNode, shared by the device cards of a node
+const zdoSessions = new WeakMap();
+
+/**
+ * Private: IEEE address (0x + 16 hex) ↔ little-endian bytes
+ */
+function ieeeToBuffer(ieee) {
+  return Buffer.from(ieee.slice(2), 'hex').reverse();
+}
+
+function bufferToIeee(buffer) {
+  return `0x${Buffer.from(buffer).reverse().toString('hex')}`;
+}
+
+/**
+ * Private: Binding as in Bind_req / Unbind_req and the binding table
+ * [srcIEEE:8][srcEP:1][cluster:2][addrMode:1][group:2 | dstIEEE:8 dstEP:1]
+ */
+function encodeBinding({ sourceIeee, sourceEndpoint, clusterId, target }) {
+  const head = Buffer.alloc(12);
+  ieeeToBuffer(sourceIeee).copy(head, 0);
+  head.writeUInt8(sourceEndpoint, 8);
+  head.writeUInt16LE(clusterId, 9);
+
+  if (target.group !== undefined) {
+    head.writeUInt8(ZDO_ADDR_MODE.GROUP, 11);
+    const group = Buffer.alloc(2);
+    group.writeUInt16LE(target.group);
+    return Buffer.concat([head, group]);
+  }
+
+  head.writeUInt8(ZDO_ADDR_MODE.IEEE, 11);
+  return Buffer.concat([head, ieeeToBuffer(target.ieee), Buffer.from([target.endpoint])]);
+}
+
+/**
+ * Private: Binding at offset, returns the entry and its length in bytes
+ */
+function decodeBinding(buffer, offset) {
+  const clusterId = buffer.readUInt16LE(offset + 9);
+  const entry = {
+    sourceIeee: bufferToIeee(buffer.subarray(offset, offset + 8)),
+    sourceEndpoint: buffer.readUInt8(offset + 8),
+    clusterId,
+    cluster: clusterName(clusterId),
+  };
+
+  if (buffer.readUInt8(offset + 11) === ZDO_ADDR_MODE.GROUP) {
+    entry.target = { group: buffer.readUInt16LE(offset + 12) };
+    return { entry, length: 14 };
+  }
+
+  entry.target = {
+    ieee: bufferToIeee(buffer.subarray(offset + 12, offset + 20)),
+    endpoint: buffer.readUInt8(offset + 20),
+  };
+  return { entry, length: 21 };
+}
+
+/**
+ * Private: zigbee-clusters name of a cluster id (0x.... when unknown)
+ */
+function clusterName(clusterId) {
+  const cluster = Object.values(CLUSTER).find(c => c.ID === clusterId);
+  return cluster ? cluster.NAME : `0x${clusterId.toString(16).padStart(4, '0')}`;
+}
+
+/**
+ * Private: Route ZDO responses (endpoint 0) of a node to the pending requests
+ */
+function handleZdoFrame(session, clusterId, frame) {
+  const key = `${clusterId}:${frame[0]}`;
+  const pending = session.pending.get(key);
+  if (!pending) return;
+  session.pending.delete(key);
+  pending.resolve(frame.subarray(1));
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // MANUFACTURER PATTERN DETECTION
 // ═══════════════════════════════════════════════════════════════════════════
@@ -212,7 +326,9 @@ class UniversalClusterBinder extends EventEmitter {
 
     // DP cache for Tuya
     this.dpCache = new Map();
-    this.seqNum = 0;
+
+    // Device IEEE address for ZDO binding
+    this.ieeeManager = new IEEEAddressManager(device);
   }
 
   /**
@@ -547,59 +663,33 @@ class UniversalClusterBinder extends EventEmitter {
   }
 
   /**
-   * Set Tuya DP value - uses modular TuyaProtocolParser
+   * Set Tuya DP value - encoded by TuyaDPCodec
    */
   async setTuyaDP(dp, value, type = TUYA_DP_TYPE.VALUE) {
     if (!this.tuyaCluster) {
       throw new Error('Tuya cluster not available');
     }
 
-    // Use modular builder
-    const payload = TuyaProtocolParser.buildDP(dp, type, value);
+    const datapoint = TuyaDPCodec.buildDatapoint(dp, value, type);
 
     this.log(`📤 Setting DP${dp} = ${value}`);
 
     // Try different send methods
+    if (typeof this.tuyaCluster.datapoint === 'function') {
+      return await this.tuyaCluster.datapoint(datapoint);
+    }
+
     if (typeof this.tuyaCluster.dataRequest === 'function') {
-      return await this.tuyaCluster.dataRequest({
-        status: 0,
-        transid: this.seqNum++,
-        dp,
-        datatype: type,
-        length_hi: (dataBuffer.length >> 8) & 0xFF,
-        length_lo: dataBuffer.length & 0xFF,
-        data: dataBuffer,
-      });
+      return await this.tuyaCluster.dataRequest(datapoint);
     }
 
     if (typeof this.tuyaCluster.command === 'function') {
-      return await this.tuyaCluster.command(TUYA_CMD.SET_DP, payload);
+      return await this.tuyaCluster.command(TUYA_CMD.SET_DP, TuyaDPCodec.encodeFrame(datapoint));
     }
 
     throw new Error('No send method available');
   }
 
-  /**
-   * Encode value for Tuya DP
-   */
-  _encodeValue(value, type) {
-    switch (type) {
-      case TUYA_DP_TYPE.BOOL:
-        return Buffer.from([value ? 1 : 0]);
-      case TUYA_DP_TYPE.VALUE: {
-        const buf = Buffer.alloc(4);
-        buf.writeInt32BE(Number(value), 0);
-        return buf;
-      }
-      case TUYA_DP_TYPE.STRING:
-        return Buffer.from(String(value), 'utf8');
-      case TUYA_DP_TYPE.ENUM:
-        return Buffer.from([Number(value)]);
-      default:
-        return Buffer.isBuffer(value) ? value : Buffer.from([Number(value)]);
-    }
-  }
-
   // ═══════════════════════════════════════════════════════════════════════════
   // ZCL STANDARD CLUSTER BINDING
   // ═══════════════════════════════════════════════════════════════════════════
@@ -707,6 +797,185 @@ class UniversalClusterBinder extends EventEmitter {
     throw new Error('writeAttributes not available');
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // ZDO BINDING (device → device / group)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Bind an output cluster of the device to another device or a group (ZDO Bind_req)
+   * The device then sends the commands of that cluster directly, also when Homey is down
+   * @param {number} endpoint - Source endpoint (gang)
+   * @param {string|number} cluster - e.g. 'onOff', 'levelControl' or a cluster id
+   * @param {{ieee: string, endpoint: number}|{group: number}} target - see parseTarget()
+   */
+  async bindToTarget(endpoint, cluster, target) {
+    const body = await this._bindingBody(endpoint, cluster, target);
+    await this._zdoRequest(ZDO_CLUSTER.BIND_REQ, body, 'Bind');
+    this.log(`🔗 EP${endpoint} ${cluster} bound to ${this.formatTarget(target)}`);
+  }
+
+  /**
+   * Remove a binding made by bindToTarget() (ZDO Unbind_req)
+   * @param {number} endpoint - Source endpoint (gang)
+   * @param {string|number} cluster
+   * @param {{ieee: string, endpoint: number}|{group: number}} target
+   */
+  async unbindFromTarget(endpoint, cluster, target) {
+    const body = await this._bindingBody(endpoint, cluster, target);
+    await this._zdoRequest(ZDO_CLUSTER.UNBIND_REQ, body, 'Unbind');
+    this.log(`🔗 EP${endpoint} ${cluster} unbound from ${this.formatTarget(target)}`);
+  }
+
+  /**
+   * Binding table of the device (ZDO Mgmt_Bind_req, read page by page)
+   * @returns {Promise<Array<{sourceIeee: string, sourceEndpoint: number, clusterId: number, cluster: string, target: object}>>}
+   */
+  async getBindingTable() {
+    const entries = [];
+    let total = null;
+
+    while (total === null || entries.length < total) {
+      const payload = await this._zdoRequest(
+        ZDO_CLUSTER.MGMT_BIND_REQ, Buffer.from([entries.length]), 'Reading the binding table'
+      );
+      // [total:1][startIndex:1][count:1][entries]
+      total = payload.readUInt8(0);
+      const count = payload.readUInt8(2);
+      if (count === 0) break;
+
+      let offset = 3;
+      for (let i = 0; i < count; i++) {
+        const { entry, length } = decodeBinding(payload, offset);
+        entries.push(entry);
+        offset += length;
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parse a binding target typed by the user
+   * - IEEE address with endpoint: 0x00124b0012345678/1 (endpoint 1 when omitted)
+   * - Zigbee group: group 100 (or group 0x64)
+   * @param {string} text
+   * @returns {{ieee: string, endpoint: number}|{group: number}}
+   * @throws {Error} for anything else
+   */
+  parseTarget(text) {
+    const value = String(text ?? '').trim();
+    const invalid = new Error(`Invalid binding target "${value}": use an IEEE address with endpoint (0x00124b0012345678/1) or a group (group 100)`);
+
+    const group = value.match(/^group\s*:?\s*(0x[0-9a-f]{1,4}|\d{1,5})$/i);
+    if (group) {
+      const id = Number(group[1]);
+      if (id > 0xFFFF) throw invalid;
+      return { group: id };
+    }
+
+    const [address, endpoint = '1', ...rest] = value.split('/');
+    const hex = address.trim().replace(/[:\-\s]/g, '').replace(/^0x/i, '');
+    if (rest.length || hex.length !== 16 || !this.ieeeManager._isValidIeee(hex) || !/^\d{1,3}$/.test(endpoint.trim())) {
+      throw invalid;
+    }
+    const ep = Number(endpoint);
+    if (ep < 1 || ep > 240) throw invalid;
+    return { ieee: this.ieeeManager._normalizeIeee(hex), endpoint: ep };
+  }
+
+  /**
+   * Binding target as text, parseTarget() reads it back
+   * @param {{ieee: string, endpoint: number}|{group: number}} target
+   * @param {string} [coordinatorIeee] - Shown as Homey
+   */
+  formatTarget(target, coordinatorIeee = null) {
+    if (target.group !== undefined) return `group ${target.group}`;
+    if (coordinatorIeee && this.ieeeManager.compareIeee(target.ieee, coordinatorIeee)) return 'Homey';
+    return `${target.ieee}/${target.endpoint}`;
+  }
+
+  /**
+   * Private: Bind_req / Unbind_req body for a binding of this device
+   */
+  async _bindingBody(endpoint, cluster, target) {
+    const clusterId = typeof cluster === 'number'
+      ? cluster
+      : Object.values(CLUSTER).find(c => c.NAME === cluster)?.ID;
+    if (clusterId === undefined) throw new Error(`Unknown cluster: ${cluster}`);
+
+    const sourceIeee = await this.ieeeManager.getDeviceIeeeAddress();
+    if (!sourceIeee) throw new Error('The IEEE address of the device is unknown');
+
+    return encodeBinding({ sourceIeee, sourceEndpoint: endpoint, clusterId, target });
+  }
+
+  /**
+   * Private: Send a ZDO request and wait for its response
+   * @returns {Promise<Buffer>} response after the sequence number and status
+   * @throws {Error} when the device answers with an error status or not at all
+   */
+  async _zdoRequest(clusterId, body, action) {
+    const { device } = this;
+    const node = device.node || await device.homey.zigbee.getNode(device);
+    const session = this._zdoSession(node);
+
+    session.seq = (session.seq + 1) % 256;
+    const key = `${clusterId | ZDO_CLUSTER.RESPONSE}:${session.seq}`;
+
+    let timeout;
+    const response = new Promise((resolve, reject) => {
+      timeout = device.homey.setTimeout(() => {
+        session.pending.delete(key);
+        reject(new Error(`${action} failed: the device did not answer`));
+      }, ZDO_TIMEOUT_MS);
+      session.pending.set(key, {
+        resolve: (payload) => {
+          device.homey.clearTimeout(timeout);
+          resolve(payload);
+        },
+      });
+    });
+
+    try {
+      await node.sendFrame(0, clusterId, Buffer.concat([Buffer.from([session.seq]), body]));
+    } catch (err) {
+      device.homey.clearTimeout(timeout);
+      session.pending.delete(key);
+      throw new Error(`${action} failed: ${err.message}`);
+    }
+
+    const payload = await response;
+    const status = payload.readUInt8(0);
+    if (status !== 0x00) {
+      throw new Error(`${action} failed: ${ZDO_STATUS[status] || `status 0x${status.toString(16)}`}`);
+    }
+    return payload.subarray(1);
+  }
+
+  /**
+   * Private: ZDO session of a node, receives the responses on endpoint 0
+   * before the ZCLNode (which only knows the ZCL endpoints)
+   */
+  _zdoSession(node) {
+    let session = zdoSessions.get(node);
+    if (!session) {
+      session = { seq: 0, pending: new Map(), handler: null };
+      zdoSessions.set(node, session);
+    }
+
+    // Installed once, again when a new ZCLNode took over handleFrame
+    if (node.handleFrame !== session.handler) {
+      const zclHandleFrame = node.handleFrame;
+      session.handler = (endpointId, clusterId, frame, meta) => {
+        if (endpointId === 0) return handleZdoFrame(session, clusterId, frame);
+        if (typeof zclHandleFrame === 'function') return zclHandleFrame(endpointId, clusterId, frame, meta);
+        return undefined;
+      };
+      node.handleFrame = session.handler;
+    }
+    return session;
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // UTILITY METHODS
   // ═══════════════════════════════════════════════════════════════════════════
@@ -764,5 +1033,7 @@ UniversalClusterBinder.TUYA_DP_TYPE = TUYA_DP_TYPE;
 UniversalClusterBinder.TUYA_CMD = TUYA_CMD;
 UniversalClusterBinder.PROTOCOL_PATTERNS = PROTOCOL_PATTERNS;
 UniversalClusterBinder.MODEL_PROTOCOL_MAP = MODEL_PROTOCOL_MAP;
+UniversalClusterBinder.ZDO_CLUSTER = ZDO_CLUSTER;
+UniversalClusterBinder.ZDO_STATUS = ZDO_STATUS;
 
 module.exports = UniversalClusterBinder;
@@ -11,11 +11,15 @@ module.exports = {
   TuyaBoundCluster: require('./TuyaBoundCluster'),
   TuyaE000BoundCluster: require('./TuyaE000BoundCluster'),
   TuyaSpecificCluster: require('./TuyaSpecificCluster'),
+  TuyaOnOffCluster: require('./TuyaOnOffCluster'),
+  TuyaExternalSwitchCluster: require('./TuyaExternalSwitchCluster'),
+  TimeCluster: require('./TimeCluster'),
   
   // Standard ZCL Bound Clusters
   OnOffBoundCluster: require('./OnOffBoundCluster'),
   LevelControlBoundCluster: require('./LevelControlBoundCluster'),
   ScenesBoundCluster: require('./ScenesBoundCluster'),
+  TimeBoundCluster: require('./TimeBoundCluster'),
   
   // IAS (Security)
   IasAceCluster: require('./IasAceCluster'),
@@ -0,0 +1,355 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { includesCI } = require('../utils/CaseInsensitiveMatcher');
+const { getModelId, getManufacturer } = require('../helpers/DeviceDataHelper');
+
+/**
+ * DeviceDefinitions - Declarative BSEED variant definitions
+ *
+ * One JSON file per variant in lib/definitions/devices, the file name is the
+ * definition id. Read by ManufacturerVariationManager (protocol, endpoints,
+ * special handling, child lock), PhysicalButtonMixin (timing profile),
+ * DeviceHintsDatabase (fingerprint → driver), the gang / channel maps of the
+ * multi-gang device classes and the settings / backlight DPs.
+ *
+ * {
+ *   "brand": "BSEED",
+ *   "description": "...",
+ *   "driver": "wall_switch_4gang_1way",             driver id, must list the manufacturerNames
+ *   "deviceType": "switch",                         switch | dimmer
+ *   "manufacturerName": ["_TZ3002_pzao9ls1"],
+ *   "productId": ["TS0726"],
+ *   "protocol": "mixed",                            zcl | tuya_dp | mixed
+ *   "gangs": [{ "gang": 1, "endpoint": 1, "dp": 1 }], dimmers: dp = { state, brightness, ... }
+ *   "settingsDPs": { "powerOnBehavior": 14, "childLock": null, "decoupled": null },
+ *   "timing": { "appCommandWindow": 2000, "doubleClickWindow": 500, "longPressThreshold": 800 },
+ *   "backlight": { "scheme": "rgb", "dps": { "mode": 15, ... } },
+ *   "customClusters": [57344], "endpoints": { "2": { "clusters": [...], "bindings": [...] } },
+ *   "requiresExplicitBinding": true, "perEndpointControl": false,
+ *   "specialHandling": "bseed_ts0726_4gang", "powerSource": "mains"
+ * }
+ *
+ * load() validates every file, invalid definitions are reported and left out
+ * so the device falls back to the manufacturer prefix rules.
+ */
+
+const DEFINITIONS_DIR = path.join(__dirname, 'devices');
+
+const PROTOCOLS = ['zcl', 'tuya_dp', 'mixed'];
+const DEVICE_TYPES = ['switch', 'dimmer'];
+const POWER_SOURCES = ['mains', 'battery'];
+const TIMING_KEYS = ['appCommandWindow', 'doubleClickWindow', 'longPressThreshold'];
+
+// Backlight scheme → DPs it needs
+const BACKLIGHT_SCHEMES = {
+  none: [],
+  mode: ['mode'],                                                // enum DP off / normal / inverted
+  switch_mode: ['switch', 'mode'],                               // bool on/off DP + enum light mode DP
+  rgb: ['mode', 'switch', 'brightness', 'onColor', 'offColor'],  // Z2M compatible LED control
+};
+
+const FIELDS = {
+  brand: 'string',
+  description: 'string',
+  driver: 'string',
+  deviceType: 'string',
+  manufacturerName: 'array',
+  productId: 'array',
+  protocol: 'string',
+  gangs: 'array',
+  settingsDPs: 'object',
+  timing: 'object',
+  backlight: 'object',
+  customClusters: 'array',
+  endpoints: 'object',
+  requiresExplicitBinding: 'boolean',
+  perEndpointControl: 'boolean',
+  specialHandling: 'string',
+  powerSource: 'string',
+};
+const REQUIRED = ['brand', 'driver', 'deviceType', 'manufacturerName', 'productId', 'protocol', 'gangs'];
+
+let cache = null;
+
+const isDP = value => Number.isInteger(value) && value >= 1 && value <= 255;
+const isEndpoint = value => Number.isInteger(value) && value >= 1 && value <= 240;
+const isCluster = value => Number.isInteger(value) && value >= 0 && value <= 0xFFFF;
+const typeOf = value => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+/**
+ * Check one definition
+ * @param {object} definition - Parsed JSON
+ * @returns {string[]} problems, empty when valid
+ */
+function validate(definition) {
+  if (typeOf(definition) !== 'object') return ['must be a JSON object'];
+
+  const errors = [];
+  for (const key of Object.keys(definition)) {
+    if (!FIELDS[key]) errors.push(`unknown field "${key}"`);
+    else if (typeOf(definition[key]) !== FIELDS[key]) errors.push(`"${key}" must be a ${FIELDS[key]}`);
+  }
+  for (const key of REQUIRED) {
+    if (definition[key] === undefined) errors.push(`"${key}" is required`);
+  }
+  if (errors.length) return errors;
+
+  if (!DEVICE_TYPES.includes(definition.deviceType)) {
+    errors.push(`"deviceType" must be one of ${DEVICE_TYPES.join(', ')}`);
+  }
+  if (!PROTOCOLS.includes(definition.protocol)) {
+    errors.push(`"protocol" must be one of ${PROTOCOLS.join(', ')}`);
+  }
+  if (definition.powerSource !== undefined && !POWER_SOURCES.includes(definition.powerSource)) {
+    errors.push(`"powerSource" must be one of ${POWER_SOURCES.join(', ')}`);
+  }
+
+  for (const key of ['manufacturerName', 'productId']) {
+    const values = definition[key];
+    if (!values.length || values.some(value => typeof value !== 'string' || !value.trim())) {
+      errors.push(`"${key}" must list at least one non-empty string`);
+    }
+  }
+
+  errors.push(...validateGangs(definition.gangs, definition.deviceType));
+  errors.push(...validateSettingsDPs(definition.settingsDPs));
+
+  if (definition.timing) {
+    for (const [key, value] of Object.entries(definition.timing)) {
+      if (!TIMING_KEYS.includes(key)) errors.push(`unknown timing "${key}"`);
+      else if (!Number.isInteger(value) || value <= 0) errors.push(`timing "${key}" must be a positive number of ms`);
+    }
+  }
+
+  if (definition.backlight) {
+    const { scheme, dps = {} } = definition.backlight;
+    const roles = BACKLIGHT_SCHEMES[scheme];
+    if (!roles) {
+      errors.push(`backlight scheme must be one of ${Object.keys(BACKLIGHT_SCHEMES).join(', ')}`);
+    } else {
+      for (const role of roles) {
+        if (!isDP(dps[role])) errors.push(`backlight scheme "${scheme}" needs a "${role}" DP`);
+      }
+      for (const role of Object.keys(dps)) {
+        if (!roles.includes(role)) errors.push(`backlight scheme "${scheme}" has no "${role}" DP`);
+      }
+    }
+  }
+
+  if (definition.customClusters && !definition.customClusters.every(isCluster)) {
+    errors.push('"customClusters" must be cluster ids');
+  }
+
+  for (const [endpoint, layout] of Object.entries(definition.endpoints || {})) {
+    if (!isEndpoint(Number(endpoint)) || typeOf(layout) !== 'object') {
+      errors.push(`endpoint "${endpoint}" must be { clusters, bindings }`);
+    } else if (!Array.isArray(layout.clusters) || !layout.clusters.every(isCluster) ||
+      (layout.bindings !== undefined && (!Array.isArray(layout.bindings) || !layout.bindings.every(isCluster)))) {
+      errors.push(`endpoint "${endpoint}" clusters and bindings must be cluster ids`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Private: gang → endpoint / DP map
+ */
+function validateGangs(gangs, deviceType) {
+  if (!gangs.length) return ['"gangs" must list at least one gang'];
+
+  const errors = [];
+  gangs.forEach((entry, index) => {
+    const label = `gang ${entry?.gang ?? `#${index + 1}`}`;
+    if (typeOf(entry) !== 'object') {
+      errors.push(`${label} must be { gang, endpoint, dp }`);
+      return;
+    }
+    if (entry.gang !== index + 1) errors.push(`${label}: gangs must be numbered 1..${gangs.length} in order`);
+    if (!isEndpoint(entry.endpoint)) errors.push(`${label}: "endpoint" must be 1-240`);
+
+    if (deviceType === 'dimmer') {
+      const dps = entry.dp;
+      if (typeOf(dps) !== 'object' || !isDP(dps.state) || !isDP(dps.brightness)) {
+        errors.push(`${label}: dimmer "dp" must be { state, brightness, ... }`);
+      } else if (!Object.values(dps).every(isDP)) {
+        errors.push(`${label}: every DP must be 1-255`);
+      }
+    } else if (!isDP(entry.dp)) {
+      errors.push(`${label}: "dp" must be 1-255`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Private: powerOnBehavior / childLock / decoupled
+ */
+function validateSettingsDPs(settingsDPs) {
+  if (!settingsDPs) return [];
+
+  const errors = [];
+  for (const [key, value] of Object.entries(settingsDPs)) {
+    if (key === 'childLock') {
+      const valid = value === null ||
+        (value?.method === 'tuya_dp' && isDP(value.dp)) ||
+        (value?.method === 'zcl' && isEndpoint(value.endpoint) && typeof value.attribute === 'string');
+      if (!valid) errors.push('"childLock" must be null, { method: "tuya_dp", dp } or { method: "zcl", endpoint, attribute }');
+    } else if (key === 'decoupled') {
+      const valid = value === null ||
+        (value?.method === 'tuya_dp' && Array.isArray(value.dps) && value.dps.length > 0 && value.dps.every(isDP)) ||
+        (value?.method === 'zcl' && typeof value.attribute === 'string');
+      if (!valid) errors.push('"decoupled" must be null, { method: "tuya_dp", dps: [DP per gang] } or { method: "zcl", attribute }');
+    } else if (key === 'powerOnBehavior') {
+      if (value !== null && !isDP(value)) errors.push('"powerOnBehavior" must be a DP or null');
+    } else {
+      errors.push(`unknown settings DP "${key}"`);
+    }
+  }
+  return errors;
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * Private: [key, label] of every manufacturerName / productId pair
+ */
+function variantKeys(definition) {
+  return definition.manufacturerName.flatMap(manufacturerName => definition.productId.map(productId => [
+    `${manufacturerName.toLowerCase()}|${productId.toLowerCase()}`,
+    `${manufacturerName} / ${productId}`,
+  ]));
+}
+
+/**
+ * Read and validate every definition file
+ * @param {object} [options]
+ * @param {string} [options.dir] - Definitions folder (tests)
+ * @returns {{definitions: object[], errors: string[]}}
+ */
+function load({ dir = DEFINITIONS_DIR } = {}) {
+  const definitions = [];
+  const errors = [];
+  const claimed = new Map();
+
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort() : [];
+  for (const file of files) {
+    const id = path.basename(file, '.json');
+    let definition;
+    try {
+      definition = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (err) {
+      errors.push(`${file}: ${err.message}`);
+      continue;
+    }
+
+    const problems = validate(definition);
+    const variants = problems.length ? [] : variantKeys(definition);
+
+    // A manufacturerName / productId pair belongs to one definition only
+    for (const [key, label] of variants) {
+      if (claimed.has(key)) problems.push(`${label} is already defined in ${claimed.get(key)}`);
+    }
+
+    if (problems.length) {
+      errors.push(...problems.map(problem => `${file}: ${problem}`));
+      continue;
+    }
+
+    variants.forEach(([key]) => claimed.set(key, file));
+    definitions.push(deepFreeze({ id, ...definition }));
+  }
+
+  cache = definitions;
+  return { definitions, errors };
+}
+
+/**
+ * All valid definitions (loaded on first use)
+ */
+function all() {
+  if (!cache) load();
+  return cache;
+}
+
+/**
+ * Definition of a manufacturerName / productId, null for unknown variants
+ * The productId is only compared when one is given
+ */
+function find(manufacturerName, productId) {
+  if (!manufacturerName) return null;
+  return all().find(definition =>
+    includesCI(definition.manufacturerName, manufacturerName) &&
+    (!productId || includesCI(definition.productId, productId))
+  ) || null;
+}
+
+/**
+ * Definition of a Homey device
+ */
+function forDevice(device) {
+  return find(getManufacturer(device), getModelId(device));
+}
+
+/**
+ * Check the definitions against the app manifest: the driver has to exist,
+ * list every manufacturerName / productId (pairing only matches those) and
+ * have one device card per gang
+ * @param {object} manifest - app.json
+ * @returns {string[]} problems
+ */
+function checkManifest(manifest, definitions = all()) {
+  const drivers = new Map((manifest?.drivers || []).map(driver => [driver.id, driver]));
+  const errors = [];
+
+  for (const definition of definitions) {
+    const driver = drivers.get(definition.driver);
+    if (!driver) {
+      errors.push(`${definition.id}: driver ${definition.driver} does not exist`);
+      continue;
+    }
+
+    const zigbee = driver.zigbee || {};
+    for (const manufacturerName of definition.manufacturerName) {
+      if (!includesCI(zigbee.manufacturerName, manufacturerName)) {
+        errors.push(`${definition.id}: ${manufacturerName} is missing from the manufacturerName list of ${driver.id}`);
+      }
+    }
+    for (const productId of definition.productId) {
+      if (!includesCI(zigbee.productId, productId)) {
+        errors.push(`${definition.id}: ${productId} is missing from the productId list of ${driver.id}`);
+      }
+    }
+
+    const cards = 1 + Object.keys(zigbee.devices || {}).length;
+    if (cards !== definition.gangs.length) {
+      errors.push(`${definition.id}: ${definition.gangs.length} gangs but ${driver.id} has ${cards} device card(s)`);
+    }
+    for (const { gang, endpoint } of definition.gangs) {
+      if (zigbee.endpoints && !zigbee.endpoints[endpoint]) {
+        errors.push(`${definition.id}: gang ${gang} uses endpoint ${endpoint} which ${driver.id} does not declare`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  DEFINITIONS_DIR,
+  BACKLIGHT_SCHEMES,
+  validate,
+  load,
+  all,
+  find,
+  forDevice,
+  checkManifest,
+};
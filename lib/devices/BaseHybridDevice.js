@@ -12,6 +12,7 @@ const ReportingConfig = require('../utils/ReportingConfig');
 const IASZoneManager = require('../managers/IASZoneManager');
 const MultiEndpointManager = require('../managers/MultiEndpointManager');
 const TuyaEF00Manager = require('../tuya/TuyaEF00Manager');
+const TimeSyncService = require('../tuya/TimeSyncService');
 const { applyTS0601EmergencyFix } = require('../tuya/TS0601_EMERGENCY_FIX');
 const IntelligentProtocolRouter = require('../protocol/IntelligentProtocolRouter');
 const TuyaSyncManager = require('../tuya/TuyaSyncManager');
@@ -31,9 +32,9 @@ const SDK3BestPractices = require('../SDK3BestPractices');
 const PeriodicAutoEnricherMixin = require('../mixins/PeriodicAutoEnricherMixin');
 const { PROTOCOL, detectProtocol, initZCL, initTuyaDP, sendTuyaDP } = require('../helpers/UniversalDriverInit');
 
-// v5.5.672: Permissive Pairing + Global TimeSync + Hybrid Arbitration
+// v5.5.672: Permissive Pairing + Hybrid Arbitration
 let TwoPhaseEnrichment, EventDeduplicator, PermissiveMatchingEngine, EnrichmentScheduler;
-let GlobalTimeSyncEngine, HybridProtocolArbitrator;
+let HybridProtocolArbitrator;
 try {
   const pairingModule = require('../pairing');
   TwoPhaseEnrichment = pairingModule.TwoPhaseEnrichment;
@@ -47,10 +48,8 @@ try {
   EnrichmentScheduler = null;
 }
 try {
-  GlobalTimeSyncEngine = require('../tuya/GlobalTimeSyncEngine');
   HybridProtocolArbitrator = require('../protocol/HybridProtocolArbitrator');
 } catch (e) {
-  GlobalTimeSyncEngine = null;
   HybridProtocolArbitrator = null;
 }
 
@@ -569,11 +568,8 @@ class BaseHybridDevice extends ZigBeeDevice {
         this.log('[INIT] ✅ EventDeduplicator initialized (300ms window)');
       }
 
-      // v5.5.672: Initialize Global TimeSync Engine (CRITICAL for Tuya sensors)
-      if (GlobalTimeSyncEngine) {
-        this.globalTimeSync = new GlobalTimeSyncEngine(this);
-        this.log('[INIT] ✅ GlobalTimeSyncEngine initialized');
-      }
+      // Time for Tuya (0x24) and ZCL Time clients, started once the node is known
+      this.timeSync = new TimeSyncService(this);
 
       // v5.5.672: Initialize Hybrid Protocol Arbitrator (ZCL vs Tuya DP)
       if (HybridProtocolArbitrator) {
@@ -816,6 +812,9 @@ class BaseHybridDevice extends ZigBeeDevice {
       }
 
       const hasTuyaEF00 = await this.tuyaEF00Manager.initialize(this.zclNode);
+      if (this.timeSync) {
+        this.timeSync.start(this.zclNode);
+      }
       if (hasTuyaEF00) {
         this.log('[BACKGROUND] ✅ Tuya EF00 manager initialized');
 
@@ -4063,6 +4062,10 @@ class BaseHybridDevice extends ZigBeeDevice {
         this.tuyaEF00Manager.cleanup();
       }
 
+      if (this.timeSync) {
+        this.timeSync.destroy();
+      }
+
       // Cleanup Multi-Endpoint manager
       if (this.multiEndpointManager && typeof this.multiEndpointManager.cleanup === 'function') {
         this.multiEndpointManager.cleanup();
@@ -2,9 +2,20 @@
 
 const { ZigBeeDevice } = require('homey-zigbeedriver');
 const ProtocolAutoOptimizer = require('../ProtocolAutoOptimizer');
+const { PROTOCOL } = require('../ProtocolAutoOptimizer');
 const { getAppVersionPrefixed } = require('../utils/AppVersion');
 const DeviceTypeManager = require('./DeviceTypeManager');
 const ManufacturerVariationManager = require('../ManufacturerVariationManager');
+const CountdownTimerManager = require('../managers/CountdownTimerManager');
+const TuyaMultiGangManager = require('../tuya/TuyaMultiGangManager');
+const TuyaDPCodec = require('../tuya/TuyaDPCodec');
+const TuyaDPRecorder = require('../tuya/TuyaDPRecorder');
+const TimeSyncService = require('../tuya/TimeSyncService');
+const DiagnosticReport = require('../diagnostics/DiagnosticReport');
+const TuyaEngine = require('../tuya-engine');
+const DeviceDefinitions = require('../definitions/DeviceDefinitions');
+const TuyaE000BoundCluster = require('../clusters/TuyaE000BoundCluster');
+const UniversalClusterBinder = require('../clusters/UniversalClusterBinder');
 const { getModelId, getManufacturer } = require('../helpers/DeviceDataHelper');
 
 // v5.5.818: BSEED TS0726 FIX - Import OnOffBoundCluster for outputCluster command reception
@@ -15,6 +26,27 @@ try {
   console.log('[HybridSwitchBase] OnOffBoundCluster not available:', e.message);
 }
 
+// Child lock has to be echoed by the device within this time
+const CHILD_LOCK_ECHO_TIMEOUT_MS = 5000;
+const CHILD_LOCK_UNSUPPORTED = 'Child lock is not supported by this device';
+
+// Decoupled mode has to be confirmed by the device within this time (DP echo)
+const DECOUPLED_ECHO_TIMEOUT_MS = 5000;
+const DECOUPLED_UNSUPPORTED = 'Decoupled mode is not supported by this device';
+
+// 0xE000 press type → PhysicalButtonMixin press type
+const SCENE_PRESS_TYPES = { single: 'single', double: 'double', long: 'long_press' };
+
+// protocol_mode setting values forcing a ProtocolAutoOptimizer mode ('auto' learns it)
+const FORCED_PROTOCOL_MODES = ['zcl_only', 'tuya_only', 'hybrid'];
+
+// Settings / backlight DPs of variants without a definition (lib/definitions/devices)
+const DEFAULT_SETTINGS_DPS = { powerOnBehavior: 14 };
+const DEFAULT_BACKLIGHT = {
+  scheme: 'rgb',
+  dps: { mode: 15, switch: 16, brightness: 102, onColor: 103, offColor: 104 }
+};
+
 /**
  * HybridSwitchBase - Base class for Tuya wall switches
  *
@@ -40,6 +72,7 @@ class HybridSwitchBase extends ZigBeeDevice {
 
   constructor(...args) {
     super(...args);
+    this.diagnostics = new DiagnosticReport(this);
     // v5.5.750: Safe initialization to prevent "Cannot read 'name'" errors
     try {
       this.deviceTypeManager = new DeviceTypeManager();
@@ -49,9 +82,35 @@ class HybridSwitchBase extends ZigBeeDevice {
     }
   }
 
+  /**
+   * Errors are also kept for the diagnostic report
+   */
+  error(...args) {
+    this.diagnostics?.recordError(...args);
+    super.error(...args);
+  }
+
   /** Number of gangs (override in subclass) */
   get gangCount() { return 1; }
 
+  /**
+   * Gang of this device card: gang 1, unless a subclass gives every gang its own card
+   * @returns {{gang: number, endpoint: number, dp: number}}
+   */
+  get gangConfig() {
+    return this.deviceDefinition?.gangs?.[0] || { gang: 1, endpoint: 1, dp: 1 };
+  }
+
+  /**
+   * Declarative definition of this variant (lib/definitions), null for unknown variants
+   */
+  get deviceDefinition() {
+    if (this._deviceDefinition === undefined) {
+      this._deviceDefinition = DeviceDefinitions.forDevice(this);
+    }
+    return this._deviceDefinition;
+  }
+
   get switchCapabilities() {
     const caps = ['onoff'];
     for (let i = 2; i <= this.gangCount; i++) {
@@ -62,15 +121,13 @@ class HybridSwitchBase extends ZigBeeDevice {
 
   get dpMappings() {
     // v5.3.95: Use onoff.gangX to match driver.compose.json
+    const { fromDP } = TuyaEngine.getConverter('onoff');
+    const mappings = {};
+    for (let gang = 1; gang <= 8; gang++) {
+      mappings[gang] = { capability: gang === 1 ? 'onoff' : `onoff.gang${gang}`, transform: (v) => fromDP(v) };
+    }
     return {
-      1: { capability: 'onoff', transform: (v) => v === 1 || v === true },
-      2: { capability: 'onoff.gang2', transform: (v) => v === 1 || v === true },
-      3: { capability: 'onoff.gang3', transform: (v) => v === 1 || v === true },
-      4: { capability: 'onoff.gang4', transform: (v) => v === 1 || v === true },
-      5: { capability: 'onoff.gang5', transform: (v) => v === 1 || v === true },
-      6: { capability: 'onoff.gang6', transform: (v) => v === 1 || v === true },
-      7: { capability: 'onoff.gang7', transform: (v) => v === 1 || v === true },
-      8: { capability: 'onoff.gang8', transform: (v) => v === 1 || v === true },
+      ...mappings,
       // Settings
       14: { capability: null, setting: 'power_on_behavior' },  // Power-on state
       15: { capability: null, setting: 'led_indicator' }       // LED indicator
@@ -98,13 +155,11 @@ class HybridSwitchBase extends ZigBeeDevice {
 
     await this._migrateCapabilities();
     this._bumpMaxListeners(zclNode);
+    this._initDPRecorder();
 
-    // Try Tuya magic spell for multi-gang devices (TS0002/TS0003 support)
-    if (this.gangCount >= 2) {
-      await this._tryTuyaMagicSpell(zclNode).catch(err => {
-        this.log('[MAGIC-SPELL] Could not apply (this is OK):', err.message);
-      });
-    }
+    // Tuya time requests (0x24) and ZCL Time reads
+    this.timeSync = new TimeSyncService(this);
+    this.timeSync.start(zclNode);
 
     // v5.5.63: Initialize Protocol Auto-Optimizer
     this.protocolOptimizer = new ProtocolAutoOptimizer(this, { verbose: false });
@@ -112,15 +167,34 @@ class HybridSwitchBase extends ZigBeeDevice {
 
     this.protocolOptimizer.on('decision', (mode) => {
       this.log(`Protocol: ${mode}`);
+      this._updateProtocolSettings();
     });
+    this.protocolOptimizer.on('capability_discovered', () => this._updateProtocolSettings());
+
+    // Manual override (protocol_mode setting) wins over the learned decision
+    const protocolMode = this.getSetting('protocol_mode');
+    if (FORCED_PROTOCOL_MODES.includes(protocolMode)) {
+      this.protocolOptimizer.forceMode(protocolMode);
+    }
+    this._updateProtocolSettings();
+
+    // Try Tuya magic spell for multi-gang devices (TS0002/TS0003 support)
+    // Only while learning: once the protocol is decided the spell was already applied
+    if (this.gangCount >= 2 && !this.protocolOptimizer.decided) {
+      await this._tryTuyaMagicSpell(zclNode).catch(err => {
+        this.log('[MAGIC-SPELL] Could not apply (this is OK):', err.message);
+      });
+    }
 
     // v5.5.63: Setup BOTH protocols simultaneously - optimizer will decide later
     await Promise.all([
       this._setupTuyaDPMode().catch(() => { }),
       this._setupZCLMode(zclNode).catch(() => { })
     ]);
+    this._setupScenePresses(zclNode);
 
     this._registerCapabilityListeners();
+    await this._initCountdown().catch(err => this.log('[COUNTDOWN] Init failed:', err.message));
 
     // v5.5.812: Setup additional features
     await this._setupReporting(zclNode).catch(() => { });
@@ -309,6 +383,30 @@ class HybridSwitchBase extends ZigBeeDevice {
     } catch (e) { }
   }
 
+  /**
+   * DP sniffer (dp_capture setting), records every frame of the tuya cluster
+   */
+  _initDPRecorder() {
+    this.dpRecorder = new TuyaDPRecorder(this);
+    const tuyaCluster = this._findTuyaCluster();
+    if (tuyaCluster && typeof tuyaCluster.on === 'function') {
+      this.dpRecorder.listen(tuyaCluster);
+    }
+  }
+
+  /**
+   * Tuya cluster (0xEF00) of endpoint 1, if the device has one
+   */
+  _findTuyaCluster() {
+    const clusters = this.zclNode?.endpoints?.[1]?.clusters;
+    if (!clusters) return null;
+    return clusters.tuya ||
+      clusters.manuSpecificTuya ||
+      clusters[0xEF00] ||
+      clusters['61184'] ||
+      null;
+  }
+
   async _setupTuyaDPMode() {
     const endpoint = this.zclNode?.endpoints?.[1];
     if (!endpoint?.clusters) return;
@@ -321,13 +419,14 @@ class HybridSwitchBase extends ZigBeeDevice {
 
     if (tuyaCluster && typeof tuyaCluster.on === 'function') {
       // Listen to ALL event types
-      const events = ['dp', 'datapoint', 'response', 'data', 'report'];
+      const events = ['dp', 'datapoint', 'response', 'reporting', 'data', 'report'];
       for (const evt of events) {
         try {
           tuyaCluster.on(evt, (data) => {
             // Register hit with optimizer
             if (this.protocolOptimizer) {
-              this.protocolOptimizer.registerHit('tuya', 'cluster', data);
+              const dp = data?.dp ?? data?.dpId;
+              this.protocolOptimizer.registerHit('tuya', dp ?? 'cluster', data, this.dpMappings[dp]?.capability || null);
             }
             // Only process if Tuya protocol is active
             if (!this.protocolOptimizer || this.protocolOptimizer.isActive('tuya')) {
@@ -342,7 +441,7 @@ class HybridSwitchBase extends ZigBeeDevice {
     if (this.tuyaEF00Manager) {
       this.tuyaEF00Manager.on('dpReport', ({ dpId, value }) => {
         if (this.protocolOptimizer) {
-          this.protocolOptimizer.registerHit('tuya', dpId, value);
+          this.protocolOptimizer.registerHit('tuya', dpId, value, this.dpMappings[dpId]?.capability || null);
         }
         if (!this.protocolOptimizer || this.protocolOptimizer.isActive('tuya')) {
           this._handleDP(dpId, value);
@@ -357,6 +456,10 @@ class HybridSwitchBase extends ZigBeeDevice {
     // Parse DP from various formats
     if (data.dp !== undefined && data.value !== undefined) {
       this._handleDP(data.dp, data.value);
+    } else if (data.dp !== undefined && Buffer.isBuffer(data.data)) {
+      // Tuya cluster command arguments: { dp, datatype, data }
+      const known = Object.values(TuyaDPCodec.DP_TYPE).includes(data.datatype);
+      this._handleDP(data.dp, known ? TuyaDPCodec.decodeValue(data.datatype, data.data) : data.data);
     } else if (data.dpId !== undefined) {
       this._handleDP(data.dpId, data.value || data.data);
     } else if (Buffer.isBuffer(data) && data.length >= 5) {
@@ -394,9 +497,14 @@ class HybridSwitchBase extends ZigBeeDevice {
           const handlePhysicalButton = async (cmdName, newValue) => {
             this.log(`[ZCL-CMD] 🔘 Gang ${gang} PHYSICAL BUTTON: ${cmdName}`);
             if (this.protocolOptimizer) {
-              this.protocolOptimizer.registerHit('zcl', `cmd.gang${gang}`, cmdName);
+              this.protocolOptimizer.registerHit('zcl', `cmd.gang${gang}`, cmdName, capability);
             }
             if (!this.protocolOptimizer || this.protocolOptimizer.isActive('zcl')) {
+              // Decoupled relay: the command is a press, the relay did not switch
+              if (this.isDecoupled(gang)) {
+                this._onDecoupledPress(gang);
+                return;
+              }
               // For toggle, invert current value
               if (newValue === 'toggle') {
                 const currentValue = this.getCapabilityValue(capability);
@@ -404,6 +512,8 @@ class HybridSwitchBase extends ZigBeeDevice {
               }
               this.log(`[ZCL-CMD] ${capability} = ${newValue}`);
               await this.setCapabilityValue(capability, newValue).catch(() => { });
+              this._onGangStateReport(gang, newValue);
+              this._onPhysicalCommand(gang, newValue);
             }
           };
 
@@ -438,8 +548,10 @@ class HybridSwitchBase extends ZigBeeDevice {
           // Also bind cluster for command reception (fallback)
           if (typeof onOffCluster.bind === 'function') {
             onOffCluster.bind().then(() => {
+              this.diagnostics.recordBinding(gang, 'onOff');
               this.log(`[ZCL] ✅ OnOff cluster bound on EP${gang}`);
             }).catch((err) => {
+              this.diagnostics.recordBinding(gang, 'onOff', err);
               this.log(`[ZCL] ⚠️ OnOff bind failed on EP${gang}: ${err.message}`);
             });
           }
@@ -472,11 +584,12 @@ class HybridSwitchBase extends ZigBeeDevice {
         onOffCluster.on('attr.onOff', (value) => {
           // Register hit with optimizer
           if (this.protocolOptimizer) {
-            this.protocolOptimizer.registerHit('zcl', `onOff.gang${gang}`, value);
+            this.protocolOptimizer.registerHit('zcl', `onOff.gang${gang}`, value, capability);
           }
           // Only process if ZCL protocol is active
           if (!this.protocolOptimizer || this.protocolOptimizer.isActive('zcl')) {
             this.setCapabilityValue(capability, value).catch(() => { });
+            this._onGangStateReport(gang, value);
           }
         });
 
@@ -490,9 +603,109 @@ class HybridSwitchBase extends ZigBeeDevice {
     }
   }
 
+  /**
+   * Called after a physical button command (bound onOff cluster) updated a gang
+   * Override in subclass to trigger flows
+   * @param {number} gang - Gang number
+   * @param {boolean} value - New on/off state
+   */
+  _onPhysicalCommand(gang, value) { }
+
+  /**
+   * Called for a button press on a gang in decoupled mode, the relay did not switch
+   * Override in subclass to trigger flows
+   * @param {number} gang - Gang number
+   * @param {string} [pressType] - 'single', 'double' or 'long_press' when the device classified the press
+   */
+  _onDecoupledPress(gang, pressType) { }
+
+  /**
+   * Receive the presses the device sends on Tuya cluster 0xE000
+   * endpoint.bind() only accepts clusters zigbee-clusters knows, frames of
+   * unknown clusters are dispatched to bindings[clusterId]
+   */
+  _setupScenePresses(zclNode) {
+    for (const [endpointId, endpoint] of Object.entries(zclNode?.endpoints || {})) {
+      if (!endpoint.bindings) continue;
+
+      const boundCluster = new TuyaE000BoundCluster({
+        device: this,
+        onButtonPress: (button, pressType) => this._onScenePress(button, pressType)
+      });
+      boundCluster.endpoint = Number(endpointId);
+      endpoint.bindings[TuyaE000BoundCluster.CLUSTER_ID] = boundCluster;
+    }
+  }
+
+  /**
+   * Press from cluster 0xE000: only gangs in decoupled mode use it,
+   * a coupled relay already reports the press as a state change
+   * @param {number} gang - Button number of the frame
+   * @param {string} pressType - 'single', 'double' or 'long'
+   */
+  _onScenePress(gang, pressType) {
+    const device = this._getGangDevice(gang);
+    if (!device || !device.isDecoupled(gang)) {
+      this.log(`[DECOUPLED] Gang ${gang} ${pressType} press ignored, relay not decoupled`);
+      return;
+    }
+    device._onDecoupledPress(gang, SCENE_PRESS_TYPES[pressType] || 'single');
+  }
+
+  /**
+   * Device card of a gang of this physical switch (override with sub-devices)
+   * @param {number} gang - Gang number
+   */
+  _getGangDevice(gang) {
+    return gang <= this.gangCount ? this : null;
+  }
+
+  /**
+   * Whether the button of a gang only sends presses (decoupled setting of its card)
+   * @param {number} [gang] - Gang number, defaults to the gang of this card
+   */
+  isDecoupled(gang = this.gangConfig?.gang) {
+    return gang === this.gangConfig?.gang && this.getSetting('decoupled') === true;
+  }
+
+  /**
+   * Called for every on/off state report of a gang (ZCL, Tuya DP or bound command)
+   * @param {number} gang - Gang number
+   * @param {boolean} value - Reported on/off state
+   */
+  _onGangStateReport(gang, value) {
+    if (!this.countdownManager || gang !== this.countdownGang) return;
+
+    // Inching: the gang turns itself off again after the pulse length
+    if (value && this.getSetting('inching_enabled')) {
+      const pulseSeconds = this._getPulseSeconds();
+      if (typeof this.expectAutoOff === 'function') {
+        this.expectAutoOff(gang, pulseSeconds);
+      }
+      if (!this._inchingNative && !this.countdownManager.hasActiveCountdown(gang)) {
+        // Firmware without DP19: emulate the pulse with the countdown timer
+        this.countdownManager.armCountdown(gang, pulseSeconds).catch(err => {
+          this.log(`[INCHING] Pulse countdown failed for gang ${gang}: ${err.message}`);
+        });
+      }
+      return;
+    }
+
+    this.countdownManager.handleStateChange(gang, value, Number(this.getSetting('auto_off')) || 0);
+  }
+
   _handleDP(dpId, value) {
     if (value === undefined || value === null) return;
 
+    // Resolve pending echo checks (setChildLock)
+    if (this._dpWaiters?.length) {
+      for (const waiter of this._dpWaiters.filter(w => w.dpId === dpId)) {
+        this.homey.clearTimeout(waiter.timeout);
+        waiter.resolve(value);
+      }
+      this._dpWaiters = this._dpWaiters.filter(w => w.dpId !== dpId);
+    }
+
     // v5.5.597: Always trigger DP flow for debugging exotic devices
     this._triggerDPFlow(dpId, value);
 
@@ -525,6 +738,10 @@ class HybridSwitchBase extends ZigBeeDevice {
 
       // v5.5.118: Use safe setter with dynamic capability addition
       this._safeSetCapability(mapping.capability, value);
+
+      if (mapping.capability.startsWith('onoff') && dpId <= 8) {
+        this._onGangStateReport(dpId, value);
+      }
     }
 
     if (mapping.setting) {
@@ -573,14 +790,34 @@ class HybridSwitchBase extends ZigBeeDevice {
 
     this.log(`[SWITCH] ${capability} = ${originalValue} (sent as ${value})`);
 
-    if (this._isPureTuyaDP && this.tuyaEF00Manager) {
-      await this.tuyaEF00Manager.sendDP(gang, value ? 1 : 0, 'bool');
-    } else {
-      const endpoint = this.zclNode?.endpoints?.[gang];
-      const cluster = endpoint?.clusters?.onOff || endpoint?.clusters?.genOnOff;
-      if (cluster) {
-        await (value ? cluster.setOn() : cluster.setOff());
-      }
+    await this._sendOnOff({ capability, endpoint: gang, dp: gang }, value);
+  }
+
+  /**
+   * Switch a gang on ONE protocol: the one the ProtocolAutoOptimizer decided for it,
+   * while learning ZCL (Tuya DP for pure Tuya DP variants)
+   * Falls back to the other protocol when the device lacks the cluster
+   * @param {{capability: string, endpoint: number, dp: number}} target
+   * @param {boolean} value
+   */
+  async _sendOnOff({ capability, endpoint, dp }, value) {
+    const device = this._getProtocolDevice() || this;
+    const onOffCluster = this.zclNode?.endpoints?.[endpoint]?.clusters?.onOff ||
+      this.zclNode?.endpoints?.[endpoint]?.clusters?.genOnOff;
+    const hasTuyaCluster = Boolean(this._findTuyaCluster());
+
+    const fallback = device._usesZCL === false ? PROTOCOL.TUYA : PROTOCOL.ZCL;
+    let protocol = device.protocolOptimizer
+      ? device.protocolOptimizer.getCommandProtocol(capability, fallback)
+      : fallback;
+    if (protocol === PROTOCOL.ZCL && !onOffCluster && hasTuyaCluster) protocol = PROTOCOL.TUYA;
+    if (protocol === PROTOCOL.TUYA && !hasTuyaCluster) protocol = PROTOCOL.ZCL;
+
+    if (protocol === PROTOCOL.TUYA) {
+      const sent = await this._sendTuyaDP(dp, value ? 1 : 0, 'bool', { command: true });
+      if (!sent) throw new Error(`Could not switch ${capability} (DP${dp})`);
+    } else if (onOffCluster) {
+      await (value ? onOffCluster.setOn() : onOffCluster.setOff());
     }
   }
 
@@ -674,7 +911,29 @@ class HybridSwitchBase extends ZigBeeDevice {
    * v5.5.901: Get DP statistics for diagnostics
    */
   getDPStats() {
-    return this._dpStats || {};
+    return this.dpRecorder ? this.dpRecorder.getStats() : {};
+  }
+
+  /**
+   * DP capture as JSON (export flow card)
+   */
+  exportDPCapture() {
+    return this.dpRecorder ? this.dpRecorder.export() : null;
+  }
+
+  /**
+   * Diagnostic report (identity, endpoints, protocol, DPs, bindings, errors)
+   * @returns {object}
+   */
+  getDiagnosticReport() {
+    return this.diagnostics.generate();
+  }
+
+  /**
+   * Diagnostic report as JSON (export flow card, app settings page)
+   */
+  exportDiagnostics() {
+    return this.diagnostics.export();
   }
 
   /**
@@ -683,22 +942,60 @@ class HybridSwitchBase extends ZigBeeDevice {
   async onSettings({ oldSettings, newSettings, changedKeys }) {
     this.log(`[SETTINGS] Changed: ${changedKeys.join(', ')}`);
 
+    // Child lock must be confirmed by the device, failures are shown to the user
+    if (changedKeys.includes('child_lock')) {
+      await this.setChildLock(newSettings.child_lock);
+    }
+
+    // Decoupled mode as well
+    if (changedKeys.includes('decoupled')) {
+      await this.setDecoupled(newSettings.decoupled);
+    }
+
+    if (changedKeys.includes('protocol_mode')) {
+      await this.setProtocolMode(newSettings.protocol_mode);
+    }
+
+    // Direct binding: the previous target is unbound, failures are shown to the user
+    if (changedKeys.includes('bind_target')) {
+      await this._applyBindTarget(oldSettings.bind_target, newSettings.bind_target);
+    }
+
+    // Inching enabled + pulse length go to the device together (DP19)
+    if (changedKeys.includes('inching_enabled') || changedKeys.includes('inching_duration')) {
+      await this._applyInchingSettings(newSettings).catch(err => {
+        this.log(`[SETTINGS] Error applying inching mode: ${err.message}`);
+      });
+    }
+
     for (const key of changedKeys) {
       try {
         switch (key) {
-          case 'power_on_behavior':
+          case 'power_on_behavior': {
             // DP14: 0=off, 1=on, 2=memory
+            const pobDP = this._settingDP('powerOnBehavior');
+            if (!pobDP) {
+              this.log('[SETTINGS] Power-on behavior is not supported by this device');
+              break;
+            }
             const pobValue = { off: 0, on: 1, memory: 2 }[newSettings[key]] ?? 2;
-            await this._sendTuyaDP(14, pobValue, 'enum');
-            this.log(`[SETTINGS] Power-on behavior: ${newSettings[key]} (DP14=${pobValue})`);
+            await this._sendTuyaDP(pobDP, pobValue, 'enum');
+            this.log(`[SETTINGS] Power-on behavior: ${newSettings[key]} (DP${pobDP}=${pobValue})`);
             break;
+          }
 
-          case 'led_indicator':
+          case 'led_indicator': {
             // DP15: 0=off, 1=on (or inverse depending on device)
+            const ledDP = this._backlightDP('mode');
+            if (!ledDP) {
+              this.log('[SETTINGS] LED indicator is not supported by this device');
+              break;
+            }
             const ledValue = newSettings[key] ? 1 : 0;
-            await this._sendTuyaDP(15, ledValue, 'bool');
-            this.log(`[SETTINGS] LED indicator: ${newSettings[key]} (DP15=${ledValue})`);
+            await this._sendTuyaDP(ledDP, ledValue, 'bool');
+            this.log(`[SETTINGS] LED indicator: ${newSettings[key]} (DP${ledDP}=${ledValue})`);
             break;
+          }
 
           case 'device_type':
             this.log(`[SETTINGS] Device type changed to: ${newSettings[key]}`);
@@ -711,16 +1008,56 @@ class HybridSwitchBase extends ZigBeeDevice {
 
           case 'backlight_mode':
             // Backlight mode: off=0, normal=1, inverted=2 (Z2M compatible)
-            const backlightValue = { off: 0, normal: 1, inverted: 2 }[newSettings[key]] ?? 1;
-            await this._sendTuyaDP(15, backlightValue, 'enum');
-            this.log(`[SETTINGS] Backlight mode: ${newSettings[key]} (DP15=${backlightValue})`);
+            await this.setBacklightMode(newSettings[key]);
+            break;
+
+          case 'backlight_enabled':
+            await this.setBacklightEnabled(newSettings[key]);
+            break;
+
+          case 'backlight_on_color':
+            await this.setBacklightColor('on', newSettings[key]);
+            break;
+
+          case 'backlight_off_color':
+            await this.setBacklightColor('off', newSettings[key]);
+            break;
+
+          case 'backlight_brightness':
+            await this.setBacklightBrightness(newSettings[key]);
+            break;
+
+          case 'auto_off':
+            // Applied whenever the gang turns on, arm it now if already on
+            this.log(`[SETTINGS] Auto-off: ${newSettings[key]}s`);
+            if (newSettings[key] > 0 && this.getCapabilityValue('onoff') && this.countdownManager) {
+              await this.countdownManager.armCountdown(this.countdownGang, newSettings[key]);
+            }
+            break;
+
+          case 'inching_enabled':
+          case 'inching_duration':
+            // Applied above by _applyInchingSettings
             break;
 
           case 'child_lock':
-            // Child lock: true=1 (locked), false=0 (unlocked)
-            const lockValue = newSettings[key] ? 1 : 0;
-            await this._sendTuyaDP(16, lockValue, 'bool');
-            this.log(`[SETTINGS] Child lock: ${newSettings[key]} (DP16=${lockValue})`);
+            // Applied above by setChildLock
+            break;
+
+          case 'decoupled':
+            // Applied above by setDecoupled
+            break;
+
+          case 'protocol_mode':
+            // Applied above by setProtocolMode
+            break;
+
+          case 'bind_target':
+            // Applied above by _applyBindTarget
+            break;
+
+          case 'dp_capture':
+            this.dpRecorder?.setEnabled(newSettings[key]);
             break;
 
           default:
@@ -777,7 +1114,9 @@ class HybridSwitchBase extends ZigBeeDevice {
               maxInterval: 300,    // Report at least every 5 minutes
               minChange: 1         // Report on any change
             }
-          }).catch(() => { });
+          })
+            .then(() => this.diagnostics.recordReporting(gang, 'onOff'))
+            .catch(err => this.diagnostics.recordReporting(gang, 'onOff', err));
           this.log(`[REPORTING] ✅ EP${gang} onOff reporting configured`);
         }
       } catch (err) {
@@ -856,75 +1195,85 @@ class HybridSwitchBase extends ZigBeeDevice {
   }
 
   /**
-   * v5.5.812: Send Tuya DP command
+   * v5.5.812: Send Tuya DP command (encoded by TuyaDPCodec)
+   * Writes to the DP of a switch capability are skipped when its commands go over ZCL
+   * (ProtocolAutoOptimizer decision), unless sent by _sendOnOff
+   * @param {object} [options]
+   * @param {boolean} [options.command] - The on/off command path chose Tuya DP
+   * @returns {Promise<boolean>} false when there is no Tuya cluster, the DP is routed to ZCL or sending failed
    */
-  async _sendTuyaDP(dpId, value, dataType = 'bool') {
-    // Use TuyaEF00Manager if available
-    if (this.tuyaEF00Manager) {
-      return this.tuyaEF00Manager.sendDP(dpId, value, dataType);
-    }
-
-    // Direct cluster access
-    const endpoint = this.zclNode?.endpoints?.[1];
-    if (!endpoint?.clusters) return;
-
-    const tuyaCluster = endpoint.clusters.tuya ||
-      endpoint.clusters.manuSpecificTuya ||
-      endpoint.clusters[0xEF00] ||
-      endpoint.clusters['61184'];
-
+  async _sendTuyaDP(dpId, value, dataType = 'bool', { command = false } = {}) {
+    const tuyaCluster = this._findTuyaCluster();
     if (!tuyaCluster) {
       this.log('[TUYA-DP] ⚠️ No Tuya cluster found');
-      return;
+      return false;
     }
 
-    // Build DP frame based on data type
-    let dataBuffer;
-    switch (dataType) {
-      case 'bool':
-        dataBuffer = Buffer.from([value ? 1 : 0]);
-        break;
-      case 'enum':
-        dataBuffer = Buffer.from([value & 0xFF]);
-        break;
-      case 'value':
-        dataBuffer = Buffer.alloc(4);
-        dataBuffer.writeInt32BE(value, 0);
-        break;
-      default:
-        dataBuffer = Buffer.from([value & 0xFF]);
+    const capability = this.dpMappings[dpId]?.capability;
+    const optimizer = this._getProtocolDevice()?.protocolOptimizer;
+    if (!command && capability && this.hasCapability(capability) && optimizer &&
+      optimizer.getCommandProtocol(capability, PROTOCOL.ZCL) === PROTOCOL.ZCL) {
+      this.log(`[TUYA-DP] ⏭️ DP${dpId} not sent, ${capability} is switched over ZCL (${optimizer.getMode()})`);
+      return false;
     }
 
-    // DP type codes: 0=raw, 1=bool, 2=value, 3=string, 4=enum, 5=bitmap
-    const typeCode = { raw: 0, bool: 1, value: 2, string: 3, enum: 4, bitmap: 5 }[dataType] ?? 1;
-
     try {
-      // Use datapoint command if available
+      const datapoint = TuyaDPCodec.buildDatapoint(dpId, value, dataType);
       if (typeof tuyaCluster.datapoint === 'function') {
-        await tuyaCluster.datapoint({
-          dp: dpId,
-          datatype: typeCode,
-          data: dataBuffer
-        });
-      } else if (typeof tuyaCluster.sendData === 'function') {
-        await tuyaCluster.sendData({ dp: dpId, value, dataType: typeCode });
+        await tuyaCluster.datapoint(datapoint);
+      } else if (typeof tuyaCluster.dataRequest === 'function') {
+        await tuyaCluster.dataRequest(datapoint);
+      } else if (typeof tuyaCluster.setData === 'function') {
+        await tuyaCluster.setData({ data: TuyaDPCodec.encodeFrame(datapoint) });
+      } else if (typeof tuyaCluster.sendCommand === 'function') {
+        // Raw command fallback
+        await tuyaCluster.sendCommand(0x00, TuyaDPCodec.encodeFrame(datapoint));
+      } else {
+        throw new Error('No suitable method found for Tuya command');
       }
-      this.log(`[TUYA-DP] ✅ Sent DP${dpId} = ${value} (${dataType})`);
+      this.dpRecorder?.outbound(datapoint);
+      this.log(`[TUYA-DP] ✅ Sent DP${dpId} = ${value} (${dataType}, transid ${datapoint.transid})`);
+      return true;
     } catch (err) {
       this.log(`[TUYA-DP] ❌ Failed to send DP${dpId}: ${err.message}`);
+      return false;
     }
   }
 
+  /**
+   * DP of a device setting (definition settingsDPs), null when the variant has none
+   * @param {string} name - e.g. 'powerOnBehavior'
+   */
+  _settingDP(name) {
+    const settingsDPs = this.deviceDefinition?.settingsDPs;
+    if (settingsDPs && name in settingsDPs) return settingsDPs[name];
+    return DEFAULT_SETTINGS_DPS[name] ?? null;
+  }
+
+  /**
+   * DP of a backlight function in the variant's backlight scheme, null when unsupported
+   * @param {string} role - 'mode', 'switch', 'brightness', 'onColor' or 'offColor'
+   */
+  _backlightDP(role) {
+    const backlight = this.deviceDefinition?.backlight || DEFAULT_BACKLIGHT;
+    return backlight.dps?.[role] ?? null;
+  }
+
   /**
    * v5.5.929: Set LED backlight mode via DP15 (for flow cards)
    * @param {string} mode - 'off', 'normal', or 'inverted'
    */
   async setBacklightMode(mode) {
+    const dpId = this._backlightDP('mode');
+    if (!dpId) {
+      this.log('[SWITCH] Backlight mode is not supported by this device');
+      return false;
+    }
     const modeMap = { off: 0, normal: 1, inverted: 2 };
     const dpValue = modeMap[mode] ?? 1;
     
-    this.log(`[SWITCH] 💡 Setting backlight: ${mode} (DP15=${dpValue})`);
-    await this._sendTuyaDP(15, dpValue, 'enum');
+    this.log(`[SWITCH] 💡 Setting backlight: ${mode} (DP${dpId}=${dpValue})`);
+    await this._sendTuyaDP(dpId, dpValue, 'enum');
     return true;
   }
 
@@ -935,9 +1284,13 @@ class HybridSwitchBase extends ZigBeeDevice {
    * @param {string} color - color name
    */
   async setBacklightColor(state, color) {
+    const dpId = this._backlightDP(state === 'on' ? 'onColor' : 'offColor');
+    if (!dpId) {
+      this.log('[SWITCH] Backlight color is not supported by this device');
+      return false;
+    }
     const colorMap = { red: 0, blue: 1, green: 2, white: 3, yellow: 4, magenta: 5, cyan: 6, warm_white: 7, warm_yellow: 8 };
     const dpValue = colorMap[color] ?? 3;
-    const dpId = state === 'on' ? 103 : 104;
     
     this.log(`[SWITCH] 🎨 Setting ${state}_color: ${color} (DP${dpId}=${dpValue})`);
     await this._sendTuyaDP(dpId, dpValue, 'enum');
@@ -949,9 +1302,14 @@ class HybridSwitchBase extends ZigBeeDevice {
    * @param {number} brightness - 0-100
    */
   async setBacklightBrightness(brightness) {
+    const dpId = this._backlightDP('brightness');
+    if (!dpId) {
+      this.log('[SWITCH] Backlight brightness is not supported by this device');
+      return false;
+    }
     const value = Math.max(0, Math.min(100, Math.round(brightness)));
-    this.log(`[SWITCH] 🔆 Setting backlight brightness: ${value}% (DP102)`);
-    await this._sendTuyaDP(102, value, 'value');
+    this.log(`[SWITCH] 🔆 Setting backlight brightness: ${value}% (DP${dpId})`);
+    await this._sendTuyaDP(dpId, value, 'value');
     return true;
   }
 
@@ -960,18 +1318,23 @@ class HybridSwitchBase extends ZigBeeDevice {
    * @param {boolean} enabled - true to enable backlight
    */
   async setBacklightEnabled(enabled) {
-    this.log(`[SWITCH] 💡 Setting backlight enabled: ${enabled} (DP16)`);
-    await this._sendTuyaDP(16, enabled ? 1 : 0, 'bool');
+    const dpId = this._backlightDP('switch');
+    if (!dpId) {
+      this.log('[SWITCH] Backlight switch is not supported by this device');
+      return false;
+    }
+    this.log(`[SWITCH] 💡 Setting backlight enabled: ${enabled} (DP${dpId})`);
+    await this._sendTuyaDP(dpId, enabled ? 1 : 0, 'bool');
     return true;
   }
 
   /**
-   * v5.5.929: Set countdown timer for a gang via DP7/8/9 (Z2M compatible)
-   * @param {number} gang - 1, 2, or 3
+   * v5.5.929: Set countdown timer for a gang via DP7/8/9/10 (Z2M compatible)
+   * @param {number} gang - 1, 2, 3 or 4
    * @param {number} seconds - countdown in seconds (0-86400)
    */
   async setCountdown(gang, seconds) {
-    const dpMap = { 1: 7, 2: 8, 3: 9 };
+    const dpMap = { 1: 7, 2: 8, 3: 9, 4: 10 };
     const dpId = dpMap[gang] || 7;
     const value = Math.max(0, Math.min(86400, Math.round(seconds)));
     
@@ -980,17 +1343,441 @@ class HybridSwitchBase extends ZigBeeDevice {
     return true;
   }
 
+  /** Gang driven by this device card's countdown / auto-off */
+  get countdownGang() { return 1; }
+
+  /**
+   * Setup the countdown timer (ZCL onTime, or DP7-10 via setCountdown)
+   */
+  async _initCountdown() {
+    if (!this.hasCapability('countdown_remaining')) {
+      await this.addCapability('countdown_remaining').catch(() => { });
+    }
+
+    this.countdownManager = new CountdownTimerManager(this, {
+      capability: 'countdown_remaining',
+      writeDP: (gang, seconds) => this.setCountdown(gang, seconds),
+      endpointOf: gang => (gang === this.gangConfig.gang ? this.gangConfig.endpoint : gang)
+    });
+    await this.setCapabilityValue('countdown_remaining', 0).catch(() => { });
+
+    // Know whether the firmware pulses by itself before the first "on" report
+    if (this.getSetting('inching_enabled')) {
+      await this._applyInchingSettings(this.getSettings()).catch(() => { });
+    }
+  }
+
+  /**
+   * Turn on and let the device switch off again after `seconds` (flow action)
+   * @param {number} seconds - 1-86400
+   */
+  async turnOnFor(seconds) {
+    if (!this.countdownManager) throw new Error('Countdown not available');
+    return this.countdownManager.setCountdown(this.countdownGang, Math.round(seconds));
+  }
+
+  /**
+   * @returns {boolean} true while a countdown / auto-off is running
+   */
+  hasActiveCountdown() {
+    return this.countdownManager ? this.countdownManager.hasActiveCountdown(this.countdownGang) : false;
+  }
+
+  /**
+   * Pulse this card's gang: on, then off again after the inching pulse length (flow action)
+   * With inching enabled the firmware (DP19) or the armed countdown switches it off,
+   * otherwise the countdown timer provides the pulse
+   */
+  async pulse() {
+    if (!this.countdownManager) throw new Error('Countdown not available');
+
+    const gang = this.countdownGang;
+    const pulseSeconds = this._getPulseSeconds();
+    this.log(`[INCHING] Pulse gang ${gang} for ${pulseSeconds}s`);
+
+    if (typeof this.expectAutoOff === 'function') {
+      this.expectAutoOff(gang, pulseSeconds);
+    }
+
+    if (this.getSetting('inching_enabled')) {
+      await this.triggerCapabilityListener('onoff', true);
+      return true;
+    }
+    return this.countdownManager.setCountdown(gang, pulseSeconds);
+  }
+
+  /** Inching pulse length in seconds (inching_duration setting, 1-3600) */
+  _getPulseSeconds() {
+    const seconds = Math.round(Number(this.getSetting('inching_duration')) || 1);
+    return Math.max(1, Math.min(3600, seconds));
+  }
+
+  /**
+   * Inching configuration of every gang on the physical switch (DP19 carries all gangs)
+   * @param {object} settings - This card's (new) settings
+   * @returns {Array<{gang: number, enabled: boolean, duration: number}>}
+   */
+  _getInchingConfigs(settings) {
+    return [{
+      gang: 1,
+      enabled: !!settings.inching_enabled,
+      duration: Math.round(Number(settings.inching_duration) || 1)
+    }];
+  }
+
+  /**
+   * Send the inching configuration to the device (DP19)
+   * Firmware without DP19 support gets the pulse from the countdown timer instead
+   */
+  async _applyInchingSettings(settings) {
+    const configs = this._getInchingConfigs(settings);
+    this._inchingNative = await this._getMultiGangManager().setInchingMode(configs);
+    this.log(`[INCHING] ${this._inchingNative ? 'Applied via DP19' : 'DP19 unavailable, using countdown timer'}`);
+  }
+
+  _getMultiGangManager() {
+    if (!this._multiGangManager) {
+      this._multiGangManager = new TuyaMultiGangManager(this);
+    }
+    return this._multiGangManager;
+  }
+
+  /**
+   * Child lock DP / ZCL attribute for this manufacturerName (null = unsupported)
+   */
+  getChildLockConfig() {
+    return ManufacturerVariationManager.getChildLockConfig(
+      getManufacturer(this) || '',
+      getModelId(this) || ''
+    );
+  }
+
   /**
-   * v5.5.929: Set child lock via DP101
+   * Set child lock (ZCL onOff 0x8000 or DP101, resolved per manufacturerName)
+   * The device has to echo the new value, otherwise the change is reported as failed
    * @param {boolean} locked - true to enable child lock
+   * @returns {Promise<boolean>} true when the device confirmed the new state
+   * @throws {Error} when the device has no child lock or did not confirm it
    */
   async setChildLock(locked) {
-    this.log(`[SWITCH] 🔒 Setting child lock: ${locked} (DP101)`);
-    await this._sendTuyaDP(101, locked ? 1 : 0, 'bool');
+    const config = this.getChildLockConfig();
+    if (!config) {
+      this.log('[SWITCH] 🔒 Child lock not supported by this device');
+      throw new Error(CHILD_LOCK_UNSUPPORTED);
+    }
+
+    let echoed;
+    if (config.method === 'zcl') {
+      const onOffCluster = this.zclNode?.endpoints?.[config.endpoint]?.clusters?.onOff;
+      if (!onOffCluster) throw new Error(CHILD_LOCK_UNSUPPORTED);
+
+      this.log(`[SWITCH] 🔒 Setting child lock: ${locked} (EP${config.endpoint} ${config.attribute})`);
+      await onOffCluster.writeAttributes({ [config.attribute]: locked });
+      const attributes = await onOffCluster.readAttributes([config.attribute]).catch(() => ({}));
+      echoed = attributes[config.attribute];
+    } else {
+      this.log(`[SWITCH] 🔒 Setting child lock: ${locked} (DP${config.dp})`);
+      const echo = this._waitForDP(config.dp, CHILD_LOCK_ECHO_TIMEOUT_MS);
+      const sent = await this._sendTuyaDP(config.dp, locked ? 1 : 0, 'bool');
+      if (!sent) throw new Error(CHILD_LOCK_UNSUPPORTED);
+      echoed = await echo;
+    }
+
+    if (echoed === undefined || echoed === null || Boolean(echoed) !== locked) {
+      this.log(`[SWITCH] ⚠️ Child lock not confirmed by device (echo: ${echoed})`);
+      throw new Error('The device did not confirm the child lock change');
+    }
+
+    this.log(`[SWITCH] ✅ Child lock ${locked ? 'enabled' : 'disabled'}`);
+    return true;
+  }
+
+  /**
+   * Decoupled mode DP / ZCL attribute for this manufacturerName (null = unsupported)
+   */
+  getDecoupledConfig() {
+    return ManufacturerVariationManager.getDecoupledConfig(
+      getManufacturer(this) || '',
+      getModelId(this) || ''
+    );
+  }
+
+  /**
+   * Set decoupled mode of a gang (ZCL 0xE001 switchMode on its endpoint or its DP,
+   * resolved per manufacturerName). Decoupled, the button only sends presses and the
+   * relay keeps its state. The device has to confirm the new mode.
+   * @param {boolean} decoupled - true to decouple the relay from the button
+   * @param {{gang: number, endpoint: number}} [gangConfig] - Gang, defaults to the gang of this card
+   * @returns {Promise<boolean>} true when the device confirmed the new mode
+   * @throws {Error} when the device has no decoupled mode or did not confirm it
+   */
+  async setDecoupled(decoupled, gangConfig = this.gangConfig) {
+    const config = this.getDecoupledConfig();
+    const { gang, endpoint } = gangConfig || {};
+    if (!config || !gang) {
+      this.log('[SWITCH] 🔘 Decoupled mode not supported by this device');
+      throw new Error(DECOUPLED_UNSUPPORTED);
+    }
+
+    let confirmed;
+    if (config.method === 'zcl') {
+      const cluster = this.zclNode?.endpoints?.[endpoint]?.clusters?.tuyaExternalSwitch;
+      if (!cluster) throw new Error(DECOUPLED_UNSUPPORTED);
+
+      const mode = decoupled ? 'scene' : 'relay';
+      this.log(`[SWITCH] 🔘 Setting gang ${gang} decoupled: ${decoupled} (EP${endpoint} ${config.attribute}=${mode})`);
+      await cluster.writeAttributes({ [config.attribute]: mode });
+      const attributes = await cluster.readAttributes([config.attribute]).catch(() => ({}));
+      confirmed = attributes[config.attribute] === mode;
+    } else {
+      const dp = config.dps[gang - 1];
+      if (!dp) throw new Error(DECOUPLED_UNSUPPORTED);
+
+      this.log(`[SWITCH] 🔘 Setting gang ${gang} decoupled: ${decoupled} (DP${dp})`);
+      const echo = this._waitForDP(dp, DECOUPLED_ECHO_TIMEOUT_MS);
+      const sent = await this._sendTuyaDP(dp, decoupled ? 1 : 0, 'bool');
+      if (!sent) throw new Error(DECOUPLED_UNSUPPORTED);
+      const echoed = await echo;
+      confirmed = echoed !== null && Boolean(echoed) === decoupled;
+    }
+
+    if (!confirmed) {
+      this.log(`[SWITCH] ⚠️ Gang ${gang} decoupled mode not confirmed by device`);
+      throw new Error('The device did not confirm the decoupled mode change');
+    }
+
+    this.log(`[SWITCH] ✅ Gang ${gang} ${decoupled ? 'decoupled, button sends presses only' : 'coupled to the relay'}`);
     return true;
   }
 
+  /**
+   * Device card running the ProtocolAutoOptimizer of this physical switch (override with sub-devices)
+   */
+  _getProtocolDevice() {
+    return this;
+  }
+
+  /**
+   * Device cards showing the protocol settings of this physical switch (override with sub-devices)
+   */
+  _getProtocolCards() {
+    return [this];
+  }
+
+  /**
+   * Apply the protocol_mode setting: 'auto' learns the protocol, the other modes force it
+   * @param {string} mode - 'auto', 'zcl_only', 'tuya_only' or 'hybrid'
+   * @throws {Error} for unknown modes or before the device is initialized
+   */
+  async setProtocolMode(mode) {
+    const device = this._getProtocolDevice();
+    const optimizer = device?.protocolOptimizer;
+    if (!optimizer) {
+      throw new Error('The device is not initialized yet, try again later');
+    }
+
+    if (mode === 'auto') {
+      // Leaving a forced mode: learn again
+      if (optimizer.forced) optimizer.reset();
+    } else if (FORCED_PROTOCOL_MODES.includes(mode)) {
+      optimizer.forceMode(mode);
+    } else {
+      throw new Error(`Unknown protocol mode: ${mode}`);
+    }
+    this.log(`[PROTOCOL] Mode: ${mode}`);
+
+    for (const card of this._getProtocolCards()) {
+      if (card !== this && card.getSetting('protocol_mode') !== mode) {
+        await card.setSettings({ protocol_mode: mode }).catch(() => {});
+      }
+    }
+
+    // The changed settings are saved once onSettings returns
+    this.homey.setTimeout(() => device._updateProtocolSettings(), 0);
+    return true;
+  }
+
+  /**
+   * Forget the learned protocol and learn it again (Re-learn protocol flow card)
+   * A forced protocol_mode goes back to auto
+   */
+  async relearnProtocol() {
+    const device = this._getProtocolDevice();
+    const optimizer = device?.protocolOptimizer;
+    if (!optimizer) {
+      throw new Error('The device is not initialized yet, try again later');
+    }
+
+    optimizer.reset();
+    this.log('[PROTOCOL] Re-learning protocol');
+
+    for (const card of this._getProtocolCards()) {
+      if (card.getSetting('protocol_mode') !== 'auto') {
+        await card.setSettings({ protocol_mode: 'auto' }).catch(() => {});
+      }
+    }
+    device._updateProtocolSettings();
+    return true;
+  }
+
+  /**
+   * Show the protocol decision and the learned protocol per capability (protocol_learned)
+   */
+  _updateProtocolSettings() {
+    const optimizer = this.protocolOptimizer;
+    if (!optimizer) return;
+
+    let mode = 'learning';
+    if (optimizer.decided) mode = `${optimizer.decidedMode} (${optimizer.forced ? 'forced' : 'learned'})`;
+
+    const capabilities = Object.entries(optimizer.getProtocolPerCapability())
+      .map(([capability, protocol]) => `${capability}: ${protocol}`);
+    const value = `${mode} - ${capabilities.length ? capabilities.join(', ') : 'no reports yet'}`;
+
+    for (const card of this._getProtocolCards()) {
+      if (card.getSetting('protocol_learned') !== value) {
+        card.setSettings({ protocol_learned: value }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Output clusters of a gang bound by "bind to" (the commands the gang sends)
+   */
+  get bindingClusters() {
+    return ['onOff'];
+  }
+
+  /**
+   * UniversalClusterBinder used for the ZDO binding requests
+   */
+  _getClusterBinder() {
+    if (!this.clusterBinder) {
+      this.clusterBinder = new UniversalClusterBinder(this);
+    }
+    return this.clusterBinder;
+  }
+
+  /**
+   * Bind this gang to a device or Zigbee group, so the switch controls it
+   * directly (also when Homey is down)
+   * @param {string} text - 0x00124b0012345678/1 (IEEE address / endpoint) or group 100
+   * @throws {Error} for invalid targets or when the device refuses the binding
+   */
+  async bindGang(text) {
+    const binder = this._getClusterBinder();
+    const target = binder.parseTarget(text);
+    const { endpoint } = this.gangConfig;
+
+    for (const cluster of this.bindingClusters) {
+      await binder.bindToTarget(endpoint, cluster, target);
+    }
+    this.log(`[BINDING] Gang ${this.gangConfig.gang} bound to ${binder.formatTarget(target)}`);
+    await this._updateBindingSettings().catch(() => {});
+    return true;
+  }
+
+  /**
+   * Remove a binding made by bindGang()
+   * @param {string} text - Same target as bound
+   */
+  async unbindGang(text) {
+    const binder = this._getClusterBinder();
+    const target = binder.parseTarget(text);
+    const { endpoint } = this.gangConfig;
+
+    for (const cluster of this.bindingClusters) {
+      await binder.unbindFromTarget(endpoint, cluster, target);
+    }
+    this.log(`[BINDING] Gang ${this.gangConfig.gang} unbound from ${binder.formatTarget(target)}`);
+    await this._updateBindingSettings().catch(() => {});
+    return true;
+  }
+
+  /**
+   * Binding table of the switch, one line per binding (every gang, Homey included)
+   * @returns {Promise<string>}
+   */
+  async listBindings() {
+    const lines = await this._formatBindings(() => true, entry => `EP${entry.sourceEndpoint} `);
+    await this._updateBindingSettings().catch(() => {});
+    return lines.length ? lines.join('\n') : 'No bindings';
+  }
+
+  /**
+   * Apply the bind_target setting: unbind the previous target, bind the new one
+   */
+  async _applyBindTarget(oldText, newText) {
+    const binder = this._getClusterBinder();
+    if (newText) binder.parseTarget(newText);
+
+    if (oldText) {
+      await this.unbindGang(oldText).catch((err) => {
+        this.log(`[BINDING] Previous target ${oldText} not unbound: ${err.message}`);
+      });
+    }
+    if (newText) await this.bindGang(newText);
+
+    // The changed settings are saved once onSettings returns
+    this.homey.setTimeout(() => this._updateBindingSettings().catch(() => {}), 0);
+  }
+
+  /**
+   * Show the bindings of this gang in the device settings (bindings_list)
+   */
+  async _updateBindingSettings() {
+    const { endpoint } = this.gangConfig;
+    const lines = await this._formatBindings(entry => entry.sourceEndpoint === endpoint, () => '');
+    const value = lines.length ? lines.join(', ') : 'none';
+    if (this.getSetting('bindings_list') !== value) {
+      await this.setSettings({ bindings_list: value });
+    }
+  }
+
+  /**
+   * Private: Binding table entries as text, Homey shown by name
+   */
+  async _formatBindings(filter, prefix) {
+    const binder = this._getClusterBinder();
+    const table = await binder.getBindingTable();
+    const coordinatorIeee = await binder.ieeeManager.getCoordinatorIeeeAddress().catch(() => null);
+    return table
+      .filter(filter)
+      .map(entry => `${prefix(entry)}${entry.cluster} → ${binder.formatTarget(entry.target, coordinatorIeee)}`);
+  }
+
+  /**
+   * Resolve with the next reported value of a DP, or null after timeoutMs
+   */
+  _waitForDP(dpId, timeoutMs) {
+    if (!this._dpWaiters) this._dpWaiters = [];
+
+    return new Promise((resolve) => {
+      const waiter = { dpId, resolve };
+      waiter.timeout = this.homey.setTimeout(() => {
+        this._dpWaiters = this._dpWaiters.filter(w => w !== waiter);
+        resolve(null);
+      }, timeoutMs);
+      this._dpWaiters.push(waiter);
+    });
+  }
+
   async onDeleted() {
+    if (this.dpRecorder) {
+      this.dpRecorder.destroy();
+      this.dpRecorder = null;
+    }
+
+    if (this.countdownManager) {
+      this.countdownManager.destroy();
+      this.countdownManager = null;
+    }
+
+    if (this.timeSync) {
+      this.timeSync.destroy();
+      this.timeSync = null;
+    }
+
     // v5.5.63: Cleanup optimizer
     if (this.protocolOptimizer) {
       this.protocolOptimizer.destroy();
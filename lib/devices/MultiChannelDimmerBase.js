@@ -0,0 +1,483 @@
+'use strict';
+
+const TuyaSpecificClusterDevice = require('../tuya/TuyaSpecificClusterDevice');
+const CountdownTimerManager = require('../managers/CountdownTimerManager');
+const DimTransitionManager = require('../managers/DimTransitionManager');
+const DimmingCurve = require('../utils/DimmingCurve');
+const TuyaDPCodec = require('../tuya/TuyaDPCodec');
+const DeviceDefinitions = require('../definitions/DeviceDefinitions');
+
+const DEBUG_MODE = false;
+
+// Tuya DP layout per channel (BSEED / Moes TS0601 multi-channel dimmers)
+const CHANNEL_DATAPOINTS = {
+  1: { state: 1, brightness: 2, minBrightness: 3, lightType: 4, maxBrightness: 5, countdown: 6 },
+  2: { state: 7, brightness: 8, minBrightness: 9, lightType: 10, maxBrightness: 11, countdown: 12 },
+  3: { state: 15, brightness: 16, minBrightness: 17, lightType: 18, maxBrightness: 19, countdown: 20 }
+};
+
+// DPs shared by all channels of the physical dimmer (variants without a definition)
+const SHARED_DATAPOINTS = {
+  powerOnBehavior: 14,
+  backlightMode: 21
+};
+
+// Homey sub-device ids, indexed by channel number (channel 1 is the primary device)
+const SUB_DEVICE_IDS = [null, null, 'secondDimmer', 'thirdDimmer'];
+
+// Window after an app command in which reports are attributed to the app
+const APP_COMMAND_WINDOW_MS = 2000;
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   MULTI-CHANNEL DIMMER BASE - One device card per channel                    ║
+ * ╠══════════════════════════════════════════════════════════════════════════════╣
+ * ║  Tuya DP dimmers (TS0601) with 2 or 3 channels on a single endpoint:         ║
+ * ║  - Primary Device: Channel 1 (DP1 state, DP2 brightness, DP3 min)            ║
+ * ║  - Sub-Device: Channel 2 (DP7 state, DP8 brightness, DP9 min)                ║
+ * ║  - Sub-Device: Channel 3 (DP15 state, DP16 brightness, DP17 min)             ║
+ * ║                                                                               ║
+ * ║  Every card listens to the shared Tuya cluster and only registers the        ║
+ * ║  datapoints of its own channel (registerTuyaProfile with the channel DPs)    ║
+ * ║                                                                               ║
+ * ║  Flow card IDs are derived from the driver id:                               ║
+ * ║  <driver_id>_turned_on / <driver_id>_brightness_increased / ...              ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ */
+class MultiChannelDimmerBase extends TuyaSpecificClusterDevice {
+
+  /**
+   * Build the default channel layout from CHANNEL_DATAPOINTS
+   * @param {number} count - Number of channels
+   * @returns {Array<{channel: number, subDeviceId: string|null, dp: object}>}
+   */
+  static buildChannelMap(count) {
+    const channels = [];
+    for (let channel = 1; channel <= count; channel++) {
+      channels.push({ channel, subDeviceId: SUB_DEVICE_IDS[channel] || null, dp: CHANNEL_DATAPOINTS[channel] });
+    }
+    return channels;
+  }
+
+  /** Total number of channels on the physical dimmer (override in subclass) */
+  get totalChannels() { return 2; }
+
+  /**
+   * Declarative definition of this variant (lib/definitions), null for unknown variants
+   */
+  get deviceDefinition() {
+    if (this._deviceDefinition === undefined) {
+      this._deviceDefinition = DeviceDefinitions.forDevice(this);
+    }
+    return this._deviceDefinition;
+  }
+
+  /**
+   * Channel → DP layout: the variant definition (lib/definitions/devices), otherwise
+   * CHANNEL_DATAPOINTS (override in subclass for non-standard layouts)
+   * Every channel except channel 1 needs a subDeviceId matching the
+   * "devices" section of driver.compose.json
+   */
+  get channelMap() {
+    const gangs = this.deviceDefinition?.gangs;
+    if (gangs) {
+      return gangs.map(({ gang, dp }) => ({ channel: gang, subDeviceId: SUB_DEVICE_IDS[gang] || null, dp }));
+    }
+    return MultiChannelDimmerBase.buildChannelMap(this.totalChannels);
+  }
+
+  /**
+   * DP shared by all channels: power-on behavior and backlight mode
+   * @param {string} name - 'powerOnBehavior' or 'backlightMode'
+   * @returns {number} DP
+   * @throws when the variant does not support it
+   */
+  _sharedDP(name) {
+    const { settingsDPs, backlight } = this.deviceDefinition || {};
+    let dp = SHARED_DATAPOINTS[name];
+    if (name === 'powerOnBehavior' && settingsDPs && 'powerOnBehavior' in settingsDPs) {
+      dp = settingsDPs.powerOnBehavior;
+    } else if (name === 'backlightMode' && backlight) {
+      dp = backlight.dps?.mode ?? null;
+    }
+    if (!dp) throw new Error(`${name} is not supported by this device`);
+    return dp;
+  }
+
+  /**
+   * Channel configuration for THIS device card
+   */
+  get channelConfig() {
+    const { subDeviceId } = this.getData();
+    const channels = this.channelMap;
+    if (subDeviceId === undefined) {
+      return channels.find(c => c.channel === 1) || channels[0];
+    }
+    return channels.find(c => c.subDeviceId === subDeviceId) || null;
+  }
+
+  async onNodeInit({ zclNode }) {
+    const config = this.channelConfig;
+    if (!config) {
+      this.error(`[DIMMER] Unknown sub-device: ${this.getData().subDeviceId}`);
+      return;
+    }
+
+    // Get zclNode from store if not provided (sub-device created programmatically)
+    if (!zclNode) {
+      zclNode = this.getStore().zclNode;
+      if (!zclNode) {
+        this.error('[DIMMER] No zclNode available');
+        return;
+      }
+    }
+
+    this._channel = config.channel;
+    this._dp = config.dp;
+    this.log(`[DIMMER] Channel ${this._channel} initializing (${this.isSubDevice() ? 'sub-device' : 'primary'})...`);
+
+    await super.onNodeInit({ zclNode });
+
+    // Track state for detecting physical button presses
+    this._lastOnoffState = null;
+    this._lastBrightnessValue = null;
+    this._appCommandPending = false;
+    this._appCommandTimeout = null;
+    this._settingsApplied = false;
+
+    // Dimming curve + max_brightness, used for commands and reports alike
+    this._dimCurve = DimmingCurve.fromSettings(this.getSettings());
+
+    // Register only this channel's datapoints
+    this.registerTuyaProfile('wall_dimmer_1gang', {
+      dps: { onoff: this._dp.state, dim: this._dp.brightness }
+    });
+
+    this.registerCapabilityListener('onoff', async (value) => {
+      this.log(`[DIMMER] Channel ${this._channel} onoff → ${value} (APP)`);
+      this._markAppCommand();
+      this.dimTransition.cancel();
+      await this.sendTuyaCommand(this._dp.state, value, 'bool');
+    });
+
+    // Fades are stepped in the driver, per channel
+    this.dimTransition = new DimTransitionManager(this, {
+      writeBrightness: async (value) => {
+        this._markAppCommand();
+        const brightness = this.toTuyaValue(this._dp.brightness, value);
+        await this.sendTuyaCommand(this._dp.brightness, brightness, 'value');
+      }
+    });
+
+    this.registerCapabilityListener('dim', async (value, opts = {}) => {
+      this.log(`[DIMMER] Channel ${this._channel} dim → ${value} (APP)`);
+      const duration = opts.duration ?? this._getDefaultTransitionMs();
+      await this.dimTransition.transition(this.getCapabilityValue('dim'), value, duration);
+    });
+
+    // Countdown / auto-off via this channel's countdown DP
+    if (!this.hasCapability('countdown_remaining')) {
+      await this.addCapability('countdown_remaining').catch(() => {});
+    }
+    this.countdownManager = new CountdownTimerManager(this, {
+      capability: 'countdown_remaining',
+      writeDP: (channel, seconds) => this.sendTuyaCommand(this._dp.countdown, seconds, 'value')
+    });
+    await this.setCapabilityValue('countdown_remaining', 0).catch(() => {});
+
+    // Apply saved settings after init (with delay for device stability)
+    this.homey.setTimeout(() => this._applyInitialSettings(), 3000);
+
+    this.log(`[DIMMER] Channel ${this._channel} ready`);
+  }
+
+  /**
+   * Handle settings changes from Homey UI
+   * min_brightness / light_type are per channel, power_on_behavior / backlight_mode
+   * are shared by all channels of the physical dimmer
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    this.log('⚙️ Settings changed:', changedKeys);
+    this._dimCurve = DimmingCurve.fromSettings(newSettings);
+
+    for (const key of changedKeys) {
+      try {
+        switch (key) {
+          case 'min_brightness': {
+            const minBrightness = Math.round(10 + ((newSettings.min_brightness / 100) * 990));
+            this.log(`Setting min_brightness: ${newSettings.min_brightness}% → ${minBrightness} (DP${this._dp.minBrightness})`);
+            await this.sendTuyaCommand(this._dp.minBrightness, minBrightness, 'value');
+            break;
+          }
+
+          case 'max_brightness': {
+            const maxBrightness = DimmingCurve.percentToTuya(newSettings.max_brightness);
+            this.log(`Setting max_brightness: ${newSettings.max_brightness}% → ${maxBrightness} (DP${this._dp.maxBrightness})`);
+            await this.sendTuyaCommand(this._dp.maxBrightness, maxBrightness, 'value');
+            break;
+          }
+
+          case 'dim_curve':
+          case 'dim_gamma':
+            // Applied to the next command / report via this._dimCurve
+            this.log(`Setting dimming curve: ${this._dimCurve.curve} (gamma ${this._dimCurve.gamma})`);
+            break;
+
+          case 'light_type': {
+            const lightTypeValue = parseInt(newSettings.light_type, 10);
+            this.log(`Setting light_type: ${lightTypeValue} (DP${this._dp.lightType})`);
+            await this.sendTuyaCommand(this._dp.lightType, lightTypeValue, 'enum');
+            break;
+          }
+
+          case 'power_on_behavior': {
+            const powerOnValue = parseInt(newSettings.power_on_behavior, 10);
+            this.log(`Setting power_on_behavior: ${powerOnValue}`);
+            await this.sendTuyaCommand(this._sharedDP('powerOnBehavior'), powerOnValue, 'enum');
+            break;
+          }
+
+          case 'backlight_mode':
+            await this.setBacklightMode(newSettings.backlight_mode);
+            break;
+
+          case 'auto_off':
+            this.log(`Setting auto_off: ${newSettings.auto_off}s`);
+            if (newSettings.auto_off > 0 && this.getCapabilityValue('onoff')) {
+              await this.countdownManager.armCountdown(this._channel, newSettings.auto_off);
+            }
+            break;
+
+          case 'transition_time':
+            // Used for dim commands without their own duration
+            this.log(`Setting transition_time: ${newSettings.transition_time}s`);
+            break;
+
+          case 'dp_capture':
+            this.dpRecorder.setEnabled(newSettings.dp_capture);
+            break;
+
+          default:
+            this.log(`Unknown setting: ${key}`);
+        }
+      } catch (err) {
+        this.error(`Failed to apply setting ${key}:`, err);
+        throw new Error(`Failed to apply ${key}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Set backlight mode (0=off, 1=normal, 2=inverted)
+   */
+  async setBacklightMode(mode) {
+    const backlightValue = parseInt(mode, 10);
+    this.log(`Setting backlight_mode: ${backlightValue} (0=off, 1=normal, 2=inverted)`);
+    await this.sendTuyaCommand(this._sharedDP('backlightMode'), backlightValue, 'enum');
+  }
+
+  /**
+   * Default fade time for dim commands without a duration (transition_time setting)
+   */
+  _getDefaultTransitionMs() {
+    return Math.round((Number(this.getSetting('transition_time')) || 0) * 1000);
+  }
+
+  /**
+   * The dim converter applies this channel's dimming curve + max_brightness
+   */
+  getTuyaConverterOptions(capability) {
+    return capability === 'dim' ? this._dimCurve : {};
+  }
+
+  /**
+   * Turn this channel on and let the dimmer switch it off after `seconds` (flow action)
+   */
+  async turnOnFor(seconds) {
+    return this.countdownManager.setCountdown(this._channel, Math.round(seconds));
+  }
+
+  hasActiveCountdown() {
+    return this.countdownManager ? this.countdownManager.hasActiveCountdown(this._channel) : false;
+  }
+
+  /**
+   * Apply this channel's saved settings after device init
+   */
+  async _applyInitialSettings() {
+    if (this._settingsApplied) return;
+    this._settingsApplied = true;
+
+    try {
+      const settings = this.getSettings();
+
+      if (settings.min_brightness && settings.min_brightness > 1) {
+        const minBrightness = Math.round(10 + ((settings.min_brightness / 100) * 990));
+        await this.sendTuyaCommand(this._dp.minBrightness, minBrightness, 'value').catch(() => {
+          if (DEBUG_MODE) this.log('min_brightness not supported by this device');
+        });
+      }
+
+      if (settings.max_brightness && settings.max_brightness < 100) {
+        const maxBrightness = DimmingCurve.percentToTuya(settings.max_brightness);
+        await this.sendTuyaCommand(this._dp.maxBrightness, maxBrightness, 'value').catch(() => {
+          if (DEBUG_MODE) this.log('max_brightness not supported by this device');
+        });
+      }
+
+      if (settings.light_type && settings.light_type !== '0') {
+        const lightTypeValue = parseInt(settings.light_type, 10);
+        await this.sendTuyaCommand(this._dp.lightType, lightTypeValue, 'enum').catch(() => {
+          if (DEBUG_MODE) this.log('light_type not supported by this device');
+        });
+      }
+    } catch (err) {
+      this.error('Failed to apply initial settings:', err);
+    }
+  }
+
+  /**
+   * Physical button presses come as 'response' events when no app command is pending
+   */
+  handleTuyaResponse(data) {
+    this.handleTuyaDataReport(data, !this._appCommandPending);
+  }
+
+  handleTuyaDataReport(data, isReportingEvent = false) {
+    this._processTuyaData(data, isReportingEvent);
+  }
+
+  /**
+   * Route a DP report to this channel's capability (ignores other channels' DPs)
+   */
+  _processTuyaData(data, isReportingEvent = false) {
+    if (!data || typeof data.dp === 'undefined') return;
+
+    const mapping = this._tuyaDatapoints?.get(data.dp);
+    if (!mapping) return;
+
+    if (DEBUG_MODE) {
+      this.log(`[DIMMER] Channel ${this._channel} DP${data.dp}:`, JSON.stringify(data));
+    }
+
+    const isPhysicalPress = isReportingEvent && !this._appCommandPending;
+
+    if (mapping.capability === 'onoff') {
+      this._handleStateReport(this._decodeBool(data.data), isPhysicalPress);
+    } else if (mapping.capability === 'dim') {
+      this._handleBrightnessReport(this._decodeValue(data.data), isPhysicalPress);
+    }
+  }
+
+  _handleStateReport(state, isPhysicalPress) {
+    // Only process if state actually changed (heartbeat filter)
+    if (this._lastOnoffState === state) return;
+
+    if (DEBUG_MODE || isPhysicalPress) {
+      this.log(`[DIMMER] Channel ${this._channel} state: ${this._lastOnoffState} → ${state} (${isPhysicalPress ? 'PHYSICAL' : 'APP'})`);
+    }
+
+    this._lastOnoffState = state;
+    this.setCapabilityValue('onoff', state).catch(this.error);
+    this.countdownManager.handleStateChange(this._channel, state, Number(this.getSetting('auto_off')) || 0);
+
+    if (isPhysicalPress) {
+      this._triggerFlow(state ? 'turned_on' : 'turned_off');
+    }
+  }
+
+  _handleBrightnessReport(brightnessRaw, isPhysicalPress) {
+    const brightness = this.fromTuyaValue(this._dp.brightness, brightnessRaw);
+
+    // Only process if brightness changed significantly (~1%)
+    const changeThreshold = 10;
+    if (this._lastBrightnessValue !== null && Math.abs(brightnessRaw - this._lastBrightnessValue) < changeThreshold) {
+      return;
+    }
+
+    if (DEBUG_MODE || isPhysicalPress) {
+      this.log(`[DIMMER] Channel ${this._channel} brightness: ${this._lastBrightnessValue} → ${brightnessRaw} (${isPhysicalPress ? 'PHYSICAL' : 'APP'})`);
+    }
+
+    const previous = this._lastBrightnessValue;
+    this._lastBrightnessValue = brightnessRaw;
+    this.setCapabilityValue('dim', brightness).catch(this.error);
+
+    if (isPhysicalPress && previous !== null) {
+      this._triggerFlow(brightnessRaw > previous ? 'brightness_increased' : 'brightness_decreased', { brightness });
+    }
+  }
+
+  _triggerFlow(suffix, tokens = {}) {
+    const flowCardId = `${this.driver.id}_${suffix}`;
+    this.log(`Triggering: ${flowCardId}`);
+    try {
+      this.homey.flow.getDeviceTriggerCard(flowCardId)
+        .trigger(this, tokens, {})
+        .catch(err => this.error(`Flow trigger failed: ${err.message}`));
+    } catch (err) {
+      this.error(`Flow card ${flowCardId} not found: ${err.message}`);
+    }
+  }
+
+  _decodeBool(raw) {
+    if (Buffer.isBuffer(raw)) return raw.readUInt8(0) === 1;
+    if (Array.isArray(raw)) return raw[0] === 1;
+    return Boolean(raw);
+  }
+
+  _decodeValue(raw) {
+    if (Buffer.isBuffer(raw)) return raw.readInt32BE(0);
+    if (Array.isArray(raw) && raw.length >= 4) return Buffer.from(raw).readInt32BE(0);
+    return Number(raw) || 0;
+  }
+
+  /**
+   * Send a datapoint through the Tuya cluster 'datapoint' command (TuyaDPCodec)
+   */
+  async sendTuyaCommand(dp, value, type = 'value') {
+    const tuyaCluster = this.zclNode?.endpoints?.[1]?.clusters?.tuya || this._tuyaCluster;
+    if (!tuyaCluster) {
+      throw new Error('Tuya cluster not available');
+    }
+
+    if (DEBUG_MODE) {
+      this.log(`Sending Tuya command: DP ${dp} = ${value} (${type})`);
+    }
+
+    const datapoint = await TuyaDPCodec.sendDatapoint(tuyaCluster, dp, value, type);
+    this.dpRecorder.outbound(datapoint);
+  }
+
+  /**
+   * Mark that an app command was sent, so the echoed report is not seen as physical
+   */
+  _markAppCommand() {
+    this._appCommandPending = true;
+    if (this._appCommandTimeout) {
+      clearTimeout(this._appCommandTimeout);
+    }
+    this._appCommandTimeout = setTimeout(() => {
+      this._appCommandPending = false;
+    }, APP_COMMAND_WINDOW_MS);
+  }
+
+  onDeleted() {
+    if (this._appCommandTimeout) {
+      clearTimeout(this._appCommandTimeout);
+    }
+    if (this.countdownManager) {
+      this.countdownManager.destroy();
+    }
+    if (this.dimTransition) {
+      this.dimTransition.destroy();
+    }
+    this.log(`[DIMMER] Channel ${this._channel} removed`);
+    super.onDeleted();
+  }
+
+}
+
+module.exports = MultiChannelDimmerBase;
+module.exports.CHANNEL_DATAPOINTS = CHANNEL_DATAPOINTS;
+module.exports.SHARED_DATAPOINTS = SHARED_DATAPOINTS;
@@ -0,0 +1,566 @@
+'use strict';
+
+const HybridSwitchBase = require('./HybridSwitchBase');
+const PhysicalButtonMixin = require('../mixins/PhysicalButtonMixin');
+const VirtualButtonMixin = require('../mixins/VirtualButtonMixin');
+
+let OnOffBoundCluster = null;
+try {
+  OnOffBoundCluster = require('../clusters/OnOffBoundCluster');
+} catch (e) {
+  console.log('[SubDeviceSwitchBase] OnOffBoundCluster not available:', e.message);
+}
+
+// Homey sub-device ids, indexed by gang number (gang 1 is the primary device)
+const SUB_DEVICE_IDS = [
+  null,
+  null,
+  'secondSwitch',
+  'thirdSwitch',
+  'fourthSwitch',
+  'fifthSwitch',
+  'sixthSwitch',
+  'seventhSwitch',
+  'eighthSwitch'
+];
+
+// Window after an app command in which reports are attributed to the app
+const APP_COMMAND_WINDOW_MS = 2000;
+
+// power_on_behavior setting → TuyaMultiGangManager mode
+const POWER_ON_MODES = { off: 0, on: 1, memory: 2 };
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   SUB-DEVICE SWITCH BASE - One device card per gang                          ║
+ * ╠══════════════════════════════════════════════════════════════════════════════╣
+ * ║  Generic primary + sub-device implementation for multi-gang switches:        ║
+ * ║  - Primary Device: Gang 1 (uses full HybridSwitchBase)                       ║
+ * ║  - Sub-Devices: Gang 2..N (minimal initialization, specific endpoint)        ║
+ * ║                                                                               ║
+ * ║  Drivers only describe their gang layout:                                    ║
+ * ║    class WallSwitch4Gang1WayDevice extends SubDeviceSwitchBase {             ║
+ * ║      get totalGangs() { return 4; }                                          ║
+ * ║    }                                                                          ║
+ * ║                                                                               ║
+ * ║  Flow card IDs are derived from the driver id:                               ║
+ * ║  <driver_id>_turned_on_physical / <driver_id>_turned_off_physical            ║
+ * ║                                                                               ║
+ * ║  Requires Homey 12.10.0+ for proper multi-endpoint support                   ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ */
+class SubDeviceSwitchBase extends PhysicalButtonMixin(VirtualButtonMixin(HybridSwitchBase)) {
+
+  /**
+   * Build the default gang layout: gang N on endpoint N, switched by DP N
+   * @param {number} count - Number of gangs
+   * @returns {Array<{gang: number, subDeviceId: string|null, endpoint: number, dp: number}>}
+   */
+  static buildGangMap(count) {
+    const gangs = [];
+    for (let gang = 1; gang <= count; gang++) {
+      gangs.push({ gang, subDeviceId: SUB_DEVICE_IDS[gang] || null, endpoint: gang, dp: gang });
+    }
+    return gangs;
+  }
+
+  /** Total number of gangs on the physical switch (override in subclass) */
+  get totalGangs() { return 2; }
+
+  /**
+   * Gang → endpoint/DP layout: the variant definition (lib/definitions/devices),
+   * otherwise gang N on endpoint N (override in subclass for non-standard layouts)
+   * Gang 1 is always the primary device, every other gang needs a subDeviceId
+   * matching the "devices" section of driver.compose.json
+   */
+  get gangMap() {
+    const gangs = this.deviceDefinition?.gangs;
+    if (gangs) {
+      return gangs.map(({ gang, endpoint, dp }) => ({ gang, subDeviceId: SUB_DEVICE_IDS[gang] || null, endpoint, dp }));
+    }
+    return SubDeviceSwitchBase.buildGangMap(this.totalGangs);
+  }
+
+  get gangCount() {
+    // Each device card (primary and sub-devices) handles exactly 1 gang
+    return 1;
+  }
+
+  /**
+   * Gang configuration for THIS device card
+   */
+  get gangConfig() {
+    const { subDeviceId } = this.getData();
+    const gangs = this.gangMap;
+    if (subDeviceId === undefined) {
+      return gangs.find(g => g.gang === 1) || gangs[0];
+    }
+    return gangs.find(g => g.subDeviceId === subDeviceId) || null;
+  }
+
+  get countdownGang() {
+    return this.gangConfig.gang;
+  }
+
+  /**
+   * EXTEND parent dpMappings: this card's gang DP drives its onoff capability
+   */
+  get dpMappings() {
+    const parentMappings = super.dpMappings || {};
+    const config = this.gangConfig;
+    if (!config || config.dp === undefined) return parentMappings;
+
+    return {
+      ...parentMappings,
+      [config.dp]: { capability: 'onoff', transform: (v) => v === 1 || v === true }
+    };
+  }
+
+  async onNodeInit({ zclNode }) {
+    if (this.isSubDevice()) {
+      // SUB-DEVICE INITIALIZATION (Gang 2..N)
+      // Get zclNode from store if not provided (happens when created programmatically)
+      if (!zclNode) {
+        const storedNode = this.getStore().zclNode;
+        if (storedNode) {
+          zclNode = storedNode;
+        } else {
+          this.error('[SUB-DEVICE] No zclNode available');
+          return;
+        }
+      }
+      await this._initSubDevice(zclNode);
+    } else {
+      // PRIMARY DEVICE INITIALIZATION (Gang 1)
+      await this._initPrimaryDevice(zclNode);
+    }
+  }
+
+  /**
+   * Initialize sub-device (Gang 2..N)
+   * Bypasses HybridSwitchBase to avoid conflicts with the primary device
+   */
+  async _initSubDevice(zclNode) {
+    const config = this.gangConfig;
+    if (!config) {
+      this.error(`[SUB-DEVICE] Unknown sub-device: ${this.getData().subDeviceId}`);
+      return;
+    }
+
+    const gangName = `Gang ${config.gang}`;
+    this.log('╔════════════════════════════════════════╗');
+    this.log(`║  SUB-DEVICE: ${gangName} Initializing      ║`);
+    this.log('╚════════════════════════════════════════╝');
+
+    this._gangNumber = config.gang;
+    this.zclNode = zclNode;
+    this._initDPRecorder();
+
+    // State tracking for pending commands
+    this._zclState = {
+      lastState: null,
+      pending: false,
+      timeout: null
+    };
+
+    // Double / triple / long press detection for this gang (PhysicalButtonMixin)
+    if (this.getSetting('physical_button_enabled') !== false) {
+      this._initPressState(config.gang);
+    }
+
+    // Get endpoint and cluster for THIS gang only
+    const endpoint = zclNode.endpoints[config.endpoint];
+    const onOffCluster = endpoint?.clusters?.onOff;
+
+    if (!onOffCluster) {
+      this.error(`[SUB-DEVICE] No onOff cluster found on EP${config.endpoint}`);
+      return;
+    }
+
+    this.log(`[SUB-DEVICE] Using endpoint ${config.endpoint} for ${gangName}`);
+
+    // Listen ONLY to this endpoint's attribute reports
+    onOffCluster.on('attr.onOff', (value) => {
+      this._handleSubDeviceReport(value);
+    });
+
+    // Devices such as BSEED TS0726 send presses as onOff commands and need
+    // an explicit binding per endpoint (requiresExplicitBinding of the device definition)
+    if (this.requiresExplicitBinding()) {
+      await this._setupExplicitBinding(endpoint, onOffCluster);
+    }
+
+    // Register capability listener for app commands
+    this.registerCapabilityListener('onoff', async (value) => {
+      this.log(`[SUB-DEVICE] ${gangName} app command: ${value ? 'ON' : 'OFF'}`);
+      this._markSubDeviceAppCommand();
+
+      // Send command to correct endpoint, on the protocol decided by the primary device
+      await this._sendOnOff({ capability: `onoff.gang${config.gang}`, endpoint: config.endpoint, dp: config.dp }, value);
+      return true;
+    });
+
+    // Setup attribute reporting
+    try {
+      await onOffCluster.configureReporting({
+        onOff: {
+          minInterval: 0,
+          maxInterval: 300,
+          minChange: 1
+        }
+      });
+      this.diagnostics.recordReporting(config.endpoint, 'onOff');
+      this.log(`[SUB-DEVICE] ✅ EP${config.endpoint} onOff reporting configured`);
+    } catch (err) {
+      this.diagnostics.recordReporting(config.endpoint, 'onOff', err);
+      this.error('[SUB-DEVICE] Failed to configure reporting:', err);
+    }
+
+    // Read initial state
+    try {
+      const state = await onOffCluster.readAttributes(['onOff']);
+      if (state.onOff !== undefined) {
+        this._zclState.lastState = state.onOff;
+        await this.setCapabilityValue('onoff', state.onOff);
+        this.log(`[SUB-DEVICE] Initial state: ${state.onOff ? 'ON' : 'OFF'}`);
+      }
+    } catch (err) {
+      this.error('[SUB-DEVICE] Failed to read initial state:', err);
+    }
+
+    this._syncPowerOnBehaviorSetting().catch(() => {});
+    await this._initCountdown().catch(err => this.log('[COUNTDOWN] Init failed:', err.message));
+
+    this.log(`[SUB-DEVICE] ✅ ${gangName} initialization complete`);
+  }
+
+  /**
+   * Handle an onOff attribute report on the sub-device endpoint
+   */
+  _handleSubDeviceReport(value) {
+    // The protocol optimizer of gang 1 learns the protocol of every gang
+    const { gang } = this.gangConfig;
+    this._getProtocolDevice()?.protocolOptimizer?.registerHit('zcl', `onOff.gang${gang}`, value, `onoff.gang${gang}`);
+
+    const isPhysical = !this._zclState.pending && !this.isExpectedAutoOff(this.gangConfig.gang, value);
+
+    this.log(`[SUB-DEVICE] EP${this.gangConfig.endpoint} attr.onOff=${value} (${isPhysical ? 'PHYSICAL' : 'APP'})`);
+
+    if (this._zclState.lastState === value) return;
+
+    this._zclState.lastState = value;
+    this.setCapabilityValue('onoff', value).catch(this.error);
+    this._onGangStateReport(this.countdownGang, value);
+
+    // Trigger flow cards for physical button presses
+    if (isPhysical) {
+      this._detectPress(this._gangNumber, value);
+      this._triggerPhysicalFlow(this._gangNumber, value ? 'on' : 'off', {});
+    }
+  }
+
+  /**
+   * Bind the endpoint's onOff cluster and receive its commands through a BoundCluster
+   */
+  async _setupExplicitBinding(endpoint, onOffCluster) {
+    const epId = this.gangConfig.endpoint;
+
+    const handleCommand = (value) => {
+      // Decoupled relay: the command is a press, the relay did not switch
+      if (this.isDecoupled()) {
+        this._onDecoupledPress(this._gangNumber);
+        return;
+      }
+      if (value === 'toggle') {
+        value = !this.getCapabilityValue('onoff');
+      }
+      this.log(`[SUB-DEVICE] 🔘 EP${epId} command: ${value ? 'ON' : 'OFF'}`);
+      this._handleSubDeviceReport(value);
+    };
+
+    if (OnOffBoundCluster && typeof endpoint.bind === 'function') {
+      try {
+        endpoint.bind('onOff', new OnOffBoundCluster({
+          onSetOn: () => handleCommand(true),
+          onSetOff: () => handleCommand(false),
+          onToggle: () => handleCommand('toggle')
+        }));
+        this.log(`[SUB-DEVICE] ✅ OnOffBoundCluster installed on EP${epId}`);
+      } catch (err) {
+        this.log(`[SUB-DEVICE] ⚠️ BoundCluster install failed on EP${epId}: ${err.message}`);
+      }
+    }
+
+    if (typeof onOffCluster.bind === 'function') {
+      try {
+        await onOffCluster.bind();
+        this.diagnostics.recordBinding(epId, 'onOff');
+        this.log(`[SUB-DEVICE] ✅ OnOff cluster bound on EP${epId}`);
+      } catch (err) {
+        this.diagnostics.recordBinding(epId, 'onOff', err);
+        this.log(`[SUB-DEVICE] ⚠️ OnOff bind failed on EP${epId}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Set pending flag so the next report is recognised as an app command
+   */
+  _markSubDeviceAppCommand() {
+    this._zclState.pending = true;
+    clearTimeout(this._zclState.timeout);
+    this._zclState.timeout = setTimeout(() => {
+      this._zclState.pending = false;
+    }, APP_COMMAND_WINDOW_MS);
+  }
+
+  /**
+   * Per-gang settings are handled here, everything else by HybridSwitchBase
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    if (changedKeys.includes('power_on_behavior')) {
+      const mode = POWER_ON_MODES[newSettings.power_on_behavior] ?? 2;
+      const ok = await this._getMultiGangManager().setGangPowerOnBehavior(this.gangConfig.endpoint, mode);
+      this.log(`[SETTINGS] Gang ${this.gangConfig.gang} power-on behavior: ${newSettings.power_on_behavior} (${ok ? 'applied' : 'failed'})`);
+      if (!ok) {
+        throw new Error('Power-on behavior not supported by this device');
+      }
+    }
+
+    const otherKeys = changedKeys.filter(key => key !== 'power_on_behavior');
+    if (otherKeys.length > 0) {
+      await super.onSettings({ oldSettings, newSettings, changedKeys: otherKeys });
+    }
+  }
+
+  /**
+   * Collect the inching settings of all gang cards of this physical switch
+   * (DP19 always carries every gang)
+   */
+  _getInchingConfigs(settings) {
+    const siblings = this._getSiblingDevices();
+
+    return this.gangMap.map(config => {
+      const device = siblings.find(d => d.getData().subDeviceId === (config.subDeviceId || undefined));
+      const gangSettings = device === this ? settings : (device?.getSettings() || {});
+      return {
+        gang: config.gang,
+        enabled: !!gangSettings.inching_enabled,
+        duration: Math.round(Number(gangSettings.inching_duration) || 1)
+      };
+    });
+  }
+
+  /**
+   * Child lock is device-wide: gang 1 writes it (and receives the DP echo),
+   * the other gang cards mirror the setting
+   */
+  async setChildLock(locked) {
+    const siblings = this._getSiblingDevices();
+    const primary = this.isSubDevice() ? siblings.find(device => !device.isSubDevice()) : this;
+    if (!primary) {
+      throw new Error('Gang 1 device not available');
+    }
+
+    await HybridSwitchBase.prototype.setChildLock.call(primary, locked);
+
+    for (const device of siblings) {
+      if (device !== this && device.getSetting('child_lock') !== locked) {
+        await device.setSettings({ child_lock: locked }).catch(() => {});
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Decoupled mode is per gang: ZCL is written on this gang's endpoint, DPs
+   * through gang 1 (which receives the DP echo)
+   */
+  async setDecoupled(decoupled) {
+    const primary = this.isSubDevice() ? this._getSiblingDevices().find(device => !device.isSubDevice()) : this;
+    if (!primary) {
+      throw new Error('Gang 1 device not available');
+    }
+    return HybridSwitchBase.prototype.setDecoupled.call(primary, decoupled, this.gangConfig);
+  }
+
+  /**
+   * The protocol optimizer runs on gang 1
+   */
+  _getProtocolDevice() {
+    if (!this.isSubDevice()) return this;
+    return this._getSiblingDevices().find(device => !device.isSubDevice()) || null;
+  }
+
+  /**
+   * Every gang card shows the protocol settings of the physical switch
+   */
+  _getProtocolCards() {
+    return this._getSiblingDevices();
+  }
+
+  /**
+   * Device card of a gang: 0xE000 presses of every gang arrive on gang 1
+   */
+  _getGangDevice(gang) {
+    return this._getSiblingDevices().find(device => device.gangConfig?.gang === gang) || null;
+  }
+
+  /**
+   * All device cards (primary + sub-devices) of this physical switch
+   * (Homey pairs the sub-devices with the data token of their node)
+   */
+  _getSiblingDevices() {
+    const { token } = this.getData();
+    return this.driver.getDevices().filter(device => device.getData().token === token);
+  }
+
+  /**
+   * Read this gang's power-on behavior back from the device so the
+   * settings page reflects the actual configuration
+   */
+  async _syncPowerOnBehaviorSetting() {
+    const mode = await this._getMultiGangManager().getGangPowerOnBehavior(this.gangConfig.endpoint);
+    if (mode === null) return;
+
+    const value = Object.keys(POWER_ON_MODES).find(key => POWER_ON_MODES[key] === mode);
+    if (value && this.getSetting('power_on_behavior') !== value) {
+      await this.setSettings({ power_on_behavior: value });
+      this.log(`[SETTINGS] Gang ${this.gangConfig.gang} power-on behavior read back: ${value}`);
+    }
+  }
+
+  /**
+   * Initialize primary device (Gang 1)
+   * Uses full HybridSwitchBase functionality
+   */
+  async _initPrimaryDevice(zclNode) {
+    this.log('╔════════════════════════════════════════╗');
+    this.log('║  PRIMARY DEVICE: Gang 1 Initializing  ║');
+    this.log('╚════════════════════════════════════════╝');
+
+    // Remove per-gang capabilities from primary device
+    // (every other gang is now a separate device)
+    for (let gang = 2; gang <= 8; gang++) {
+      const capability = `onoff.gang${gang}`;
+      if (this.hasCapability(capability)) {
+        await this.removeCapability(capability).catch(() => {});
+        this.log(`[PRIMARY] Removed ${capability} capability`);
+      }
+    }
+
+    // Call parent initialization (HybridSwitchBase)
+    await super.onNodeInit({ zclNode });
+
+    // Initialize physical button detection for Gang 1 only
+    await this.initPhysicalButtonDetection(zclNode);
+
+    this._syncPowerOnBehaviorSetting().catch(() => {});
+
+    // Create sub-devices for the other gangs if they don't exist
+    await this._ensureSubDevicesExist().catch(err => {
+      this.error('[PRIMARY] Failed to create sub-devices:', err);
+    });
+
+    this.log('[PRIMARY] ✅ Gang 1 initialization complete');
+  }
+
+  /**
+   * Ensure a sub-device exists for every gang except gang 1
+   */
+  async _ensureSubDevicesExist() {
+    const driver = this.driver;
+    if (typeof driver._shouldAllowSubDevices === 'function' && !driver._shouldAllowSubDevices()) {
+      this.log('[PRIMARY] Driver does not allow sub-devices, skipping');
+      return;
+    }
+
+    try {
+      const devices = this._getSiblingDevices();
+
+      for (const config of this.gangMap) {
+        if (!config.subDeviceId) continue;
+
+        const exists = devices.some(device => device.getData().subDeviceId === config.subDeviceId);
+
+        if (exists) {
+          this.log(`[PRIMARY] Gang ${config.gang} sub-device already exists`);
+          continue;
+        }
+
+        this.log(`[PRIMARY] Creating sub-device for Gang ${config.gang}...`);
+        await driver.createDevice({
+          name: `${this.getName()} - Gang ${config.gang}`,
+          data: {
+            token: this.getData().token,
+            subDeviceId: config.subDeviceId
+          },
+          store: {
+            zclNode: this.zclNode
+          }
+        });
+        this.log(`[PRIMARY] ✅ Gang ${config.gang} sub-device created`);
+      }
+    } catch (err) {
+      this.error('[PRIMARY] Error ensuring sub-devices:', err);
+    }
+  }
+
+  /**
+   * Mark app commands on the primary device before they reach the endpoint,
+   * so PhysicalButtonMixin does not report them as physical presses
+   */
+  async _setGangOnOff(gang, value) {
+    this.markAppCommand(gang);
+    return super._setGangOnOff(gang, value);
+  }
+
+  /**
+   * Route bound-cluster commands on the primary device into physical press detection
+   * (HybridSwitchBase installs the BoundCluster for bseed_ts0726_4gang devices)
+   */
+  _onPhysicalCommand(gang, value) {
+    const state = this._physicalButtonState?.[gang];
+    if (!state || state.lastState === value) return;
+    this._handleAttributeReport(gang, value);
+  }
+
+  /**
+   * Map basic on/off presses onto the driver's <driver_id>_turned_<on|off>_physical cards
+   * Other press types use the PhysicalButtonMixin naming
+   */
+  _triggerPhysicalFlow(gang, pressType, tokens = {}) {
+    if (pressType !== 'on' && pressType !== 'off') {
+      return super._triggerPhysicalFlow(gang, pressType, tokens);
+    }
+
+    const flowCardId = `${this.driver.id}_turned_${pressType}_physical`;
+    try {
+      this.homey.flow.getDeviceTriggerCard(flowCardId)
+        .trigger(this, {}, {})
+        .catch(err => this.error('Failed to trigger flow card:', err));
+    } catch (err) {
+      this.log(`[PHYSICAL] ℹ️ Flow card not available: ${flowCardId} (${err.message})`);
+    }
+  }
+
+  /**
+   * Multi-press cards of every gang are triggered on the primary device,
+   * flows select the gang with the card's gang argument
+   */
+  getPressFlowDevice() {
+    if (!this.isSubDevice()) return this;
+    return this._getSiblingDevices().find(device => !device.isSubDevice()) || this;
+  }
+
+  onDeleted() {
+    if (this._zclState?.timeout) {
+      clearTimeout(this._zclState.timeout);
+    }
+    super.onDeleted();
+  }
+
+}
+
+module.exports = SubDeviceSwitchBase;
+module.exports.SUB_DEVICE_IDS = SUB_DEVICE_IDS;
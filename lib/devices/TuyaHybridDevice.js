@@ -4,6 +4,7 @@ const { ZigBeeDevice } = require('homey-zigbeedriver');
 const { BoundCluster } = require('zigbee-clusters');
 const BatteryCalculator = require('../battery/BatteryCalculator');
 const { getAppVersionPrefixed } = require('../utils/AppVersion');
+const TuyaDPCodec = require('../tuya/TuyaDPCodec');
 const { IntelligentDeviceLearner } = require('../IntelligentDeviceLearner');
 
 /**
@@ -1635,37 +1636,12 @@ class TuyaHybridDevice extends ZigBeeDevice {
   }
 
   _buildDPPayload(dpId, value, dpType) {
-    let data;
-
-    switch (dpType) {
-      case TUYA_DP_TYPE.BOOL:
-        data = Buffer.alloc(1);
-        data.writeUInt8(value ? 1 : 0, 0);
-        break;
-      case TUYA_DP_TYPE.VALUE:
-        data = Buffer.alloc(4);
-        data.writeInt32BE(value, 0);
-        break;
-      case TUYA_DP_TYPE.ENUM:
-        data = Buffer.alloc(1);
-        data.writeUInt8(value, 0);
-        break;
-      default:
-        data = Buffer.from([value]);
-    }
-
     // [dpId:1][type:1][len:2][data:len]
-    const payload = Buffer.alloc(4 + data.length);
-    payload.writeUInt8(dpId, 0);
-    payload.writeUInt8(dpType, 1);
-    payload.writeUInt16BE(data.length, 2);
-    data.copy(payload, 4);
-
-    return payload;
+    return TuyaDPCodec.encodeRecord(dpId, value, dpType);
   }
 
   _getNextSeq() {
-    this._seq = ((this._seq || 0) + 1) % 65536;
+    this._seq = TuyaDPCodec.nextTransid();
     return this._seq;
   }
 
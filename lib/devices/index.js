@@ -24,6 +24,8 @@ module.exports = {
   HybridPlugBase: require('./HybridPlugBase'),
   HybridLightBase: require('./HybridLightBase'),
   HybridSwitchBase: require('./HybridSwitchBase'),
+  SubDeviceSwitchBase: require('./SubDeviceSwitchBase'),
+  MultiChannelDimmerBase: require('./MultiChannelDimmerBase'),
   HybridCoverBase: require('./HybridCoverBase'),
   HybridThermostatBase: require('./HybridThermostatBase'),
   
@@ -0,0 +1,202 @@
+'use strict';
+
+const DeviceDefinitions = require('../definitions/DeviceDefinitions');
+const { getManufacturer, getModelId } = require('../helpers/DeviceDataHelper');
+
+// Format of the report, raised when fields are renamed or removed
+const REPORT_VERSION = 1;
+
+// Errors kept per device (oldest dropped first)
+const MAX_ERRORS = 20;
+
+// Settings left out of the report (already in the report or too long)
+const EXCLUDED_SETTINGS = ['dp_capture_log'];
+
+/**
+ * Private: One line of text for the arguments of device.error()
+ */
+function formatError(args) {
+  return args.map((arg) => {
+    if (arg instanceof Error) return arg.message;
+    if (typeof arg === 'object' && arg !== null) {
+      try {
+        return JSON.stringify(arg);
+      } catch (err) {
+        return String(arg);
+      }
+    }
+    return String(arg);
+  }).join(' ');
+}
+
+/**
+ * DiagnosticReport - Per-device diagnostic report for bug reports
+ *
+ * Collects what the rest of the device does not keep: the last errors,
+ * the result of every cluster binding and reporting configuration.
+ * generate() adds what the device already knows:
+ * - identity: driver, manufacturerName, modelId, variant definition, app version
+ * - endpoints with their clusters and Homey-side bound clusters
+ * - protocol decision (ProtocolAutoOptimizer) and detected protocol
+ * - DP counters (TuyaDPRecorder.getStats()) and DP capture state
+ * - time sync format, timing profile, settings and capability values
+ *
+ * export() returns the report as JSON, used by the export flow card and the
+ * app settings page (api.js).
+ */
+class DiagnosticReport {
+
+  /**
+   * @param {ZigBeeDevice} device
+   */
+  constructor(device) {
+    this.device = device;
+    this.errors = [];
+    this.bindings = new Map();
+    this.reporting = new Map();
+  }
+
+  /**
+   * Remember an error, called with the arguments of device.error()
+   */
+  recordError(...args) {
+    this.errors.push({ time: new Date().toISOString(), message: formatError(args) });
+    if (this.errors.length > MAX_ERRORS) this.errors.shift();
+  }
+
+  /**
+   * Result of a cluster bind
+   * @param {number} endpoint
+   * @param {string} cluster
+   * @param {Error} [error] - Bind failure
+   */
+  recordBinding(endpoint, cluster, error) {
+    this.bindings.set(`${endpoint}.${cluster}`, this._status(endpoint, cluster, error));
+  }
+
+  /**
+   * Result of an attribute reporting configuration
+   * @param {number} endpoint
+   * @param {string} cluster
+   * @param {Error} [error] - configureReporting failure
+   */
+  recordReporting(endpoint, cluster, error) {
+    this.reporting.set(`${endpoint}.${cluster}`, this._status(endpoint, cluster, error));
+  }
+
+  /**
+   * @returns {object} the report
+   */
+  generate() {
+    const { device } = this;
+    const definition = device.deviceDefinition ?? DeviceDefinitions.forDevice(device);
+
+    return {
+      reportVersion: REPORT_VERSION,
+      generatedAt: new Date().toISOString(),
+      identity: {
+        name: device.getName(),
+        driver: device.driver?.id || null,
+        subDeviceId: device.getData().subDeviceId || null,
+        class: device.getClass?.() || null,
+        manufacturerName: getManufacturer(device),
+        modelId: getModelId(device),
+        definition: definition?.id || null,
+        appVersion: device.homey.manifest?.version || null,
+        available: device.getAvailable(),
+      },
+      endpoints: this._endpoints(),
+      protocol: this._protocol(definition),
+      dps: device.dpRecorder ? device.dpRecorder.getStats() : {},
+      dpCapture: device.dpRecorder
+        ? { enabled: device.dpRecorder.enabled, entries: device.dpRecorder.entries.length }
+        : null,
+      bindings: [...this.bindings.values()],
+      reporting: [...this.reporting.values()],
+      timeSync: this._timeSync(),
+      timing: device._timingProfile || definition?.timing || null,
+      capabilities: Object.fromEntries(device.getCapabilities().map(capability => [
+        capability, device.getCapabilityValue(capability),
+      ])),
+      settings: this._settings(),
+      errors: this.errors.slice(),
+    };
+  }
+
+  /**
+   * Report as JSON (export flow card, app settings page)
+   * @returns {string}
+   */
+  export() {
+    return JSON.stringify(this.generate(), null, 2);
+  }
+
+  /**
+   * Private: Status entry of a binding / reporting configuration
+   */
+  _status(endpoint, cluster, error) {
+    return {
+      endpoint,
+      cluster,
+      status: error ? 'failed' : 'ok',
+      error: error ? error.message || String(error) : null,
+      time: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Private: Clusters and bound clusters per endpoint
+   */
+  _endpoints() {
+    const endpoints = {};
+    for (const [id, endpoint] of Object.entries(this.device.zclNode?.endpoints || {})) {
+      endpoints[id] = {
+        clusters: Object.keys(endpoint.clusters || {}),
+        boundClusters: Object.keys(endpoint.bindings || {}),
+      };
+    }
+    return endpoints;
+  }
+
+  /**
+   * Private: Protocol of the definition, detected at init and decided by the optimizer
+   */
+  _protocol(definition) {
+    const { protocolOptimizer, _protocolInfo: detected } = this.device;
+    return {
+      definition: definition?.protocol || null,
+      detected: detected?.protocol || null,
+      hasTuyaCluster: Object.values(this.device.zclNode?.endpoints || {})
+        .some(endpoint => Boolean(endpoint.clusters?.tuya)),
+      mode: protocolOptimizer ? protocolOptimizer.getMode() : null,
+      optimizer: protocolOptimizer ? protocolOptimizer.getStats() : null,
+    };
+  }
+
+  /**
+   * Private: Time sync format and last push (TimeSyncService)
+   */
+  _timeSync() {
+    const { timeSync } = this.device;
+    if (!timeSync) return null;
+    return {
+      format: timeSync.getFormat(),
+      learnedFormat: timeSync.getLearnedFormat(),
+      lastSync: timeSync.lastSync ? new Date(timeSync.lastSync).toISOString() : null,
+    };
+  }
+
+  /**
+   * Private: Device settings without the excluded ones
+   */
+  _settings() {
+    const settings = { ...this.device.getSettings() };
+    EXCLUDED_SETTINGS.forEach(key => delete settings[key]);
+    return settings;
+  }
+
+}
+
+module.exports = DiagnosticReport;
+module.exports.REPORT_VERSION = REPORT_VERSION;
+module.exports.MAX_ERRORS = MAX_ERRORS;
@@ -0,0 +1,102 @@
+'use strict';
+
+const BaseZigBeeDriver = require('./BaseZigBeeDriver');
+
+/**
+ * MultiChannelDimmerDriver - Driver base for multi-channel Tuya dimmers with sub-devices
+ *
+ * Pairs with MultiChannelDimmerBase: one device card per channel via the
+ * driver.compose.json "devices" section, flow card IDs are derived from the
+ * driver id (<driver_id>_turned_on, <driver_id>_set_backlight, ...).
+ */
+class MultiChannelDimmerDriver extends BaseZigBeeDriver {
+
+  async onInit() {
+    const driverName = this.manifest?.name?.en || this.id;
+    this.log(`${driverName} Driver initialized`);
+    this._registerFlowCards();
+  }
+
+  /**
+   * Multi-channel dimmers always need their sub-devices
+   */
+  _shouldAllowSubDevices() {
+    return true;
+  }
+
+  /**
+   * Register flow cards for physical button triggers, backlight control, auto-off, DP capture and diagnostics export
+   */
+  _registerFlowCards() {
+    // Physical button triggers
+    try {
+      this.homey.flow.getDeviceTriggerCard(`${this.id}_turned_on`);
+      this.homey.flow.getDeviceTriggerCard(`${this.id}_turned_off`);
+      this.homey.flow.getDeviceTriggerCard(`${this.id}_brightness_increased`);
+      this.homey.flow.getDeviceTriggerCard(`${this.id}_brightness_decreased`);
+    } catch (err) {
+      this.error('Failed to register trigger cards:', err.message);
+    }
+
+    // ACTION: Set backlight mode
+    try {
+      this.homey.flow.getActionCard(`${this.id}_set_backlight`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          await args.device.setBacklightMode(args.mode);
+          await args.device.setSettings({ backlight_mode: args.mode }).catch(() => {});
+          return true;
+        });
+    } catch (err) {
+      this.error('Flow card registration failed:', err.message);
+    }
+
+    // ACTION: Turn on for a number of minutes (auto-off)
+    try {
+      this.homey.flow.getActionCard(`${this.id}_turn_on_for`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          await args.device.turnOnFor(args.minutes * 60);
+          return true;
+        });
+    } catch (err) {
+      this.error('Flow card registration failed:', err.message);
+    }
+
+    // ACTION: Export the DP capture as JSON (token)
+    try {
+      this.homey.flow.getActionCard(`${this.id}_export_dp_capture`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          return { capture: args.device.exportDPCapture() || '' };
+        });
+    } catch (err) {
+      this.error('Flow card registration failed:', err.message);
+    }
+
+    // ACTION: Export the diagnostic report as JSON (token)
+    try {
+      this.homey.flow.getActionCard(`${this.id}_export_diagnostics`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          return { report: args.device.exportDiagnostics() };
+        });
+    } catch (err) {
+      this.error('Flow card registration failed:', err.message);
+    }
+
+    // CONDITION: Auto-off timer is active
+    try {
+      this.homey.flow.getConditionCard(`${this.id}_countdown_active`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          return args.device.hasActiveCountdown();
+        });
+    } catch (err) {
+      this.error('Flow card registration failed:', err.message);
+    }
+  }
+
+}
+
+module.exports = MultiChannelDimmerDriver;
@@ -0,0 +1,40 @@
+'use strict';
+
+const WallSwitchDriver = require('./WallSwitchDriver');
+
+/**
+ * MultiGangSwitchDriver - Driver base for multi-gang switches with sub-devices
+ *
+ * Pairs with SubDeviceSwitchBase: sub-device support is configured via the
+ * driver.compose.json "devices" section, flow card IDs are derived from the
+ * driver id (<driver_id>_turned_on_physical, <driver_id>_set_backlight, ...).
+ */
+class MultiGangSwitchDriver extends WallSwitchDriver {
+
+  /**
+   * Multi-gang switches always need their sub-devices
+   */
+  _shouldAllowSubDevices() {
+    return true;
+  }
+
+  /**
+   * Press triggers fire on the primary device with the gang as state,
+   * flows select the gang with the card's gang argument
+   */
+  _registerFlowCards() {
+    super._registerFlowCards();
+
+    try {
+      for (const press of WallSwitchDriver.PRESS_TRIGGERS) {
+        this.homey.flow.getDeviceTriggerCard(`${this.id}_${press}`)
+          .registerRunListener(async (args, state) => Number(args.gang) === state.gang);
+      }
+    } catch (err) {
+      this.error('Failed to register trigger cards:', err.message);
+    }
+  }
+
+}
+
+module.exports = MultiGangSwitchDriver;
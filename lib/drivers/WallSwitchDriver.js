@@ -0,0 +1,210 @@
+'use strict';
+
+const BaseZigBeeDriver = require('./BaseZigBeeDriver');
+
+/**
+ * WallSwitchDriver - Driver base for the wall switches
+ *
+ * Registers the flow cards every wall switch driver declares in its
+ * driver.flow.compose.json, flow card IDs are derived from the driver id
+ * (<driver_id>_set_backlight, <driver_id>_turn_on_for, ...).
+ */
+class WallSwitchDriver extends BaseZigBeeDriver {
+
+  async onInit() {
+    const driverName = this.manifest?.name?.en || this.id;
+    this.log(`${driverName} Driver initialized`);
+    this._registerFlowCards();
+  }
+
+  /**
+   * Single / double / triple / long press trigger cards (<driver_id>_<press>)
+   */
+  static get PRESS_TRIGGERS() {
+    return ['single_press', 'double_press', 'triple_press', 'long_press'];
+  }
+
+  /**
+   * Physical button trigger cards (<driver_id>_<trigger>), override when a driver names them differently
+   */
+  get physicalTriggers() {
+    return ['turned_on_physical', 'turned_off_physical'];
+  }
+
+  /**
+   * Register flow cards for physical button and multi-press triggers, backlight control, child lock, auto-off, pulse, direct binding, protocol re-learn, DP capture and diagnostics export
+   */
+  _registerFlowCards() {
+    // Physical button and single / double / triple / long press triggers
+    try {
+      for (const trigger of [...this.physicalTriggers, ...WallSwitchDriver.PRESS_TRIGGERS]) {
+        this.homey.flow.getDeviceTriggerCard(`${this.id}_${trigger}`);
+      }
+    } catch (err) {
+      this.error('Failed to register trigger cards:', err.message);
+    }
+
+    // ACTION: Set backlight mode
+    try {
+      this.homey.flow.getActionCard(`${this.id}_set_backlight`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          await args.device.setBacklightMode(args.mode);
+          await args.device.setSettings({ backlight_mode: args.mode }).catch(() => {});
+          return true;
+        });
+    } catch (err) {
+      this.error('Flow card registration failed:', err.message);
+    }
+
+    // ACTIONS: Backlight colours, brightness and master switch
+    try {
+      this.homey.flow.getActionCard(`${this.id}_set_backlight_on_color`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          await args.device.setBacklightColor('on', args.color);
+          await args.device.setSettings({ backlight_on_color: args.color }).catch(() => {});
+          return true;
+        });
+
+      this.homey.flow.getActionCard(`${this.id}_set_backlight_off_color`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          await args.device.setBacklightColor('off', args.color);
+          await args.device.setSettings({ backlight_off_color: args.color }).catch(() => {});
+          return true;
+        });
+
+      this.homey.flow.getActionCard(`${this.id}_set_backlight_brightness`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          await args.device.setBacklightBrightness(args.brightness);
+          await args.device.setSettings({ backlight_brightness: args.brightness }).catch(() => {});
+          return true;
+        });
+
+      this.homey.flow.getActionCard(`${this.id}_set_backlight_enabled`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          const enabled = args.enabled === 'on';
+          await args.device.setBacklightEnabled(enabled);
+          await args.device.setSettings({ backlight_enabled: enabled }).catch(() => {});
+          return true;
+        });
+    } catch (err) {
+      this.error('Flow card registration failed:', err.message);
+    }
+
+    // ACTION + CONDITION: Child lock
+    try {
+      this.homey.flow.getActionCard(`${this.id}_set_child_lock`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          const locked = args.locked === 'on';
+          await args.device.setChildLock(locked);
+          await args.device.setSettings({ child_lock: locked }).catch(() => {});
+          return true;
+        });
+
+      this.homey.flow.getConditionCard(`${this.id}_child_lock_enabled`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          return args.device.getSetting('child_lock') === true;
+        });
+    } catch (err) {
+      this.error('Flow card registration failed:', err.message);
+    }
+
+    // ACTION: Turn on for a number of minutes (auto-off)
+    try {
+      this.homey.flow.getActionCard(`${this.id}_turn_on_for`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          await args.device.turnOnFor(args.minutes * 60);
+          return true;
+        });
+    } catch (err) {
+      this.error('Flow card registration failed:', err.message);
+    }
+
+    // ACTION: Pulse gang (inching)
+    try {
+      this.homey.flow.getActionCard(`${this.id}_pulse`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          await args.device.pulse();
+          return true;
+        });
+    } catch (err) {
+      this.error('Flow card registration failed:', err.message);
+    }
+
+    // ACTIONS: Zigbee direct binding of the gang (bind / unbind / list bindings)
+    try {
+      this.homey.flow.getActionCard(`${this.id}_bind_gang`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          return args.device.bindGang(args.target);
+        });
+      this.homey.flow.getActionCard(`${this.id}_unbind_gang`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          return args.device.unbindGang(args.target);
+        });
+      this.homey.flow.getActionCard(`${this.id}_list_bindings`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          return { bindings: await args.device.listBindings() };
+        });
+    } catch (err) {
+      this.error('Flow card registration failed:', err.message);
+    }
+
+    // ACTION: Re-learn protocol (ProtocolAutoOptimizer reset)
+    try {
+      this.homey.flow.getActionCard(`${this.id}_relearn_protocol`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          return args.device.relearnProtocol();
+        });
+    } catch (err) {
+      this.error('Flow card registration failed:', err.message);
+    }
+
+    // ACTION: Export the DP capture as JSON (token)
+    try {
+      this.homey.flow.getActionCard(`${this.id}_export_dp_capture`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          return { capture: args.device.exportDPCapture() || '' };
+        });
+    } catch (err) {
+      this.error('Flow card registration failed:', err.message);
+    }
+
+    // ACTION: Export the diagnostic report as JSON (token)
+    try {
+      this.homey.flow.getActionCard(`${this.id}_export_diagnostics`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          return { report: args.device.exportDiagnostics() };
+        });
+    } catch (err) {
+      this.error('Flow card registration failed:', err.message);
+    }
+
+    // CONDITION: Auto-off timer is active
+    try {
+      this.homey.flow.getConditionCard(`${this.id}_countdown_active`)
+        .registerRunListener(async (args) => {
+          if (!args.device) return false;
+          return args.device.hasActiveCountdown();
+        });
+    } catch (err) {
+      this.error('Flow card registration failed:', err.message);
+    }
+  }
+
+}
+
+module.exports = WallSwitchDriver;
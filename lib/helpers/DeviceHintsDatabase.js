@@ -1,10 +1,13 @@
 'use strict';
 
+const DeviceDefinitions = require('../definitions/DeviceDefinitions');
+
 /**
  * DeviceHintsDatabase - Comprehensive fingerprint → driver mapping
  *
  * Maps all known Tuya/Zigbee manufacturer IDs to recommended drivers.
  * Used by SmartAdapt and DeviceIdentificationDatabase for accurate matching.
+ * BSEED variants paired by this app come from lib/definitions/devices.
  */
 
 const DEVICE_HINTS = {
@@ -420,6 +423,25 @@ const DEVICE_HINTS = {
   }
 };
 
+// Definition fields → hint vocabulary
+const DEFINITION_DEVICE_TYPES = { switch: 'switch', dimmer: 'light' };
+const DEFINITION_PROTOCOLS = { zcl: 'zigbee_standard', tuya_dp: 'tuya_dp', mixed: 'hybrid' };
+
+// BSEED variants paired by this app, the definition is the single source
+for (const definition of DeviceDefinitions.all()) {
+  for (const manufacturerName of definition.manufacturerName) {
+    DEVICE_HINTS[manufacturerName] = {
+      driverId: definition.driver,
+      deviceType: DEFINITION_DEVICE_TYPES[definition.deviceType],
+      protocol: DEFINITION_PROTOCOLS[definition.protocol],
+      productId: definition.productId[0],
+      description: `${definition.brand} ${definition.description || definition.id}`,
+      endpoints: [...new Set(definition.gangs.map(gang => gang.endpoint))],
+      definition: definition.id
+    };
+  }
+}
+
 /**
  * Get device hint by manufacturer name
  */
@@ -5,6 +5,8 @@
  * Universal initialization for ZCL, Tuya DP, and Hybrid protocols
  */
 
+const TuyaDPCodec = require('../tuya/TuyaDPCodec');
+
 const PROTOCOL = {
   ZCL: 'ZCL_ONLY',
   TUYA: 'TUYA_DP', 
@@ -59,19 +61,8 @@ async function initTuyaDP(device, zclNode) {
 async function sendTuyaDP(device, dp, value, type = 'bool') {
   const tuya = device._tuyaCluster;
   if (!tuya?.datapoint) return false;
-  
-  const typeMap = { bool: 1, value: 2, string: 3, enum: 4 };
-  const dt = typeMap[type] || 1;
-  let buf;
-  
-  if (type === 'bool') buf = Buffer.from([value ? 1 : 0]);
-  else if (type === 'enum') buf = Buffer.from([value]);
-  else if (type === 'value') {
-    buf = Buffer.alloc(4);
-    buf.writeUInt32BE(value);
-  } else buf = Buffer.from(String(value));
-  
-  await tuya.datapoint({ dp, datatype: dt, data: buf });
+
+  await TuyaDPCodec.sendDatapoint(tuya, dp, value, type);
   return true;
 }
 
@@ -9,20 +9,71 @@
  * 
  * This is NATIVE Zigbee functionality, not Tuya DP!
  * Works on any device with OnOff cluster supporting these attributes.
+ * Devices without a readable onTime fall back to the Tuya countdown DP
+ * (options.writeDP, e.g. HybridSwitchBase.setCountdown → DP7-10).
  * 
  * Source: D:\Download\loic\Bseed 2gang switch interview report.rtf
  * Device: _TZ3000_l9brjwau (TS0002)
  */
 
+const { writeAttributesChecked } = require('../utils/clusterUtils');
+
+// Interval for refreshing the remaining-time capability while a countdown runs
+const TICK_INTERVAL_MS = 5000;
+
 class CountdownTimerManager {
   
-  constructor(device) {
+  /**
+   * @param {ZigBeeDevice} device - Homey ZigBee device instance
+   * @param {object} [options]
+   * @param {Function} [options.writeDP] - async (gang, seconds) writing the Tuya countdown DP
+   * @param {Function} [options.turnOn] - async (gang) switching the gang on (default: onoff capability listener)
+   * @param {Function} [options.endpointOf] - (gang) → endpoint carrying the gang's onOff cluster (default: gang N on endpoint N)
+   * @param {string} [options.capability] - Capability showing the remaining seconds
+   */
+  constructor(device, options = {}) {
     this.device = device;
+    this.options = options;
     this.activeTimers = new Map();
+    this.protocols = new Map();
     this.log = device.log.bind(device);
     this.error = device.error.bind(device);
   }
   
+  /**
+   * Detect which countdown implementation a gang supports
+   * @param {number} gang - Gang number
+   * @returns {Promise<string|null>} 'zcl', 'tuya_dp' or null
+   */
+  async detectProtocol(gang) {
+    if (this.protocols.has(gang)) return this.protocols.get(gang);
+
+    let protocol = null;
+    const onOffCluster = this.device.zclNode?.endpoints?.[this._endpointOf(gang)]?.clusters?.onOff;
+
+    if (onOffCluster && !this.device._isPureTuyaDP) {
+      try {
+        // Unsupported attributes are left out of the read result
+        const attributes = await onOffCluster.readAttributes(['onTime']);
+        if ('onTime' in attributes) {
+          protocol = 'zcl';
+        } else {
+          this.log(`[COUNTDOWN] Gang ${gang} has no onTime attribute`);
+        }
+      } catch (err) {
+        this.log(`[COUNTDOWN] Gang ${gang} onTime not readable: ${err.message}`);
+      }
+    }
+
+    if (!protocol && typeof this.options.writeDP === 'function') {
+      protocol = 'tuya_dp';
+    }
+
+    this.log(`[COUNTDOWN] Gang ${gang} countdown protocol: ${protocol || 'unsupported'}`);
+    this.protocols.set(gang, protocol);
+    return protocol;
+  }
+
   /**
    * Set countdown timer for a gang/endpoint
    * @param {number} gang - Gang/endpoint number (1, 2, 3, etc.)
@@ -36,35 +87,31 @@ class CountdownTimerManager {
         throw new Error(`Invalid duration: ${seconds}s (must be 0-86400)`);
       }
       
-      const endpoint = this.device.zclNode.endpoints[gang];
-      
-      if (!endpoint) {
-        throw new Error(`Endpoint ${gang} not found`);
-      }
-      
-      if (!endpoint.clusters.onOff) {
-        throw new Error(`Endpoint ${gang} has no OnOff cluster`);
+      const protocol = await this.detectProtocol(gang);
+      if (!protocol) {
+        throw new Error(`Gang ${gang} does not support a countdown timer`);
       }
-      
-      this.log(`[COUNTDOWN] Setting gang ${gang} for ${seconds}s`);
-      
-      // Write onTime attribute (native Zigbee)
-      await endpoint.clusters.onOff.writeAttributes({
-        onTime: seconds
-      });
+
+      this.log(`[COUNTDOWN] Setting gang ${gang} for ${seconds}s (${protocol})`);
       
       if (seconds > 0) {
-        // Turn on the gang (countdown starts)
-        await endpoint.clusters.onOff.on();
-        
-        // Track timer locally
-        this.activeTimers.set(gang, {
-          startTime: Date.now(),
-          duration: seconds,
-          endTime: Date.now() + (seconds * 1000)
-        });
-        
-        this.log(`[COUNTDOWN] ✅ Gang ${gang} will turn off in ${seconds}s`);
+        // Track first so the resulting "on" report does not arm the auto-off
+        this._track(gang, seconds);
+
+        try {
+          if (protocol === 'zcl') {
+            // Write onTime attribute (native Zigbee), then turn on (countdown starts)
+            await this._writeTimer(gang, seconds, protocol);
+            await this._turnOn(gang);
+          } else {
+            // Tuya countdown toggles the relay when it expires: turn on first
+            await this._turnOn(gang);
+            await this._writeTimer(gang, seconds, protocol);
+          }
+        } catch (err) {
+          this._untrack(gang);
+          throw err;
+        }
         
         // Trigger flow card
         try {
@@ -78,12 +125,11 @@ class CountdownTimerManager {
           // Flow card may not exist yet
         }
         
-        // Schedule local callback (backup, Zigbee should handle it)
-        this._scheduleCallback(gang, seconds);
-        
       } else {
+        await this._writeTimer(gang, 0, protocol);
+
         // Clear countdown
-        this.activeTimers.delete(gang);
+        this._untrack(gang);
         this.log(`[COUNTDOWN] ✅ Gang ${gang} countdown cleared`);
         
         // Trigger flow card
@@ -102,6 +148,138 @@ class CountdownTimerManager {
       throw err;
     }
   }
+
+  /**
+   * Arm a countdown on a gang that is already on (auto-off)
+   * @param {number} gang - Gang number
+   * @param {number} seconds - Duration in seconds
+   * @returns {Promise<boolean>}
+   */
+  async armCountdown(gang, seconds) {
+    const protocol = await this.detectProtocol(gang);
+    if (!protocol) return false;
+
+    this._track(gang, seconds);
+    try {
+      await this._writeTimer(gang, seconds, protocol);
+    } catch (err) {
+      this._untrack(gang);
+      throw err;
+    }
+    return true;
+  }
+
+  /**
+   * Feed on/off state changes of a gang (reports, physical presses, app commands)
+   * Arms the auto-off countdown when the gang turns on, stops tracking when it turns off
+   * @param {number} gang - Gang number
+   * @param {boolean} isOn - New state
+   * @param {number} autoOffSeconds - auto_off setting (0 = disabled)
+   */
+  handleStateChange(gang, isOn, autoOffSeconds = 0) {
+    if (!isOn) {
+      if (this.activeTimers.has(gang)) {
+        this._untrack(gang);
+        this.log(`[COUNTDOWN] Gang ${gang} turned off, countdown ended`);
+      }
+      return;
+    }
+
+    if (autoOffSeconds > 0 && !this.hasActiveCountdown(gang)) {
+      this.log(`[COUNTDOWN] Gang ${gang} turned on, auto-off in ${autoOffSeconds}s`);
+      this.armCountdown(gang, autoOffSeconds).catch(err => {
+        this.error(`[COUNTDOWN] Auto-off failed for gang ${gang}:`, err.message);
+      });
+    }
+  }
+
+  /**
+   * Private: Write the countdown to the device
+   */
+  async _writeTimer(gang, seconds, protocol) {
+    if (protocol === 'zcl') {
+      await writeAttributesChecked(this.device.zclNode.endpoints[this._endpointOf(gang)].clusters.onOff, {
+        onTime: seconds
+      });
+    } else {
+      await this.options.writeDP(gang, seconds);
+    }
+  }
+
+  /**
+   * Private: Endpoint of a gang
+   */
+  _endpointOf(gang) {
+    if (typeof this.options.endpointOf === 'function') {
+      return this.options.endpointOf(gang);
+    }
+    return gang;
+  }
+
+  /**
+   * Private: Switch the gang on through the device's own command path
+   */
+  async _turnOn(gang) {
+    if (typeof this.options.turnOn === 'function') {
+      return this.options.turnOn(gang);
+    }
+    return this.device.triggerCapabilityListener('onoff', true);
+  }
+
+  /**
+   * Private: Track timer locally
+   */
+  _track(gang, seconds) {
+    this.activeTimers.set(gang, {
+      startTime: Date.now(),
+      duration: seconds,
+      endTime: Date.now() + (seconds * 1000)
+    });
+
+    this.log(`[COUNTDOWN] ✅ Gang ${gang} will turn off in ${seconds}s`);
+
+    // Schedule local callback (backup, Zigbee should handle it)
+    this._scheduleCallback(gang, seconds);
+    this._startTicker();
+  }
+
+  /**
+   * Private: Stop tracking a timer
+   */
+  _untrack(gang) {
+    this.activeTimers.delete(gang);
+    if (this._timeouts && this._timeouts[gang]) {
+      this.device.homey.clearTimeout(this._timeouts[gang]);
+      delete this._timeouts[gang];
+    }
+    this._updateCapability();
+  }
+
+  /**
+   * Private: Refresh the remaining-time capability while timers are active
+   */
+  _startTicker() {
+    this._updateCapability();
+    if (this._ticker || !this.options.capability) return;
+
+    this._ticker = this.device.homey.setInterval(() => {
+      this._updateCapability();
+      if (this.activeTimers.size === 0) {
+        this.device.homey.clearInterval(this._ticker);
+        this._ticker = null;
+      }
+    }, TICK_INTERVAL_MS);
+  }
+
+  _updateCapability() {
+    const { capability } = this.options;
+    if (!capability || !this.device.hasCapability(capability)) return;
+
+    const remaining = Math.max(0, ...Array.from(this.activeTimers.keys(), gang => this.getRemaining(gang)));
+    if (this.device.getCapabilityValue(capability) !== remaining) {
+      this.device.setCapabilityValue(capability, remaining).catch(() => {});
+    }
+  }
   
   /**
    * Get remaining time for a gang
@@ -198,6 +376,7 @@ class CountdownTimerManager {
       
       // Remove from active timers
       this.activeTimers.delete(gang);
+      this._updateCapability();
       
       // Trigger flow card
       try {
@@ -225,6 +404,11 @@ class CountdownTimerManager {
       this._timeouts = {};
     }
     
+    if (this._ticker) {
+      this.device.homey.clearInterval(this._ticker);
+      this._ticker = null;
+    }
+
     // Clear active timers
     this.activeTimers.clear();
     
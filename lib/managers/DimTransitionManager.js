@@ -0,0 +1,99 @@
+'use strict';
+
+// Minimum time between brightness writes while fading (keeps the Tuya DP rate sane)
+const STEP_INTERVAL_MS = 300;
+
+/**
+ * DimTransitionManager - Smooth brightness transitions for Tuya DP dimmers
+ *
+ * Tuya TS0601 dimmers apply a brightness DP write instantly and have no
+ * transition time DP. Transitions are emulated by writing intermediate
+ * brightness values.
+ *
+ * A new transition (or cancel()) stops the running fade before its next step.
+ */
+class DimTransitionManager {
+
+  /**
+   * @param {ZigBeeDevice} device - Homey ZigBee device instance
+   * @param {object} options
+   * @param {Function} options.writeBrightness - async (dim 0-1) writing the brightness DP
+   */
+  constructor(device, options) {
+    this.device = device;
+    this.options = options;
+    this.log = device.log.bind(device);
+    this._generation = 0;
+    this._pendingStep = null;
+  }
+
+  /**
+   * Move brightness from `from` to `to` over `durationMs`
+   * @param {number|null} from - Current dim value (0-1), null if unknown
+   * @param {number} to - Target dim value (0-1)
+   * @param {number} [durationMs] - Transition time, 0 = instant
+   * @returns {Promise<boolean>} false when cancelled by a newer command
+   */
+  async transition(from, to, durationMs = 0) {
+    this.cancel();
+    const generation = this._generation;
+    const cancelled = () => generation !== this._generation;
+
+    if (!durationMs || durationMs < STEP_INTERVAL_MS || typeof from !== 'number' || from === to) {
+      await this.options.writeBrightness(to);
+      return true;
+    }
+
+    const steps = Math.round(durationMs / STEP_INTERVAL_MS);
+    const interval = durationMs / steps;
+    this.log(`[DIM-TRANSITION] ${from} → ${to} in ${durationMs}ms (${steps} steps)`);
+
+    for (let step = 1; step <= steps; step++) {
+      if (step > 1) {
+        if (cancelled()) break;
+        await this._wait(interval);
+      }
+      if (cancelled()) break;
+
+      const value = step === steps ? to : from + ((to - from) * step) / steps;
+      await this.options.writeBrightness(value);
+    }
+
+    if (cancelled()) {
+      this.log('[DIM-TRANSITION] Cancelled by a newer command');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Stop the running transition (brightness stays at the last written step)
+   */
+  cancel() {
+    this._generation++;
+    if (this._pendingStep) {
+      this.device.homey.clearTimeout(this._pendingStep.timeout);
+      this._pendingStep.resolve();
+      this._pendingStep = null;
+    }
+  }
+
+  /**
+   * Private: Wait for the next step, resolved early by cancel()
+   */
+  _wait(ms) {
+    return new Promise((resolve) => {
+      const timeout = this.device.homey.setTimeout(() => {
+        this._pendingStep = null;
+        resolve();
+      }, ms);
+      this._pendingStep = { timeout, resolve };
+    });
+  }
+
+  destroy() {
+    this.cancel();
+  }
+}
+
+module.exports = DimTransitionManager;
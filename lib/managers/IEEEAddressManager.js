@@ -382,6 +382,9 @@ class IEEEAddressManager {
       return null;
     }
 
+    // Tokens and other ids are not IEEE addresses
+    if (!/^[0-9a-f]{1,16}$/i.test(hexStr)) return null;
+
     // Ensure 16 characters (8 bytes)
     hexStr = hexStr.toLowerCase().padStart(16, '0').slice(-16);
     
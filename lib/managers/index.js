@@ -12,6 +12,7 @@ module.exports = {
   PowerManager: require('./PowerManager'),
   OTAManager: require('./OTAManager'),
   CountdownTimerManager: require('./CountdownTimerManager'),
+  DimTransitionManager: require('./DimTransitionManager'),
   EnergyManager: require('./EnergyManager'),
   HybridEnergyManager: require('./HybridEnergyManager'),
   
@@ -1,5 +1,8 @@
 'use strict';
 
+const DeviceDefinitions = require('../definitions/DeviceDefinitions');
+const { getModelId } = require('../helpers/DeviceDataHelper');
+
 /**
  * ╔══════════════════════════════════════════════════════════════════════════════╗
  * ║   PhysicalButtonMixin v5.5.896 - Advanced Physical Button Detection         ║
@@ -29,15 +32,9 @@ const DEVICE_PROFILES = {
   // ════════════════════════════════════════════════════════════════════════════
   // BSEED Switches - Use ZCL only, clusters 0xE000/0xE001, slow response
   // From: PR #116, forum diagnostics, Blakadder database
+  // Variants paired by this app (TS0001, TS0726, ...) are defined in
+  // lib/definitions/devices, these are only known from other integrations
   // ════════════════════════════════════════════════════════════════════════════
-  '_TZ3000_blhvsaqf': { 
-    appCommandWindow: 2000, doubleClickWindow: 500, longPressThreshold: 800,
-    protocol: 'zcl_only', customClusters: [0xE000, 0xE001], brand: 'BSEED'
-  },
-  '_TZ3000_ysdv91bk': { 
-    appCommandWindow: 2000, doubleClickWindow: 500, longPressThreshold: 800,
-    protocol: 'zcl_only', customClusters: [0xE000, 0xE001], brand: 'BSEED'
-  },
   '_TZ3000_hafsqare': { 
     appCommandWindow: 2000, doubleClickWindow: 500, longPressThreshold: 800,
     protocol: 'zcl_only', customClusters: [0xE000, 0xE001], brand: 'BSEED'
@@ -96,21 +93,6 @@ const DEVICE_PROFILES = {
     protocol: 'tuya_dp', brand: 'Lonsonho'
   },
 
-  // ════════════════════════════════════════════════════════════════════════════
-  // TS0726 - BSEED 4-gang with special bindings (Hartmut_Dunker forum)
-  // Needs explicit onOff cluster binding per endpoint
-  // ════════════════════════════════════════════════════════════════════════════
-  '_TZ3002_pzao9ls1': { 
-    appCommandWindow: 2000, doubleClickWindow: 500, longPressThreshold: 800,
-    protocol: 'zcl_only', brand: 'BSEED', productId: 'TS0726',
-    requiresExplicitBinding: true
-  },
-  '_TZ3002_vaq2bfcu': { 
-    appCommandWindow: 2000, doubleClickWindow: 500, longPressThreshold: 800,
-    protocol: 'zcl_only', brand: 'BSEED', productId: 'TS0726',
-    requiresExplicitBinding: true
-  },
-
   // ════════════════════════════════════════════════════════════════════════════
   // HOBEIAN Switches - User reports from forum
   // ════════════════════════════════════════════════════════════════════════════
@@ -128,6 +110,21 @@ const DEVICE_PROFILES = {
   }
 };
 
+// Definition protocol (lib/definitions) → profile protocol
+const DEFINITION_PROTOCOLS = { zcl: 'zcl_only', tuya_dp: 'tuya_dp', mixed: 'hybrid' };
+
+// Margin around an expected automatic off (inching pulse), covers report latency
+const AUTO_OFF_TOLERANCE_MS = 2000;
+
+// A release later than this after the press is a separate press, not a hold
+const LONG_PRESS_MAX_MS = 3000;
+
+// Press type → <driver_id>_<card> trigger of the press flow cards
+const PRESS_CARDS = { single: 'single_press', double: 'double_press', triple: 'triple_press', long_press: 'long_press' };
+
+// Presses token of the single / double / triple press cards
+const PRESS_COUNTS = { single: 1, double: 2, triple: 3 };
+
 const PhysicalButtonMixin = (SuperClass) => class extends SuperClass {
 
   /**
@@ -142,23 +139,12 @@ const PhysicalButtonMixin = (SuperClass) => class extends SuperClass {
       return;
     }
 
-    // Get timing profile from settings or manufacturer defaults
-    this._timingProfile = this._getTimingProfile();
-
     // Initialize tracking per gang
     const gangCount = this.gangCount || 1;
     this._physicalButtonState = {};
 
     for (let gang = 1; gang <= gangCount; gang++) {
-      this._physicalButtonState[gang] = {
-        lastState: null,
-        appCommandPending: false,
-        appCommandTimeout: null,
-        pressStartTime: null,
-        clickCount: 0,
-        clickTimeout: null,
-        lastClickTime: 0
-      };
+      this._initPressState(gang);
     }
 
     // Setup detection for each endpoint
@@ -169,6 +155,30 @@ const PhysicalButtonMixin = (SuperClass) => class extends SuperClass {
     this.log(`[PHYSICAL] ✅ Initialized for ${gangCount} gang(s)`);
   }
 
+  /**
+   * Start press tracking for a gang, with the timing profile of the device
+   * Devices reporting their gang themselves (sub-devices) feed it through _detectPress()
+   */
+  _initPressState(gang) {
+    if (!this._timingProfile) {
+      // Timing profile from settings or manufacturer defaults
+      this._timingProfile = this._getTimingProfile();
+    }
+    if (!this._physicalButtonState) {
+      this._physicalButtonState = {};
+    }
+
+    this._physicalButtonState[gang] = {
+      lastState: null,
+      appCommandPending: false,
+      appCommandTimeout: null,
+      pressStartTime: null,
+      clickCount: 0,
+      clickTimeout: null,
+      lastClickTime: 0
+    };
+  }
+
   /**
    * Get the full device profile for this manufacturer
    * Returns profile with timing, protocol, and special flags
@@ -180,6 +190,25 @@ const PhysicalButtonMixin = (SuperClass) => class extends SuperClass {
                              this.getStoreValue?.('manufacturerName') ||
                              this.zclNode?.endpoints?.[1]?.clusters?.basic?.attributes?.manufacturerName ||
                              '';
+
+    // Declarative definition of a BSEED variant paired by this app
+    const productId = getModelId(this);
+    const definition = DeviceDefinitions.find(manufacturerName, productId);
+    if (definition) {
+      return {
+        ...DEVICE_PROFILES.default,
+        ...definition.timing,
+        protocol: DEFINITION_PROTOCOLS[definition.protocol],
+        brand: definition.brand,
+        productId: productId || definition.productId[0],
+        customClusters: definition.customClusters ? [...definition.customClusters] : undefined,
+        perEndpointControl: definition.perEndpointControl === true,
+        requiresExplicitBinding: definition.requiresExplicitBinding === true,
+        definition: definition.id,
+        manufacturerName: definition.manufacturerName.find(name => name.toLowerCase() === manufacturerName.toLowerCase()),
+        detectedName: manufacturerName
+      };
+    }
     
     // Check for match in device profiles
     for (const [mfr, profile] of Object.entries(DEVICE_PROFILES)) {
@@ -284,38 +313,46 @@ const PhysicalButtonMixin = (SuperClass) => class extends SuperClass {
   _handleAttributeReport(gang, value) {
     const state = this._physicalButtonState[gang];
     const now = Date.now();
-    const isPhysical = !state.appCommandPending;
+    const isAutoOff = this.isExpectedAutoOff(gang, value);
+    const isPhysical = !state.appCommandPending && !isAutoOff;
 
-    this.log(`[PHYSICAL] Gang ${gang}: ${state.lastState} → ${value} (${isPhysical ? 'PHYSICAL' : 'APP'})`);
+    this.log(`[PHYSICAL] Gang ${gang}: ${state.lastState} → ${value} (${isAutoOff ? 'AUTO-OFF' : isPhysical ? 'PHYSICAL' : 'APP'})`);
 
     // Update state
     const previousState = state.lastState;
     state.lastState = value;
 
+    // The off ending a pulse is not a button release
+    if (isAutoOff) {
+      state.pressStartTime = null;
+    }
+
     // Only process physical button presses
     if (!isPhysical) return;
 
-    // Detect press type
-    if (value === true) {
-      // Button pressed ON - start tracking
-      state.pressStartTime = now;
-      state.clickCount++;
-      
-      // Clear previous click timeout
-      if (state.clickTimeout) {
-        clearTimeout(state.clickTimeout);
-      }
+    this._detectPress(gang, value, now);
+
+    // Always trigger basic on/off flow
+    this._triggerPhysicalFlow(gang, value ? 'on' : 'off', {});
+  }
 
-      // Set timeout to finalize click detection
-      state.clickTimeout = setTimeout(() => {
-        this._finalizeClickDetection(gang);
-      }, this._timingProfile.doubleClickWindow);
+  /**
+   * Count clicks and measure holds of a physical press
+   * Wall switch relays toggle on every press, so every physical report is a
+   * click. Single / double / triple presses are triggered once the double click
+   * window is over; an on → off between longPressThreshold and
+   * LONG_PRESS_MAX_MS is a long press (hold and release) instead.
+   */
+  _detectPress(gang, value, now = Date.now()) {
+    const state = this._physicalButtonState?.[gang];
+    if (!state) return;
 
-    } else if (value === false && state.pressStartTime) {
+    if (value === false && state.pressStartTime) {
       // Button released OFF - calculate press duration
       const pressDuration = now - state.pressStartTime;
-      
-      if (pressDuration >= this._timingProfile.longPressThreshold) {
+      state.pressStartTime = null;
+
+      if (pressDuration >= this._timingProfile.longPressThreshold && pressDuration < LONG_PRESS_MAX_MS) {
         // Long press detected
         this._triggerPhysicalFlow(gang, 'long_press', { duration: pressDuration });
         state.clickCount = 0; // Reset click count
@@ -323,13 +360,25 @@ const PhysicalButtonMixin = (SuperClass) => class extends SuperClass {
           clearTimeout(state.clickTimeout);
           state.clickTimeout = null;
         }
+        return;
       }
-      
-      state.pressStartTime = null;
+    } else if (value === true) {
+      // Button pressed ON - start tracking
+      state.pressStartTime = now;
     }
 
-    // Always trigger basic on/off flow
-    this._triggerPhysicalFlow(gang, value ? 'on' : 'off', {});
+    state.clickCount++;
+    state.lastClickTime = now;
+
+    // Clear previous click timeout
+    if (state.clickTimeout) {
+      clearTimeout(state.clickTimeout);
+    }
+
+    // Set timeout to finalize click detection
+    state.clickTimeout = setTimeout(() => {
+      this._finalizeClickDetection(gang);
+    }, this._timingProfile.doubleClickWindow);
   }
 
   /**
@@ -356,6 +405,11 @@ const PhysicalButtonMixin = (SuperClass) => class extends SuperClass {
    * Trigger a physical button flow card
    */
   _triggerPhysicalFlow(gang, pressType, tokens = {}) {
+    if (PRESS_CARDS[pressType]) {
+      this._triggerPressFlow(gang, pressType, tokens);
+      return;
+    }
+
     const gangCount = this.gangCount || 1;
     const driverId = this.driver?.id || 'switch_1gang';
     
@@ -398,6 +452,55 @@ const PhysicalButtonMixin = (SuperClass) => class extends SuperClass {
     }
   }
 
+  /**
+   * Trigger <driver_id>_single_press / _double_press / _triple_press / _long_press
+   * Tokens: presses (single / double / triple) or duration in seconds (long press),
+   * state { gang } is compared with the gang argument of multi-gang drivers
+   */
+  _triggerPressFlow(gang, pressType, tokens = {}) {
+    const flowCardId = `${this.driver?.id}_${PRESS_CARDS[pressType]}`;
+    const flowTokens = pressType === 'long_press'
+      ? { duration: Math.round((tokens.duration || 0) / 100) / 10 }
+      : { presses: tokens.clicks || PRESS_COUNTS[pressType] };
+
+    this.log(`[PHYSICAL] 🔘 Triggering: ${flowCardId} (gang ${gang})`);
+
+    try {
+      this.homey.flow.getDeviceTriggerCard(flowCardId)
+        .trigger(this.getPressFlowDevice(), flowTokens, { gang })
+        .catch(err => this.log(`[PHYSICAL] ⚠️ Trigger failed: ${err.message}`));
+    } catch (err) {
+      this.log(`[PHYSICAL] ℹ️ Flow card not available: ${flowCardId} (${err.message})`);
+    }
+  }
+
+  /**
+   * Press on a gang in decoupled mode (HybridSwitchBase): the relay keeps its
+   * state, so there is no report to detect the press from. Presses classified
+   * by the device (0xE000 frames) are triggered as they are, bare presses
+   * (onOff commands) are counted like clicks.
+   * @param {number} gang - Gang number
+   * @param {string} [pressType] - 'single', 'double' or 'long_press'
+   */
+  _onDecoupledPress(gang, pressType) {
+    if (!this._physicalButtonState?.[gang]) return;
+
+    this.log(`[PHYSICAL] Gang ${gang}: ${pressType || 'press'} (DECOUPLED)`);
+    if (pressType) {
+      this._triggerPressFlow(gang, pressType);
+    } else {
+      this._detectPress(gang, null);
+    }
+  }
+
+  /**
+   * Device the press cards are triggered on
+   * (override: the primary device of a switch with sub-devices)
+   */
+  getPressFlowDevice() {
+    return this;
+  }
+
   /**
    * Mark that an app command was sent (to distinguish from physical)
    * Call this before sending any command to the device
@@ -417,6 +520,39 @@ const PhysicalButtonMixin = (SuperClass) => class extends SuperClass {
     }, this._timingProfile.appCommandWindow);
   }
 
+  /**
+   * Announce the automatic off that ends an inching pulse on a gang,
+   * so it is not detected as a physical press
+   * @param {number} gang - Gang number
+   * @param {number} seconds - Pulse length
+   */
+  expectAutoOff(gang, seconds) {
+    if (!this._expectedAutoOff) {
+      this._expectedAutoOff = {};
+    }
+
+    const offAt = Date.now() + (seconds * 1000);
+    this._expectedAutoOff[gang] = {
+      from: offAt - AUTO_OFF_TOLERANCE_MS,
+      until: offAt + AUTO_OFF_TOLERANCE_MS
+    };
+  }
+
+  /**
+   * Check whether an off report is the announced end of a pulse
+   * The window is used up by the off report that matches it
+   */
+  isExpectedAutoOff(gang, value) {
+    const window = this._expectedAutoOff?.[gang];
+    if (value !== false || !window) return false;
+
+    const now = Date.now();
+    if (now < window.from || now > window.until) return false;
+
+    delete this._expectedAutoOff[gang];
+    return true;
+  }
+
   /**
    * Mark app command for all gangs
    */
@@ -1,5 +1,38 @@
 'use strict';
+
+/**
+ * Dim Converter
+ * Tuya brightness DP (10-1000) ↔ Homey dim (0-1)
+ *
+ * The mapping goes through DimmingCurve, so a device passing its
+ * DimmingCurve.fromSettings() options gets its dimming curve and
+ * max_brightness calibration applied in both directions.
+ */
+
+const DimmingCurve = require('../../utils/DimmingCurve');
+
+/**
+ * Convert from Tuya brightness to Homey dim
+ * @param {number} value - Tuya DP value (10-1000)
+ * @param {Object} options - DimmingCurve options (curve, gamma, maxBrightness)
+ * @returns {number} - 0-1
+ */
+function fromDP(value, options = {}) {
+  if (value == null || isNaN(value)) return null;
+  return DimmingCurve.tuyaToDim(Number(value), options);
+}
+
+/**
+ * Convert from Homey dim to Tuya brightness
+ * @param {number} value - 0-1
+ * @param {Object} options - DimmingCurve options (curve, gamma, maxBrightness)
+ * @returns {number} - Tuya DP value (10-1000)
+ */
+function toDP(value, options = {}) {
+  return DimmingCurve.dimToTuya(Number(value) || 0, options);
+}
+
 module.exports = {
-  fromDP(value) { return value; },
-  toDP(value) { return value; }
+  fromDP,
+  toDP
 };
@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * Enum Converter
+ * Tuya enum DP (0, 1, 2...) ↔ Homey enum id through the mapping of the DP
+ *
+ * "mapping": { "0": "stop", "1": "open", "2": "close" }
+ * Values missing from the mapping pass through unchanged.
+ */
+
+/**
+ * Convert from Tuya enum to Homey value
+ * @param {number} value - Tuya DP value
+ * @param {Object} options - Mapping options
+ * @param {Object} options.mapping - DP value → Homey value
+ * @returns {string|number}
+ */
+function fromDP(value, { mapping = {} } = {}) {
+  return Object.prototype.hasOwnProperty.call(mapping, String(value)) ? mapping[String(value)] : value;
+}
+
+/**
+ * Convert from Homey value to Tuya enum
+ * @param {string|number} value - Homey value
+ * @param {Object} options - Mapping options (mapping)
+ * @returns {number}
+ */
+function toDP(value, { mapping = {} } = {}) {
+  const key = Object.keys(mapping).find(dpValue => mapping[dpValue] === value);
+  return key !== undefined ? Number(key) : value;
+}
+
+module.exports = {
+  fromDP,
+  toDP
+};
@@ -1,5 +1,33 @@
 'use strict';
+
+/**
+ * Humidity Converter
+ * Tuya relative humidity (% or % * 10) ↔ Homey % (0-100)
+ */
+
+/**
+ * Convert from Tuya DP value to %
+ * @param {number} value - Tuya DP value
+ * @param {Object} options - Mapping options
+ * @param {number} options.scale - Divider (default: 1)
+ * @returns {number} - 0-100
+ */
+function fromDP(value, { scale = 1 } = {}) {
+  if (value == null || isNaN(value)) return null;
+  return Math.max(0, Math.min(100, value / scale));
+}
+
+/**
+ * Convert from % to Tuya DP value
+ * @param {number} value - 0-100
+ * @param {Object} options - Mapping options (scale)
+ * @returns {number} - Tuya DP value
+ */
+function toDP(value, { scale = 1 } = {}) {
+  return Math.round(Math.max(0, Math.min(100, value)) * scale);
+}
+
 module.exports = {
-  fromDP(value) { return value; },
-  toDP(value) { return value; }
+  fromDP,
+  toDP
 };
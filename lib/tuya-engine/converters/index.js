@@ -2,17 +2,19 @@
 
 /**
  * CONVERTERS INDEX
- * 
- * Export tous les converters disponibles
+ *
+ * Every converter exports fromDP(value, options) and toDP(value, options),
+ * options being the DP mapping of the profile (scale, offset, mapping...)
  */
 
 module.exports = {
   battery: require('./battery'),
-  illuminance: require('./illuminance'),
-  temperature: require('./temperature'),
+  dim: require('./dim'),
+  enum: require('./enum'),
   humidity: require('./humidity'),
+  illuminance: require('./illuminance'),
   onoff: require('./onoff'),
-  dim: require('./dim'),
-  cover: require('./cover'),
-  thermostat: require('./thermostat')
+  power: require('./power'),
+  scale: require('./scale'),
+  temperature: require('./temperature')
 };
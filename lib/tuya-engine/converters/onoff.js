@@ -1,5 +1,36 @@
 'use strict';
+
+/**
+ * On/Off Converter
+ * Tuya bool DP (true/false, some firmware 0/1) ↔ Homey boolean
+ *
+ * Also used for the alarm_* capabilities that come as a bool DP.
+ */
+
+/**
+ * Convert from Tuya DP value to Homey boolean
+ * @param {boolean|number} value - Tuya DP value
+ * @param {Object} options - Mapping options
+ * @param {boolean} options.invert - Reverse the logic (default: false)
+ * @returns {boolean}
+ */
+function fromDP(value, { invert = false } = {}) {
+  const state = value === true || value === 1;
+  return invert ? !state : state;
+}
+
+/**
+ * Convert from Homey boolean to Tuya DP value
+ * @param {boolean} value - Homey value
+ * @param {Object} options - Mapping options
+ * @param {boolean} options.invert - Reverse the logic (default: false)
+ * @returns {boolean}
+ */
+function toDP(value, { invert = false } = {}) {
+  return invert ? !value : Boolean(value);
+}
+
 module.exports = {
-  fromDP(value) { return value; },
-  toDP(value) { return value; }
+  fromDP,
+  toDP
 };
@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Power Converter
+ * Tuya sends power in deciwatts (W * 10) on most plugs
+ */
+
+/**
+ * Convert from Tuya DP value to W
+ * @param {number} value - Tuya DP value
+ * @param {Object} options - Mapping options
+ * @param {number} options.scale - Divider (default: 10)
+ * @returns {number} - Power in W
+ */
+function fromDP(value, { scale = 10 } = {}) {
+  if (value == null || isNaN(value)) return null;
+  return value / scale;
+}
+
+/**
+ * Convert from W to Tuya DP value
+ * @param {number} value - Power in W
+ * @param {Object} options - Mapping options (scale)
+ * @returns {number} - Tuya DP value
+ */
+function toDP(value, { scale = 10 } = {}) {
+  return Math.round(value * scale);
+}
+
+/**
+ * Validate a power value in W
+ * @param {*} value - Value to validate
+ * @returns {boolean}
+ */
+function validate(value) {
+  return typeof value === 'number' && value >= 0;
+}
+
+module.exports = {
+  fromDP,
+  toDP,
+  validate
+};
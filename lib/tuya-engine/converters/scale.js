@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * Scale Converter
+ * Generic value DP: Homey value = DP value / scale
+ *
+ * Covers current (mA), voltage (dV), energy, CO2, hue (0-360), saturation
+ * (0-1000), cover position (0-100) and any other linear DP. `invert` flips
+ * 0-1 values (Tuya colour temperature runs warm → cold, Homey cold → warm).
+ */
+
+/**
+ * Convert from Tuya DP value to Homey value
+ * @param {number} value - Tuya DP value
+ * @param {Object} options - Mapping options
+ * @param {number} options.scale - Divider (default: 1)
+ * @param {boolean} options.invert - Return 1 - value (default: false)
+ * @returns {number}
+ */
+function fromDP(value, { scale = 1, invert = false } = {}) {
+  if (value == null || isNaN(value)) return null;
+  const result = value / scale;
+  return invert ? 1 - result : result;
+}
+
+/**
+ * Convert from Homey value to Tuya DP value
+ * @param {number} value - Homey value
+ * @param {Object} options - Mapping options (scale, invert)
+ * @returns {number} - Tuya DP value
+ */
+function toDP(value, { scale = 1, invert = false } = {}) {
+  return Math.round((invert ? 1 - value : value) * scale);
+}
+
+module.exports = {
+  fromDP,
+  toDP
+};
@@ -1,5 +1,45 @@
 'use strict';
+
+/**
+ * Temperature Converter
+ * Tuya sends most temperatures as °C * 10 (235 = 23.5°C)
+ */
+
+/**
+ * Convert from Tuya DP value to °C
+ * @param {number} value - Tuya DP value
+ * @param {Object} options - Mapping options
+ * @param {number} options.scale - Divider (default: 10)
+ * @param {number} options.offset - Calibration offset in °C (default: 0)
+ * @returns {number} - Temperature in °C
+ */
+function fromDP(value, { scale = 10, offset = 0 } = {}) {
+  if (value == null || isNaN(value)) return null;
+  return (value / scale) + offset;
+}
+
+/**
+ * Convert from °C to Tuya DP value
+ * @param {number} value - Temperature in °C
+ * @param {Object} options - Mapping options (scale, offset)
+ * @returns {number} - Tuya DP value
+ */
+function toDP(value, { scale = 10, offset = 0 } = {}) {
+  return Math.round((value - offset) * scale);
+}
+
+/**
+ * Validate a temperature in °C
+ * @param {*} value - Value to validate
+ * @param {Object} options - min / max in °C
+ * @returns {boolean}
+ */
+function validate(value, { min = -273.15, max = 200 } = {}) {
+  return typeof value === 'number' && value >= min && value <= max;
+}
+
 module.exports = {
-  fromDP(value) { return value; },
-  toDP(value) { return value; }
+  fromDP,
+  toDP,
+  validate
 };
@@ -13,6 +13,8 @@
  * - Error recovery
  */
 
+const TuyaDPCodec = require('../tuya/TuyaDPCodec');
+
 const CLUSTER_TUYA = 'manuSpecificTuya';
 const CLUSTER_ID_TUYA = 0xEF00;
 
@@ -309,24 +311,7 @@ class EnhancedDPHandler {
    * Format value for sending
    */
   formatValueForSend(value, datatype) {
-    switch (datatype) {
-    case 1: // BOOL
-      return value ? 1 : 0;
-
-    case 2: // VALUE (4-byte)
-      const buffer = Buffer.alloc(4);
-      buffer.writeUInt32BE(value, 0);
-      return buffer;
-
-    case 3: // STRING
-      return Buffer.from(String(value), 'utf8');
-
-    case 4: // ENUM
-      return Buffer.from([value]);
-
-    default:
-      return value;
-    }
+    return TuyaDPCodec.encodeValue(datatype, value);
   }
 
   /**
@@ -1,168 +1,196 @@
 'use strict';
 
 /**
- * TUYA DP ENGINE - Production Ready
- * 
- * Moteur universel pour devices Tuya (TS0601 et autres)
- * Architecture:
- * - fingerprints.json: manufacturer+model → profile
- * - profiles.json: profile → capabilities + dpMap + options
- * - converters/: DP ↔ capability transformations
- * - traits/: Logic réutilisable par capability
+ * TUYA ENGINE
+ *
+ * One fingerprint → profile → converter pipeline for Tuya DP devices
+ * - fingerprints.json: manufacturerName (exact, "_TZE200_*" prefix or "*") + model → profile,
+ *   detection rules for devices only known by the DPs they report
+ * - profiles.json: class, capabilities, clusters and the DP mapping (dpMap) of each capability
+ * - capability-map.json: default DP mapping per capability (profiles without a dpMap entry)
+ * - converters/: DP ↔ capability value transformations, fromDP / toDP
+ * - traits/: capability groups and their default converter
+ *
+ * Device classes register a profile's DPs with TuyaSpecificClusterDevice.registerTuyaProfile()
+ * and convert values with the converter of each mapping.
  */
 
+const TuyaDPCodec = require('../tuya/TuyaDPCodec');
 const fingerprints = require('./fingerprints.json');
 const profiles = require('./profiles.json');
+const capabilityMap = require('./capability-map.json');
 const converters = require('./converters');
-const traits = require('./traits');
+const { TRAITS, forCapability } = require('./traits');
+
+// Converter of a mapping that names none and whose capability has no trait
+const TYPE_CONVERTERS = { bool: 'onoff', enum: 'enum', value: 'scale' };
+
+const PASSTHROUGH = {
+  fromDP: value => value,
+  toDP: value => value
+};
+
+/**
+ * Private: how well a fingerprint manufacturer pattern matches (0 = not at all)
+ */
+function manufacturerRank(pattern, manufacturerName) {
+  const expected = pattern.toLowerCase();
+  const name = (manufacturerName || '').toLowerCase();
+  if (expected === '*') return 1;
+  if (expected.endsWith('*')) return name.startsWith(expected.slice(0, -1)) ? 2 : 0;
+  return expected === name ? 3 : 0;
+}
+
+/**
+ * Private: does a detection rule match the reported DPs
+ * @param {object} condition - { dp, type, max } or { dps, types }
+ * @param {object} dps - { [dp]: { datatype, value } }
+ */
+function matchesRule(condition, dps) {
+  const sameType = (report, type) => !type || TuyaDPCodec.resolveType(report.datatype) === TuyaDPCodec.resolveType(type);
+
+  if (condition.dp !== undefined) {
+    const report = dps[condition.dp];
+    if (!report || !sameType(report, condition.type)) return false;
+    return condition.max === undefined || Number(report.value) <= condition.max;
+  }
+
+  return (condition.dps || []).every((dp, index) => dps[dp] && sameType(dps[dp], (condition.types || [])[index]));
+}
 
 class TuyaEngine {
   /**
-   * Get profile for device based on fingerprint
+   * Best fingerprint for a device: an exact manufacturerName beats a prefix, a prefix
+   * beats "*", a matching model beats none. Fingerprints with datapoints only match
+   * when the device reported all of them.
+   * @param {string} manufacturerName
+   * @param {string} [modelId]
+   * @param {object} [options]
+   * @param {object} [options.dps] - Reported DPs, { [dp]: { datatype, value } }
+   * @returns {object|null} fingerprint with its id
    */
-  static async getProfile(zclNode) {
-    const { manufacturerName, modelId } = zclNode;
-    
-    // Chercher fingerprint (case-insensitive)
-    const mfrLower = (manufacturerName || '').toLowerCase();
-    const modelLower = (modelId || '').toLowerCase();
-    const fingerprint = fingerprints.find(fp => 
-      (fp.manufacturerName || '').toLowerCase() === mfrLower &&
-      (fp.modelId || '').toLowerCase() === modelLower
-    );
-    
-    if (!fingerprint) {
-      return null;
-    }
-    
-    // Récupérer profile
-    const profile = profiles[fingerprint.profile];
-    if (!profile) {
-      throw new Error(`Profile ${fingerprint.profile} not found in profiles.json`);
+  static findFingerprint(manufacturerName, modelId, { dps } = {}) {
+    const model = (modelId || '').toLowerCase();
+    let best = null;
+    let bestRank = 0;
+
+    for (const [id, fingerprint] of Object.entries(fingerprints.fingerprints)) {
+      if (fingerprint.model && fingerprint.model.toLowerCase() !== model) continue;
+      if (fingerprint.datapoints && !(dps && fingerprint.datapoints.every(dp => dps[dp]))) continue;
+
+      const manufacturer = manufacturerRank(fingerprint.manufacturer, manufacturerName);
+      if (!manufacturer) continue;
+
+      const rank = (manufacturer * 4) + (fingerprint.model ? 2 : 0) + (fingerprint.datapoints ? 1 : 0);
+      if (rank > bestRank) {
+        best = { id, ...fingerprint };
+        bestRank = rank;
+      }
     }
-    
-    return {
-      ...profile,
-      profileId: fingerprint.profile,
-      endpoint: fingerprint.endpoints[0] || 1
-    };
+
+    return best;
+  }
+
+  /**
+   * Profile by id
+   * @returns {object|null} profile with its id
+   */
+  static getProfile(profileId) {
+    const profile = profiles.profiles[profileId];
+    return profile ? { id: profileId, ...profile } : null;
   }
 
   /**
-   * Apply traits to device based on profile
+   * Profile suggested by the detection rules for the DPs a device reported,
+   * the matching rule naming the most DPs wins
+   * @param {object} dps - { [dp]: { datatype, value } }
+   * @returns {object|null} profile
    */
-  static async applyTraits(device, zclNode, profile) {
-    const endpoint = zclNode.endpoints[profile.endpoint];
-    if (!endpoint) {
-      throw new Error(`Endpoint ${profile.endpoint} not found on device`);
+  static detectProfile(dps) {
+    let best = null;
+    for (const rule of Object.values(fingerprints.detection_rules || {})) {
+      const size = rule.if.dps ? rule.if.dps.length : 1;
+      if (matchesRule(rule.if, dps) && (!best || size > best.size)) best = { rule, size };
     }
+    return best ? this.getProfile(best.rule.suggest_profile) : null;
+  }
 
-    device.log(`📋 Applying profile: ${profile.profileId}`);
-    device.log(`[DATA] Capabilities: ${profile.capabilities.join(', ')}`);
-
-    // Apply each capability trait
-    for (const capability of profile.capabilities) {
-      const traitName = this._getTraitName(capability);
-      const Trait = traits[traitName];
-      
-      if (!Trait) {
-        device.log(`[WARN]  No trait for capability: ${capability}`);
-        continue;
-      }
+  /**
+   * Profile of a device: its fingerprint, or the detection rules when the fingerprint
+   * leaves it to auto-detection (or there is none)
+   * @param {object} device - { manufacturerName, modelId, dps }
+   * @returns {object|null} profile
+   */
+  static resolveProfile({ manufacturerName, modelId, dps } = {}) {
+    const fingerprint = this.findFingerprint(manufacturerName, modelId, { dps });
+    const profile = fingerprint ? this.getProfile(fingerprint.profile) : null;
 
-      try {
-        const context = {
-          endpoint,
-          dpMap: profile.dpMap || {},
-          options: profile.options || {},
-          converters,
-          logger: device.logger || device
-        };
-        
-        await Trait(device, context).catch(err => this.error(err));
-        
-        device.log(`[OK] Trait applied: ${traitName} (${capability})`);
-      } catch (err) {
-        device.error(`[ERROR] Failed to apply trait ${traitName}:`, err);
-      }
+    if (dps && (!profile || this.getTraits(profile).includes('AutoDetectTrait'))) {
+      return this.detectProfile(dps) || profile;
     }
-    
-    device.log('[OK] Profile applied successfully');
+    return profile;
   }
 
   /**
-   * Get trait name from capability
-   * measure_temperature → Temperature
-   * alarm_motion → Motion
-   * onoff → OnOff
+   * Trait names of a profile (its own list, or derived from its capabilities)
    */
-  static _getTraitName(capability) {
-    const parts = capability.split('_');
-    return parts.map(p => p.charAt(0).toUpperCase() + p.slice(1)).join('');
+  static getTraits(profile) {
+    if (profile.traits) return profile.traits;
+    const names = profile.capabilities.map(capability => forCapability(capability)).filter(Boolean);
+    return [...new Set(names)];
   }
 
   /**
-   * Discover compatible devices on network
+   * DP mapping of a capability: the profile's dpMap entry, else the capability-map default
+   * @param {object|string} profile - Profile or profile id
+   * @param {string} capability
+   * @returns {object|null} { dp, type, converter, scale, ... }
    */
-  static async discover(homey) {
-    const devices = [];
-    
-    try {
-      // Scan Zigbee network
-      const nodes = await homey.zigbee.getNodes().catch(err => this.error(err));
-      
-      for (const node of nodes) {
-        try {
-          const profile = await this.getProfile(node).catch(err => this.error(err));
-          if (profile) {
-            devices.push({
-              name: `${profile.name || node.modelId} (${node.ieeeAddress.slice(-8)})`,
-              data: {
-                ieeeAddress: node.ieeeAddress
-              },
-              profile: profile.profileId
-            });
-          }
-        } catch (err) {
-          // Device not supported or error, skip
-        }
-      }
-    } catch (err) {
-      throw new Error(`Failed to discover devices: ${err.message}`);
-    }
-    
-    return devices;
+  static getMapping(profile, capability) {
+    const resolved = typeof profile === 'string' ? this.getProfile(profile) : profile;
+    const mapping = resolved && resolved.dpMap && resolved.dpMap[capability];
+    if (mapping) return mapping;
+
+    const fallback = capabilityMap.capabilities[capability] || capabilityMap.capabilities[capability.split('.')[0]];
+    return fallback && typeof fallback.dp === 'number' ? fallback : null;
   }
 
   /**
-   * Get converter for capability
+   * Converter by name
+   * @returns {object|null} { fromDP, toDP }
    */
-  static getConverter(capability) {
-    const converterName = this._getTraitName(capability);
-    return converters[converterName] || converters[capability] || null;
+  static getConverter(name) {
+    return converters[name] || null;
+  }
+
+  /**
+   * Converter of a DP mapping: the one it names, else its capability's trait, else its DP type
+   * @param {object} mapping - dpMap entry
+   * @param {string} [capability]
+   * @param {string[]} [traits] - Trait names of the profile
+   * @returns {object} { fromDP, toDP }, a passthrough for unknown names
+   */
+  static converterFor(mapping, capability, traits) {
+    let name = mapping.converter;
+    if (!name && capability) {
+      const trait = forCapability(capability, traits);
+      name = trait && TRAITS[trait].converter;
+    }
+    return this.getConverter(name || TYPE_CONVERTERS[mapping.type]) || PASSTHROUGH;
   }
 
   /**
-   * Register a new fingerprint (runtime)
+   * Register a fingerprint at runtime
    */
-  static registerFingerprint(manufacturerName, modelId, profileId, endpoints = [1]) {
-    fingerprints.push({
-      manufacturerName,
-      modelId,
-      endpoints,
-      profile: profileId
-    });
+  static registerFingerprint(id, fingerprint) {
+    fingerprints.fingerprints[id] = fingerprint;
   }
 
   /**
-   * Register a new profile (runtime)
+   * Register a profile at runtime
    */
-  static registerProfile(profileId, capabilities, dpMap = {}, options = {}) {
-    profiles[profileId] = {
-      capabilities,
-      dpMap,
-      options
-    };
+  static registerProfile(profileId, profile) {
+    profiles.profiles[profileId] = profile;
   }
 }
 
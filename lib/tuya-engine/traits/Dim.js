@@ -1,6 +0,0 @@
-'use strict';
-module.exports = {
-  async registerDim(dpId) {
-    // TODO
-  }
-};
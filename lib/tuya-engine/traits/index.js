@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * TRAITS
+ *
+ * A trait groups the capabilities of one device feature and names the
+ * converter those capabilities use when their DP mapping does not name one.
+ * Profiles list their traits ("traits": ["OnOffTrait", ...]); profiles
+ * without a list get the traits of their capabilities.
+ */
+
+const TRAITS = {
+  OnOffTrait: { capabilities: ['onoff'], converter: 'onoff' },
+  MultiGangTrait: { capabilities: ['onoff'], converter: 'onoff' },
+  DimmingTrait: { capabilities: ['dim'], converter: 'dim' },
+  ColorTrait: { capabilities: ['light_hue', 'light_saturation', 'light_temperature', 'light_mode'], converter: null },
+  EnergyMonitoringTrait: { capabilities: ['measure_power', 'measure_current', 'measure_voltage', 'meter_power'], converter: 'scale' },
+  TemperatureTrait: { capabilities: ['measure_temperature', 'target_temperature'], converter: 'temperature' },
+  HumidityTrait: { capabilities: ['measure_humidity'], converter: 'humidity' },
+  IlluminanceTrait: { capabilities: ['measure_luminance'], converter: 'illuminance' },
+  CO2Trait: { capabilities: ['measure_co2'], converter: 'scale' },
+  BatteryTrait: { capabilities: ['measure_battery'], converter: 'battery' },
+  MotionTrait: { capabilities: ['alarm_motion'], converter: 'onoff' },
+  ContactTrait: { capabilities: ['alarm_contact'], converter: 'onoff' },
+  WaterLeakTrait: { capabilities: ['alarm_water'], converter: 'onoff' },
+  ThermostatTrait: { capabilities: ['thermostat_mode'], converter: 'enum' },
+  CoverTrait: { capabilities: ['windowcoverings_state', 'windowcoverings_set'], converter: null },
+  ButtonTrait: { capabilities: ['button'], converter: null },
+  MultiButtonTrait: { capabilities: ['button'], converter: null },
+  // Capabilities are added from the DPs the device reports (detection rules)
+  AutoDetectTrait: { capabilities: [], converter: null },
+};
+
+/**
+ * Trait of a capability (sub-capabilities like onoff.gang2 use their base)
+ * @param {string} capability
+ * @param {string[]} [names] - Only look in these traits (the profile's list)
+ * @returns {string|null} trait name
+ */
+function forCapability(capability, names = Object.keys(TRAITS)) {
+  const base = capability.split('.')[0];
+  return names.find(name => TRAITS[name] && TRAITS[name].capabilities.includes(base)) || null;
+}
+
+module.exports = {
+  TRAITS,
+  forCapability
+};
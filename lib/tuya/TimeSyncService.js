@@ -0,0 +1,316 @@
+'use strict';
+
+const TuyaTimeSyncFormats = require('./TuyaTimeSyncFormats');
+const TimeBoundCluster = require('../clusters/TimeBoundCluster');
+const { getManufacturer, getModelId } = require('../helpers/DeviceDataHelper');
+
+const { TIME_FORMAT, TUYA_EPOCH_OFFSET } = TuyaTimeSyncFormats;
+
+// App setting holding the learned format per manufacturerName
+const LEARNED_FORMATS_KEY = 'time_sync_formats';
+
+// A device asking again within this time did not accept the previous answer
+const CONFIRM_WINDOW_MS = 60 * 1000;
+
+// Offset check (DST changes) and resync of devices that asked for the time before
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const RESYNC_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// ZCL Time cluster timeStatus: Homey is the time master and knows zone and DST
+const ZCL_TIME_STATUS = ['master', 'masterZoneDst'];
+
+const offsetFormats = new Map();
+
+/**
+ * Private: UTC offset in minutes of an IANA timezone at a date
+ */
+function zoneOffsetMinutes(timeZone, date) {
+  if (!offsetFormats.has(timeZone)) {
+    offsetFormats.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' }));
+  }
+  const name = offsetFormats.get(timeZone)
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName').value;
+  const match = name.match(/^GMT([+-])(\d{2}):(\d{2})$/);
+  if (!match) return 0;
+  return (match[1] === '-' ? -1 : 1) * ((Number(match[2]) * 60) + Number(match[3]));
+}
+
+/**
+ * TimeSyncService - Time for Tuya and ZCL devices
+ *
+ * One service per device:
+ * - answers Tuya time requests (0xEF00 command 0x24, mcuSyncTime) on every endpoint
+ *   with the tuya cluster, in any TuyaTimeSyncFormats format
+ * - answers ZCL Time cluster (0x000A) reads through a TimeBoundCluster on endpoint 1
+ * - resyncs when the UTC offset changes (DST) and once a day
+ *
+ * Format of a Tuya answer, first match wins:
+ * 1. time_sync_format device setting (other than 'auto')
+ * 2. format learned for the manufacturerName (app setting time_sync_formats)
+ * 3. probing: each candidate is sent in turn, a device asking again within
+ *    CONFIRM_WINDOW_MS rejected it, one that stays quiet accepted it and the
+ *    format is learned. Candidates start with TuyaTimeSyncFormats.detectFormat().
+ */
+class TimeSyncService {
+
+  /**
+   * @param {ZigBeeDevice} device
+   */
+  constructor(device) {
+    this.device = device;
+    this.manufacturerName = getManufacturer(device);
+    this.modelId = getModelId(device);
+    this.lastSync = 0;
+    this._clusters = [];
+    this._probe = null;
+    this._probeExhausted = false;
+    this._confirmTimer = null;
+    this._checkTimer = null;
+    this._offset = null;
+    this._dstCache = {};
+  }
+
+  get homey() {
+    return this.device.homey;
+  }
+
+  log(...args) {
+    this.device.log('[TIME-SYNC]', ...args);
+  }
+
+  /**
+   * Listen for time requests, bind the ZCL time server and watch the UTC offset
+   * Calling it again does nothing
+   * @param {ZCLNode} [zclNode] - Defaults to device.zclNode
+   */
+  start(zclNode = this.device.zclNode) {
+    if (this._started || !zclNode?.endpoints) return;
+    this._started = true;
+
+    for (const endpoint of Object.values(zclNode.endpoints)) {
+      const cluster = endpoint.clusters?.tuya;
+      if (!cluster || typeof cluster.on !== 'function') continue;
+      this._clusters.push(cluster);
+      cluster.on('mcuSyncTime', request => {
+        this.onTimeRequest(request, cluster).catch(err => this.log('Answer failed:', err.message));
+      });
+    }
+
+    const endpoint = zclNode.endpoints[1];
+    if (endpoint && typeof endpoint.bind === 'function') {
+      try {
+        endpoint.bind('time', new TimeBoundCluster({ getAttributes: () => this.getZclTimeAttributes() }));
+      } catch (err) {
+        this.log('ZCL time server not bound:', err.message);
+      }
+    }
+
+    this._offset = this.getUtcOffset();
+    this._checkTimer = this.homey.setInterval(() => this._check(), CHECK_INTERVAL_MS);
+  }
+
+  /**
+   * Answer a Tuya time request (0x24)
+   * @param {object} [request] - mcuSyncTime arguments
+   * @param {object} [cluster] - tuya cluster the request came from
+   * @returns {Promise<string>} format of the answer
+   */
+  async onTimeRequest(request = {}, cluster = this._clusters[0]) {
+    const configured = this.getFormat();
+    const format = configured || this._probeFormat();
+    this.log(`Time request from ${this.manufacturerName || 'device'}, answering ${format}${configured ? '' : ' (probing)'}`);
+    await this._send(cluster, format);
+    return format;
+  }
+
+  /**
+   * Push the time to the device without a request (DST change, daily resync)
+   * @param {string} [reason]
+   */
+  async sync(reason = 'manual') {
+    const format = this.getFormat() || this._probeCandidates()[0];
+    this.log(`Sync (${reason}) as ${format}`);
+    for (const cluster of this._clusters) {
+      await this._send(cluster, format).catch(err => this.log(`Sync (${reason}) failed:`, err.message));
+    }
+  }
+
+  /**
+   * Format set by the user or learned for this manufacturerName, null while unknown
+   */
+  getFormat() {
+    const setting = this.device.getSetting?.('time_sync_format');
+    if (setting && setting !== TIME_FORMAT.AUTO) return setting;
+    return this.getLearnedFormat() || (this._probeExhausted ? this._probeCandidates()[0] : null);
+  }
+
+  getLearnedFormat() {
+    const learned = this.homey.settings.get(LEARNED_FORMATS_KEY) || {};
+    return learned[this.manufacturerName] || null;
+  }
+
+  /**
+   * Remember the format devices of this manufacturerName accept
+   */
+  learnFormat(format) {
+    if (!this.manufacturerName) return;
+    const learned = this.homey.settings.get(LEARNED_FORMATS_KEY) || {};
+    learned[this.manufacturerName] = format;
+    this.homey.settings.set(LEARNED_FORMATS_KEY, learned);
+    this.log(`Learned ${format} for ${this.manufacturerName}`);
+  }
+
+  /**
+   * UTC offset in minutes: the Homey timezone, else the process timezone
+   * @param {Date} [date]
+   */
+  getUtcOffset(date = new Date()) {
+    const timeZone = this.homey.clock?.getTimezone?.();
+    return timeZone ? zoneOffsetMinutes(timeZone, date) : -date.getTimezoneOffset();
+  }
+
+  /**
+   * Attribute values of the ZCL Time cluster (seconds since 2000-01-01 UTC)
+   */
+  getZclTimeAttributes(date = new Date()) {
+    const time = Math.floor(date.getTime() / 1000) - TUYA_EPOCH_OFFSET;
+    const { standardOffset, dstShift, dstStart, dstEnd } = this._dstPeriod(date.getUTCFullYear());
+    const inDst = this.getUtcOffset(date) !== standardOffset;
+    const standardTime = time + (standardOffset * 60);
+
+    return {
+      time,
+      timeStatus: ZCL_TIME_STATUS,
+      timeZone: standardOffset * 60,
+      dstStart,
+      dstEnd,
+      dstShift: dstShift * 60,
+      standardTime,
+      localTime: standardTime + (inDst ? dstShift * 60 : 0),
+      lastSetTime: time,
+      validUntilTime: time + (RESYNC_INTERVAL_MS / 1000),
+    };
+  }
+
+  destroy() {
+    if (this._checkTimer) this.homey.clearInterval(this._checkTimer);
+    if (this._confirmTimer) this.homey.clearTimeout(this._confirmTimer);
+    this._checkTimer = null;
+    this._confirmTimer = null;
+    for (const cluster of this._clusters) cluster.removeAllListeners?.('mcuSyncTime');
+    this._clusters = [];
+  }
+
+  /**
+   * Private: detected format first, then every other format
+   */
+  _probeCandidates() {
+    const detected = TuyaTimeSyncFormats.detectFormat(this.manufacturerName, this.modelId);
+    const others = Object.values(TIME_FORMAT).filter(format => format !== TIME_FORMAT.AUTO && format !== detected);
+    return [detected, ...others];
+  }
+
+  /**
+   * Private: format to try for this request, learned once the device stays quiet
+   */
+  _probeFormat() {
+    const candidates = this._probeCandidates();
+    // Asked again while the previous answer was waiting for confirmation: rejected
+    this._probe = this._probe ? { index: this._probe.index + 1 } : { index: 0 };
+
+    if (this._probe.index >= candidates.length) {
+      this.log('No format accepted, keeping', candidates[0]);
+      this._probe = null;
+      this._probeExhausted = true;
+      if (this._confirmTimer) this.homey.clearTimeout(this._confirmTimer);
+      this._confirmTimer = null;
+      return candidates[0];
+    }
+
+    const format = candidates[this._probe.index];
+    if (this._confirmTimer) this.homey.clearTimeout(this._confirmTimer);
+    this._confirmTimer = this.homey.setTimeout(() => {
+      this._confirmTimer = null;
+      this._probe = null;
+      this.learnFormat(format);
+    }, CONFIRM_WINDOW_MS);
+    return format;
+  }
+
+  /**
+   * Private: answer / push the time on a tuya cluster
+   */
+  async _send(cluster, format) {
+    if (!cluster) throw new Error('No tuya cluster');
+    const date = new Date();
+    const offset = this.getUtcOffset(date);
+    const payload = TuyaTimeSyncFormats.buildPayload(format, {
+      date,
+      timezone: offset,
+      dst: offset !== this._dstPeriod(date.getUTCFullYear()).standardOffset,
+    });
+    await cluster.mcuSyncTime({ payloadSize: payload.length, payload });
+    this.lastSync = Date.now();
+  }
+
+  /**
+   * Private: resync after a UTC offset change, and daily once the device was synced
+   */
+  _check() {
+    const offset = this.getUtcOffset();
+    if (offset !== this._offset) {
+      this.log(`UTC offset ${this._offset} → ${offset} min`);
+      this._offset = offset;
+      this.sync('dst').catch(() => { });
+    } else if (this.lastSync && Date.now() - this.lastSync >= RESYNC_INTERVAL_MS) {
+      this.sync('daily').catch(() => { });
+    }
+  }
+
+  /**
+   * Private: standard offset, DST shift (minutes) and DST start / end (seconds since 2000) of a year
+   */
+  _dstPeriod(year) {
+    const timeZone = this.homey.clock?.getTimezone?.() || '';
+    const key = `${timeZone}:${year}`;
+    if (this._dstCache[key]) return this._dstCache[key];
+
+    const offsetAt = ms => this.getUtcOffset(new Date(ms));
+    // First minute of [from, to) with the offset of `to`
+    const transition = (from, to) => {
+      while (to - from > 60 * 1000) {
+        const middle = from + Math.floor((to - from) / 2 / 60000) * 60000;
+        if (offsetAt(middle) === offsetAt(to)) to = middle; else from = middle;
+      }
+      return to;
+    };
+
+    const day = 24 * 60 * 60 * 1000;
+    const start = Date.UTC(year, 0, 1);
+    const changes = [];
+    for (let ms = start; ms < Date.UTC(year + 1, 0, 1); ms += day) {
+      if (offsetAt(ms) !== offsetAt(ms + day)) changes.push(transition(ms, ms + day));
+    }
+
+    const offsets = [offsetAt(start), offsetAt(Date.UTC(year, 6, 1))];
+    const standardOffset = Math.min(...offsets);
+    const toZigbee = ms => Math.floor(ms / 1000) - TUYA_EPOCH_OFFSET;
+    // Southern hemisphere: DST starts late in the year and ends early
+    const [first, second] = changes;
+    const startsFirst = offsetAt(start) === standardOffset;
+    const period = {
+      standardOffset,
+      dstShift: Math.max(...offsets) - standardOffset,
+      dstStart: changes.length === 2 ? toZigbee(startsFirst ? first : second) : 0,
+      dstEnd: changes.length === 2 ? toZigbee(startsFirst ? second : first) : 0,
+    };
+    this._dstCache[key] = period;
+    return period;
+  }
+
+}
+
+module.exports = TimeSyncService;
+module.exports.LEARNED_FORMATS_KEY = LEARNED_FORMATS_KEY;
+module.exports.CONFIRM_WINDOW_MS = CONFIRM_WINDOW_MS;
@@ -18,6 +18,7 @@
  */
 
 const { EventEmitter } = require('events');
+const TuyaDPCodec = require('./TuyaDPCodec');
 
 // Tuya command IDs
 const TUYA_CMD = {
@@ -47,7 +48,6 @@ class TuyaClusterWrapper extends EventEmitter {
     this.zclNode = null;
     this.cluster = null;
     this.endpoint = null;
-    this.seqNum = 0;
     this.initialized = false;
     this.passiveMode = false;
 
@@ -345,13 +345,7 @@ class TuyaClusterWrapper extends EventEmitter {
   async setDP(dp, type, value) {
     this.device.log(`[TUYA-WRAPPER] 📤 Setting DP${dp} = ${value} (type=${type})`);
 
-    const dataBuffer = this._encodeValue(type, value);
-
-    const payload = Buffer.alloc(4 + dataBuffer.length);
-    payload.writeUInt8(dp, 0);
-    payload.writeUInt8(type, 1);
-    payload.writeUInt16BE(dataBuffer.length, 2);
-    dataBuffer.copy(payload, 4);
+    const payload = TuyaDPCodec.encodeRecord(dp, value, type);
 
     return this._sendCommand(TUYA_CMD.SET_DP, payload);
   }
@@ -364,37 +358,6 @@ class TuyaClusterWrapper extends EventEmitter {
     return this._sendCommand(TUYA_CMD.DP_QUERY, Buffer.alloc(0));
   }
 
-  /**
-   * Encode value for sending
-   */
-  _encodeValue(type, value) {
-    switch (type) {
-    case DP_TYPE.BOOL:
-      return Buffer.from([value ? 1 : 0]);
-
-    case DP_TYPE.VALUE: {
-      const buf = Buffer.alloc(4);
-      buf.writeInt32BE(value, 0);
-      return buf;
-    }
-
-    case DP_TYPE.STRING:
-      return Buffer.from(String(value), 'utf8');
-
-    case DP_TYPE.ENUM:
-      return Buffer.from([value]);
-
-    case DP_TYPE.BITMAP: {
-      const buf = Buffer.alloc(4);
-      buf.writeUInt32BE(value, 0);
-      return buf;
-    }
-
-    default:
-      return Buffer.isBuffer(value) ? value : Buffer.from([value]);
-    }
-  }
-
   /**
    * Send command to Tuya cluster
    */
@@ -403,12 +366,10 @@ class TuyaClusterWrapper extends EventEmitter {
       throw new Error('Tuya cluster not available');
     }
 
-    const seqNum = this.seqNum++;
-
     // Build full frame with sequence number
     const frame = Buffer.alloc(2 + payload.length);
     frame.writeUInt8(0x00, 0);  // Status
-    frame.writeUInt8(seqNum & 0xFF, 1);
+    frame.writeUInt8(TuyaDPCodec.nextTransid(), 1);
     payload.copy(frame, 2);
 
     try {
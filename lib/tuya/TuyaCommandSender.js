@@ -12,6 +12,8 @@
  * "tuyaCluster.dataRequest is not a function"
  */
 
+const TuyaDPCodec = require('./TuyaDPCodec');
+
 class TuyaCommandSender {
 
   /**
@@ -167,32 +169,17 @@ class TuyaCommandSender {
    * Build DP payload buffer
    */
   static buildDPPayload(dp, dataType, value) {
-    let dataBuffer;
-
-    if (Buffer.isBuffer(value)) {
-      dataBuffer = value;
-    } else if (typeof value === 'boolean') {
-      dataBuffer = Buffer.from([value ? 1 : 0]);
-    } else if (typeof value === 'number') {
-      dataBuffer = Buffer.alloc(4);
-      dataBuffer.writeInt32BE(value, 0);
-    } else if (typeof value === 'string') {
-      dataBuffer = Buffer.from(value, 'utf8');
-    } else {
-      dataBuffer = Buffer.from([0]);
-    }
+    const datapoint = TuyaDPCodec.buildDatapoint(dp, value, dataType);
 
     // Can return as object (for some cluster implementations)
     // or as raw buffer (for others)
     return {
-      dp,
-      datatype: dataType,
-      data: dataBuffer,
+      ...datapoint,
       // Also include dpValues format for compatibility
       dpValues: [{
         dp,
-        dataType,
-        data: dataBuffer
+        dataType: datapoint.datatype,
+        data: datapoint.data
       }]
     };
   }
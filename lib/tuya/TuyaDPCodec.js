@@ -0,0 +1,281 @@
+'use strict';
+
+/**
+ * TuyaDPCodec - the one encoder/decoder for Tuya 0xEF00 datapoints
+ *
+ * Frame (datapoint / reporting / response command payload):
+ * | status (1) | transid (1) | dp (1) | datatype (1) | length (2, BE) | data |
+ * reports may carry several dp | datatype | length | data records.
+ *
+ * Data per type:
+ * - raw:    bytes as given (Buffer or byte array)
+ * - bool:   1 byte, 0x00 / 0x01
+ * - value:  4 bytes, signed int32 BE
+ * - string: UTF-8
+ * - enum:   1 byte, 0-255
+ * - bitmap: 1, 2 or 4 bytes unsigned BE (smallest that fits unless size is given)
+ *
+ * Values are validated before anything is sent: a value outside the range of
+ * its type throws instead of being truncated on the wire.
+ *
+ * Transaction IDs come from one sequence for the whole app, so sub-devices
+ * sharing a Tuya MCU never send the same transid twice in a row.
+ */
+
+const DP_TYPE = {
+  RAW: 0x00,
+  BOOL: 0x01,
+  VALUE: 0x02,
+  STRING: 0x03,
+  ENUM: 0x04,
+  BITMAP: 0x05,
+};
+
+const DP_TYPE_BY_NAME = {
+  raw: DP_TYPE.RAW,
+  bool: DP_TYPE.BOOL,
+  value: DP_TYPE.VALUE,
+  string: DP_TYPE.STRING,
+  enum: DP_TYPE.ENUM,
+  bitmap: DP_TYPE.BITMAP,
+};
+
+const INT32_MIN = -0x80000000;
+const INT32_MAX = 0x7FFFFFFF;
+const MAX_DATA_LENGTH = 0xFFFF;
+const BITMAP_SIZES = [1, 2, 4];
+
+let lastTransid = 0;
+
+/**
+ * Next transaction ID (1, 2, ... 255, 0, 1, ...)
+ */
+function nextTransid() {
+  lastTransid = (lastTransid + 1) & 0xFF;
+  return lastTransid;
+}
+
+function currentTransid() {
+  return lastTransid;
+}
+
+/**
+ * DP type code from a name ('bool', 'value', ...) or a code (0-5)
+ */
+function resolveType(type) {
+  const code = typeof type === 'string' ? DP_TYPE_BY_NAME[type.toLowerCase()] : type;
+  if (!Object.values(DP_TYPE).includes(code)) {
+    throw new TypeError(`Unknown Tuya DP type: ${type}`);
+  }
+  return code;
+}
+
+function assertInteger(value, min, max, typeName) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new RangeError(`Tuya ${typeName} must be an integer ${min}..${max}, got ${value}`);
+  }
+}
+
+function toBytes(value, typeName) {
+  if (Buffer.isBuffer(value)) return value;
+  if (Array.isArray(value)) {
+    value.forEach(byte => assertInteger(byte, 0, 0xFF, `${typeName} byte`));
+    return Buffer.from(value);
+  }
+  throw new TypeError(`Tuya ${typeName} data must be a Buffer or byte array`);
+}
+
+/**
+ * Encode a value to DP data
+ * @param {string|number} type - DP type name or code
+ * @param {*} value
+ * @param {object} [options]
+ * @param {number} [options.size] - Bitmap width in bytes (1, 2 or 4)
+ * @returns {Buffer}
+ */
+function encodeValue(type, value, { size } = {}) {
+  let data;
+
+  switch (resolveType(type)) {
+    case DP_TYPE.BOOL:
+      if (value !== true && value !== false && value !== 0 && value !== 1) {
+        throw new TypeError(`Tuya bool must be true/false or 0/1, got ${value}`);
+      }
+      data = Buffer.from([value ? 1 : 0]);
+      break;
+
+    case DP_TYPE.VALUE:
+      assertInteger(value, INT32_MIN, INT32_MAX, 'value');
+      data = Buffer.alloc(4);
+      data.writeInt32BE(value, 0);
+      break;
+
+    case DP_TYPE.ENUM:
+      assertInteger(value, 0, 0xFF, 'enum');
+      data = Buffer.from([value]);
+      break;
+
+    case DP_TYPE.BITMAP: {
+      if (Buffer.isBuffer(value) || Array.isArray(value)) {
+        data = toBytes(value, 'bitmap');
+        if (!BITMAP_SIZES.includes(data.length)) {
+          throw new RangeError(`Tuya bitmap must be 1, 2 or 4 bytes, got ${data.length}`);
+        }
+        break;
+      }
+      const width = size || BITMAP_SIZES.find(bytes => value < 2 ** (bytes * 8)) || 4;
+      if (!BITMAP_SIZES.includes(width)) {
+        throw new RangeError(`Tuya bitmap size must be 1, 2 or 4 bytes, got ${width}`);
+      }
+      assertInteger(value, 0, 2 ** (width * 8) - 1, 'bitmap');
+      data = Buffer.alloc(width);
+      data.writeUIntBE(value, 0, width);
+      break;
+    }
+
+    case DP_TYPE.STRING:
+      if (typeof value !== 'string') {
+        throw new TypeError(`Tuya string must be a string, got ${typeof value}`);
+      }
+      data = Buffer.from(value, 'utf8');
+      break;
+
+    default:
+      data = toBytes(value, 'raw');
+  }
+
+  if (data.length > MAX_DATA_LENGTH) {
+    throw new RangeError(`Tuya DP data is ${data.length} bytes, at most ${MAX_DATA_LENGTH} fit in a frame`);
+  }
+  return data;
+}
+
+/**
+ * Decode DP data to a value (raw stays a Buffer)
+ */
+function decodeValue(type, data) {
+  switch (resolveType(type)) {
+    case DP_TYPE.BOOL:
+      return data[0] === 1;
+    case DP_TYPE.VALUE:
+      return data.length ? data.readIntBE(0, Math.min(data.length, 4)) : 0;
+    case DP_TYPE.ENUM:
+      return data[0];
+    case DP_TYPE.BITMAP:
+      return data.length ? data.readUIntBE(0, Math.min(data.length, 4)) : 0;
+    case DP_TYPE.STRING:
+      return data.toString('utf8');
+    default:
+      return Buffer.from(data);
+  }
+}
+
+function assertDp(dp) {
+  assertInteger(dp, 1, 0xFF, 'DP id');
+}
+
+/**
+ * Arguments for the tuya cluster 'datapoint' command
+ * @param {number} dp - DP id (1-255)
+ * @param {*} value
+ * @param {string|number} type - DP type name or code
+ * @param {object} [options]
+ * @param {number} [options.transid] - Default: next in the sequence
+ * @param {number} [options.size] - Bitmap width
+ * @returns {{status: number, transid: number, dp: number, datatype: number, length: number, data: Buffer}}
+ */
+function buildDatapoint(dp, value, type, { transid, size } = {}) {
+  assertDp(dp);
+  const datatype = resolveType(type);
+  const data = encodeValue(datatype, value, { size });
+  return {
+    status: 0,
+    transid: transid ?? nextTransid(),
+    dp,
+    datatype,
+    length: data.length,
+    data,
+  };
+}
+
+/**
+ * One dp | datatype | length | data record (no status/transid header)
+ */
+function encodeRecord(dp, value, type, options) {
+  assertDp(dp);
+  const datatype = resolveType(type);
+  const data = encodeValue(datatype, value, options);
+  const header = Buffer.alloc(4);
+  header.writeUInt8(dp, 0);
+  header.writeUInt8(datatype, 1);
+  header.writeUInt16BE(data.length, 2);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Complete command payload from buildDatapoint() arguments
+ */
+function encodeFrame({ status = 0, transid, dp, datatype, data }) {
+  const header = Buffer.alloc(6);
+  header.writeUInt8(status, 0);
+  header.writeUInt8(transid ?? nextTransid(), 1);
+  header.writeUInt8(dp, 2);
+  header.writeUInt8(datatype, 3);
+  header.writeUInt16BE(data.length, 4);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Decode a command payload
+ * Records are read until the data ends; a record whose length runs past the
+ * end of the frame is dropped together with anything after it.
+ * @param {Buffer} payload
+ * @returns {{status: number, transid: number, dps: Array<{dp: number, datatype: number, value: *, data: Buffer}>}}
+ */
+function decodeFrame(payload) {
+  const frame = { status: payload[0], transid: payload[1], dps: [] };
+  let offset = 2;
+
+  while (offset + 4 <= payload.length) {
+    const dp = payload[offset];
+    const datatype = payload[offset + 1];
+    const length = payload.readUInt16BE(offset + 2);
+    const end = offset + 4 + length;
+    if (end > payload.length) break;
+
+    const data = payload.subarray(offset + 4, end);
+    const value = Object.values(DP_TYPE).includes(datatype) ? decodeValue(datatype, data) : Buffer.from(data);
+    frame.dps.push({ dp, datatype, value, data });
+    offset = end;
+  }
+
+  return frame;
+}
+
+/**
+ * Send one DP through the 'datapoint' command of a tuya cluster
+ * @returns {Promise<object>} the command arguments that were sent
+ */
+async function sendDatapoint(cluster, dp, value, type, options) {
+  if (typeof cluster?.datapoint !== 'function') {
+    throw new Error('Tuya cluster has no datapoint command');
+  }
+  const datapoint = buildDatapoint(dp, value, type, options);
+  await cluster.datapoint(datapoint);
+  return datapoint;
+}
+
+module.exports = {
+  DP_TYPE,
+  DP_TYPE_BY_NAME,
+  resolveType,
+  encodeValue,
+  decodeValue,
+  buildDatapoint,
+  encodeRecord,
+  encodeFrame,
+  decodeFrame,
+  sendDatapoint,
+  nextTransid,
+  currentTransid,
+};
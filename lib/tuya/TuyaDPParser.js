@@ -7,6 +7,8 @@
  * Handles encoding/decoding of Tuya proprietary Data Points
  */
 
+const TuyaDPCodec = require('./TuyaDPCodec');
+
 const TUYA_DP_TYPE = {
   RAW: 0x00,
   BOOL: 0x01,
@@ -115,72 +117,15 @@ class TuyaDPParser {
   }
 
   /**
-   * Encode DP value for sending to device
+   * Encode DP value for sending to device (TuyaDPCodec frame)
    * @param {number} dpId - DP ID
    * @param {number} dpType - DP type code  
    * @param {any} value - Value to encode
-   * @param {number} transId - Transaction ID (default: 0)
+   * @param {number} [transId] - Transaction ID (default: next TuyaDPCodec transid)
    * @returns {Buffer} - Encoded buffer
    */
-  static encode(dpId, dpType, value, transId = 0) {
-    const buffer = Buffer.alloc(100); // Adjust size as needed
-    let offset = 0;
-
-    // Status byte
-    buffer.writeUInt8(0x00, offset);
-    offset += 1;
-
-    // Transaction sequence number
-    buffer.writeUInt8(transId, offset);
-    offset += 1;
-
-    // DP ID
-    buffer.writeUInt8(dpId, offset);
-    offset += 1;
-
-    // DP Type
-    buffer.writeUInt8(dpType, offset);
-    offset += 1;
-
-    // Encode value based on type
-    let dataBuffer;
-    switch (dpType) {
-    case TUYA_DP_TYPE.BOOL:
-      dataBuffer = Buffer.alloc(1);
-      dataBuffer.writeUInt8(value ? 1 : 0, 0);
-      break;
-
-    case TUYA_DP_TYPE.VALUE:
-      dataBuffer = Buffer.alloc(4);
-      dataBuffer.writeInt32BE(value, 0);
-      break;
-
-    case TUYA_DP_TYPE.ENUM:
-      dataBuffer = Buffer.alloc(1);
-      dataBuffer.writeUInt8(value, 0);
-      break;
-
-    case TUYA_DP_TYPE.STRING:
-      dataBuffer = Buffer.from(value, 'utf8');
-      break;
-
-    case TUYA_DP_TYPE.RAW:
-      dataBuffer = Buffer.isBuffer(value) ? value : Buffer.from(value);
-      break;
-
-    default:
-      throw new Error(`Unsupported DP type for encoding: ${dpType}`);
-    }
-
-    // Write data length
-    buffer.writeUInt16BE(dataBuffer.length, offset);
-    offset += 2;
-
-    // Write data
-    dataBuffer.copy(buffer, offset);
-    offset += dataBuffer.length;
-
-    return buffer.slice(0, offset);
+  static encode(dpId, dpType, value, transId) {
+    return TuyaDPCodec.encodeFrame(TuyaDPCodec.buildDatapoint(dpId, value, dpType, { transid: transId }));
   }
 }
 
@@ -0,0 +1,233 @@
+'use strict';
+
+const TuyaDPCodec = require('./TuyaDPCodec');
+const { getModelId, getManufacturer } = require('../helpers/DeviceDataHelper');
+
+// Entries kept in memory (oldest dropped first)
+const CAPTURE_LIMIT = 200;
+
+// Entries shown in the dp_capture_log setting
+const DISPLAY_ENTRIES = 10;
+
+// Delay before the dp_capture_log setting is rewritten (bursts are merged)
+const SETTING_UPDATE_MS = 2000;
+
+// An inbound DP within this time of a write to the same DP is the echo of an app command
+const ECHO_WINDOW_MS = 2000;
+
+const TYPE_NAMES = Object.fromEntries(
+  Object.entries(TuyaDPCodec.DP_TYPE_BY_NAME).map(([name, code]) => [code, name])
+);
+
+/**
+ * TuyaDPRecorder - DP sniffer for identifying new device variants
+ *
+ * While the `dp_capture` setting is on, every inbound and outbound Tuya DP is
+ * recorded with timestamp, type, raw bytes and origin. Inbound DPs are 'app'
+ * when the same DP was written less than ECHO_WINDOW_MS ago, otherwise
+ * 'physical'.
+ *
+ * The last entries are shown in the read-only `dp_capture_log` setting,
+ * export() returns the whole capture as JSON for attaching to issues.
+ *
+ * Counters per DP (getStats()) are kept whether capturing or not, for the
+ * diagnostic report.
+ */
+class TuyaDPRecorder {
+
+  /**
+   * @param {ZigBeeDevice} device - Homey ZigBee device instance
+   * @param {object} [options]
+   * @param {boolean} [options.enabled] - Default: the dp_capture setting
+   */
+  constructor(device, { enabled = device.getSetting('dp_capture') === true } = {}) {
+    this.device = device;
+    this.log = device.log.bind(device);
+    this.enabled = enabled;
+    this.entries = [];
+    this.stats = new Map();
+    this._lastWrites = new Map();
+    this._settingUpdate = null;
+  }
+
+  /**
+   * Start or stop capturing (entries are kept until the next start)
+   */
+  setEnabled(enabled) {
+    if (enabled && !this.enabled) {
+      this.entries = [];
+    }
+    this.enabled = Boolean(enabled);
+    this.log(`[DP-CAPTURE] ${this.enabled ? 'Started' : 'Stopped'} (${this.entries.length} entries)`);
+  }
+
+  /**
+   * Record a frame received from the tuya cluster
+   * @param {object|Buffer} frame - Cluster command arguments or a raw command payload
+   * @param {string} [event] - Cluster event name (dataReport, response, ...)
+   */
+  inbound(frame, event) {
+    if (!frame) return;
+
+    if (Buffer.isBuffer(frame)) {
+      const { transid, dps } = TuyaDPCodec.decodeFrame(frame);
+      dps.forEach(record => this.inbound({ ...record, transid }, event));
+      return;
+    }
+    if (frame.dp === undefined) return;
+
+    const lastWrite = this._lastWrites.get(frame.dp);
+    const isEcho = lastWrite !== undefined && Date.now() - lastWrite < ECHO_WINDOW_MS;
+    const origin = isEcho ? 'app' : 'physical';
+
+    this._count('in', origin, frame, isEcho ? Date.now() - lastWrite : null);
+    if (this.enabled) this._add('in', origin, frame, event);
+  }
+
+  /**
+   * Record the dataResponse / dataReport frames of a tuya cluster
+   */
+  listen(cluster) {
+    for (const event of ['response', 'reporting']) {
+      cluster.on(event, frame => this.inbound(frame, event));
+    }
+  }
+
+  /**
+   * Record a datapoint sent to the device
+   * @param {object} datapoint - Arguments from TuyaDPCodec.buildDatapoint()
+   */
+  outbound(datapoint) {
+    if (!datapoint) return;
+
+    this._lastWrites.set(datapoint.dp, Date.now());
+    this._count('out', 'app', datapoint);
+    if (this.enabled) this._add('out', 'app', datapoint);
+  }
+
+  /**
+   * Capture with device identification, as sent by the export flow card
+   * @returns {string} JSON
+   */
+  export() {
+    return JSON.stringify({
+      device: this.device.getName(),
+      driver: this.device.driver?.id,
+      manufacturerName: getManufacturer(this.device),
+      modelId: getModelId(this.device),
+      exportedAt: new Date().toISOString(),
+      capturing: this.enabled,
+      entries: this.entries,
+    }, null, 2);
+  }
+
+  /**
+   * Counters per DP since the device was initialized
+   * @returns {object} { [dp]: { received, sent, physical, lastValue, lastReceived, lastSent, responseMs } }
+   */
+  getStats() {
+    return Object.fromEntries(this.stats);
+  }
+
+  /**
+   * Last entries as text lines, newest first
+   */
+  format(count = DISPLAY_ENTRIES) {
+    if (!this.entries.length) return this.enabled ? 'Waiting for DPs...' : '-';
+
+    return this.entries.slice(-count).reverse().map((entry) => {
+      const arrow = entry.direction === 'in' ? '←' : '→';
+      const raw = entry.raw === null ? '' : ` ${entry.raw}`;
+      return `${entry.time.slice(11, 19)} ${arrow} DP${entry.dp} ${entry.type}${raw} = ${JSON.stringify(entry.value)} (${entry.origin})`;
+    }).join('\n');
+  }
+
+  destroy() {
+    if (this._settingUpdate) {
+      this.device.homey.clearTimeout(this._settingUpdate);
+      this._settingUpdate = null;
+    }
+  }
+
+  /**
+   * Private: Store one entry and schedule the setting update
+   */
+  _add(direction, origin, { dp, datatype, transid, data, value }, event) {
+    const raw = Buffer.isBuffer(data) ? data : null;
+    const decoded = this._decode({ datatype, data, value });
+
+    const entry = {
+      time: new Date().toISOString(),
+      direction,
+      origin,
+      dp,
+      type: TYPE_NAMES[datatype] ?? `0x${Number(datatype).toString(16)}`,
+      datatype,
+      transid: transid ?? null,
+      raw: raw ? raw.toString('hex') : null,
+      value: decoded,
+    };
+    if (event) entry.event = event;
+
+    this.entries.push(entry);
+    if (this.entries.length > CAPTURE_LIMIT) this.entries.shift();
+
+    this._scheduleSettingUpdate();
+  }
+
+  /**
+   * Private: Update the counters of a DP
+   * @param {number|null} [responseMs] - Time since the app wrote this DP (echoes)
+   */
+  _count(direction, origin, frame, responseMs = null) {
+    const stats = this.stats.get(frame.dp) || {
+      received: 0,
+      sent: 0,
+      physical: 0,
+      lastValue: null,
+      lastReceived: null,
+      lastSent: null,
+      responseMs: null,
+    };
+    const time = new Date().toISOString();
+
+    if (direction === 'in') {
+      stats.received++;
+      if (origin === 'physical') stats.physical++;
+      stats.lastReceived = time;
+      if (responseMs !== null) stats.responseMs = responseMs;
+    } else {
+      stats.sent++;
+      stats.lastSent = time;
+    }
+    stats.lastValue = this._decode(frame);
+    this.stats.set(frame.dp, stats);
+  }
+
+  /**
+   * Private: Value of a DP record, buffers as hex
+   */
+  _decode({ datatype, data, value }) {
+    let decoded = value ?? data;
+    if (Buffer.isBuffer(data) && TYPE_NAMES[datatype] !== undefined) {
+      decoded = TuyaDPCodec.decodeValue(datatype, data);
+    }
+    return Buffer.isBuffer(decoded) ? decoded.toString('hex') : decoded;
+  }
+
+  /**
+   * Private: Rewrite dp_capture_log once the burst is over
+   */
+  _scheduleSettingUpdate() {
+    if (this._settingUpdate) return;
+
+    this._settingUpdate = this.device.homey.setTimeout(() => {
+      this._settingUpdate = null;
+      this.device.setSettings({ dp_capture_log: this.format() }).catch(err => {
+        this.log(`[DP-CAPTURE] Could not update the capture setting: ${err.message}`);
+      });
+    }, SETTING_UPDATE_MS);
+  }
+}
+
+module.exports = TuyaDPRecorder;
@@ -2,10 +2,12 @@
 
 const { EventEmitter } = require('events');
 const TuyaDPParser = require('./TuyaDPParser');
+const TuyaDPCodec = require('./TuyaDPCodec');
 const { getDeviceInfo, getDPMappings, parseValue } = require('../utils/DriverMappingLoader');
 const { getTuyaProfile } = require('./TuyaProfiles');
 const { getModelId, getManufacturer } = require('../helpers/DeviceDataHelper');
 const LocalTuyaEntityHandler = require('./LocalTuyaEntityHandler');
+const TimeSyncService = require('./TimeSyncService');
 
 // v5.5.39: Import TuyaBoundCluster for receiving DP reports
 let TuyaBoundCluster;
@@ -40,94 +42,23 @@ try {
  * https://developer.tuya.com/en/docs/iot/custom-functions
  *
  * Handles:
- * - Time synchronization (DP 0x24, 0x67)
  * - Data Point (DP) parsing and encoding
- * - Automatic daily time sync
  * - Multi-Gang Switch standard (DP1-4, DP7-10, DP14-16, DP19, DP29-32)
  * - All DP types: Boolean, Value, String, Enum, Bitmap, Raw
  *
- * v5.5.382: COMPREHENSIVE TIME SYNC FORMATS
- * Supports all Tuya/Zigbee time synchronization formats:
- * - ZIGBEE_2000: Standard Zigbee (seconds since 2000-01-01)
- * - UNIX_1970: Unix epoch (seconds since 1970-01-01)
- * - TUYA_STANDARD: 7 bytes [YY, MM, DD, HH, MM, SS, Weekday]
- * - TUYA_MCU: 8-9 bytes with header for cluster 0xEF00 cmd 0x24
- * - TUYA_EXTENDED_TZ: 9 bytes with timezone offset
- * - TUYA_TIMESTAMP_8: 8 bytes [Local:4][UTC:4] for LCD climate sensors
- *
  * Integrates with:
+ * - TimeSyncService: time requests (0x24), ZCL Time reads, DST and daily resyncs
  * - TuyaDPParser: Low-level DP encoding/decoding
  * - HybridProtocolManager: Intelligent Tuya DP vs Zigbee native routing
  * - TuyaMultiGangManager: Multi-gang switch features
  */
 
-// v5.5.384: COMPREHENSIVE Time format constants - ALL POSSIBLE FORMATS
-// Reference: Tuya MCU Protocol + Zigbee ZCL Cluster 0x000A + Community Research
-const TIME_FORMATS = {
-  // === EPOCH 2000 FORMATS (Zigbee ZCL Standard) ===
-  ZIGBEE_2000: 'zigbee_2000',             // 4 bytes BE: seconds since 2000-01-01 UTC
-  ZIGBEE_2000_LOCAL: 'zigbee_2000_local', // 4 bytes BE: seconds since 2000-01-01 LOCAL
-  ZIGBEE_2000_LE: 'zigbee_2000_le',       // 4 bytes LE: seconds since 2000-01-01 UTC (some modules)
-
-  // === EPOCH 1970 FORMATS (Unix Standard) ===
-  UNIX_1970: 'unix_1970',                 // 4 bytes BE: seconds since 1970-01-01 UTC
-  UNIX_1970_LOCAL: 'unix_1970_local',     // 4 bytes BE: seconds since 1970-01-01 LOCAL
-  UNIX_1970_LE: 'unix_1970_le',           // 4 bytes LE: seconds since 1970-01-01 UTC
-  UNIX_1970_MS: 'unix_1970_ms',           // 8 bytes BE: MILLIseconds since 1970 (data logging)
-
-  // === 8-BYTE DUAL TIMESTAMP FORMATS ===
-  TUYA_TIMESTAMP_8: 'tuya_timestamp',     // 8 bytes: [Local:4BE][UTC:4BE] epoch 2000
-  TUYA_TIMESTAMP_8_UNIX: 'tuya_ts_unix',  // 8 bytes: [Local:4BE][UTC:4BE] epoch 1970
-
-  // === DATE-STRING FORMATS (7-12 bytes) ===
-  TUYA_STANDARD: 'tuya_standard',         // 7 bytes: [YY, MM, DD, HH, MM, SS, Weekday] LOCAL
-  TUYA_UTC_STRING: 'tuya_utc_string',     // 7 bytes: [YY, MM, DD, HH, MM, SS, Weekday] UTC
-  TUYA_MCU: 'tuya_mcu',                   // 9 bytes: [0x00, 0x08, YY, MM, DD, HH, MM, SS, Weekday]
-  TUYA_EXTENDED_TZ: 'tuya_extended',      // 9 bytes: [YY, MM, DD, HH, MM, SS, Weekday, TZ_MSB, TZ_LSB]
-  TUYA_FULL_TZ: 'tuya_full_tz',           // 10 bytes: [YY, MM, DD, HH, MM, SS, Weekday, TZ_hour, TZ_min, DST]
-
-  // === SPECIAL FORMATS ===
-  TUYA_GATEWAY: 'tuya_gateway',           // 12 bytes: [YYYY:2BE, MM, DD, HH, MM, SS, Weekday, TZ_h, TZ_m, DST, 0x00]
-  AUTO: 'auto'                            // Auto-detect based on device type
-};
-
-// v5.5.384: Time sync command/DP identifiers
-const TIME_SYNC_COMMANDS = {
-  CLUSTER_TIME: 0x000A,         // Zigbee ZCL Time Cluster
-  CLUSTER_TUYA: 0xEF00,         // Tuya Private Cluster (61184)
-  CMD_TIME_REQUEST: 0x24,       // Tuya time request command
-  CMD_TIME_RESPONSE: 0x24,      // Tuya time response command
-  DP_TIME_SYNC: 0x67,           // DP 103 - Common time sync DP
-  DP_TIME_FORMAT: 0x65,         // DP 101 - 12h/24h format
-  DP_TIMEZONE: 0x66,            // DP 102 - Timezone setting (-12 to +12)
-  DP_TIME_VALID: 0x6A           // DP 106 - Time valid flag
-};
-
-// v5.5.383: Epoch offsets - CRITICAL for correct time display
-const TUYA_EPOCH_OFFSET = 946684800;    // Seconds from 1970-01-01 to 2000-01-01 (30 years)
-const ZIGBEE_EPOCH_OFFSET = 946684800;  // Same as Tuya (Zigbee ZCL also uses 2000)
-
-// v5.5.383: Common timezone offsets in minutes
-const TIMEZONE_OFFSETS = {
-  'UTC': 0,
-  'GMT': 0,
-  'GMT+1': 60,    // CET (Central European Time)
-  'GMT+2': 120,   // CEST (Central European Summer Time) / EET
-  'GMT+3': 180,   // MSK (Moscow)
-  'GMT-5': -300,  // EST (Eastern US)
-  'GMT-8': -480,  // PST (Pacific US)
-  'GMT+8': 480,   // CST (China)
-  'GMT+9': 540,   // JST (Japan)
-  'GMT+5:30': 330 // IST (India)
-};
-
 class TuyaEF00Manager extends EventEmitter {
 
   constructor(device) {
     super();
     this.device = device;
-    this.timeSyncDPs = [0x67, 0x01, 0x24, 0x18]; // Common time sync DPs
-    this.dailySyncTimer = null;
+    this.timeSync = null;
     this.entityHandler = new LocalTuyaEntityHandler(device);
     this.detectedEntityType = null;
   }
@@ -261,10 +192,10 @@ class TuyaEF00Manager extends EventEmitter {
     this._log('[TUYA] ✅ EF00 cluster detected');
     this.tuyaCluster = tuyaCluster; // Store for later use
 
-    await this.sendTimeSync(zclNode);
-
-    // Schedule daily sync at 3 AM
-    this.scheduleDailySync(zclNode);
+    // Time requests (0x24) and resyncs, through the device's TimeSyncService if it has one
+    this.timeSync = this.device.timeSync || new TimeSyncService(this.device);
+    this.timeSync.start(zclNode);
+    await this.timeSync.sync('init');
 
     // Listen for incoming datapoints
     this.setupDatapointListener(tuyaCluster);
@@ -625,722 +556,6 @@ class TuyaEF00Manager extends EventEmitter {
     }
   }
 
-  /**
-   * v5.5.383: BUILD TIME PAYLOAD - COMPREHENSIVE time format support
-   * Creates payload buffer based on the specified time format
-   * Handles ALL epoch types (1970/2000) and ALL timezone/DST combinations
-   *
-   * @param {string} format - One of TIME_FORMATS values
-   * @param {Object} options - Additional options
-   * @returns {Buffer} - The time sync payload
-   */
-  _buildTimePayload(format, options = {}) {
-    const now = new Date();
-    const {
-      useLocalTime = true,      // Use local time for "dumb" devices
-      timezoneMinutes = -now.getTimezoneOffset(), // GMT offset in minutes (GMT+1 = 60)
-      includeDST = true         // Include DST flag where applicable
-    } = options;
-
-    // === CALCULATE ALL TIMESTAMPS ===
-    const unixTimestampUtc = Math.floor(now.getTime() / 1000);
-    const timezoneOffsetSec = timezoneMinutes * 60;
-
-    // Unix epoch (1970) timestamps
-    const unix1970Utc = unixTimestampUtc;
-    const unix1970Local = unixTimestampUtc + timezoneOffsetSec;
-
-    // Tuya/Zigbee epoch (2000) timestamps
-    const tuya2000Utc = unixTimestampUtc - TUYA_EPOCH_OFFSET;
-    const tuya2000Local = tuya2000Utc + timezoneOffsetSec;
-
-    // === DATE COMPONENTS ===
-    // Local time components (for devices that display what they receive)
-    const localDate = new Date(now.getTime());
-    // UTC time components
-    const utcDate = new Date(now.getTime());
-
-    // Weekday: Tuya uses 1=Monday to 7=Sunday, JS uses 0=Sunday to 6=Saturday
-    const weekdayLocal = localDate.getDay() === 0 ? 7 : localDate.getDay();
-    const weekdayUtc = utcDate.getUTCDay() === 0 ? 7 : utcDate.getUTCDay();
-
-    // DST detection (crude but effective)
-    const isDST = this._isDaylightSavingTime(now);
-    const dstFlag = isDST ? 1 : 0;
-
-    // Timezone hour and minute components
-    const tzHours = Math.floor(Math.abs(timezoneMinutes) / 60) * (timezoneMinutes >= 0 ? 1 : -1);
-    const tzMins = Math.abs(timezoneMinutes) % 60;
-
-    this._log(`[TIME] 🕒 Building payload: format=${format}, TZ=GMT${timezoneMinutes >= 0 ? '+' : ''}${tzHours}:${tzMins.toString().padStart(2, '0')}, DST=${isDST}`);
-
-    switch (format) {
-      // === EPOCH 2000 FORMATS ===
-      case TIME_FORMATS.ZIGBEE_2000:
-        // 4 bytes Big-Endian: seconds since 2000-01-01 UTC
-        const zb2000 = Buffer.alloc(4);
-        zb2000.writeUInt32BE(tuya2000Utc, 0);
-        return zb2000;
-
-      case TIME_FORMATS.ZIGBEE_2000_LOCAL:
-        // 4 bytes Big-Endian: seconds since 2000-01-01 LOCAL
-        const zb2000L = Buffer.alloc(4);
-        zb2000L.writeUInt32BE(tuya2000Local, 0);
-        return zb2000L;
-
-      case TIME_FORMATS.ZIGBEE_2000_LE:
-        // 4 bytes Little-Endian: seconds since 2000-01-01 UTC (some modules)
-        const zb2000LE = Buffer.alloc(4);
-        zb2000LE.writeUInt32LE(tuya2000Utc, 0);
-        return zb2000LE;
-
-      // === EPOCH 1970 FORMATS ===
-      case TIME_FORMATS.UNIX_1970:
-        // 4 bytes Big-Endian: seconds since 1970-01-01 UTC
-        const unix1970 = Buffer.alloc(4);
-        unix1970.writeUInt32BE(unix1970Utc, 0);
-        return unix1970;
-
-      case TIME_FORMATS.UNIX_1970_LOCAL:
-        // 4 bytes Big-Endian: seconds since 1970-01-01 LOCAL
-        const unix1970L = Buffer.alloc(4);
-        unix1970L.writeUInt32BE(unix1970Local, 0);
-        return unix1970L;
-
-      case TIME_FORMATS.UNIX_1970_LE:
-        // 4 bytes Little-Endian: seconds since 1970-01-01 UTC
-        const unix1970LE = Buffer.alloc(4);
-        unix1970LE.writeUInt32LE(unix1970Utc, 0);
-        return unix1970LE;
-
-      case TIME_FORMATS.UNIX_1970_MS:
-        // 8 bytes Big-Endian: MILLIseconds since 1970-01-01 UTC (data logging)
-        const unixMs = Buffer.alloc(8);
-        const msTimestamp = BigInt(now.getTime());
-        unixMs.writeBigUInt64BE(msTimestamp, 0);
-        return unixMs;
-
-      // === 8-BYTE TIMESTAMP FORMATS ===
-      case TIME_FORMATS.TUYA_TIMESTAMP_8:
-        // 8 bytes: [Local:4BE][UTC:4BE] - Epoch 2000 for LCD climate sensors
-        const ts8_2000 = Buffer.alloc(8);
-        ts8_2000.writeUInt32BE(tuya2000Local, 0);  // Local time FIRST
-        ts8_2000.writeUInt32BE(tuya2000Utc, 4);    // UTC time SECOND
-        return ts8_2000;
-
-      case TIME_FORMATS.TUYA_TIMESTAMP_8_UNIX:
-        // 8 bytes: [Local:4BE][UTC:4BE] - Epoch 1970
-        const ts8_1970 = Buffer.alloc(8);
-        ts8_1970.writeUInt32BE(unix1970Local, 0);  // Local time FIRST
-        ts8_1970.writeUInt32BE(unix1970Utc, 4);    // UTC time SECOND
-        return ts8_1970;
-
-      // === DATE-STRING FORMATS ===
-      case TIME_FORMATS.TUYA_STANDARD:
-        // 7 bytes: [YY, MM, DD, HH, MM, SS, Weekday] - LOCAL time
-        return Buffer.from([
-          localDate.getFullYear() - 2000,
-          localDate.getMonth() + 1,
-          localDate.getDate(),
-          localDate.getHours(),
-          localDate.getMinutes(),
-          localDate.getSeconds(),
-          weekdayLocal
-        ]);
-
-      case TIME_FORMATS.TUYA_UTC_STRING:
-        // 7 bytes: [YY, MM, DD, HH, MM, SS, Weekday] - UTC time
-        return Buffer.from([
-          utcDate.getUTCFullYear() - 2000,
-          utcDate.getUTCMonth() + 1,
-          utcDate.getUTCDate(),
-          utcDate.getUTCHours(),
-          utcDate.getUTCMinutes(),
-          utcDate.getUTCSeconds(),
-          weekdayUtc
-        ]);
-
-      case TIME_FORMATS.TUYA_MCU:
-        // 9 bytes: [Type=0x00, Len=0x07, YY, MM, DD, HH, MM, SS, Weekday]
-        return Buffer.from([
-          0x00,  // Type
-          0x07,  // Length of following data (7 bytes)
-          localDate.getFullYear() - 2000,
-          localDate.getMonth() + 1,
-          localDate.getDate(),
-          localDate.getHours(),
-          localDate.getMinutes(),
-          localDate.getSeconds(),
-          weekdayLocal
-        ]);
-
-      case TIME_FORMATS.TUYA_EXTENDED_TZ:
-        // 9 bytes: [YY, MM, DD, HH, MM, SS, Weekday, TZ_MSB, TZ_LSB]
-        const extTz = Buffer.alloc(9);
-        extTz.writeUInt8(localDate.getFullYear() - 2000, 0);
-        extTz.writeUInt8(localDate.getMonth() + 1, 1);
-        extTz.writeUInt8(localDate.getDate(), 2);
-        extTz.writeUInt8(localDate.getHours(), 3);
-        extTz.writeUInt8(localDate.getMinutes(), 4);
-        extTz.writeUInt8(localDate.getSeconds(), 5);
-        extTz.writeUInt8(weekdayLocal, 6);
-        extTz.writeInt16BE(timezoneMinutes, 7); // Signed 16-bit timezone minutes
-        return extTz;
-
-      case TIME_FORMATS.TUYA_FULL_TZ:
-        // 10 bytes: [YY, MM, DD, HH, MM, SS, Weekday, TZ_hour, TZ_min, DST]
-        // Full timezone info with DST flag
-        return Buffer.from([
-          localDate.getFullYear() - 2000,
-          localDate.getMonth() + 1,
-          localDate.getDate(),
-          localDate.getHours(),
-          localDate.getMinutes(),
-          localDate.getSeconds(),
-          weekdayLocal,
-          tzHours & 0xFF,  // Timezone hours (signed byte)
-          tzMins,          // Timezone minutes
-          dstFlag          // DST active flag
-        ]);
-
-      case TIME_FORMATS.TUYA_GATEWAY:
-        // 12 bytes: Gateway format with full year [YYYY_MSB, YYYY_LSB, MM, DD, HH, MM, SS, Weekday, TZ_hour, TZ_min, DST, 0x00]
-        const gwBuf = Buffer.alloc(12);
-        gwBuf.writeUInt16BE(localDate.getFullYear(), 0);  // Full year
-        gwBuf.writeUInt8(localDate.getMonth() + 1, 2);
-        gwBuf.writeUInt8(localDate.getDate(), 3);
-        gwBuf.writeUInt8(localDate.getHours(), 4);
-        gwBuf.writeUInt8(localDate.getMinutes(), 5);
-        gwBuf.writeUInt8(localDate.getSeconds(), 6);
-        gwBuf.writeUInt8(weekdayLocal, 7);
-        gwBuf.writeInt8(tzHours, 8);
-        gwBuf.writeUInt8(tzMins, 9);
-        gwBuf.writeUInt8(dstFlag, 10);
-        gwBuf.writeUInt8(0x00, 11);  // Reserved
-        return gwBuf;
-
-      default:
-        // Default: TUYA_TIMESTAMP_8 (most common for LCD devices)
-        const defaultTs = Buffer.alloc(8);
-        defaultTs.writeUInt32BE(tuya2000Local, 0);
-        defaultTs.writeUInt32BE(tuya2000Utc, 4);
-        return defaultTs;
-    }
-  }
-
-  /**
-   * v5.5.383: Detect if currently in Daylight Saving Time
-   * @param {Date} date - Date to check
-   * @returns {boolean} - True if DST is active
-   */
-  _isDaylightSavingTime(date) {
-    const jan = new Date(date.getFullYear(), 0, 1);
-    const jul = new Date(date.getFullYear(), 6, 1);
-    const stdOffset = Math.max(jan.getTimezoneOffset(), jul.getTimezoneOffset());
-    return date.getTimezoneOffset() < stdOffset;
-  }
-
-  /**
-   * v5.5.383: Get timezone string from minutes offset
-   * @param {number} minutes - Timezone offset in minutes
-   * @returns {string} - Timezone string like "GMT+1" or "GMT-5"
-   */
-  _getTimezoneString(minutes) {
-    const hours = Math.floor(Math.abs(minutes) / 60);
-    const mins = Math.abs(minutes) % 60;
-    const sign = minutes >= 0 ? '+' : '-';
-    if (mins === 0) {
-      return `GMT${sign}${hours}`;
-    }
-    return `GMT${sign}${hours}:${mins.toString().padStart(2, '0')}`;
-  }
-
-  /**
-   * v5.5.383: AUTO-DETECT TIME FORMAT based on device type
-   * Comprehensive detection for all known Tuya/Zigbee device types
-   * @returns {string} - The recommended TIME_FORMATS value
-   */
-  _detectTimeFormat() {
-    const manufacturer = this.device.getData()?.manufacturerName || '';
-    const model = this.device.getData()?.productId || '';
-    const driverClass = this.device.driver?.manifest?.class || '';
-    const combined = `${manufacturer}_${model}`.toLowerCase();
-
-    // === LCD CLIMATE SENSORS (TZE200/TZE284 with display) ===
-    // These need TUYA_TIMESTAMP_8 (8-byte dual timestamp, epoch 2000)
-    if (combined.includes('_tze284_') || combined.includes('_tze200_')) {
-      if (combined.includes('temp') || combined.includes('climate') ||
-        combined.includes('humid') || combined.includes('th') ||
-        combined.includes('lcd') || combined.includes('display')) {
-        return TIME_FORMATS.TUYA_TIMESTAMP_8;
-      }
-    }
-
-    // === THERMOSTATS & TRVs (MCU-based) ===
-    // These typically need TUYA_MCU format (9-byte with header)
-    if (combined.includes('thermostat') || combined.includes('trv') ||
-      combined.includes('radiator') || combined.includes('valve') ||
-      combined.includes('heating') || driverClass === 'thermostat') {
-      return TIME_FORMATS.TUYA_MCU;
-    }
-
-    // === GATEWAY/HUB DEVICES ===
-    // Use extended 12-byte format with full year
-    if (combined.includes('gateway') || combined.includes('hub') ||
-      combined.includes('bridge') || combined.includes('coordinator')) {
-      return TIME_FORMATS.TUYA_GATEWAY;
-    }
-
-    // === SOIL/PLANT SENSORS (often need Unix epoch) ===
-    if (combined.includes('soil') || combined.includes('plant') ||
-      combined.includes('moisture')) {
-      return TIME_FORMATS.UNIX_1970;
-    }
-
-    // === STANDARD ZIGBEE (non-Tuya manufacturers) ===
-    // Use Zigbee 2000 epoch (ZCL standard)
-    if (!manufacturer.startsWith('_T') && !manufacturer.startsWith('_tZ')) {
-      return TIME_FORMATS.ZIGBEE_2000;
-    }
-
-    // === TZE204 SERIES (often need extended timezone) ===
-    if (combined.includes('_tze204_')) {
-      return TIME_FORMATS.TUYA_EXTENDED_TZ;
-    }
-
-    // === PRESENCE/RADAR SENSORS ===
-    if (combined.includes('presence') || combined.includes('radar') ||
-      combined.includes('mmwave') || combined.includes('pir')) {
-      return TIME_FORMATS.TUYA_STANDARD;
-    }
-
-    // === PLUGS/SWITCHES WITH SCHEDULES ===
-    // These often need full timezone info for scheduling
-    if (combined.includes('schedule') || combined.includes('timer') ||
-      driverClass === 'socket' || driverClass === 'light') {
-      return TIME_FORMATS.TUYA_FULL_TZ;
-    }
-
-    // === DEFAULT: TUYA_STANDARD (most common) ===
-    return TIME_FORMATS.TUYA_STANDARD;
-  }
-
-  /**
-   * v5.5.383: Get list of formats to try for a device type
-   * Used for fallback when primary format fails
-   * @returns {string[]} - Array of TIME_FORMATS to try in order
-   */
-  _getTimeFormatFallbacks() {
-    const primary = this._detectTimeFormat();
-    const fallbacks = [primary];
-
-    // Add fallback formats based on primary
-    switch (primary) {
-      case TIME_FORMATS.TUYA_TIMESTAMP_8:
-        fallbacks.push(TIME_FORMATS.TUYA_TIMESTAMP_8_UNIX);
-        fallbacks.push(TIME_FORMATS.TUYA_STANDARD);
-        break;
-      case TIME_FORMATS.TUYA_MCU:
-        fallbacks.push(TIME_FORMATS.TUYA_STANDARD);
-        fallbacks.push(TIME_FORMATS.TUYA_EXTENDED_TZ);
-        break;
-      case TIME_FORMATS.ZIGBEE_2000:
-        fallbacks.push(TIME_FORMATS.ZIGBEE_2000_LOCAL);
-        fallbacks.push(TIME_FORMATS.UNIX_1970);
-        break;
-      case TIME_FORMATS.UNIX_1970:
-        fallbacks.push(TIME_FORMATS.UNIX_1970_LOCAL);
-        fallbacks.push(TIME_FORMATS.ZIGBEE_2000);
-        break;
-      default:
-        fallbacks.push(TIME_FORMATS.TUYA_TIMESTAMP_8);
-        fallbacks.push(TIME_FORMATS.ZIGBEE_2000);
-    }
-
-    return fallbacks;
-  }
-
-  /**
-   * v5.5.384: INTERCEPT TIME REQUESTS - Auto-respond to device time sync requests
-   * Devices request time via:
-   * - Cluster 0x000A (Time Cluster) read attribute
-   * - Cluster 0xEF00 command 0x24 (Tuya time request)
-   * - Empty DP report on DP 0x67 or similar
-   *
-   * @param {Object} zclNode - The ZCL node
-   * @param {Object} options - Options for time request handling
-   */
-  setupTimeRequestListener(zclNode, options = {}) {
-    if (!zclNode) return;
-
-    const {
-      autoRespond = true,         // Automatically respond to time requests
-      timeFormat = TIME_FORMATS.AUTO,
-      logPrefix = '[TIME-LISTEN]'
-    } = options;
-
-    try {
-      // Find Tuya cluster on endpoint 1
-      const endpoint = zclNode.endpoints?.[1];
-      if (!endpoint) return;
-
-      const tuyaCluster = endpoint.clusters?.tuya
-        || endpoint.clusters?.manuSpecificTuya
-        || endpoint.clusters?.[0xEF00]
-        || endpoint.clusters?.[61184];
-
-      if (tuyaCluster && typeof tuyaCluster.on === 'function') {
-        // Listen for Tuya time request (cmd 0x24)
-        tuyaCluster.on('response', (status, transId, dp, dataType, data) => {
-          // Check if this is a time request (empty data or specific DP)
-          if (dp === TIME_SYNC_COMMANDS.CMD_TIME_REQUEST ||
-            dp === TIME_SYNC_COMMANDS.DP_TIME_SYNC) {
-            this._log(`${logPrefix} 📥 Time request detected: DP=${dp}, transId=${transId}`);
-            if (autoRespond) {
-              this.sendTimeSync(zclNode, { timeFormat, forceSync: true });
-            }
-            this.emit('timeRequest', { dp, transId, dataType, data });
-          }
-        });
-
-        // Listen for dataReport events (some devices use this)
-        tuyaCluster.on('dataReport', (data) => {
-          if (data && (data.dp === TIME_SYNC_COMMANDS.DP_TIME_SYNC ||
-            data.commandId === TIME_SYNC_COMMANDS.CMD_TIME_REQUEST)) {
-            this._log(`${logPrefix} 📥 Time dataReport request detected`);
-            if (autoRespond) {
-              this.sendTimeSync(zclNode, { timeFormat, forceSync: true });
-            }
-            this.emit('timeRequest', data);
-          }
-        });
-
-        this._log(`${logPrefix} ✅ Time request listener active on cluster 0xEF00`);
-      }
-
-      // Also check for standard Zigbee Time Cluster (0x000A)
-      const timeCluster = endpoint.clusters?.time || endpoint.clusters?.[0x000A];
-      if (timeCluster && typeof timeCluster.on === 'function') {
-        timeCluster.on('read', (attributes) => {
-          this._log(`${logPrefix} 📥 ZCL Time Cluster read request: ${JSON.stringify(attributes)}`);
-          if (autoRespond) {
-            this.sendTimeSync(zclNode, {
-              timeFormat: TIME_FORMATS.ZIGBEE_2000,
-              forceSync: true
-            });
-          }
-          this.emit('timeRequest', { cluster: 'time', attributes });
-        });
-        this._log(`${logPrefix} ✅ Time request listener active on cluster 0x000A`);
-      }
-
-    } catch (err) {
-      this._log(`${logPrefix} ⚠️ Failed to setup time listener: ${err.message}`);
-    }
-  }
-
-  /**
-   * v5.5.384: Check if a message is a time sync request
-   * @param {number} dp - Datapoint ID
-   * @param {number} commandId - Command ID
-   * @param {Buffer} data - Data payload
-   * @returns {boolean} - True if this is a time request
-   */
-  isTimeRequest(dp, commandId, data) {
-    // Time request indicators:
-    // 1. Command 0x24 (Tuya time sync command)
-    // 2. DP 0x67 (103) with empty or minimal data
-    // 3. DP 0x18 (24) time request
-    if (commandId === TIME_SYNC_COMMANDS.CMD_TIME_REQUEST) return true;
-    if (dp === TIME_SYNC_COMMANDS.DP_TIME_SYNC) return true;
-    if (dp === 0x18 && (!data || data.length === 0)) return true;
-    return false;
-  }
-
-  /**
-   * v5.5.384: COMPREHENSIVE TIME SYNC - Universal time synchronization
-   * Reference: https://github.com/Koenkk/zigbee2mqtt/issues/30054
-   *
-   * SUPPORTS ALL TIME FORMATS:
-   * - ZIGBEE_2000/LOCAL/LE: Standard Zigbee (4 bytes, seconds since 2000)
-   * - UNIX_1970/LOCAL/LE/MS: Unix epoch (4-8 bytes, seconds/ms since 1970)
-   * - TUYA_STANDARD/UTC_STRING: 7 bytes [YY, MM, DD, HH, MM, SS, Weekday]
-   * - TUYA_MCU: 9 bytes with header [Type, Len, YY, MM, DD, HH, MM, SS, Weekday]
-   * - TUYA_EXTENDED_TZ: 9 bytes with timezone
-   * - TUYA_FULL_TZ: 10 bytes with DST flag
-   * - TUYA_TIMESTAMP_8: 8 bytes [Local:4BE][UTC:4BE] for LCD climate sensors
-   * - TUYA_GATEWAY: 12 bytes full gateway format
-   */
-  async sendTimeSync(zclNode, options = {}) {
-    if (!zclNode) return false;
-
-    // v5.5.382: Enhanced parameters with time format support
-    const {
-      forceSync = false,           // BYPASS all conditions - FORCE sync
-      timeFormat = TIME_FORMATS.AUTO, // Time format to use (auto-detect if not specified)
-      useLocalTime = true,         // Use local time for "dumb" devices
-      timezoneMinutes = null,      // Override timezone (null = auto from system)
-      useTuyaEpoch = true,         // Use Tuya epoch (2000) - kept for backward compat
-      sendTimeValidDP = false,     // Send DP 0x65/0x66/0x6A to enable LCD display
-      logPrefix = '[TUYA]'         // Custom log prefix
-    } = options;
-
-    // v5.5.206: Multi-endpoint discovery for LCD climate sensors
-    const targetEndpoint = options.endpointId || this._findTimeEndpoint(zclNode);
-    const endpoint = zclNode.endpoints?.[targetEndpoint];
-    const tuyaCluster = endpoint?.clusters?.tuyaManufacturer
-      || endpoint?.clusters?.tuyaSpecific
-      || endpoint?.clusters?.manuSpecificTuya
-      || endpoint?.clusters?.[0xEF00];
-    if (!tuyaCluster) return false;
-
-    try {
-      const now = new Date();
-
-      // v5.5.382: Determine time format (auto-detect or use specified)
-      const actualFormat = timeFormat === TIME_FORMATS.AUTO
-        ? this._detectTimeFormat()
-        : timeFormat;
-
-      // v5.5.382: Calculate timezone
-      const actualTzMinutes = timezoneMinutes !== null
-        ? timezoneMinutes
-        : -now.getTimezoneOffset(); // JS getTimezoneOffset is inverted
-
-      // v5.5.382: Build payload using the comprehensive builder
-      const payload = this._buildTimePayload(actualFormat, {
-        useLocalTime,
-        timezoneMinutes: actualTzMinutes
-      });
-
-      this._log(`${logPrefix} 🕒 Time sync format: ${actualFormat}`);
-      this._log(`${logPrefix} 🕒 Payload: ${payload.toString('hex')} (${payload.length} bytes)`);
-      this._log(`${logPrefix} 🕒 Timezone: GMT${actualTzMinutes >= 0 ? '+' : ''}${actualTzMinutes / 60}`);
-      this._log(`${logPrefix} 🕒 Local time: ${now.toLocaleString()}`);
-
-      // v5.5.382: Determine datatype based on format
-      const datatype = (actualFormat === TIME_FORMATS.TUYA_TIMESTAMP_8) ? 0x0C : 0x00;
-
-      this._log(`${logPrefix} Sending time sync:`, {
-        date: now.toISOString(),
-        format: actualFormat,
-        payload: payload.toString('hex'),
-        timezone: `GMT${actualTzMinutes >= 0 ? '+' : ''}${actualTzMinutes / 60}`,
-        forceSync: forceSync,
-        sendTimeValidDP: sendTimeValidDP,
-        endpoint: targetEndpoint
-      });
-
-      // v5.5.382: Enhanced frame building with comprehensive format support
-      const sendFrame = async (attempt = 1) => {
-        try {
-          if (!endpoint) {
-            this._log(`[TUYA] No endpoint ${targetEndpoint}`);
-            return false;
-          }
-
-          // Build Tuya frame with proper header
-          const dp = 0x24; // Time sync DP
-          const seq = Math.floor(Math.random() * 0xFFFF);
-
-          const frame = Buffer.alloc(4 + payload.length);
-          frame.writeUInt8(dp, 0);
-          frame.writeUInt8(datatype, 1);
-          frame.writeUInt16BE(payload.length, 2);
-          payload.copy(frame, 4);
-
-          this._log(`${logPrefix} 📤 Sending time sync attempt ${attempt} on EP${targetEndpoint}:`, frame.toString('hex'));
-
-          // v5.3.29: FIX - Use correct SDK3 method (command vs non-existent dataRequest)
-          // SDK3 Tuya cluster exposes: setData, getData, dataReport, dataResponse
-          if (typeof tuyaCluster.setData === 'function') {
-            await tuyaCluster.setData({
-              status: 0,
-              transid: seq & 0xFF,
-              dp: dp,
-              datatype: datatype,
-              length_hi: 0,
-              length_lo: payload.length,
-              data: payload
-            });
-            this._log(`${logPrefix} ✅ Time sync attempt ${attempt} sent via setData`);
-            return true;
-          }
-
-          // Method 2: Try command('setData') pattern
-          if (typeof tuyaCluster.command === 'function') {
-            await tuyaCluster.command('setData', {
-              status: 0,
-              transid: seq & 0xFF,
-              dp: dp,
-              datatype: datatype,
-              length_hi: 0,
-              length_lo: payload.length,
-              data: payload
-            });
-            this._log(`${logPrefix} ✅ Time sync attempt ${attempt} sent via command(setData)`);
-            return true;
-          }
-
-          // Method 3: Fallback - write raw attribute (least likely to work but worth trying)
-          this._log(`${logPrefix} ⚠️ No setData/command available, skipping time sync`);
-          this._log(`${logPrefix} Available cluster methods:`, Object.keys(tuyaCluster).filter(k => typeof tuyaCluster[k] === 'function').join(', '));
-          return false;
-        } catch (err1) {
-          // Silent fail - time sync is not critical for device operation
-          this._log(`${logPrefix} ℹ️ Time sync not supported by this device:`, err1.message);
-          return false;
-        }
-      };
-
-      // v5.5.206: Immediate response timing critical for LCD climate sensors
-      // Use setImmediate to respond within MCU's short listening window
-      setImmediate(() => {
-        sendFrame(1);
-
-        // v5.5.206: Double sync for stubborn LCD climate sensors
-        // Many _TZE284_ devices need 2 syncs: first initializes, second validates
-        if (options.doubleSync !== false) {
-          setTimeout(() => {
-            this._log(`${logPrefix} 🔄 Sending second time sync for LCD climate sensor`);
-            sendFrame(2);
-
-            // v5.5.207: Send time_valid DP after second sync (if requested)
-            if (sendTimeValidDP) {
-              setTimeout(() => {
-                this._log(`${logPrefix} 📡 Sending time_valid DPs to enable LCD display`);
-                this._sendTimeValidDP(zclNode, targetEndpoint);
-              }, 100);
-            }
-          }, 200);
-        }
-      });
-
-      return true;
-    } catch (err) {
-      this._log(`${logPrefix} Time sync error: ${err.message}`);
-      return false;
-    }
-  }
-
-  /**
-   * v5.5.206: Find the correct endpoint for time sync (LCD climate sensors may use EP3)
-   */
-  _findTimeEndpoint(zclNode) {
-    if (!zclNode?.endpoints) return 1;
-
-    // Log all endpoints for debugging
-    Object.keys(zclNode.endpoints).forEach(epId => {
-      const endpoint = zclNode.endpoints[epId];
-      if (endpoint?.clusters) {
-        this._log(`[TUYA] 📍 EP${epId} clusters:`, Object.keys(endpoint.clusters));
-      }
-    });
-
-    // Check all endpoints for 0xEF00 cluster
-    for (const epId of Object.keys(zclNode.endpoints)) {
-      const endpoint = zclNode.endpoints[epId];
-      const hasEF00 = endpoint?.clusters?.tuyaManufacturer
-        || endpoint?.clusters?.tuyaSpecific
-        || endpoint?.clusters?.manuSpecificTuya
-        || endpoint?.clusters?.[0xEF00];
-
-      if (hasEF00) {
-        this._log(`[TUYA] 🎯 Found Tuya cluster on endpoint ${epId}`);
-        return parseInt(epId);
-      }
-    }
-
-    return 1; // Default fallback
-  }
-
-  /**
-   * v5.5.206: Detect if device needs extended 12-byte payload
-   */
-  _needsExtendedPayload() {
-    const manufacturer = this.device.getData()?.manufacturerName || '';
-    const model = this.device.getData()?.productId || '';
-
-    // Known LCD climate sensors that need extended payload
-    const extendedPayloadDevices = [
-      '_TZE284_vvmbj46n',  // User's specific device
-      '_TZE284_',          // TZE284 series generally
-      '_TZE200_',          // Some TZE200 LCD devices
-    ];
-
-    return extendedPayloadDevices.some(pattern =>
-      manufacturer.includes(pattern) || model.includes(pattern)
-    );
-  }
-
-  /**
-   * v5.5.206: Send time_valid DP to enable LCD display on stubborn climate sensors
-   * Many LCD climate sensors require a boolean DP to activate time display
-   */
-  async _sendTimeValidDP(zclNode, endpointId = 1) {
-    try {
-      const endpoint = zclNode.endpoints?.[endpointId];
-      const tuyaCluster = endpoint?.clusters?.tuyaManufacturer
-        || endpoint?.clusters?.tuyaSpecific
-        || endpoint?.clusters?.manuSpecificTuya
-        || endpoint?.clusters?.[0xEF00];
-
-      if (!tuyaCluster) return false;
-
-      // Common DP IDs for time_valid on LCD climate sensors
-      const timeValidDPs = [0x65, 0x66, 0x6A, 0x67, 0x68];
-
-      for (const dpId of timeValidDPs) {
-        try {
-          const seq = Math.floor(Math.random() * 0xFFFF);
-
-          if (typeof tuyaCluster.setData === 'function') {
-            await tuyaCluster.setData({
-              status: 0,
-              transid: seq & 0xFF,
-              dp: dpId,
-              datatype: 0x01, // BOOL
-              length_hi: 0,
-              length_lo: 1,
-              data: Buffer.from([0x01]) // true
-            });
-            this._log(`[TUYA] 📡 Sent time_valid DP${dpId}=true on EP${endpointId}`);
-          }
-        } catch (err) {
-          this._log(`[TUYA] ⚠️ Could not send DP${dpId}:`, err.message);
-        }
-      }
-
-      return true;
-    } catch (err) {
-      this._log('[TUYA] ❌ time_valid DP send failed:', err.message);
-      return false;
-    }
-  }
-
-  /**
-   * Schedule daily time sync
-   */
-  scheduleDailySync(zclNode) {
-    if (this.dailySyncTimer) {
-      clearTimeout(this.dailySyncTimer);
-    }
-
-    // Calculate ms until 3 AM tomorrow
-    const now = new Date();
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(3, 0, 0, 0);
-    const msUntil3AM = tomorrow - now;
-
-    this._log(`[TUYA] Next time sync in ${Math.round(msUntil3AM / 1000 / 60 / 60)}h`);
-
-    this.dailySyncTimer = setTimeout(() => {
-      this.sendTimeSync(zclNode);
-      this.scheduleDailySync(zclNode); // Reschedule
-    }, msUntil3AM);
-  }
-
   /**
    * Setup datapoint listener
    * v5.5.39: Added TuyaBoundCluster for proper SDK3 data reception
@@ -1387,15 +602,13 @@ class TuyaEF00Manager extends EventEmitter {
                   }
                 }
               },
-              onMcuSyncTime: () => {
+              onMcuSyncTime: (request) => {
                 this._log('[TUYA-BOUND] ⏰ Time sync request received');
-                // v5.5.206: Use immediate response for LCD climate sensors
-                setImmediate(() => {
-                  this.sendTimeSync(this.device.zclNode, {
-                    doubleSync: true,
-                    useExtended: this._needsExtendedPayload()
+                if (this.timeSync) {
+                  this.timeSync.onTimeRequest(request, tuyaCluster).catch(err => {
+                    this._log('[TUYA-BOUND] ⚠️ Time answer failed:', err.message);
                   });
-                });
+                }
               },
             });
 
@@ -1795,9 +1008,9 @@ class TuyaEF00Manager extends EventEmitter {
   }
 
   /**
-   * Send Tuya DP command using TuyaDPParser
+   * Send Tuya DP command (encoded by TuyaDPCodec)
    * @param {number} dp - Data Point ID
-   * @param {number} dpType - DP Type (from TuyaDPParser.DP_TYPE)
+   * @param {number|string} dpType - DP Type (TuyaDPCodec.DP_TYPE code or name)
    * @param {any} value - Value to send
    */
   async sendTuyaDP(dp, dpType, value) {
@@ -1818,8 +1031,7 @@ class TuyaEF00Manager extends EventEmitter {
         throw new Error('Tuya cluster not available');
       }
 
-      // Use TuyaDPParser to encode
-      const buffer = TuyaDPParser.encode(dp, dpType, value);
+      const buffer = TuyaDPCodec.encodeFrame(TuyaDPCodec.buildDatapoint(dp, value, dpType));
 
       // Send via cluster
       await endpoint.sendFrame(0xEF00, buffer, 0x00);
@@ -2254,10 +1466,11 @@ class TuyaEF00Manager extends EventEmitter {
    * Cleanup
    */
   cleanup() {
-    if (this.dailySyncTimer) {
-      clearTimeout(this.dailySyncTimer);
-      this.dailySyncTimer = null;
+    // A service of the device is destroyed by the device
+    if (this.timeSync && this.timeSync !== this.device.timeSync) {
+      this.timeSync.destroy();
     }
+    this.timeSync = null;
 
     // Remove listeners
     if (this.tuyaCluster) {
@@ -2272,8 +1485,3 @@ class TuyaEF00Manager extends EventEmitter {
 }
 
 module.exports = TuyaEF00Manager;
-module.exports.TIME_FORMATS = TIME_FORMATS;
-module.exports.TIME_SYNC_COMMANDS = TIME_SYNC_COMMANDS;
-module.exports.TUYA_EPOCH_OFFSET = TUYA_EPOCH_OFFSET;
-module.exports.ZIGBEE_EPOCH_OFFSET = ZIGBEE_EPOCH_OFFSET;
-module.exports.TIMEZONE_OFFSETS = TIMEZONE_OFFSETS;
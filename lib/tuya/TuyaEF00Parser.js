@@ -8,6 +8,7 @@
  */
 
 const { Buffer } = require('buffer');
+const TuyaDPCodec = require('./TuyaDPCodec');
 
 // DP Types
 const DP_TYPE = {
@@ -163,51 +164,15 @@ class TuyaEF00Parser {
    * Build SET frame for setting DP value
    */
   buildSetFrame(dpId, type, value) {
-    const seq = this._nextSeq();
-    const data = this._encodeValue(type, value);
-
-    const payload = Buffer.alloc(6 + data.length);
-    payload.writeUInt8(0x00, 0);           // Status
-    payload.writeUInt8(seq & 0xFF, 1);     // Seq
-    payload.writeUInt8(dpId, 2);           // DP ID
-    payload.writeUInt8(type, 3);           // Type
-    payload.writeUInt16BE(data.length, 4); // Length
-    data.copy(payload, 6);                 // Data
-
-    return { seq, payload };
-  }
-
-  /**
-   * Encode value for sending
-   */
-  _encodeValue(type, value) {
-    switch (type) {
-    case DP_TYPE.BOOL:
-      return Buffer.from([value ? 1 : 0]);
-    case DP_TYPE.VALUE: {
-      const buf = Buffer.alloc(4);
-      buf.writeInt32BE(value, 0);
-      return buf;
-    }
-    case DP_TYPE.STRING:
-      return Buffer.from(String(value), 'utf8');
-    case DP_TYPE.ENUM:
-      return Buffer.from([value & 0xFF]);
-    case DP_TYPE.BITMAP: {
-      const buf = Buffer.alloc(4);
-      buf.writeUInt32BE(value, 0);
-      return buf;
-    }
-    default:
-      return Buffer.isBuffer(value) ? value : Buffer.from([value]);
-    }
+    const datapoint = TuyaDPCodec.buildDatapoint(dpId, value, type, { transid: this._nextSeq() });
+    return { seq: datapoint.transid, payload: TuyaDPCodec.encodeFrame(datapoint) };
   }
 
   /**
-   * Get next sequence number
+   * Get next sequence number (shared TuyaDPCodec transaction IDs)
    */
   _nextSeq() {
-    this.seq = (this.seq + 1) & 0xFFFF;
+    this.seq = TuyaDPCodec.nextTransid();
     return this.seq;
   }
 }
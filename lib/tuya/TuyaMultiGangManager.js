@@ -1,6 +1,7 @@
 'use strict';
 
 const TuyaDPParser = require('./TuyaDPParser');
+const { writeAttributesChecked } = require('../utils/clusterUtils');
 
 /**
  * TuyaMultiGangManager - Complete Multi-Gang Switch Management
@@ -16,7 +17,7 @@ const TuyaDPParser = require('./TuyaDPParser');
  * - DP15: LED indicator behavior - Enum (0=Off, 1=Status, 2=Inverse)
  * - DP16: Backlight control - Boolean
  * - DP19: Inching/Pulse mode (per gang) - Raw (3×n bytes)
- * - DP29-32: Power-on behavior (per gang) - Enum (same as DP14)
+ * - DP29-32: Power-on behavior (per gang) - Enum (same as DP14), ZCL startUpOnOff preferred
  * - DP209: Weekly schedules - Raw (2+10×n bytes) [FUTURE]
  * - DP210: Random timing - Raw (2+6×n bytes) [FUTURE]
  *
@@ -26,6 +27,9 @@ const TuyaDPParser = require('./TuyaDPParser');
  * - HybridProtocolManager: Protocol routing
  */
 
+// Power-on behavior mode (0=Off, 1=On, 2=Last State) → ZCL startUpOnOff value
+const STARTUP_ON_OFF_VALUES = ['off', 'on', 'previous'];
+
 class TuyaMultiGangManager {
 
   /**
@@ -148,29 +152,51 @@ class TuyaMultiGangManager {
   }
 
   /**
-   * DP29-32: Set per-gang power-on behavior
-   * @param {number} gang - Gang number (1-4)
+   * Set per-gang power-on behavior
+   * Writes ZCL startUpOnOff on the gang's endpoint, falls back to DP29-32
+   * @param {number} gang - Gang number (1-8, DP fallback 1-4 only)
    * @param {number} mode - 0=Off, 1=On, 2=Last State
    */
   async setGangPowerOnBehavior(gang, mode) {
     try {
-      if (gang < 1 || gang > 4) {
+      if (gang < 1 || gang > 8) {
         this.error(`[TUYA-MULTI-GANG] Invalid gang number: ${gang}`);
         return false;
       }
 
-      if (!this.tuyaEF00) {
-        this.log('[TUYA-MULTI-GANG] No Tuya EF00 manager available');
-        return false;
+      this.log(`[TUYA-MULTI-GANG] Setting gang ${gang} power-on behavior: ${mode}`);
+
+      // ZCL startUpOnOff on the gang's own endpoint
+      const onOffCluster = this.device.zclNode?.endpoints?.[gang]?.clusters?.onOff;
+      if (onOffCluster) {
+        try {
+          await writeAttributesChecked(onOffCluster, {
+            startUpOnOff: STARTUP_ON_OFF_VALUES[mode] ?? 'previous'
+          });
+          this.log(`[TUYA-MULTI-GANG] ✅ Gang ${gang} power-on behavior set via ZCL startUpOnOff`);
+          return true;
+        } catch (err) {
+          this.log(`[TUYA-MULTI-GANG] ⚠️ EP${gang} startUpOnOff write failed: ${err.message}, trying Tuya DP`);
+        }
       }
 
-      this.log(`[TUYA-MULTI-GANG] Setting gang ${gang} power-on behavior: ${mode}`);
+      if (gang > 4) {
+        this.log(`[TUYA-MULTI-GANG] ⚠️ No Tuya DP fallback for gang ${gang}`);
+        return false;
+      }
 
       // DP29-32 = DP(28 + gang)
       const dp = 28 + gang;
-      await this.tuyaEF00.writeDP(dp, mode);
+      if (typeof this.device._sendTuyaDP === 'function') {
+        await this.device._sendTuyaDP(dp, mode, 'enum');
+      } else if (this.tuyaEF00) {
+        await this.tuyaEF00.writeDP(dp, mode);
+      } else {
+        this.log('[TUYA-MULTI-GANG] No Tuya EF00 manager available');
+        return false;
+      }
 
-      this.log(`[TUYA-MULTI-GANG] ✅ Gang ${gang} power-on behavior set successfully`);
+      this.log(`[TUYA-MULTI-GANG] ✅ Gang ${gang} power-on behavior set via DP${dp}`);
       return true;
 
     } catch (err) {
@@ -179,6 +205,30 @@ class TuyaMultiGangManager {
     }
   }
 
+  /**
+   * Read per-gang power-on behavior from ZCL startUpOnOff
+   * @param {number} gang - Gang number (1-8)
+   * @returns {Promise<number|null>} 0=Off, 1=On, 2=Last State, null if unavailable
+   */
+  async getGangPowerOnBehavior(gang) {
+    const onOffCluster = this.device.zclNode?.endpoints?.[gang]?.clusters?.onOff;
+    if (!onOffCluster) return null;
+
+    try {
+      const attributes = await onOffCluster.readAttributes(['startUpOnOff']);
+      // Unsupported attributes are left out of the read result
+      if (!('startUpOnOff' in attributes)) {
+        this.log(`[TUYA-MULTI-GANG] EP${gang} has no startUpOnOff attribute`);
+        return null;
+      }
+      const mode = STARTUP_ON_OFF_VALUES.indexOf(attributes.startUpOnOff);
+      return mode === -1 ? null : mode;
+    } catch (err) {
+      this.log(`[TUYA-MULTI-GANG] EP${gang} startUpOnOff not readable: ${err.message}`);
+      return null;
+    }
+  }
+
   /**
    * DP7-10: Set countdown timer for a gang
    * @param {number} gang - Gang number (1-4)
@@ -227,11 +277,6 @@ class TuyaMultiGangManager {
    */
   async setInchingMode(gangConfigs) {
     try {
-      if (!this.tuyaEF00) {
-        this.log('[TUYA-MULTI-GANG] No Tuya EF00 manager available');
-        return false;
-      }
-
       if (!Array.isArray(gangConfigs) || gangConfigs.length === 0) {
         this.error('[TUYA-MULTI-GANG] Invalid gang configs');
         return false;
@@ -266,8 +311,24 @@ class TuyaMultiGangManager {
         this.log(`[TUYA-MULTI-GANG]   Gang ${gang}: ${enabled ? 'Enabled' : 'Disabled'}, ${duration}s`);
       }
 
-      // Write to DP19
-      await this.tuyaEF00.writeDP(19, Buffer.from(payload));
+      if (payload.length === 0) {
+        return false;
+      }
+
+      // Write to DP19 (raw)
+      let sent = false;
+      if (typeof this.device._sendTuyaDP === 'function') {
+        sent = await this.device._sendTuyaDP(19, Buffer.from(payload), 'raw');
+      } else if (this.tuyaEF00) {
+        await this.tuyaEF00.writeDP(19, Buffer.from(payload));
+        sent = true;
+      } else {
+        this.log('[TUYA-MULTI-GANG] No Tuya EF00 manager available');
+      }
+
+      if (!sent) {
+        return false;
+      }
 
       this.log('[TUYA-MULTI-GANG] ✅ Inching mode set successfully');
       return true;
@@ -302,8 +363,8 @@ class TuyaMultiGangManager {
         await this.setMainPowerOnBehavior(parseInt(settings.power_on_behavior));
       }
 
-      // Per-gang power-on behavior (DP29-32)
-      for (let gang = 1; gang <= Math.min(4, this.gangCount); gang++) {
+      // Per-gang power-on behavior (startUpOnOff / DP29-32)
+      for (let gang = 1; gang <= this.gangCount; gang++) {
         const settingKey = `power_on_behavior_${gang}`;
         if (settings[settingKey] !== undefined) {
           await this.setGangPowerOnBehavior(gang, parseInt(settings[settingKey]));
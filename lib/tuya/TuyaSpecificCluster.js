@@ -12,6 +12,7 @@
  */
 
 const { Cluster, ZCLDataTypes } = require('zigbee-clusters');
+const TuyaDPCodec = require('./TuyaDPCodec');
 
 /**
  * Tuya Specific Cluster 0xEF00
@@ -187,40 +188,7 @@ class TuyaSpecificCluster extends Cluster {
    * Build DataPoint buffer for sending
    */
   static buildDataPointBuffer(dp, dataType, value) {
-    let dataBuffer;
-    let length;
-
-    switch (dataType) {
-    case 0x01: // Bool
-      dataBuffer = Buffer.alloc(1);
-      dataBuffer.writeUInt8(value ? 1 : 0, 0);
-      length = 1;
-      break;
-
-    case 0x02: // Value (4 bytes)
-      dataBuffer = Buffer.alloc(4);
-      dataBuffer.writeUInt32BE(value, 0);
-      length = 4;
-      break;
-
-    case 0x04: // Enum
-      dataBuffer = Buffer.alloc(1);
-      dataBuffer.writeUInt8(value, 0);
-      length = 1;
-      break;
-
-    default:
-      throw new Error(`Unsupported data type: ${dataType}`);
-    }
-
-    const buffer = Buffer.alloc(4 + length);
-    buffer.writeUInt8(dp, 0);
-    buffer.writeUInt8(dataType, 1);
-    buffer.writeUInt8((length >> 8) & 0xFF, 2);
-    buffer.writeUInt8(length & 0xFF, 3);
-    dataBuffer.copy(buffer, 4);
-
-    return buffer;
+    return TuyaDPCodec.encodeRecord(dp, value, dataType);
   }
 
   /**
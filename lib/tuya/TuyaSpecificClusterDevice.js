@@ -3,6 +3,11 @@
 const { ZigBeeDevice } = require('homey-zigbeedriver');
 const { CLUSTER } = require('zigbee-clusters');
 const PeriodicAutoEnricherMixin = require('../mixins/PeriodicAutoEnricherMixin');
+const TuyaDPCodec = require('./TuyaDPCodec');
+const TuyaDPRecorder = require('./TuyaDPRecorder');
+const TimeSyncService = require('./TimeSyncService');
+const DiagnosticReport = require('../diagnostics/DiagnosticReport');
+const TuyaEngine = require('../tuya-engine');
 
 /**
  * TuyaSpecificClusterDevice
@@ -16,14 +21,22 @@ const PeriodicAutoEnricherMixin = require('../mixins/PeriodicAutoEnricherMixin')
  */
 class TuyaSpecificClusterDevice extends ZigBeeDevice {
 
-  // Transaction ID management (from PR #774/#1204)
-  _transactionID = 0;
-  set transactionID(val) { this._transactionID = val % 256; }
-  get transactionID() { return this._transactionID; }
-
   // Debug mode flag
   debugEnabled = false;
 
+  constructor(...args) {
+    super(...args);
+    this.diagnostics = new DiagnosticReport(this);
+  }
+
+  /**
+   * Errors are also kept for the diagnostic report
+   */
+  error(...args) {
+    this.diagnostics?.recordError(...args);
+    super.error(...args);
+  }
+
   async onNodeInit({ zclNode }) {
     await super.onNodeInit({ zclNode });
 
@@ -32,6 +45,9 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
     // Store Tuya DP mappings
     this._tuyaDatapoints = new Map();
 
+    // DP sniffer (dp_capture setting)
+    this.dpRecorder = new TuyaDPRecorder(this);
+
     // v5.5.740: Wait for device to be ready (from PR #1204)
     try {
       await this.waitForDeviceReady(5000);
@@ -43,6 +59,10 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
     // Listen to Tuya manufacturer-specific cluster
     this.setupTuyaCluster();
 
+    // Tuya time requests (0x24) and ZCL Time reads
+    this.timeSync = new TimeSyncService(this);
+    this.timeSync.start(zclNode);
+
     this.log('TuyaSpecificClusterDevice ready');
 
     // v5.5.855: Start periodic auto-enrichment (15min + hourly scans)
@@ -117,6 +137,7 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
       for (const eventName of eventNames) {
         if (typeof tuyaCluster.on === 'function') {
           tuyaCluster.on(eventName, (data) => {
+            this.dpRecorder.inbound(data, eventName);
             if (eventName === 'dataReport' || eventName === 'data' || eventName === 'dp') {
               this.handleTuyaDataReport(data);
             } else {
@@ -142,6 +163,7 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
         endpoint.on('frame', (clusterId, data, meta) => {
           // Check if this is a Tuya frame (cluster 0xEF00 = 61184)
           if (clusterId === 61184 || clusterId === 0xEF00) {
+            this.dpRecorder.inbound(data, 'frame');
             this._parseRawTuyaFrame(data);
           }
         });
@@ -185,20 +207,45 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
    * Register a Tuya datapoint to Homey capability mapping
    * @param {number} dp - Datapoint ID
    * @param {string} capability - Homey capability name
-   * @param {object} options - Conversion options (scale, offset, etc.)
+   * @param {object} options - Conversion options (scale, offset, etc.), or a lib/tuya-engine
+   *   DP mapping with its converter (name or { fromDP, toDP })
    */
   registerTuyaDatapoint(dp, capability, options = {}) {
     this._tuyaDatapoints.set(dp, {
+      ...options,
       capability,
       scale: options.scale || 1,
       offset: options.offset || 0,
       type: options.type || 'value',
       invert: options.invert || false,
+      converter: typeof options.converter === 'string' ? TuyaEngine.converterFor(options, capability) : options.converter || null,
     });
 
     this.log(`Registered Tuya DP ${dp} → ${capability}`);
   }
 
+  /**
+   * Register the DPs of a lib/tuya-engine profile, each with the converter of its mapping
+   * @param {string} profileId - e.g. 'wall_dimmer_1gang'
+   * @param {object} [options]
+   * @param {object} [options.dps] - DP per capability, overrides the profile's (channel variants)
+   */
+  registerTuyaProfile(profileId, { dps = {} } = {}) {
+    const profile = TuyaEngine.getProfile(profileId);
+    if (!profile) throw new Error(`Unknown Tuya profile ${profileId}`);
+
+    const traits = TuyaEngine.getTraits(profile);
+    this._tuyaProfile = profile;
+    for (const capability of Object.keys(profile.dpMap || {})) {
+      const mapping = TuyaEngine.getMapping(profile, capability);
+      const dp = dps[capability] || mapping.dp;
+      this.registerTuyaDatapoint(dp, capability, {
+        ...mapping,
+        converter: TuyaEngine.converterFor(mapping, capability, traits),
+      });
+    }
+  }
+
   /**
    * Handle Tuya datapoint report
    */
@@ -237,6 +284,10 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
   convertTuyaValue(data, mapping) {
     let value = data.data || data.value || 0;
 
+    if (mapping.converter) {
+      return this.fromTuyaValue(data.dp, value);
+    }
+
     // Type conversion
     switch (mapping.type) {
     case 'bool':
@@ -264,6 +315,34 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
     return value;
   }
 
+  /**
+   * Homey value of a registered DP's raw value, through the converter of its mapping
+   * @param {number} dp - Datapoint ID
+   * @param {*} raw - Decoded DP value
+   */
+  fromTuyaValue(dp, raw) {
+    const mapping = this._tuyaDatapoints.get(dp);
+    return mapping.converter.fromDP(raw, { ...mapping, ...this.getTuyaConverterOptions(mapping.capability) });
+  }
+
+  /**
+   * Raw DP value of a Homey value for a registered DP, through the converter of its mapping
+   * @param {number} dp - Datapoint ID
+   * @param {*} value - Capability value
+   */
+  toTuyaValue(dp, value) {
+    const mapping = this._tuyaDatapoints.get(dp);
+    return mapping.converter.toDP(value, { ...mapping, ...this.getTuyaConverterOptions(mapping.capability) });
+  }
+
+  /**
+   * Extra converter options of a capability, evaluated on every conversion
+   * Override in subclass (e.g. the dimming curve of a dimmer's dim capability)
+   */
+  getTuyaConverterOptions(capability) {
+    return {};
+  }
+
   /**
    * Handle Tuya response
    */
@@ -276,7 +355,7 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
    * Send Tuya datapoint command
    * @param {number} dp - Datapoint ID
    * @param {*} value - Value to send
-   * @param {string} type - Data type ('bool', 'value', 'enum', 'string')
+   * @param {string} type - Data type ('bool', 'value', 'enum', 'string', 'bitmap', 'raw')
    */
   async sendTuyaCommand(dp, value, type = 'value') {
     try {
@@ -295,44 +374,23 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
 
       this.log(`Sending Tuya command: DP ${dp} = ${value} (${type})`);
 
-      // Prepare data based on type
-      let data;
-      switch (type) {
-      case 'bool':
-        data = value ? 1 : 0;
-        break;
-      case 'value':
-        data = Number(value);
-        break;
-      case 'enum':
-        data = Number(value);
-        break;
-      case 'string':
-        data = String(value);
-        break;
-      default:
-        data = value;
-      }
+      const datapoint = TuyaDPCodec.buildDatapoint(dp, value, type);
 
-      // Send command to Tuya cluster using available method
       // v5.3.56: Fix for SDK3 - dataRequest may not exist
-      if (typeof tuyaCluster.dataRequest === 'function') {
-        await tuyaCluster.dataRequest({
-          dp,
-          data,
-          datatype: this.getTuyaDataType(type),
-        });
+      if (typeof tuyaCluster.datapoint === 'function') {
+        await tuyaCluster.datapoint(datapoint);
+      } else if (typeof tuyaCluster.dataRequest === 'function') {
+        await tuyaCluster.dataRequest(datapoint);
       } else if (typeof tuyaCluster.setData === 'function') {
         // Alternative method for SDK3
-        const payload = this._buildTuyaPayload(dp, data, type);
-        await tuyaCluster.setData({ data: payload });
+        await tuyaCluster.setData({ data: TuyaDPCodec.encodeFrame(datapoint) });
       } else if (typeof tuyaCluster.sendCommand === 'function') {
         // Raw command fallback
-        const payload = this._buildTuyaPayload(dp, data, type);
-        await tuyaCluster.sendCommand(0x00, payload);
+        await tuyaCluster.sendCommand(0x00, TuyaDPCodec.encodeFrame(datapoint));
       } else {
         throw new Error('No suitable method found for Tuya command');
       }
+      this.dpRecorder?.outbound(datapoint);
 
       this.log('✅ Tuya command sent successfully');
 
@@ -343,56 +401,32 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
   }
 
   /**
-   * Build Tuya payload for setData/sendCommand
-   * v5.3.56: Helper for SDK3 compatibility
+   * DP capture as JSON (export flow card)
    */
-  _buildTuyaPayload(dp, value, type) {
-    const datatype = this.getTuyaDataType(type);
-    const { Buffer } = require('buffer');
-
-    let dataBuffer;
-    switch (datatype) {
-    case 1: // BOOL
-      dataBuffer = Buffer.from([value ? 1 : 0]);
-      break;
-    case 2: // VALUE (32-bit int)
-      dataBuffer = Buffer.alloc(4);
-      dataBuffer.writeInt32BE(value, 0);
-      break;
-    case 3: // STRING
-      dataBuffer = Buffer.from(String(value), 'utf8');
-      break;
-    case 4: // ENUM
-      dataBuffer = Buffer.from([value & 0xFF]);
-      break;
-    default:
-      dataBuffer = Buffer.from([value]);
-    }
+  exportDPCapture() {
+    return this.dpRecorder ? this.dpRecorder.export() : null;
+  }
 
-    // Tuya frame: [status:1][seq:1][dp:1][type:1][len:2][data:N]
-    const payload = Buffer.alloc(6 + dataBuffer.length);
-    payload.writeUInt8(0x00, 0); // Status
-    payload.writeUInt8(0x00, 1); // Seq (will be set by cluster)
-    payload.writeUInt8(dp, 2);   // DP ID
-    payload.writeUInt8(datatype, 3); // Data type
-    payload.writeUInt16BE(dataBuffer.length, 4); // Data length
-    dataBuffer.copy(payload, 6); // Data
+  /**
+   * Diagnostic report (identity, endpoints, protocol, DPs, errors)
+   * @returns {object}
+   */
+  getDiagnosticReport() {
+    return this.diagnostics.generate();
+  }
 
-    return payload;
+  /**
+   * Diagnostic report as JSON (export flow card, app settings page)
+   */
+  exportDiagnostics() {
+    return this.diagnostics.export();
   }
 
   /**
    * Get Tuya datatype ID
    */
   getTuyaDataType(type) {
-    const types = {
-      'bool': 1,
-      'value': 2,
-      'string': 3,
-      'enum': 4,
-      'bitmap': 5,
-    };
-    return types[type] || 2;
+    return TuyaDPCodec.resolveType(type);
   }
 
   /**
@@ -477,21 +511,13 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
    */
   getTransactionStats() {
     return {
-      currentTransactionId: this._transactionID,
+      currentTransactionId: TuyaDPCodec.currentTransid(),
       deviceReady: this.isDeviceReady(),
       deviceName: this.getName?.() || 'Unknown',
       retryConfig: { maxRetries: 2, baseDelay: 300, backoffType: 'linear' }
     };
   }
 
-  /**
-   * Reset transaction ID
-   */
-  resetTransactionId() {
-    this._transactionID = 0;
-    this.debug('Transaction ID reset to 0');
-  }
-
   // ═══════════════════════════════════════════════════════════════════════════
   // v5.5.740: Direct DP writing methods from PR #774 (arjendk)
   // ═══════════════════════════════════════════════════════════════════════════
@@ -501,9 +527,7 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
    * Source: PR #774 (arjendk)
    */
   async writeBool(dp, value) {
-    const data = Buffer.alloc(1);
-    data.writeUInt8(value ? 0x01 : 0x00, 0);
-    return this._sendTuyaDatapoint(dp, 1, 1, data);
+    return this._sendTuyaDatapoint(dp, 'bool', value);
   }
 
   /**
@@ -511,9 +535,7 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
    * Source: PR #774 (arjendk)
    */
   async writeData32(dp, value) {
-    const data = Buffer.alloc(4);
-    data.writeUInt32BE(value, 0);
-    return this._sendTuyaDatapoint(dp, 2, 4, data);
+    return this._sendTuyaDatapoint(dp, 'value', value);
   }
 
   /**
@@ -521,8 +543,7 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
    * Source: PR #774 (arjendk)
    */
   async writeString(dp, value) {
-    const data = Buffer.from(value, 'utf8');
-    return this._sendTuyaDatapoint(dp, 3, data.length, data);
+    return this._sendTuyaDatapoint(dp, 'string', value);
   }
 
   /**
@@ -530,24 +551,16 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
    * Source: PR #774 (arjendk)
    */
   async writeEnum(dp, value) {
-    const data = Buffer.alloc(1);
-    data.writeUInt8(value, 0);
-    return this._sendTuyaDatapoint(dp, 4, 1, data);
+    return this._sendTuyaDatapoint(dp, 'enum', value);
   }
 
   /**
    * Write bitmap to datapoint
    * Source: PR #774 (arjendk) - NEW METHOD
+   * @param {number|Buffer} value - Number, or a Buffer of the exact width the DP expects
    */
   async writeBitmap(dp, value) {
-    let data;
-    if (Buffer.isBuffer(value)) {
-      data = value;
-    } else {
-      data = Buffer.alloc(4);
-      data.writeUInt32BE(value, 0);
-    }
-    return this._sendTuyaDatapoint(dp, 5, data.length, data);
+    return this._sendTuyaDatapoint(dp, 'bitmap', value);
   }
 
   /**
@@ -555,29 +568,20 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
    * Source: PR #774 (arjendk)
    */
   async writeRaw(dp, data) {
-    if (!Buffer.isBuffer(data)) {
-      throw new Error('Data must be a Buffer instance');
-    }
-    return this._sendTuyaDatapoint(dp, 0, data.length, data);
+    return this._sendTuyaDatapoint(dp, 'raw', data);
   }
 
   /**
    * Internal helper to send Tuya datapoint with retry logic
-   * Source: PR #1204 (gpmachado) - Enhanced with input validation
+   * Source: PR #1204 (gpmachado) - Input validation by TuyaDPCodec, before the first try
    */
-  async _sendTuyaDatapoint(dp, datatype, length, data, maxRetries = 2, baseDelay = 300) {
-    // Input validation
-    if (dp < 0 || dp > 255) {
-      throw new Error(`Invalid datapoint ID: ${dp}. Must be between 0 and 255.`);
-    }
-    if (!Buffer.isBuffer(data)) {
-      throw new Error('Data must be a Buffer instance');
-    }
+  async _sendTuyaDatapoint(dp, type, value, maxRetries = 2, baseDelay = 300) {
+    const datapoint = TuyaDPCodec.buildDatapoint(dp, value, type);
 
     let lastError;
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        this.debug(`Sending DP ${dp}, Datatype ${datatype}, Try ${attempt}/${maxRetries}`);
+        this.debug(`Sending DP ${dp}, Datatype ${datapoint.datatype}, Try ${attempt}/${maxRetries}`);
 
         if (!this.isDeviceReady()) {
           throw new Error('Tuya cluster not available or device not properly initialized');
@@ -586,14 +590,8 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
         const cluster = this.zclNode.endpoints[1].clusters.tuya || 
                        this.zclNode.endpoints[1].clusters.manuSpecificTuya;
 
-        const response = await cluster.datapoint({
-          status: 0,
-          transid: this.transactionID++,
-          dp,
-          datatype,
-          length,
-          data
-        });
+        const response = await cluster.datapoint(datapoint);
+        this.dpRecorder?.outbound(datapoint);
 
         this.debug(`DP ${dp} sent successfully.`);
         return response;
@@ -644,6 +642,20 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
     }
     return results;
   }
+
+  /**
+   * Stop the periodic enrichment scans together with the device
+   */
+  onDeleted() {
+    this.cleanupPeriodicEnricher();
+    if (this.dpRecorder) {
+      this.dpRecorder.destroy();
+    }
+    if (this.timeSync) {
+      this.timeSync.destroy();
+    }
+    super.onDeleted();
+  }
 }
 
 // v5.5.855: Apply PeriodicAutoEnricherMixin for dynamic capability detection
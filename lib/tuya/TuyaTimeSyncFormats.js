@@ -173,7 +173,7 @@ class TuyaTimeSyncFormats {
   /**
    * Build time payload for given format
    * @param {string} format - TIME_FORMAT constant
-   * @param {Object} options - { timezone: 'GMT+1' | 'auto', date: Date }
+   * @param {Object} options - { timezone: 'GMT+1' | 'auto' | offset in minutes, date: Date, dst: boolean }
    * @returns {Buffer}
    */
   static buildPayload(format, options = {}) {
@@ -187,7 +187,7 @@ class TuyaTimeSyncFormats {
     const zigbeeLocal = zigbeeUtc + (tzMinutes * 60);
 
     // Date components
-    const localDate = new Date(now.getTime() + (tzMinutes * 60 * 1000) - (now.getTimezoneOffset() * 60 * 1000));
+    const localDate = new Date(now.getTime() + (tzMinutes * 60 * 1000) + (now.getTimezoneOffset() * 60 * 1000));
     const utcDate = now;
 
     // Tuya weekday: 1=Mon, 7=Sun (JS: 0=Sun, 6=Sat)
@@ -195,7 +195,7 @@ class TuyaTimeSyncFormats {
     const weekdayUtc = utcDate.getUTCDay() === 0 ? 7 : utcDate.getUTCDay();
 
     // DST detection
-    const isDST = this._isDST(now);
+    const isDST = options.dst !== undefined ? Boolean(options.dst) : this._isDST(now);
     const tzHours = Math.floor(tzMinutes / 60);
     const tzMins = Math.abs(tzMinutes % 60);
 
@@ -400,10 +400,14 @@ class TuyaTimeSyncFormats {
 
   /**
    * Get timezone offset in minutes
-   * @param {string} timezone - 'auto' | 'GMT+1' | 'UTC' etc
+   * @param {string|number} timezone - 'auto' | 'GMT+1' | 'UTC' etc, or the offset in minutes
    * @returns {number}
    */
   static _getTimezoneMinutes(timezone) {
+    if (typeof timezone === 'number') {
+      return timezone;
+    }
+
     if (!timezone || timezone === 'auto') {
       return -new Date().getTimezoneOffset();
     }
@@ -15,6 +15,8 @@
  * https://developer.tuya.com/en/docs/connect-subdevices-to-gateways/tuya-zigbee-multiple-switch-access-standard
  */
 
+const TuyaDPCodec = require('./TuyaDPCodec');
+
 /**
  * Parse Tuya DP payload from various formats
  * @param {Buffer|string|object} payload - Raw payload
@@ -321,46 +323,8 @@ function mapDpToCapability(dpId, value, opts = {}) {
  */
 function encodeDpValue(dpId, dpType, value) {
   try {
-    let dataBuf;
-
-    switch (dpType) {
-    case 0x01: // Boolean
-      dataBuf = Buffer.alloc(1);
-      dataBuf.writeUInt8(value ? 1 : 0, 0);
-      break;
-
-    case 0x02: // Value (4 bytes)
-      dataBuf = Buffer.alloc(4);
-      dataBuf.writeUInt32BE(Number(value), 0);
-      break;
-
-    case 0x03: // String
-      dataBuf = Buffer.from(String(value), 'utf8');
-      break;
-
-    case 0x04: // Enum
-      dataBuf = Buffer.alloc(1);
-      dataBuf.writeUInt8(Number(value), 0);
-      break;
-
-    case 0x05: // Bitmap
-      dataBuf = Buffer.alloc(4);
-      dataBuf.writeUInt32BE(Number(value), 0);
-      break;
-
-    default:
-      throw new Error(`Unknown DP type: ${dpType}`);
-    }
-
     // Build frame: dpId (1) + dpType (1) + dpLen (2) + data
-    const frame = Buffer.alloc(4 + dataBuf.length);
-    frame.writeUInt8(dpId, 0);
-    frame.writeUInt8(dpType, 1);
-    frame.writeUInt16BE(dataBuf.length, 2);
-    dataBuf.copy(frame, 4);
-
-    return frame;
-
+    return TuyaDPCodec.encodeRecord(dpId, value, dpType);
   } catch (err) {
     console.error(`[DP-PARSER] Encode error DP ${dpId}:`, err.message);
     throw err;
@@ -18,6 +18,8 @@ module.exports = {
   TuyaDPMapperComplete: require('./TuyaDPMapperComplete'),
   TuyaDPMapper: require('./TuyaDPMapper'),
   TuyaDPParser: require('./TuyaDPParser'),
+  TuyaDPCodec: require('./TuyaDPCodec'),
+  TuyaDPRecorder: require('./TuyaDPRecorder'),
   TuyaDPDatabase: require('./TuyaDPDatabase'),
   TuyaDPDiscovery: require('./TuyaDPDiscovery'),
   TuyaDPUltimate: require('./TuyaDPUltimate'),
@@ -30,10 +32,8 @@ module.exports = {
   TuyaSpecificCluster: require('./TuyaSpecificCluster'),
   
   // Time Sync
-  TuyaTimeSync: require('./TuyaTimeSync'),
-  TuyaTimeSyncManager: require('./TuyaTimeSyncManager'),
+  TimeSyncService: require('./TimeSyncService'),
   TuyaTimeSyncFormats: require('./TuyaTimeSyncFormats'),
-  UniversalTimeSync: require('./UniversalTimeSync'),
   
   // Device Support
   TuyaAdapter: require('./TuyaAdapter'),
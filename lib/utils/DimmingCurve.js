@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * DimmingCurve - Homey dim (0-1) ↔ Tuya brightness (10-1000) mapping
+ *
+ * Curves (dim_curve setting):
+ * - linear:      level = dim
+ * - logarithmic: level = (100^dim - 1) / 99, perceived-linear for LED loads
+ * - gamma:       level = dim^gamma (dim_gamma setting)
+ *
+ * max_brightness (%) moves the top of the Tuya range, so 100% in Homey is the
+ * calibrated maximum. dimToTuya / tuyaToDim are inverses, so reported values
+ * round-trip to the dim value that was sent (within the 10-1000 resolution).
+ */
+
+const TUYA_MIN = 10;
+const TUYA_MAX = 1000;
+const LOG_BASE = 100;
+const DEFAULT_GAMMA = 2.2;
+
+const CURVES = ['linear', 'logarithmic', 'gamma'];
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * Brightness percentage (min_brightness / max_brightness settings) → Tuya 10-1000
+ */
+function percentToTuya(percent) {
+  return Math.round(TUYA_MIN + ((percent / 100) * (TUYA_MAX - TUYA_MIN)));
+}
+
+function applyCurve(dim, curve, gamma) {
+  switch (curve) {
+    case 'logarithmic':
+      return (Math.pow(LOG_BASE, dim) - 1) / (LOG_BASE - 1);
+    case 'gamma':
+      return Math.pow(dim, gamma || DEFAULT_GAMMA);
+    default:
+      return dim;
+  }
+}
+
+function invertCurve(level, curve, gamma) {
+  switch (curve) {
+    case 'logarithmic':
+      return Math.log(1 + (level * (LOG_BASE - 1))) / Math.log(LOG_BASE);
+    case 'gamma':
+      return Math.pow(level, 1 / (gamma || DEFAULT_GAMMA));
+    default:
+      return level;
+  }
+}
+
+/**
+ * Curve options from device settings
+ * @param {object} settings - dim_curve, dim_gamma, max_brightness
+ * @returns {{curve: string, gamma: number, maxBrightness: number}}
+ */
+function fromSettings(settings = {}) {
+  return {
+    curve: CURVES.includes(settings.dim_curve) ? settings.dim_curve : 'linear',
+    gamma: Number(settings.dim_gamma) || DEFAULT_GAMMA,
+    maxBrightness: Number(settings.max_brightness) || 100
+  };
+}
+
+/**
+ * Homey dim value → Tuya brightness
+ * @param {number} dim - 0-1
+ * @param {object} [options] - fromSettings() result
+ * @returns {number} 10-1000
+ */
+function dimToTuya(dim, options = {}) {
+  const top = percentToTuya(options.maxBrightness || 100);
+  const level = applyCurve(clamp(dim), options.curve, options.gamma);
+  return Math.round(TUYA_MIN + (level * (top - TUYA_MIN)));
+}
+
+/**
+ * Tuya brightness → Homey dim value
+ * @param {number} raw - 10-1000
+ * @param {object} [options] - fromSettings() result
+ * @returns {number} 0-1
+ */
+function tuyaToDim(raw, options = {}) {
+  const top = percentToTuya(options.maxBrightness || 100);
+  const level = clamp((raw - TUYA_MIN) / (top - TUYA_MIN));
+  return clamp(invertCurve(level, options.curve, options.gamma));
+}
+
+module.exports = {
+  CURVES,
+  percentToTuya,
+  fromSettings,
+  dimToTuya,
+  tuyaToDim
+};
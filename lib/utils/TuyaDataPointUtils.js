@@ -11,6 +11,8 @@
  * - Value parsing helpers
  */
 
+const TuyaDPCodec = require('../tuya/TuyaDPCodec');
+
 // ═══════════════════════════════════════════════════════════════════════════
 // TUYA DATA TYPES (from Tuya MCU Protocol)
 // ═══════════════════════════════════════════════════════════════════════════
@@ -131,40 +133,7 @@ function getDataValue(dpValue) {
  * @returns {Buffer} The encoded buffer
  */
 function encodeDataValue(value, datatype) {
-  switch (datatype) {
-    case TUYA_DATA_TYPES.BOOL: {
-      const buf = Buffer.alloc(1);
-      buf.writeUInt8(value ? 1 : 0, 0);
-      return buf;
-    }
-    
-    case TUYA_DATA_TYPES.VALUE: {
-      const buf = Buffer.alloc(4);
-      buf.writeInt32BE(value, 0);
-      return buf;
-    }
-    
-    case TUYA_DATA_TYPES.ENUM: {
-      const buf = Buffer.alloc(1);
-      buf.writeUInt8(value & 0xFF, 0);
-      return buf;
-    }
-    
-    case TUYA_DATA_TYPES.STRING:
-      return Buffer.from(String(value), 'utf8');
-      
-    case TUYA_DATA_TYPES.BITMAP: {
-      if (Buffer.isBuffer(value)) return value;
-      const buf = Buffer.alloc(4);
-      buf.writeUInt32BE(value, 0);
-      return buf;
-    }
-    
-    case TUYA_DATA_TYPES.RAW:
-    default:
-      if (Buffer.isBuffer(value)) return value;
-      return Buffer.from([value]);
-  }
+  return TuyaDPCodec.encodeValue(datatype, value);
 }
 
 /**
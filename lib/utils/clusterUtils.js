@@ -95,6 +95,24 @@ async function safeBindCluster(cluster, timeoutMs = 5000) {
   }
 }
 
+/**
+ * Write cluster attributes and check the status records of the response
+ * zigbee-clusters resolves writeAttributes() with the device's write attributes
+ * response instead of rejecting, so an UNSUPPORTED_ATTRIBUTE only shows up there.
+ * @param {Object} cluster - Cluster object
+ * @param {Object} attributes - Attribute name/value pairs
+ * @returns {Promise<Object>} Write attributes response
+ * @throws {Error} Status of the first attribute the device did not write (e.g. UNSUPPORTED_ATTRIBUTE)
+ */
+async function writeAttributesChecked(cluster, attributes) {
+  const response = await cluster.writeAttributes(attributes);
+  const failed = (response?.attributes || []).find(record => record.status !== 'SUCCESS');
+  if (failed) {
+    throw new Error(failed.status);
+  }
+  return response;
+}
+
 /**
  * Check if cluster exists and is accessible
  * @param {Object} endpoint - Zigbee endpoint
@@ -130,5 +148,6 @@ module.exports = {
   safeReadCluster,
   safeConfigureReporting,
   safeBindCluster,
+  writeAttributesChecked,
   getCluster
 };
@@ -1,6 +1,7 @@
 'use strict';
 
 const DataConverter = require('./DataConverter');
+const TuyaDPCodec = require('../../tuya/TuyaDPCodec');
 
 /**
  * TuyaProtocolParser - v5.5.397
@@ -146,55 +147,7 @@ class TuyaProtocolParser {
    * @returns {Buffer} - Encoded DP
    */
   static buildDP(id, type, value) {
-    let valueBuffer;
-
-    switch (type) {
-      case TUYA_DP_TYPE.BOOL:
-        valueBuffer = Buffer.from([value ? 1 : 0]);
-        break;
-
-      case TUYA_DP_TYPE.VALUE:
-        valueBuffer = Buffer.alloc(4);
-        valueBuffer.writeInt32BE(Math.round(Number(value) || 0), 0);
-        break;
-
-      case TUYA_DP_TYPE.STRING:
-        valueBuffer = Buffer.from(String(value), 'utf8');
-        break;
-
-      case TUYA_DP_TYPE.ENUM:
-        valueBuffer = Buffer.from([Number(value) & 0xFF]);
-        break;
-
-      case TUYA_DP_TYPE.BITMAP:
-        if (typeof value === 'number') {
-          if (value <= 0xFF) {
-            valueBuffer = Buffer.from([value]);
-          } else if (value <= 0xFFFF) {
-            valueBuffer = Buffer.alloc(2);
-            valueBuffer.writeUInt16BE(value, 0);
-          } else {
-            valueBuffer = Buffer.alloc(4);
-            valueBuffer.writeUInt32BE(value, 0);
-          }
-        } else {
-          valueBuffer = DataConverter.toBuffer(value);
-        }
-        break;
-
-      case TUYA_DP_TYPE.RAW:
-      default:
-        valueBuffer = DataConverter.toBuffer(value);
-    }
-
-    // Build DP: [id, type, len_hi, len_lo, ...value]
-    const dp = Buffer.alloc(4 + valueBuffer.length);
-    dp[0] = id & 0xFF;
-    dp[1] = type & 0xFF;
-    dp.writeUInt16BE(valueBuffer.length, 2);
-    valueBuffer.copy(dp, 4);
-
-    return dp;
+    return TuyaDPCodec.encodeRecord(id, value, type);
   }
 
   /**
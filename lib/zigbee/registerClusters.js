@@ -42,6 +42,33 @@ function registerCustomClusters(logger = null) {
       }
     }
 
+    // On/Off cluster with startUpOnOff (replaces the stock onOff cluster)
+    try {
+      Cluster.addCluster(require('../clusters/TuyaOnOffCluster'));
+    } catch (regErr) {
+      if (logger) {
+        logger.error('Cannot register TuyaOnOffCluster:', regErr.message);
+      }
+    }
+
+    // Tuya switch mode cluster 0xE001 (relay decoupling)
+    try {
+      Cluster.addCluster(require('../clusters/TuyaExternalSwitchCluster'));
+    } catch (regErr) {
+      if (logger) {
+        logger.error('Cannot register TuyaExternalSwitchCluster:', regErr.message);
+      }
+    }
+
+    // Time cluster with its attributes (replaces the stock time cluster)
+    try {
+      Cluster.addCluster(require('../clusters/TimeCluster'));
+    } catch (regErr) {
+      if (logger) {
+        logger.error('Cannot register TimeCluster:', regErr.message);
+      }
+    }
+
     return true;
   } catch (err) {
     if (logger) {
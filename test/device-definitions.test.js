@@ -0,0 +1,154 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createDevice } = require('./harness');
+const DeviceDefinitions = require('../lib/definitions/DeviceDefinitions');
+const ManufacturerVariationManager = require('../lib/ManufacturerVariationManager');
+const DeviceHintsDatabase = require('../lib/helpers/DeviceHintsDatabase');
+const manifest = require('../app.json');
+
+const SWITCH = {
+  brand: 'BSEED',
+  driver: 'wall_switch_1gang_1way',
+  deviceType: 'switch',
+  manufacturerName: ['_TZ3000_blhvsaqf'],
+  productId: ['TS0001'],
+  protocol: 'zcl',
+  gangs: [{ gang: 1, endpoint: 1, dp: 1 }],
+};
+
+function definitionsDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'definitions-'));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return dir;
+}
+
+describe('device definitions', () => {
+  let harness;
+  let dir;
+
+  afterEach(async () => {
+    if (harness) await harness.destroy();
+    harness = null;
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = null;
+    DeviceDefinitions.load();
+  });
+
+  it('every shipped definition is valid and listed by its driver', () => {
+    const { definitions, errors } = DeviceDefinitions.load();
+
+    assert.deepEqual(errors, []);
+    assert.ok(definitions.length >= 6);
+    assert.deepEqual(DeviceDefinitions.checkManifest(manifest), []);
+  });
+
+  it('reports invalid definitions and leaves them out', () => {
+    assert.deepEqual(DeviceDefinitions.validate(SWITCH), []);
+    assert.deepEqual(DeviceDefinitions.validate({ ...SWITCH, protocl: 'zcl' }), ['unknown field "protocl"']);
+    assert.deepEqual(DeviceDefinitions.validate({ ...SWITCH, gangs: [{ gang: 2, endpoint: 1, dp: 1 }] }),
+      ['gang 2: gangs must be numbered 1..1 in order']);
+    assert.deepEqual(DeviceDefinitions.validate({ ...SWITCH, deviceType: 'dimmer' }),
+      ['gang 1: dimmer "dp" must be { state, brightness, ... }']);
+    assert.deepEqual(DeviceDefinitions.validate({ ...SWITCH, backlight: { scheme: 'switch_mode', dps: { mode: 15 } } }),
+      ['backlight scheme "switch_mode" needs a "switch" DP']);
+    assert.deepEqual(DeviceDefinitions.validate({ ...SWITCH, settingsDPs: { childLock: 101 } }).length, 1);
+
+    dir = definitionsDir({
+      'a.json': SWITCH,
+      'b.json': { ...SWITCH, manufacturerName: ['_TZ3000_BLHVSAQF'] },
+      'c.json': '{ "brand": ',
+    });
+    const { definitions, errors } = DeviceDefinitions.load({ dir });
+
+    assert.deepEqual(definitions.map(definition => definition.id), ['a']);
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /^b\.json: _TZ3000_BLHVSAQF \/ TS0001 is already defined in a\.json$/);
+    assert.match(errors[1], /^c\.json: /);
+  });
+
+  it('checks definitions against the driver manifest', () => {
+    dir = definitionsDir({
+      'variant.json': { ...SWITCH, manufacturerName: ['_TZ3000_newvariant'], gangs: [...SWITCH.gangs, { gang: 2, endpoint: 2, dp: 2 }] },
+    });
+    DeviceDefinitions.load({ dir });
+
+    assert.deepEqual(DeviceDefinitions.checkManifest(manifest), [
+      'variant: _TZ3000_newvariant is missing from the manufacturerName list of wall_switch_1gang_1way',
+      'variant: 2 gangs but wall_switch_1gang_1way has 1 device card(s)',
+      'variant: gang 2 uses endpoint 2 which wall_switch_1gang_1way does not declare',
+    ]);
+  });
+
+  it('finds variants case-insensitively by manufacturerName and productId', () => {
+    assert.equal(DeviceDefinitions.find('_tz3002_PZAO9LS1', 'ts0726').id, 'bseed_ts0726_4gang');
+    assert.equal(DeviceDefinitions.find('_TZ3002_pzao9ls1').id, 'bseed_ts0726_4gang');
+    assert.equal(DeviceDefinitions.find('_TZ3002_pzao9ls1', 'TS0001'), null);
+    assert.equal(DeviceDefinitions.find('_TZ3000_unknown', 'TS0001'), null);
+  });
+
+  it('ManufacturerVariationManager and DeviceHintsDatabase read the definitions', () => {
+    const config = ManufacturerVariationManager.getManufacturerConfig('_TZ3002_vaq2bfcu', 'TS0726', 'switch_1gang');
+    assert.equal(config.definition, 'bseed_ts0726_4gang');
+    assert.equal(config.specialHandling, 'bseed_ts0726_4gang');
+    assert.equal(config.powerSource, 'mains');
+    assert.deepEqual(config.endpoints[4].clusters, [0, 3, 4, 5, 57344, 57345]);
+
+    assert.equal(ManufacturerVariationManager.getChildLockConfig('_TZ3002_vaq2bfcu', 'TS0726'), null);
+    assert.deepEqual(ManufacturerVariationManager.getChildLockConfig('_TZ3000_qkixdnon', 'TS0003'),
+      { method: 'zcl', endpoint: 1, attribute: 'childLock' });
+
+    const match = DeviceHintsDatabase.findBestDriver({ manufacturer: '_TZE204_1v1dxkck' });
+    assert.equal(match.driverId, 'wall_dimmer_3gang_1way');
+    assert.equal(match.hint.definition, 'bseed_ts0601_dimmer_3gang');
+  });
+
+  it('4-gang switch: timing profile and explicit binding come from the definition', async () => {
+    harness = await createDevice('wall_switch_4gang_1way');
+    const profile = harness.getSubDevice('fourthSwitch').getDeviceProfile();
+
+    assert.equal(profile.definition, 'bseed_ts0726_4gang');
+    assert.equal(profile.appCommandWindow, 2000);
+    assert.equal(profile.longPressThreshold, 800);
+    assert.equal(profile.requiresExplicitBinding, true);
+    assert.deepEqual(harness.getSubDevice('fourthSwitch').gangConfig,
+      { gang: 4, subDeviceId: 'fourthSwitch', endpoint: 4, dp: 4 });
+  });
+
+  it('2-gang dimmer: channel DPs and backlight scheme come from the definition', async () => {
+    const gang = (number, state) => ({ gang: number, endpoint: 1, dp: { state, brightness: state + 1 } });
+    dir = definitionsDir({
+      'dimmer.json': {
+        ...SWITCH,
+        driver: 'wall_dimmer_2gang_1way',
+        deviceType: 'dimmer',
+        manufacturerName: ['_TZE200_e3oitdyu'],
+        productId: ['TS0601'],
+        protocol: 'tuya_dp',
+        gangs: [gang(1, 1), gang(2, 17)],
+        settingsDPs: { powerOnBehavior: 30 },
+        backlight: { scheme: 'none' },
+      },
+    });
+    DeviceDefinitions.load({ dir });
+    harness = await createDevice('wall_dimmer_2gang_1way', { dps: { 7: false, 17: false } });
+    const second = harness.getSubDevice('secondDimmer');
+
+    await harness.tuya.report(17, true);
+    await harness.flush();
+    assert.equal(second.getCapabilityValue('onoff'), true);
+
+    await second.changeSettings({ power_on_behavior: '1' });
+    await harness.flush();
+    assert.deepEqual(harness.tuya.getWrites(30).map(write => write.value), [1]);
+
+    await assert.rejects(second.changeSettings({ backlight_mode: '0' }), /backlightMode is not supported/);
+  });
+});
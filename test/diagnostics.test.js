@@ -0,0 +1,95 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createDevice } = require('./harness');
+const api = require('../api');
+const App = require('../app');
+const { REPORT_VERSION, MAX_ERRORS } = require('../lib/diagnostics/DiagnosticReport');
+
+describe('Diagnostic report', () => {
+  let harness;
+
+  afterEach(async () => {
+    if (harness) await harness.destroy();
+    harness = null;
+  });
+
+  const exportReport = async (driverId, device) => {
+    const { report } = await harness.homey.flow.getActionCard(`${driverId}_export_diagnostics`).run({ device });
+    return JSON.parse(report);
+  };
+
+  it('1-gang dimmer: identity, endpoints, DP counters and time sync', async () => {
+    harness = await createDevice('wall_dimmer_1gang_1way', { dps: { 1: false, 2: 10 } });
+
+    await harness.device.triggerCapabilityListener('onoff', true);
+    await harness.flush();
+    await harness.tuya.report(2, 505);
+    await harness.flush();
+
+    const report = await exportReport('wall_dimmer_1gang_1way', harness.device);
+    assert.equal(report.reportVersion, REPORT_VERSION);
+    assert.equal(report.identity.driver, 'wall_dimmer_1gang_1way');
+    assert.equal(report.identity.manufacturerName, harness.zclNode.manufacturerName);
+    assert.equal(report.identity.modelId, harness.zclNode.modelId);
+    assert.ok(report.endpoints[1].clusters.includes('tuya'));
+    assert.ok(report.endpoints[1].boundClusters.includes('time'));
+    assert.equal(report.protocol.hasTuyaCluster, true);
+
+    assert.equal(report.dps[1].sent, 1);
+    assert.equal(report.dps[1].received, 1);
+    assert.equal(report.dps[1].physical, 0);
+    assert.equal(typeof report.dps[1].responseMs, 'number');
+    assert.deepEqual([report.dps[2].received, report.dps[2].physical, report.dps[2].lastValue], [1, 1, 505]);
+    assert.deepEqual(report.dpCapture, { enabled: false, entries: 0 });
+
+    assert.equal(report.timeSync.learnedFormat, null);
+    assert.equal(report.capabilities.onoff, true);
+    assert.equal(report.settings.dp_capture_log, undefined);
+  });
+
+  it('keeps the last errors the device logged', async () => {
+    harness = await createDevice('wall_dimmer_1gang_1way', { dps: { 1: false } });
+
+    for (let i = 1; i <= MAX_ERRORS + 2; i++) {
+      harness.device.error('Send failed:', new Error(`timeout ${i}`));
+    }
+
+    const { errors } = harness.device.getDiagnosticReport();
+    assert.equal(errors.length, MAX_ERRORS);
+    assert.equal(errors[errors.length - 1].message, `Send failed: timeout ${MAX_ERRORS + 2}`);
+  });
+
+  it('wall switch: binding and reporting status and the protocol decision', async () => {
+    harness = await createDevice('wall_switch_2gang_1way', {
+      beforeInit: ({ zclNode }) => zclNode.onCommand((cluster, command) => {
+        if (cluster.endpoint.id === 2 && command === 'configureReporting') throw new Error('UNSUPPORTED_ATTRIBUTE');
+      }),
+    });
+
+    const primary = await exportReport('wall_switch_2gang_1way', harness.device);
+    assert.deepEqual(primary.reporting.map(r => [r.endpoint, r.cluster, r.status]), [[1, 'onOff', 'ok']]);
+    assert.equal(primary.protocol.mode, 'hybrid');
+    assert.equal(primary.protocol.optimizer.decided, false);
+    assert.ok(primary.timing.doubleClickWindow);
+
+    const second = await exportReport('wall_switch_2gang_1way', harness.getSubDevice('secondSwitch'));
+    assert.equal(second.identity.subDeviceId, 'secondSwitch');
+    assert.deepEqual(second.reporting.map(r => [r.endpoint, r.status, r.error]), [[2, 'failed', 'UNSUPPORTED_ATTRIBUTE']]);
+    assert.match(second.errors[0].message, /Failed to configure reporting/);
+  });
+
+  it('app settings page lists the devices and generates their report', async () => {
+    harness = await createDevice('wall_switch_2gang_1way');
+    const homey = Object.assign(harness.homey, { app: new App({ homey: harness.homey }) });
+
+    const devices = await api.getDiagnosticDevices({ homey });
+    assert.deepEqual(devices.map(d => d.driver), ['wall_switch_2gang_1way', 'wall_switch_2gang_1way']);
+
+    const report = await api.getDiagnosticReport({ homey, params: { id: devices[1].id } });
+    assert.equal(report.identity.subDeviceId, 'secondSwitch');
+    await assert.rejects(api.getDiagnosticReport({ homey, params: { id: 'unknown' } }), /Unknown device/);
+  });
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createDevice, getDriverManifest } = require('./harness');
+
+describe('DP capture', () => {
+  let harness;
+
+  afterEach(async () => {
+    mock.timers.reset();
+    if (harness) await harness.destroy();
+    harness = null;
+  });
+
+  const exportCapture = async (driverId, device) => {
+    const { capture } = await harness.homey.flow.getActionCard(`${driverId}_export_dp_capture`).run({ device });
+    return JSON.parse(capture);
+  };
+
+  it('records nothing until dp_capture is turned on', async () => {
+    harness = await createDevice('wall_dimmer_1gang_1way', { dps: { 1: false } });
+
+    await harness.tuya.report(1, true);
+    await harness.flush();
+    assert.deepEqual(harness.device.dpRecorder.entries, []);
+
+    await harness.device.changeSettings({ dp_capture: true });
+    await harness.tuya.report(1, false);
+    await harness.flush();
+    assert.equal(harness.device.dpRecorder.entries.length, 1);
+  });
+
+  it('1-gang dimmer: records both directions and tells app echoes from physical presses', async () => {
+    harness = await createDevice('wall_dimmer_1gang_1way', { dps: { 1: false, 2: 10 }, settings: { dp_capture: true } });
+
+    await harness.device.triggerCapabilityListener('onoff', true);
+    await harness.flush();
+    await harness.tuya.report(2, 505);
+    await harness.flush();
+
+    const capture = await exportCapture('wall_dimmer_1gang_1way', harness.device);
+    assert.equal(capture.driver, 'wall_dimmer_1gang_1way');
+    assert.ok(capture.manufacturerName);
+    assert.deepEqual(
+      capture.entries.map(e => [e.direction, e.origin, e.dp, e.type, e.raw, e.value]),
+      [
+        ['out', 'app', 1, 'bool', '01', true],
+        ['in', 'app', 1, 'bool', '01', true],
+        ['in', 'physical', 2, 'value', '000001f9', 505],
+      ]
+    );
+    assert.equal(capture.entries[1].transid, capture.entries[0].transid);
+    assert.ok(capture.entries.every(e => !Number.isNaN(Date.parse(e.time))));
+  });
+
+  it('shows the last DPs in the read-only setting', async () => {
+    harness = await createDevice('wall_dimmer_2gang_1way', { dps: { 7: false }, settings: { dp_capture: true } });
+    const second = harness.getSubDevice('secondDimmer');
+    mock.timers.enable({ apis: ['setTimeout'] });
+
+    await harness.tuya.report(7, true);
+    await harness.flush();
+    mock.timers.tick(2000);
+
+    assert.match(second.getSetting('dp_capture_log'), /← DP7 bool 01 = true \(physical\)$/);
+  });
+
+  it('wall switch: records DP writes and reports on the tuya cluster', async () => {
+    const { endpoints } = getDriverManifest('wall_switch_1gang_1way').zigbee;
+    harness = await createDevice('wall_switch_1gang_1way', {
+      endpoints: { ...endpoints, 1: { clusters: [...endpoints[1].clusters, 61184] } },
+      dps: { 102: 100 },
+      settings: { dp_capture: true },
+    });
+
+    await harness.device.setBacklightBrightness(40);
+    await harness.flush();
+
+    const capture = await exportCapture('wall_switch_1gang_1way', harness.device);
+    assert.deepEqual(
+      capture.entries.map(e => [e.direction, e.origin, e.dp, e.value]),
+      [['out', 'app', 102, 40], ['in', 'app', 102, 40]]
+    );
+  });
+});
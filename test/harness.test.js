@@ -0,0 +1,137 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Homey, MockZclNode, TuyaSimulator, manifest } = require('./harness');
+
+const { DP_TYPE } = TuyaSimulator;
+
+describe('MockZclNode', () => {
+  it('builds endpoints and clusters from the driver manifest', () => {
+    const driver = manifest.drivers.find(d => d.id === 'wall_switch_3gang_1way');
+    const zclNode = new MockZclNode(driver.zigbee.endpoints);
+
+    assert.deepEqual(Object.keys(zclNode.endpoints), ['1', '2', '3']);
+    assert.ok(zclNode.endpoints[1].clusters.basic);
+    assert.ok(zclNode.endpoints[1].clusters.onOff);
+    assert.ok(zclNode.endpoints[1].clusters['57344'], '0xE000 keyed by id');
+    assert.ok(zclNode.endpoints[3].clusters.tuyaExternalSwitch, '0xE001 registered');
+    assert.equal(typeof zclNode.endpoints[2].clusters.onOff.setOn, 'function');
+  });
+
+  it('records outgoing commands with their encoded payload', async () => {
+    const zclNode = new MockZclNode({ 1: { clusters: [0, 6, 61184] } });
+
+    await zclNode.endpoints[1].clusters.onOff.setOff();
+    await zclNode.endpoints[1].clusters.tuya.datapoint({
+      status: 0, transid: 7, dp: 1, datatype: DP_TYPE.BOOL, length: 1, data: Buffer.from([1]),
+    });
+
+    assert.deepEqual(zclNode.sent.map(r => `${r.cluster}.${r.command}`), ['onOff.setOff', 'tuya.datapoint']);
+    assert.equal(zclNode.getSent({ command: 'datapoint' })[0].payload.toString('hex'), '00070101000101');
+  });
+
+  it('emits attribute reports and answers reads from the attribute table', async () => {
+    const zclNode = new MockZclNode({ 1: { clusters: [6] } });
+    const onOff = zclNode.endpoints[1].clusters.onOff;
+    const reports = [];
+    onOff.on('attr.onOff', value => reports.push(value));
+
+    onOff.reportAttributes({ onOff: true });
+
+    assert.deepEqual(reports, [true]);
+    assert.deepEqual(await onOff.readAttributes(['onOff']), { onOff: true });
+    assert.deepEqual(await onOff.readAttributes(['onTime']), {});
+  });
+
+  it('answers writes with status records like zigbee-clusters', async () => {
+    const zclNode = new MockZclNode({ 1: { clusters: [6] } });
+    const onOff = zclNode.endpoints[1].clusters.onOff;
+    onOff.setUnsupported('startUpOnOff');
+
+    assert.deepEqual(await onOff.writeAttributes({ onTime: 10 }), { attributes: [{ status: 'SUCCESS' }] });
+    assert.deepEqual(await onOff.writeAttributes({ startUpOnOff: 'on' }), {
+      attributes: [{ status: 'UNSUPPORTED_ATTRIBUTE', id: 0x4003 }],
+    });
+    assert.deepEqual(await onOff.readAttributes(['onTime', 'startUpOnOff']), { onTime: 10 });
+  });
+
+  it('dispatches device commands to bound clusters', async () => {
+    const zclNode = new MockZclNode({ 1: { clusters: [6] } });
+    const received = [];
+    zclNode.endpoints[1].bind('onOff', { toggle: () => received.push('toggle') });
+
+    await zclNode.endpoints[1].clusters.onOff.receiveCommand('toggle');
+
+    assert.deepEqual(received, ['toggle']);
+  });
+});
+
+describe('TuyaSimulator', () => {
+  const createSimulator = (options) => {
+    const zclNode = new MockZclNode({ 1: { clusters: [0, 61184] } });
+    return { zclNode, tuya: new TuyaSimulator(zclNode, options) };
+  };
+
+  it('delivers dataReport frames decoded by the tuya cluster', async () => {
+    const { zclNode, tuya } = createSimulator();
+    const frames = [];
+    zclNode.endpoints[1].clusters.tuya.on('response', frame => frames.push(frame));
+
+    await tuya.report(2, 500);
+
+    assert.equal(frames.length, 1);
+    assert.equal(frames[0].dp, 2);
+    assert.equal(frames[0].datatype, DP_TYPE.VALUE);
+    assert.equal(frames[0].length, 4);
+    assert.equal(frames[0].data.readInt32BE(0), 500);
+  });
+
+  it('applies datapoint writes and answers with a dataResponse', async () => {
+    const { zclNode, tuya } = createSimulator({ dps: { 1: false } });
+    const echoes = [];
+    zclNode.endpoints[1].clusters.tuya.on('reporting', frame => echoes.push(frame));
+
+    await zclNode.endpoints[1].clusters.tuya.datapoint({
+      status: 0, transid: 9, dp: 1, datatype: DP_TYPE.BOOL, length: 1, data: Buffer.from([1]),
+    });
+    await tuya.flush();
+
+    assert.equal(tuya.get(1), true);
+    assert.equal(echoes.length, 1);
+    assert.equal(echoes[0].transid, 9);
+  });
+
+  it('ignores writes with a wrong length field', async () => {
+    const { zclNode, tuya } = createSimulator({ dps: { 2: 10 } });
+
+    await zclNode.endpoints[1].clusters.tuya.datapoint({
+      status: 0, transid: 1, dp: 2, datatype: DP_TYPE.VALUE, data: Buffer.from([0, 0, 1, 244]),
+    });
+
+    assert.equal(tuya.get(2), 10);
+    assert.equal(tuya.errors.length, 1);
+    assert.match(tuya.errors[0].reason, /length field 0/);
+  });
+
+  it('reports every DP when queried', async () => {
+    const { zclNode, tuya } = createSimulator({ dps: { 1: true, 2: 300 } });
+    const dps = [];
+    zclNode.endpoints[1].clusters.tuya.on('response', frame => dps.push(frame.dp));
+
+    await zclNode.endpoints[1].clusters.tuya.dataQuery({});
+    await tuya.flush();
+
+    assert.deepEqual(dps, [1, 2]);
+  });
+});
+
+describe('MockHomey', () => {
+  it('only hands out flow cards declared in app.json', () => {
+    const homey = new Homey.MockHomey({ manifest });
+
+    assert.ok(homey.flow.getDeviceTriggerCard('wall_switch_2gang_1way_turned_on_physical'));
+    assert.throws(() => homey.flow.getDeviceTriggerCard('wall_switch_2gang_1way_unknown'), /Invalid Flow Card ID/);
+  });
+});
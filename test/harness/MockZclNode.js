@@ -0,0 +1,378 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { Cluster } = require('zigbee-clusters');
+const { registerCustomClusters } = require('../../lib/zigbee/registerClusters');
+
+/**
+ * MockZclNode - Offline replacement for the zigbee-clusters ZCLNode
+ *
+ * Endpoints and clusters are built from the driver manifest (zigbee.endpoints),
+ * with the same cluster names and command methods as on a Homey: the cluster
+ * classes are the ones registerCustomClusters() installs (tuya, Tuya onOff,
+ * tuyaExternalSwitch). Clusters Homey does not know (0xE000) are keyed by their numeric id.
+ *
+ * Every outgoing command is encoded with the real ZCL argument struct and
+ * recorded in zclNode.sent, so malformed payloads show up in tests.
+ *
+ * Device side:
+ * - cluster.reportAttributes({ onOff: true })   → 'attr.onOff' events
+ * - cluster.receiveCommand('response', payload)  → on<Command> handler / bound cluster
+ * - cluster.setAttributes({ ... })               → readAttributes() results
+ * - cluster.setUnsupported('onTime')             → left out of reads, UNSUPPORTED_ATTRIBUTE on writes
+ * - node.onCommand(listener)                      → device logic reacting to commands
+ */
+
+registerCustomClusters();
+
+// Global attributes every cluster answers (ZCL 2.6)
+const GLOBAL_ATTRIBUTES = ['clusterRevision', 'attributeReportingStatus'];
+
+/**
+ * Cluster definition (ID, NAME, attributes, cluster-specific commands) for an id or name
+ */
+function getClusterSpec(clusterIdOrName) {
+  const ClusterClass = Cluster.getCluster(clusterIdOrName);
+  if (!ClusterClass) {
+    const id = Number(clusterIdOrName);
+    return { ID: id, NAME: String(id), attributes: {}, commands: {}, ClusterClass: null };
+  }
+
+  // commandsById holds the compiled argument structs (ZCLStruct)
+  const commands = {};
+  for (const definitions of Object.values(ClusterClass.commandsById || {})) {
+    for (const command of definitions) {
+      if (!command.global && !command.isResponse) commands[command.name] = command;
+    }
+  }
+
+  return {
+    ID: ClusterClass.ID,
+    NAME: ClusterClass.NAME,
+    attributes: ClusterClass.attributes || {},
+    attributesById: ClusterClass.attributesById || {},
+    commands,
+    ClusterClass,
+  };
+}
+
+class MockCluster extends EventEmitter {
+
+  /**
+   * @param {MockEndpoint} endpoint
+   * @param {number|string} clusterIdOrName
+   */
+  constructor(endpoint, clusterIdOrName) {
+    super();
+    this.endpoint = endpoint;
+    this.spec = getClusterSpec(clusterIdOrName);
+    this.id = this.spec.ID;
+    this.name = this.spec.NAME;
+    this.attributeValues = {};
+    this.unsupportedAttributes = new Set();
+    this.reportingConfigurations = [];
+    this.bound = false;
+    this._nextTrxSeqNr = 0;
+
+    // Command methods, like the proxies zigbee-clusters adds to each cluster prototype
+    for (const commandName of Object.keys(this.spec.commands)) {
+      this[commandName] = (args, opts) => this._sendCommand(commandName, args, opts);
+    }
+
+    // Cluster class methods (e.g. TuyaSpecificCluster.onResponse) run against the mock
+    const ClusterClass = this.spec.ClusterClass;
+    if (ClusterClass) {
+      for (let proto = ClusterClass.prototype; proto && proto !== Cluster.prototype; proto = Object.getPrototypeOf(proto)) {
+        for (const key of Object.getOwnPropertyNames(proto)) {
+          if (key === 'constructor' || key in this.spec.commands || Object.prototype.hasOwnProperty.call(this, key)) continue;
+          const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+          if (typeof descriptor.value === 'function') this[key] = descriptor.value.bind(this);
+        }
+      }
+    }
+  }
+
+  get node() {
+    return this.endpoint.node;
+  }
+
+  nextSeqNr() {
+    this._nextTrxSeqNr = (this._nextTrxSeqNr + 1) % 256;
+    return this._nextTrxSeqNr;
+  }
+
+  /**
+   * Device side: attribute values returned by readAttributes()
+   */
+  setAttributes(values) {
+    Object.assign(this.attributeValues, values);
+    for (const name of Object.keys(values)) this.unsupportedAttributes.delete(name);
+    return this;
+  }
+
+  /**
+   * Device side: attributes missing from reads and answering UNSUPPORTED_ATTRIBUTE to writes
+   */
+  setUnsupported(...names) {
+    for (const name of names) this.unsupportedAttributes.add(this._attributeName(name));
+    return this;
+  }
+
+  /**
+   * Device side: attribute report (emits attr.<name> and 'report')
+   */
+  reportAttributes(values) {
+    for (const [key, value] of Object.entries(values)) {
+      const name = this._attributeName(key);
+      this.attributeValues[name] = value;
+      this.emit(`attr.${name}`, value);
+    }
+    this.emit('report', values);
+  }
+
+  /**
+   * Device side: cluster-specific command sent by the device
+   * Dispatched like zigbee-clusters: on<Command>() handler on the cluster,
+   * otherwise the BoundCluster bound on the endpoint
+   * @param {string|number} command - Command name or id
+   * @param {object|Buffer} [args] - Arguments, or the payload decoded with the command struct
+   */
+  async receiveCommand(command, args = {}) {
+    const name = this._commandName(command);
+    const definition = this.spec.commands[name];
+    if (Buffer.isBuffer(args) && definition?.args) {
+      args = definition.args.fromBuffer(args, 0);
+    }
+    const handlerName = `on${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+
+    this.node._record({ direction: 'in', endpoint: this.endpoint.id, cluster: this.name, command: name, args });
+
+    if (typeof this[handlerName] === 'function') {
+      return this[handlerName](args);
+    }
+
+    const boundCluster = this.endpoint.bindings[this.name];
+    if (boundCluster && typeof boundCluster[name] === 'function') {
+      return boundCluster[name](args);
+    }
+
+    throw new Error('unknown_command_received');
+  }
+
+  async readAttributes(attributes = []) {
+    this.node._record({ direction: 'out', endpoint: this.endpoint.id, cluster: this.name, command: 'readAttributes', args: attributes });
+    await this.node._dispatch(this, 'readAttributes', attributes);
+
+    const result = {};
+    for (const attribute of attributes) {
+      const name = this._attributeName(attribute);
+      if (this.unsupportedAttributes.has(name)) continue;
+      if (name in this.attributeValues) {
+        result[name] = this.attributeValues[name];
+      } else if (GLOBAL_ATTRIBUTES.includes(name)) {
+        result[name] = name === 'clusterRevision' ? 1 : 0;
+      }
+    }
+
+    // Like zigbee-clusters: unsupported attributes are left out of the result
+    return result;
+  }
+
+  async writeAttributes(attributes = {}) {
+    this.node._record({ direction: 'out', endpoint: this.endpoint.id, cluster: this.name, command: 'writeAttributes', args: attributes });
+    await this.node._dispatch(this, 'writeAttributes', attributes);
+
+    // Like zigbee-clusters: resolves with the write attributes response, one status
+    // record per rejected attribute, or a single SUCCESS record when all were written
+    const records = [];
+    for (const [key, value] of Object.entries(attributes)) {
+      const name = this._attributeName(key);
+      if (this.unsupportedAttributes.has(name)) {
+        records.push({ status: 'UNSUPPORTED_ATTRIBUTE', id: this.spec.attributes[name]?.id ?? Number(key) });
+      } else {
+        this.attributeValues[name] = value;
+      }
+    }
+    return { attributes: records.length > 0 ? records : [{ status: 'SUCCESS' }] };
+  }
+
+  async configureReporting(attributes = {}) {
+    this.node._record({ direction: 'out', endpoint: this.endpoint.id, cluster: this.name, command: 'configureReporting', args: attributes });
+    await this.node._dispatch(this, 'configureReporting', attributes);
+    this.reportingConfigurations.push(attributes);
+    return {};
+  }
+
+  async bind() {
+    this.node._record({ direction: 'out', endpoint: this.endpoint.id, cluster: this.name, command: 'bind', args: {} });
+    await this.node._dispatch(this, 'bind', {});
+    this.bound = true;
+  }
+
+  async unbind() {
+    this.node._record({ direction: 'out', endpoint: this.endpoint.id, cluster: this.name, command: 'unbind', args: {} });
+    await this.node._dispatch(this, 'unbind', {});
+    this.bound = false;
+  }
+
+  async discoverCommandsReceived() {
+    return Object.values(this.spec.commands).map(command => command.id);
+  }
+
+  async discoverCommandsGenerated() {
+    return [];
+  }
+
+  async discoverAttributes() {
+    return Object.keys(this.attributeValues)
+      .map(name => this.spec.attributes[name]?.id)
+      .filter(id => typeof id === 'number');
+  }
+
+  /**
+   * Private: Encode, record and dispatch an outgoing cluster-specific command
+   */
+  async _sendCommand(commandName, args = {}, opts = {}) {
+    const command = this.spec.commands[commandName];
+    let payload = Buffer.alloc(0);
+    if (command.args) {
+      // Throws on arguments the real cluster could not encode either
+      const CommandArgs = command.args;
+      payload = new CommandArgs(args || {}).toBuffer();
+    }
+
+    const record = {
+      direction: 'out',
+      endpoint: this.endpoint.id,
+      cluster: this.name,
+      command: commandName,
+      args: args || {},
+      payload,
+      opts,
+    };
+    this.node._record(record);
+    return this.node._dispatch(this, commandName, args || {}, record);
+  }
+
+  _attributeName(attribute) {
+    if (typeof attribute === 'number') {
+      return this.spec.attributesById?.[attribute]?.name || String(attribute);
+    }
+    return attribute;
+  }
+
+  _commandName(command) {
+    if (typeof command === 'string') return command;
+    const entry = Object.entries(this.spec.commands).find(([, definition]) => definition.id === command);
+    if (!entry) throw new Error(`Unknown command 0x${command.toString(16)} on ${this.name}`);
+    return entry[0];
+  }
+
+}
+
+class MockEndpoint extends EventEmitter {
+
+  /**
+   * @param {MockZclNode} node
+   * @param {number} id - Endpoint id
+   * @param {Array<number|string>} clusterIds - Input clusters
+   */
+  constructor(node, id, clusterIds = []) {
+    super();
+    this.node = node;
+    this.id = id;
+    this.clusters = {};
+    this.bindings = {};
+
+    for (const clusterId of clusterIds) {
+      const cluster = new MockCluster(this, clusterId);
+      this.clusters[cluster.name] = cluster;
+    }
+  }
+
+  /**
+   * Register a BoundCluster (commands sent by the device to Homey)
+   */
+  bind(clusterName, clusterImpl) {
+    clusterImpl.endpoint = this.id;
+    clusterImpl.cluster = Cluster.getCluster(clusterName);
+    this.bindings[clusterName] = clusterImpl;
+  }
+
+  unbind(clusterName) {
+    delete this.bindings[clusterName];
+  }
+
+  /**
+   * Device side: raw frame for listeners on the endpoint
+   */
+  receiveFrame(clusterId, frame, meta = {}) {
+    this.emit('frame', clusterId, frame, meta);
+  }
+
+}
+
+class MockZclNode extends EventEmitter {
+
+  /**
+   * @param {object} endpoints - { [endpointId]: { clusters: [ids] } } as in driver.compose.json
+   * @param {object} [info] - manufacturerName / modelId exposed like on ZCLNode
+   */
+  constructor(endpoints = {}, info = {}) {
+    super();
+    this.endpoints = {};
+    this.sent = [];
+    this.received = [];
+    this.manufacturerName = info.manufacturerName;
+    this.modelId = info.modelId;
+    this._commandListeners = [];
+
+    for (const [endpointId, descriptor] of Object.entries(endpoints)) {
+      const clusters = Array.isArray(descriptor) ? descriptor : descriptor.clusters;
+      this.endpoints[endpointId] = new MockEndpoint(this, Number(endpointId), clusters);
+    }
+  }
+
+  /**
+   * Device-side logic for outgoing commands
+   * listener(cluster, command, args, record) may return a command response
+   */
+  onCommand(listener) {
+    this._commandListeners.push(listener);
+    return this;
+  }
+
+  /**
+   * Recorded outgoing commands, optionally filtered
+   * @param {object} [filter] - { endpoint, cluster, command }
+   */
+  getSent(filter = {}) {
+    return this.sent.filter(record => Object.entries(filter).every(([key, value]) => record[key] === value));
+  }
+
+  clearSent() {
+    this.sent.length = 0;
+  }
+
+  _record(record) {
+    (record.direction === 'in' ? this.received : this.sent).push(record);
+    this.emit(record.direction === 'in' ? 'received' : 'sent', record);
+  }
+
+  async _dispatch(cluster, command, args, record) {
+    let response;
+    for (const listener of this._commandListeners) {
+      const result = await listener(cluster, command, args, record);
+      if (result !== undefined) response = result;
+    }
+    return response;
+  }
+
+}
+
+module.exports = {
+  MockZclNode,
+  MockEndpoint,
+  MockCluster,
+  getClusterSpec,
+};
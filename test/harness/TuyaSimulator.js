@@ -0,0 +1,242 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+/**
+ * TuyaSimulator - Tuya MCU behind the 0xEF00 cluster of a MockZclNode
+ *
+ * Keeps a DP table, answers datapoint writes and dataQuery the way TS0601
+ * firmware does, and produces device frames for tests:
+ * - report(dp, value)   → dataReport (0x02, spontaneous change / physical press)
+ * - respond(dp, value)  → dataResponse (0x01, answer to a write)
+ *
+ * Frames are built as raw Tuya payloads and decoded with the cluster's own
+ * command struct, so handlers receive exactly what zigbee-clusters delivers:
+ * { status, transid, dp, datatype, length, data: Buffer }.
+ *
+ * Writes whose length field does not match the data are recorded in `errors`
+ * ('invalidWrite' event) and ignored, like the MCU does.
+ */
+
+const DP_TYPE = {
+  RAW: 0x00,
+  BOOL: 0x01,
+  VALUE: 0x02,
+  STRING: 0x03,
+  ENUM: 0x04,
+  BITMAP: 0x05,
+};
+
+// Tuya command ids (device → Homey)
+const DATA_RESPONSE = 0x01;
+const DATA_REPORT = 0x02;
+
+/**
+ * Encode a DP value to its Tuya wire representation
+ */
+function encodeValue(type, value) {
+  switch (type) {
+    case DP_TYPE.BOOL:
+      return Buffer.from([value ? 1 : 0]);
+    case DP_TYPE.VALUE: {
+      const buffer = Buffer.alloc(4);
+      buffer.writeInt32BE(Number(value));
+      return buffer;
+    }
+    case DP_TYPE.ENUM:
+      return Buffer.from([Number(value) & 0xFF]);
+    case DP_TYPE.BITMAP: {
+      const buffer = Buffer.alloc(value > 0xFFFF ? 4 : value > 0xFF ? 2 : 1);
+      buffer.writeUIntBE(Number(value), 0, buffer.length);
+      return buffer;
+    }
+    case DP_TYPE.STRING:
+      return Buffer.from(String(value), 'utf8');
+    default:
+      return Buffer.isBuffer(value) ? value : Buffer.from(value || []);
+  }
+}
+
+/**
+ * Decode Tuya wire data to a JS value
+ */
+function decodeValue(type, data) {
+  switch (type) {
+    case DP_TYPE.BOOL:
+      return data[0] === 1;
+    case DP_TYPE.VALUE:
+      return data.length === 4 ? data.readInt32BE(0) : data.readUIntBE(0, data.length || 1);
+    case DP_TYPE.ENUM:
+      return data[0];
+    case DP_TYPE.BITMAP:
+      return data.length ? data.readUIntBE(0, data.length) : 0;
+    case DP_TYPE.STRING:
+      return data.toString('utf8');
+    default:
+      return Buffer.from(data);
+  }
+}
+
+/**
+ * Guess the DP type of a JS value
+ */
+function inferType(value) {
+  if (typeof value === 'boolean') return DP_TYPE.BOOL;
+  if (typeof value === 'number') return DP_TYPE.VALUE;
+  if (typeof value === 'string') return DP_TYPE.STRING;
+  return DP_TYPE.RAW;
+}
+
+/**
+ * Build a Tuya DP payload: status | transid | dp | datatype | length (BE) | data
+ */
+function buildPayload({ dp, datatype, value, status = 0, transid = 0 }) {
+  const data = encodeValue(datatype, value);
+  const header = Buffer.from([status, transid, dp, datatype, (data.length >> 8) & 0xFF, data.length & 0xFF]);
+  return Buffer.concat([header, data]);
+}
+
+class TuyaSimulator extends EventEmitter {
+
+  /**
+   * @param {MockZclNode} zclNode
+   * @param {object} [options]
+   * @param {number} [options.endpoint=1] - Endpoint carrying the tuya cluster
+   * @param {object} [options.dps] - Initial DP table { [dp]: value | { type, value } }
+   * @param {number|null} [options.echo=0x01] - Command answering writes (null = no answer)
+   */
+  constructor(zclNode, { endpoint = 1, dps = {}, echo = DATA_RESPONSE } = {}) {
+    super();
+    this.zclNode = zclNode;
+    this.cluster = zclNode.endpoints[endpoint]?.clusters?.tuya;
+    if (!this.cluster) throw new Error(`No tuya cluster on endpoint ${endpoint}`);
+
+    this.echo = echo;
+    this.dps = new Map();
+    this.writes = [];
+    this.errors = [];
+    this._transid = 0;
+    this._pending = new Set();
+
+    for (const [dp, entry] of Object.entries(dps)) {
+      const { type, value } = entry !== null && typeof entry === 'object' && !Buffer.isBuffer(entry) ? entry : { value: entry };
+      this.set(Number(dp), value, type);
+    }
+
+    zclNode.onCommand((cluster, command, args, record) => {
+      if (cluster !== this.cluster) return undefined;
+      if (command === 'datapoint') this._onWrite(record.payload);
+      if (command === 'dataQuery') this._schedule(() => this.reportAll());
+      return undefined;
+    });
+  }
+
+  /**
+   * Set a DP value without sending anything
+   */
+  set(dp, value, type) {
+    const known = this.dps.get(dp);
+    this.dps.set(dp, { type: type ?? known?.type ?? inferType(value), value });
+    return this;
+  }
+
+  get(dp) {
+    return this.dps.get(dp)?.value;
+  }
+
+  /**
+   * Device side: spontaneous DP change (physical press, relay state, ...)
+   */
+  async report(dp, value, type) {
+    return this._send(DATA_REPORT, dp, value, type);
+  }
+
+  /**
+   * Device side: dataResponse frame
+   */
+  async respond(dp, value, type, transid) {
+    return this._send(DATA_RESPONSE, dp, value, type, transid);
+  }
+
+  /**
+   * Device side: report every DP (answer to dataQuery)
+   */
+  async reportAll() {
+    for (const dp of this.dps.keys()) {
+      await this.report(dp, this.get(dp));
+    }
+  }
+
+  /**
+   * Writes received from Homey for a DP
+   */
+  getWrites(dp) {
+    return this.writes.filter(write => dp === undefined || write.dp === dp);
+  }
+
+  /**
+   * Wait for the echoes and reports scheduled so far
+   */
+  async flush() {
+    while (this._pending.size > 0) {
+      await Promise.all(Array.from(this._pending));
+    }
+  }
+
+  async _send(command, dp, value, type, transid) {
+    if (value !== undefined) this.set(dp, value, type);
+    const entry = this.dps.get(dp);
+    if (!entry) throw new Error(`Unknown DP ${dp}`);
+
+    const payload = buildPayload({
+      dp,
+      datatype: entry.type,
+      value: entry.value,
+      transid: transid ?? this._nextTransid(),
+    });
+    await this.cluster.receiveCommand(command, payload);
+    return payload;
+  }
+
+  _onWrite(payload) {
+    const dp = payload[2];
+    const datatype = payload[3];
+    const length = payload.readUInt16BE(4);
+    const data = payload.subarray(6);
+
+    if (length !== data.length) {
+      const error = { dp, reason: `length field ${length} does not match ${data.length} data bytes`, payload };
+      this.errors.push(error);
+      this.emit('invalidWrite', error);
+      return;
+    }
+
+    const write = { dp, datatype, value: decodeValue(datatype, data), transid: payload[1], payload };
+    this.writes.push(write);
+    this.set(dp, write.value, datatype);
+    this.emit('write', write);
+
+    if (this.echo !== null) {
+      this._schedule(() => this._send(this.echo, dp, undefined, undefined, write.transid));
+    }
+  }
+
+  _schedule(task) {
+    const pending = new Promise(resolve => setImmediate(resolve))
+      .then(task)
+      .catch(err => this.errors.push({ reason: err.message }))
+      .finally(() => this._pending.delete(pending));
+    this._pending.add(pending);
+  }
+
+  _nextTransid() {
+    this._transid = (this._transid + 1) % 256;
+    return this._transid;
+  }
+
+}
+
+module.exports = TuyaSimulator;
+module.exports.DP_TYPE = DP_TYPE;
+module.exports.buildPayload = buildPayload;
+module.exports.decodeValue = decodeValue;
@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * ZdoSimulator - ZDO (endpoint 0) side of a Zigbee device behind the Homey ZigBeeNode
+ *
+ * Keeps a binding table and answers the requests the way device firmware does:
+ * - Bind_req (0x0021)      → SUCCESS (also for a binding that exists), TABLE_FULL
+ * - Unbind_req (0x0022)    → SUCCESS, NO_ENTRY
+ * - Mgmt_Bind_req (0x0033) → the table from startIndex, `pageSize` entries per response
+ *
+ * Responses go to node.handleFrame(0, cluster | 0x8000, frame) like Homey delivers them.
+ * Every request is recorded in `requests`; bindings() decodes the table for tests.
+ */
+
+const BIND_REQ = 0x0021;
+const UNBIND_REQ = 0x0022;
+const MGMT_BIND_REQ = 0x0033;
+
+const STATUS = {
+  SUCCESS: 0x00,
+  NOT_SUPPORTED: 0x84,
+  NO_ENTRY: 0x88,
+  TABLE_FULL: 0x8C,
+};
+
+// Binding entry: [srcIEEE:8][srcEP:1][cluster:2][addrMode:1][group:2 | dstIEEE:8 dstEP:1]
+const GROUP_MODE = 0x01;
+
+function entryLength(buffer, offset) {
+  return buffer[offset + 11] === GROUP_MODE ? 14 : 21;
+}
+
+function ieee(buffer) {
+  return `0x${Buffer.from(buffer).reverse().toString('hex')}`;
+}
+
+function ieeeBytes(address) {
+  return Buffer.from(address.replace(/[:\-\s]/g, '').replace(/^0x/i, ''), 'hex').reverse();
+}
+
+class ZdoSimulator {
+
+  /**
+   * @param {EventEmitter} node - Homey ZigBeeNode of the harness
+   * @param {object} [options]
+   * @param {string} options.ieeeAddress - IEEE address of the device
+   * @param {number} [options.capacity=16] - Binding table size
+   * @param {number} [options.pageSize=3] - Entries per Mgmt_Bind_rsp
+   */
+  constructor(node, { ieeeAddress, capacity = 16, pageSize = 3 } = {}) {
+    this.node = node;
+    this.ieeeAddress = ieeeAddress;
+    this.capacity = capacity;
+    this.pageSize = pageSize;
+    this.table = [];
+    this.requests = [];
+    this.unsupported = false;
+
+    const sendFrame = node.sendFrame;
+    node.sendFrame = async (endpointId, clusterId, frame) => {
+      if (endpointId !== 0) return sendFrame.call(node, endpointId, clusterId, frame);
+      return this._handleRequest(clusterId, frame);
+    };
+  }
+
+  /**
+   * Device side: add a binding (e.g. the one to Homey made at pairing)
+   */
+  addBinding({ endpoint, clusterId, target }) {
+    const head = Buffer.alloc(12);
+    ieeeBytes(this.ieeeAddress).copy(head, 0);
+    head.writeUInt8(endpoint, 8);
+    head.writeUInt16LE(clusterId, 9);
+    if (target.group !== undefined) {
+      head.writeUInt8(GROUP_MODE, 11);
+      const group = Buffer.alloc(2);
+      group.writeUInt16LE(target.group);
+      this.table.push(Buffer.concat([head, group]));
+      return;
+    }
+    head.writeUInt8(0x03, 11);
+    this.table.push(Buffer.concat([head, ieeeBytes(target.ieee), Buffer.from([target.endpoint])]));
+  }
+
+  /**
+   * Binding table, decoded
+   */
+  bindings() {
+    return this.table.map((entry) => {
+      const binding = {
+        sourceIeee: ieee(entry.subarray(0, 8)),
+        endpoint: entry[8],
+        clusterId: entry.readUInt16LE(9),
+      };
+      if (entry[11] === GROUP_MODE) {
+        binding.target = { group: entry.readUInt16LE(12) };
+      } else {
+        binding.target = { ieee: ieee(entry.subarray(12, 20)), endpoint: entry[20] };
+      }
+      return binding;
+    });
+  }
+
+  async _handleRequest(clusterId, frame) {
+    const seq = frame[0];
+    const body = frame.subarray(1);
+    this.requests.push({ clusterId, body: Buffer.from(body) });
+
+    if (this.unsupported) return this._respond(clusterId, seq, [STATUS.NOT_SUPPORTED]);
+
+    switch (clusterId) {
+      case BIND_REQ: {
+        const binding = body.subarray(0, entryLength(body, 0));
+        if (!this.table.some(entry => entry.equals(binding))) {
+          if (this.table.length >= this.capacity) return this._respond(clusterId, seq, [STATUS.TABLE_FULL]);
+          this.table.push(Buffer.from(binding));
+        }
+        return this._respond(clusterId, seq, [STATUS.SUCCESS]);
+      }
+
+      case UNBIND_REQ: {
+        const binding = body.subarray(0, entryLength(body, 0));
+        const index = this.table.findIndex(entry => entry.equals(binding));
+        if (index === -1) return this._respond(clusterId, seq, [STATUS.NO_ENTRY]);
+        this.table.splice(index, 1);
+        return this._respond(clusterId, seq, [STATUS.SUCCESS]);
+      }
+
+      case MGMT_BIND_REQ: {
+        const start = body[0];
+        const page = this.table.slice(start, start + this.pageSize);
+        return this._respond(clusterId, seq, [STATUS.SUCCESS, this.table.length, start, page.length], ...page);
+      }
+
+      default:
+        return this._respond(clusterId, seq, [STATUS.NOT_SUPPORTED]);
+    }
+  }
+
+  _respond(clusterId, seq, head, ...entries) {
+    const frame = Buffer.concat([Buffer.from([seq, ...head]), ...entries]);
+    Promise.resolve().then(() => this.node.handleFrame(0, clusterId | 0x8000, frame, {}));
+  }
+
+}
+
+ZdoSimulator.STATUS = STATUS;
+
+module.exports = ZdoSimulator;
@@ -0,0 +1,493 @@
+'use strict';
+
+const EventEmitter = require('events');
+const Module = require('module');
+const path = require('path');
+
+/**
+ * Homey runtime mock - the subset of the Apps SDK v3 used by this app
+ *
+ * On a Homey `require('homey')` resolves to the runtime, in node_modules it is
+ * the CLI. install() points the 'homey' module at this file so drivers,
+ * homey-zigbeedriver and the lib/ classes load unchanged under plain Node.
+ *
+ * - Device: settings (manifest defaults), store, capabilities and listeners,
+ *   a 'capability' event for every setCapabilityValue
+ * - MockHomey: tracked timers, flow cards validated against app.json (homey.flow
+ *   emits 'trigger' for every card), settings, notifications, a clock (timezone
+ *   'UTC', set clock.timezone), the drivers created on it and a zigbee manager
+ *   handing out mock nodes
+ *
+ * Set HOMEY_TEST_LOG=1 to print device/driver logs.
+ */
+
+const VERBOSE = Boolean(process.env.HOMEY_TEST_LOG);
+
+class SimpleClass extends EventEmitter {
+
+  log(...args) {
+    if (VERBOSE) console.log(`[${this.constructor.name}]`, ...args);
+  }
+
+  error(...args) {
+    if (VERBOSE) console.error(`[${this.constructor.name}]`, ...args);
+  }
+
+}
+
+/**
+ * Flow cards
+ */
+class FlowCard extends EventEmitter {
+
+  constructor(id, type) {
+    super();
+    this.id = id;
+    this.type = type;
+    this.runListener = null;
+  }
+
+  registerRunListener(listener) {
+    this.runListener = listener;
+    return this;
+  }
+
+  registerArgumentAutocompleteListener() {
+    return this;
+  }
+
+  /**
+   * Run the card as Homey would when a flow executes it (actions, conditions)
+   */
+  async run(args = {}, state = {}) {
+    if (!this.runListener) throw new Error(`Flow card ${this.id} has no run listener`);
+    return this.runListener(args, state);
+  }
+
+}
+
+class FlowCardTrigger extends FlowCard {
+
+  constructor(id, type) {
+    super(id, type);
+    this.triggers = [];
+  }
+
+  async trigger(...args) {
+    // Device trigger cards: (device, tokens, state), app trigger cards: (tokens, state)
+    const [device, tokens = {}, state = {}] = this.type === 'trigger' ? [null, ...args] : args;
+    this.triggers.push({ device, tokens, state });
+    this.emit('trigger', { device, tokens, state });
+    return true;
+  }
+
+}
+
+class FlowManager extends EventEmitter {
+
+  /**
+   * @param {object} manifest - app.json, cards not declared there throw like on a Homey
+   */
+  constructor(manifest = {}) {
+    super();
+    this._declared = {
+      trigger: new Set((manifest.flow?.triggers || []).map(card => card.id)),
+      condition: new Set((manifest.flow?.conditions || []).map(card => card.id)),
+      action: new Set((manifest.flow?.actions || []).map(card => card.id)),
+    };
+    this._cards = new Map();
+  }
+
+  _getCard(kind, id, type) {
+    if (!this._declared[kind].has(id)) {
+      throw new Error(`Invalid Flow Card ID: ${id}`);
+    }
+    const key = `${type}:${id}`;
+    if (!this._cards.has(key)) {
+      const card = kind === 'trigger' ? new FlowCardTrigger(id, type) : new FlowCard(id, type);
+      // Every trigger of every card, in order ('trigger' event)
+      if (kind === 'trigger') card.on('trigger', event => this.emit('trigger', { id, ...event }));
+      this._cards.set(key, card);
+    }
+    return this._cards.get(key);
+  }
+
+  getDeviceTriggerCard(id) { return this._getCard('trigger', id, 'deviceTrigger'); }
+
+  getTriggerCard(id) { return this._getCard('trigger', id, 'trigger'); }
+
+  getConditionCard(id) { return this._getCard('condition', id, 'condition'); }
+
+  getActionCard(id) { return this._getCard('action', id, 'action'); }
+
+  /**
+   * All triggers fired on a card (empty when never fetched)
+   */
+  getTriggers(id) {
+    const card = this._cards.get(`deviceTrigger:${id}`) || this._cards.get(`trigger:${id}`);
+    return card ? card.triggers : [];
+  }
+
+}
+
+class ManagerSettings extends EventEmitter {
+
+  constructor() {
+    super();
+    this._values = new Map();
+  }
+
+  get(key) {
+    return this._values.has(key) ? this._values.get(key) : null;
+  }
+
+  set(key, value) {
+    this._values.set(key, value);
+    this.emit('set', key);
+  }
+
+  unset(key) {
+    this._values.delete(key);
+    this.emit('unset', key);
+  }
+
+  getKeys() {
+    return Array.from(this._values.keys());
+  }
+
+}
+
+class MockHomey {
+
+  /**
+   * @param {object} [options]
+   * @param {object} [options.manifest] - app.json
+   * @param {Function} [options.getNode] - async (device) → Homey ZigBeeNode
+   */
+  constructor({ manifest = {}, getNode } = {}) {
+    this.manifest = manifest;
+    this.app = null;
+    this.flow = new FlowManager(manifest);
+    this.settings = new ManagerSettings();
+    this.clock = {
+      timezone: 'UTC',
+      getTimezone() { return this.timezone; },
+    };
+    this.notifications = {
+      created: [],
+      createNotification: async ({ excerpt }) => { this.notifications.created.push(excerpt); },
+    };
+    this.i18n = { getLanguage: () => 'en' };
+    const drivers = {};
+    this.drivers = {
+      add: (driver) => { drivers[driver.id] = driver; },
+      getDrivers: () => ({ ...drivers }),
+      getDriver: (id) => {
+        if (!drivers[id]) throw new Error(`Invalid driver: ${id}`);
+        return drivers[id];
+      },
+    };
+    this.zigbee = {
+      getNode: async (device) => {
+        if (typeof getNode !== 'function') throw new Error('zigbee_unavailable');
+        return getNode(device);
+      },
+    };
+    this._timeouts = new Set();
+    this._intervals = new Set();
+  }
+
+  __(key) {
+    return typeof key === 'object' ? key.en : key;
+  }
+
+  setTimeout(callback, ms, ...args) {
+    const timeout = setTimeout(() => {
+      this._timeouts.delete(timeout);
+      callback(...args);
+    }, ms);
+    this._timeouts.add(timeout);
+    return timeout;
+  }
+
+  clearTimeout(timeout) {
+    this._timeouts.delete(timeout);
+    clearTimeout(timeout);
+  }
+
+  setInterval(callback, ms, ...args) {
+    const interval = setInterval(callback, ms, ...args);
+    this._intervals.add(interval);
+    return interval;
+  }
+
+  clearInterval(interval) {
+    this._intervals.delete(interval);
+    clearInterval(interval);
+  }
+
+  /**
+   * Clear every timer the app started through this.homey
+   */
+  destroy() {
+    for (const timeout of this._timeouts) clearTimeout(timeout);
+    for (const interval of this._intervals) clearInterval(interval);
+    this._timeouts.clear();
+    this._intervals.clear();
+  }
+
+}
+
+/**
+ * Collect default values of a driver settings array (groups are flattened)
+ */
+function settingDefaults(settings = []) {
+  const defaults = {};
+  for (const setting of settings) {
+    if (Array.isArray(setting.children)) {
+      Object.assign(defaults, settingDefaults(setting.children));
+    } else if (setting.id && setting.value !== undefined) {
+      defaults[setting.id] = setting.value;
+    }
+  }
+  return defaults;
+}
+
+class Device extends SimpleClass {
+
+  /**
+   * @param {object} props
+   * @param {MockHomey} props.homey
+   * @param {Driver} props.driver
+   * @param {object} props.data - Device data (token, subDeviceId)
+   * @param {string[]} [props.capabilities] - Initial capabilities (default: manifest)
+   * @param {object} [props.settings] - Settings merged over the manifest defaults
+   * @param {object} [props.store]
+   * @param {string} [props.name]
+   */
+  constructor({ homey, driver, data = {}, capabilities, settings = {}, store = {}, name } = {}) {
+    super();
+    this.homey = homey;
+    this.driver = driver;
+    this._data = data;
+    this._name = name || driver?.manifest?.name?.en || 'Device';
+    this._settings = { ...settingDefaults(driver?.manifest?.settings), ...settings };
+    this._store = { ...store };
+    this._capabilities = new Map();
+    this._capabilityOptions = new Map();
+    this._capabilityListeners = new Map();
+    this._available = true;
+    this._energy = {};
+    this.capabilityHistory = [];
+
+    for (const capability of capabilities || driver?.manifest?.capabilities || []) {
+      this._capabilities.set(capability, null);
+    }
+  }
+
+  async onInit() {}
+
+  getData() { return this._data; }
+
+  getName() { return this._name; }
+
+  async setName(name) { this._name = name; }
+
+  getClass() { return this.driver?.manifest?.class || 'socket'; }
+
+  getAvailable() { return this._available; }
+
+  async setAvailable() { this._available = true; }
+
+  async setUnavailable(message) {
+    this._available = false;
+    this._unavailableMessage = message;
+  }
+
+  async setWarning(message) { this._warning = message; }
+
+  async unsetWarning() { this._warning = null; }
+
+  getSettings() { return { ...this._settings }; }
+
+  getSetting(key) {
+    return this._settings[key] !== undefined ? this._settings[key] : null;
+  }
+
+  /**
+   * Like on a Homey: stores the values without calling onSettings
+   */
+  async setSettings(settings) {
+    Object.assign(this._settings, settings);
+  }
+
+  /**
+   * Change settings the way the settings page does (onSettings first, saved when it resolves)
+   * @returns {Promise<*>} onSettings result
+   */
+  async changeSettings(changes) {
+    const oldSettings = this.getSettings();
+    const newSettings = { ...oldSettings, ...changes };
+    const result = await this.onSettings({
+      oldSettings,
+      newSettings,
+      changedKeys: Object.keys(changes),
+    });
+    this._settings = newSettings;
+    return result;
+  }
+
+  async onSettings() {}
+
+  getStore() { return { ...this._store }; }
+
+  getStoreKeys() { return Object.keys(this._store); }
+
+  getStoreValue(key) {
+    return this._store[key] !== undefined ? this._store[key] : null;
+  }
+
+  async setStoreValue(key, value) { this._store[key] = value; }
+
+  async unsetStoreValue(key) { delete this._store[key]; }
+
+  getEnergy() { return { ...this._energy }; }
+
+  async setEnergy(energy) { this._energy = energy; }
+
+  getCapabilities() { return Array.from(this._capabilities.keys()); }
+
+  hasCapability(capability) { return this._capabilities.has(capability); }
+
+  async addCapability(capability) {
+    if (!this._capabilities.has(capability)) this._capabilities.set(capability, null);
+  }
+
+  async removeCapability(capability) {
+    this._capabilities.delete(capability);
+    this._capabilityListeners.delete(capability);
+  }
+
+  getCapabilityValue(capability) {
+    if (!this._capabilities.has(capability)) throw new Error(`Invalid Capability: ${capability}`);
+    return this._capabilities.get(capability);
+  }
+
+  async setCapabilityValue(capability, value) {
+    if (!this._capabilities.has(capability)) throw new Error(`Invalid Capability: ${capability}`);
+    this._capabilities.set(capability, value);
+    this.capabilityHistory.push({ capability, value });
+    this.emit('capability', { capability, value });
+  }
+
+  getCapabilityOptions(capability) {
+    return { ...this._capabilityOptions.get(capability) };
+  }
+
+  async setCapabilityOptions(capability, options) {
+    this._capabilityOptions.set(capability, options);
+  }
+
+  registerCapabilityListener(capability, listener) {
+    this._capabilityListeners.set(capability, listener);
+  }
+
+  registerMultipleCapabilityListener(capabilities, listener) {
+    for (const capability of capabilities) {
+      this._capabilityListeners.set(capability, (value, opts) => listener({ [capability]: value }, { [capability]: opts }));
+    }
+  }
+
+  /**
+   * Run a capability listener as the Homey UI / flows do, then store the value
+   */
+  async triggerCapabilityListener(capability, value, opts = {}) {
+    const listener = this._capabilityListeners.get(capability);
+    if (!listener) throw new Error(`Missing Capability Listener: ${capability}`);
+    const result = await listener(value, opts);
+    if (this._capabilities.has(capability)) this._capabilities.set(capability, value);
+    return result;
+  }
+
+  async onAdded() {}
+
+  async onDeleted() {}
+
+  async onUninit() {}
+
+}
+
+class Driver extends SimpleClass {
+
+  /**
+   * @param {object} props
+   * @param {MockHomey} props.homey
+   * @param {string} props.id - Driver id
+   * @param {object} [props.manifest] - Driver entry of app.json
+   */
+  constructor({ homey, id, manifest = {} } = {}) {
+    super();
+    this.homey = homey;
+    this.id = id;
+    this.manifest = manifest;
+    this._devices = [];
+  }
+
+  async onInit() {}
+
+  getDevices() { return this._devices.slice(); }
+
+  getDevice(data) {
+    const device = this._devices.find(d => Object.entries(data).every(([key, value]) => d.getData()[key] === value));
+    if (!device) throw new Error('invalid_device');
+    return device;
+  }
+
+  async ready() {}
+
+}
+
+class App extends SimpleClass {
+
+  constructor({ homey } = {}) {
+    super();
+    this.homey = homey;
+  }
+
+  async onInit() {}
+
+}
+
+const Homey = {
+  SimpleClass,
+  Device,
+  Driver,
+  App,
+  FlowCard,
+  FlowCardTrigger,
+  FlowCardTriggerDevice: FlowCardTrigger,
+  FlowCardCondition: FlowCard,
+  FlowCardAction: FlowCard,
+  MockHomey,
+  settingDefaults,
+};
+
+let installed = false;
+
+/**
+ * Resolve require('homey') to this mock (idempotent)
+ */
+function install() {
+  if (installed) return;
+  installed = true;
+
+  const mockPath = path.resolve(__filename);
+  const resolveFilename = Module._resolveFilename;
+  Module._resolveFilename = function resolveHomey(request, ...args) {
+    if (request === 'homey') return mockPath;
+    return resolveFilename.call(this, request, ...args);
+  };
+}
+
+module.exports = Homey;
+module.exports.install = install;
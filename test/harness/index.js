@@ -0,0 +1,265 @@
+'use strict';
+
+const EventEmitter = require('events');
+const path = require('path');
+
+const Homey = require('./homey');
+
+Homey.install();
+
+const { MockZclNode, MockEndpoint, MockCluster } = require('./MockZclNode');
+const TuyaSimulator = require('./TuyaSimulator');
+const ZdoSimulator = require('./ZdoSimulator');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const manifest = require(path.join(ROOT, 'app.json'));
+
+/**
+ * Offline test harness - drivers and devices of this app on a mock Homey
+ *
+ * const harness = await createDevice('wall_switch_2gang_1way', {
+ *   manufacturerName: '_TZ3000_xk5udnd6',
+ *   productId: 'TS0012',
+ * });
+ * await harness.device.triggerCapabilityListener('onoff', true);
+ * harness.zclNode.getSent({ cluster: 'onOff', command: 'setOn' });
+ * harness.zclNode.endpoints[2].clusters.onOff.reportAttributes({ onOff: false });
+ * harness.getTriggers('wall_switch_2gang_1way_turned_off_physical');
+ * const other = await harness.pair(); // second physical switch on the same driver
+ * await harness.destroy();
+ *
+ * The device goes through the real homey-zigbeedriver init (ZigBeeDevice.onInit
+ * → onNodeInit); the mock zclNode is handed over through driver._zclNodes, the
+ * same path Homey uses to share one ZCLNode between Zigbee sub-devices.
+ */
+
+function getDriverManifest(driverId) {
+  const driverManifest = manifest.drivers.find(driver => driver.id === driverId);
+  if (!driverManifest) throw new Error(`Unknown driver: ${driverId}`);
+  return driverManifest;
+}
+
+/**
+ * Sub-device ids declared by a driver (zigbee.devices or devices)
+ */
+function getSubDevices(driverManifest) {
+  return driverManifest.zigbee?.devices || driverManifest.devices || {};
+}
+
+/**
+ * Let pending promise chains and setImmediate callbacks run
+ */
+async function tick(rounds = 10) {
+  for (let i = 0; i < rounds; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Default attribute values a paired device answers with
+ */
+function applyDefaultAttributes(zclNode, { manufacturerName, productId }) {
+  for (const endpoint of Object.values(zclNode.endpoints)) {
+    const { basic, onOff } = endpoint.clusters;
+    if (basic) {
+      basic.setAttributes({
+        manufacturerName,
+        modelId: productId,
+        zclVersion: 3,
+        appVersion: 64,
+        hwVersion: 1,
+        powerSource: 'mains',
+      });
+    }
+    if (onOff) onOff.setAttributes({ onOff: false });
+  }
+}
+
+/**
+ * Create a driver and its device(s) on a mock Homey
+ * @param {string} driverId - Driver folder / manifest id
+ * @param {object} [options]
+ * @param {string} [options.manufacturerName] - Default: first one in the manifest
+ * @param {string} [options.productId] - Default: first one in the manifest
+ * @param {string} [options.token] - Device data token shared by the device cards of the node
+ * @param {string} [options.ieeeAddress] - IEEE address of the device (zb_ieee_address, ZdoSimulator)
+ * @param {object} [options.endpoints] - Endpoint layout, default: zigbee.endpoints of the manifest
+ * @param {object} [options.settings] - Device settings over the manifest defaults
+ * @param {object} [options.store] - Device store
+ * @param {object} [options.dps] - Initial Tuya DP table (when the device has a tuya cluster)
+ * @param {number|null} [options.echo] - Tuya command answering writes, see TuyaSimulator
+ * @param {boolean} [options.subDevices=true] - Also create the manifest sub-devices
+ * @param {Function} [options.beforeInit] - (harness) called before the devices initialize
+ * @returns {Promise<object>} harness
+ */
+async function createDevice(driverId, options = {}) {
+  const driverManifest = getDriverManifest(driverId);
+  const ieeeAddress = options.ieeeAddress || '00:12:4b:00:00:00:00:01';
+
+  // Homey ZigBeeNode, only used for end device announcements once a zclNode exists
+  const node = Object.assign(new EventEmitter(), {
+    endpointDescriptors: [],
+    sendFrame: async () => { throw new Error('Frames go through the mock zclNode'); },
+  });
+  const zdo = new ZdoSimulator(node, { ieeeAddress });
+
+  const homey = new Homey.MockHomey({ manifest, getNode: async () => node });
+
+  const DriverClass = require(path.join(ROOT, 'drivers', driverId, 'driver.js'));
+  const DeviceClass = require(path.join(ROOT, 'drivers', driverId, 'device.js'));
+
+  const driver = new DriverClass({ homey, id: driverId, manifest: driverManifest });
+  homey.drivers.add(driver);
+  await driver.onInit();
+
+  const context = { homey, driver, driverManifest, DeviceClass };
+  const paired = await pairNode(context, { ...options, ieeeAddress, token: options.token || `mock-${driverId}` }, harness => {
+    Object.assign(harness, {
+      homey,
+      driver,
+      node,
+      zdo,
+      getTriggers: id => homey.flow.getTriggers(id),
+      tick,
+      wait,
+      destroy: async () => {
+        for (const device of driver.getDevices()) {
+          try {
+            await device.onDeleted();
+          } catch (err) {
+            // Device already torn down
+          }
+        }
+        homey.destroy();
+      },
+    });
+  });
+
+  /**
+   * Pair another physical device on the same driver (own zclNode, token and IEEE address)
+   * @param {object} [pairOptions] - Same options as createDevice
+   * @returns {Promise<object>} { zclNode, tuya, devices, device, getSubDevice, flush }
+   */
+  paired.pair = async (pairOptions = {}) => {
+    const count = new Set(driver.getDevices().map(device => device.getData().token)).size + 1;
+    return pairNode(context, {
+      ...pairOptions,
+      token: pairOptions.token || `mock-${driverId}-${count}`,
+      ieeeAddress: pairOptions.ieeeAddress || `00:12:4b:00:00:00:00:${String(count).padStart(2, '0')}`,
+    });
+  };
+
+  return paired;
+}
+
+/**
+ * Create the zclNode and the device cards (primary + sub-devices) of one physical device
+ * @param {function(object)} [extend] - Adds driver-wide members to the harness before init
+ */
+async function pairNode({ homey, driver, driverManifest, DeviceClass }, options, extend) {
+  const manufacturerName = options.manufacturerName || driverManifest.zigbee.manufacturerName[0];
+  const productId = options.productId || driverManifest.zigbee.productId[0];
+  const { token, ieeeAddress } = options;
+
+  const zclNode = new MockZclNode(options.endpoints || driverManifest.zigbee.endpoints, {
+    manufacturerName,
+    modelId: productId,
+  });
+  applyDefaultAttributes(zclNode, { manufacturerName, productId });
+
+  const tuya = zclNode.endpoints[1]?.clusters?.tuya
+    ? new TuyaSimulator(zclNode, { dps: options.dps, echo: options.echo })
+    : null;
+
+  driver._zclNodes.set(token, zclNode);
+
+  const subDevices = options.subDevices === false ? {} : getSubDevices(driverManifest);
+  const definitions = [
+    { data: { token }, capabilities: driverManifest.capabilities },
+    ...Object.entries(subDevices).map(([subDeviceId, subDevice]) => ({
+      data: { token, subDeviceId },
+      capabilities: subDevice.capabilities || driverManifest.capabilities,
+      name: subDevice.name?.en,
+    })),
+  ];
+
+  const harness = {
+    zclNode,
+    tuya,
+    devices: [],
+    get device() { return this.devices[0]; },
+    getSubDevice: subDeviceId => harness.devices.find(device => device.getData().subDeviceId === subDeviceId),
+    flush: async () => {
+      if (tuya) await tuya.flush();
+      await tick();
+    },
+  };
+  if (typeof extend === 'function') extend(harness);
+
+  if (typeof options.beforeInit === 'function') await options.beforeInit(harness);
+
+  for (const definition of definitions) {
+    const device = new DeviceClass({
+      homey,
+      driver,
+      data: definition.data,
+      name: definition.name,
+      capabilities: definition.capabilities,
+      store: { ...options.store },
+      settings: {
+        zb_manufacturer_name: manufacturerName,
+        zb_product_id: productId,
+        zb_ieee_address: ieeeAddress,
+        ...options.settings,
+      },
+    });
+    driver._devices.push(device);
+    harness.devices.push(device);
+    await initDevice(device);
+  }
+
+  await harness.flush();
+  return harness;
+}
+
+/**
+ * Run Device.onInit and wait for the asynchronous onNodeInit it starts
+ * Rejects when onNodeInit throws (homey-zigbeedriver only logs it)
+ */
+async function initDevice(device) {
+  const onNodeInit = Object.getPrototypeOf(device).onNodeInit;
+  const initialized = new Promise((resolve, reject) => {
+    device.onNodeInit = async (...args) => {
+      try {
+        const result = await onNodeInit.apply(device, args);
+        resolve();
+        return result;
+      } catch (err) {
+        reject(err);
+        throw err;
+      }
+    };
+  });
+
+  await device.onInit();
+  await initialized;
+  delete device.onNodeInit;
+}
+
+module.exports = {
+  Homey,
+  MockZclNode,
+  MockEndpoint,
+  MockCluster,
+  TuyaSimulator,
+  ZdoSimulator,
+  manifest,
+  createDevice,
+  getDriverManifest,
+  tick,
+  wait,
+};
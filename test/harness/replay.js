@@ -0,0 +1,322 @@
+'use strict';
+
+const { createDevice, tick, wait } = require('./index');
+const TuyaDPCodec = require('../../lib/tuya/TuyaDPCodec');
+
+/**
+ * Replay - drive a real device class from a recorded capture
+ *
+ * Capture formats (detected from the JSON):
+ * - Replay file: { driver, manufacturerName, productId, settings, dps, frames: [...] }
+ * - DP capture export of the `dp_capture` setting: { driver, manufacturerName, modelId, entries: [...] }
+ *   (inbound DPs are replayed, outbound ones are left to the device under test)
+ * - LogBuffer entries: [{ timestamp, category, message, device, meta }], entries whose
+ *   meta describes a frame (the same fields as a replay frame) are replayed
+ * - TuyaE000BoundCluster.getFrameLog(): [{ timestamp, cmdId, data, rawFrame, endpoint }]
+ *
+ * Replay frames (`time`: ms since the start, epoch ms or ISO date):
+ * - { type: 'dp', dp, value, datatype }                  Tuya DP from the device (dataReport)
+ * - { type: 'dp', payload: '0001 0101 0001 01' }          raw Tuya payload
+ *   both take `command: 'response'` for a dataResponse instead of a dataReport
+ * - { type: 'attr', endpoint, cluster, attributes }       ZCL attribute report
+ * - { type: 'command', endpoint, cluster, command, args } ZCL command from the device
+ * - { type: 'frame', endpoint, cluster, cmdId, data }     raw frame of an unknown cluster (0xE000)
+ * - { type: 'app', device, capability, value }            app / flow command (device = subDeviceId)
+ *
+ * replay() feeds the frames with their original timing (or `speed` times faster)
+ * and returns the capability changes and flow triggers that resulted.
+ */
+
+const TUYA_COMMANDS = { report: 'reporting', reporting: 'reporting', response: 'response' };
+const E000_CLUSTER = 57344;
+
+/**
+ * Milliseconds of a time field (offset, epoch ms or ISO date), null when missing
+ */
+function toMs(time) {
+  if (time === undefined || time === null) return null;
+  if (typeof time === 'number') return time;
+  const parsed = Date.parse(time);
+  if (Number.isNaN(parsed)) throw new Error(`Invalid frame time: ${time}`);
+  return parsed;
+}
+
+function isFrame(meta) {
+  return meta !== null && typeof meta === 'object' &&
+    (meta.dp !== undefined || meta.payload !== undefined || meta.attributes !== undefined ||
+     meta.command !== undefined || meta.capability !== undefined);
+}
+
+/**
+ * Frame type of a replay frame without explicit type
+ */
+function frameType(frame) {
+  if (frame.type) return frame.type;
+  if (frame.capability !== undefined) return 'app';
+  if (frame.dp !== undefined || frame.payload !== undefined) return 'dp';
+  if (frame.attributes !== undefined) return 'attr';
+  if (frame.cmdId !== undefined) return 'frame';
+  return 'command';
+}
+
+/**
+ * Normalize any supported capture to { driver, manufacturerName, productId, settings, dps, frames, skipped }
+ * @param {object|Array} capture - Parsed JSON
+ * @param {object} [overrides] - driver / manufacturerName / productId from the command line
+ */
+function loadCapture(capture, overrides = {}) {
+  const info = Array.isArray(capture) ? {} : capture;
+  let frames;
+  let skipped = 0;
+
+  if (Array.isArray(info.frames)) {
+    frames = info.frames.map(frame => ({ ...frame, type: frameType(frame) }));
+  } else if (Array.isArray(info.entries) && info.entries.some(entry => entry.direction)) {
+    // DP capture export (TuyaDPRecorder)
+    frames = [];
+    for (const entry of info.entries) {
+      if (entry.direction !== 'in' || entry.raw === null) {
+        skipped++;
+        continue;
+      }
+      frames.push({
+        type: 'dp',
+        time: entry.time,
+        command: entry.event === 'response' ? 'response' : 'reporting',
+        payload: TuyaDPCodec.encodeFrame({
+          transid: entry.transid ?? 0,
+          dp: entry.dp,
+          datatype: entry.datatype,
+          data: Buffer.from(entry.raw, 'hex'),
+        }).toString('hex'),
+      });
+    }
+  } else {
+    const entries = Array.isArray(capture) ? capture : (info.entries || info.logs || []);
+    frames = [];
+    for (const entry of entries) {
+      if (entry.cmdId !== undefined && (entry.data !== undefined || entry.rawFrame !== undefined)) {
+        // TuyaE000BoundCluster frame log
+        frames.push({
+          type: 'frame',
+          time: entry.timestamp,
+          endpoint: entry.endpoint || 1,
+          cluster: E000_CLUSTER,
+          cmdId: entry.cmdId,
+          data: entry.data,
+          rawFrame: entry.rawFrame,
+        });
+      } else if (isFrame(entry.meta)) {
+        // LogBuffer entry
+        frames.push({ time: entry.timestamp, ...entry.meta, type: frameType(entry.meta) });
+      } else {
+        skipped++;
+      }
+    }
+  }
+
+  const driver = overrides.driver || info.driver;
+  if (!driver) throw new Error('Capture does not name its driver, pass --driver');
+
+  const times = frames.map(frame => toMs(frame.time ?? frame.at));
+  const known = times.filter(time => time !== null);
+  const start = known.length ? Math.min(...known) : 0;
+  let previous = 0;
+  frames = frames.map((frame, index) => {
+    previous = times[index] === null ? previous : times[index] - start;
+    return { ...frame, at: previous };
+  });
+
+  return {
+    driver,
+    manufacturerName: overrides.manufacturerName || info.manufacturerName,
+    productId: overrides.productId || info.productId || info.modelId,
+    settings: info.settings || {},
+    dps: info.dps || {},
+    frames,
+    skipped,
+  };
+}
+
+/**
+ * DP type of a replay frame without datatype
+ */
+function inferDatatype(value) {
+  if (typeof value === 'boolean') return 'bool';
+  if (typeof value === 'string') return 'string';
+  return 'value';
+}
+
+function toBuffer(hex) {
+  return Buffer.isBuffer(hex) ? hex : Buffer.from(String(hex).replace(/\s+/g, ''), 'hex');
+}
+
+/**
+ * Deliver one frame to the mock zclNode / device
+ */
+async function deliver(harness, frame) {
+  const endpoint = harness.zclNode.endpoints[frame.endpoint || 1];
+  if (!endpoint && frame.type !== 'app') throw new Error(`No endpoint ${frame.endpoint || 1}`);
+
+  switch (frame.type) {
+    case 'dp': {
+      const tuya = endpoint.clusters.tuya;
+      if (!tuya) throw new Error(`No tuya cluster on endpoint ${endpoint.id}`);
+      const command = TUYA_COMMANDS[frame.command || 'reporting'];
+      const payload = frame.payload !== undefined
+        ? toBuffer(frame.payload)
+        : TuyaDPCodec.encodeFrame(TuyaDPCodec.buildDatapoint(
+          frame.dp, frame.value, frame.datatype ?? inferDatatype(frame.value), { transid: frame.transid ?? 0 }
+        ));
+      return tuya.receiveCommand(command, payload);
+    }
+
+    case 'attr':
+      return cluster(endpoint, frame.cluster).reportAttributes(frame.attributes);
+
+    case 'command':
+      return cluster(endpoint, frame.cluster).receiveCommand(frame.command, frame.args || {});
+
+    case 'frame': {
+      const clusterId = Number(frame.cluster ?? E000_CLUSTER);
+      const data = toBuffer(frame.data ?? '');
+      const rawFrame = frame.rawFrame !== undefined ? toBuffer(frame.rawFrame) : data;
+      endpoint.receiveFrame(clusterId, rawFrame, { cmdId: frame.cmdId });
+      const boundCluster = endpoint.bindings[String(clusterId)];
+      if (boundCluster && typeof boundCluster.handleFrame === 'function') {
+        return boundCluster.handleFrame({ cmdId: frame.cmdId, data }, {}, rawFrame);
+      }
+      return undefined;
+    }
+
+    case 'app': {
+      const device = frame.device ? harness.getSubDevice(frame.device) : harness.device;
+      if (!device) throw new Error(`Unknown device ${frame.device}`);
+      return device.triggerCapabilityListener(frame.capability, frame.value, frame.opts || {});
+    }
+
+    default:
+      throw new Error(`Unknown frame type ${frame.type}`);
+  }
+}
+
+function cluster(endpoint, name) {
+  const found = endpoint.clusters[name];
+  if (!found) throw new Error(`No ${name} cluster on endpoint ${endpoint.id}`);
+  return found;
+}
+
+function describeFrame(frame) {
+  const endpoint = `EP${frame.endpoint || 1}`;
+  switch (frame.type) {
+    case 'dp':
+      return frame.payload !== undefined
+        ? `tuya ${frame.command || 'reporting'} ${String(frame.payload).replace(/\s+/g, '')}`
+        : `tuya ${frame.command || 'reporting'} DP${frame.dp} = ${JSON.stringify(frame.value)}`;
+    case 'attr':
+      return `${endpoint} ${frame.cluster} attributes ${JSON.stringify(frame.attributes)}`;
+    case 'command':
+      return `${endpoint} ${frame.cluster}.${frame.command}(${JSON.stringify(frame.args || {})})`;
+    case 'frame':
+      return `${endpoint} cluster ${frame.cluster ?? E000_CLUSTER} frame cmd ${frame.cmdId} ${frame.data ?? ''}`;
+    case 'app':
+      return `app ${frame.device || 'main'} ${frame.capability} = ${JSON.stringify(frame.value)}`;
+    default:
+      return frame.type;
+  }
+}
+
+/**
+ * Replay a capture against the real device class
+ * @param {object} capture - Result of loadCapture()
+ * @param {object} [options]
+ * @param {number} [options.speed=1] - Time factor, 0 = no waiting between frames
+ * @param {number} [options.tail=0] - Capture time to keep running after the last frame (ms)
+ * @param {number|null} [options.echo=null] - Let the Tuya simulator answer writes (the capture holds the real answers)
+ * @param {Function} [options.onEvent] - Called with every event as it happens
+ * @returns {Promise<Array<object>>} events: frame / capability / trigger / error
+ */
+async function replay(capture, { speed = 1, tail = 0, echo = null, onEvent = () => {} } = {}) {
+  const harness = await createDevice(capture.driver, {
+    manufacturerName: capture.manufacturerName,
+    productId: capture.productId,
+    settings: capture.settings,
+    dps: capture.dps,
+    echo,
+  });
+
+  const events = [];
+  const startedAt = Date.now();
+  let frameAt = 0;
+  const now = () => (speed > 0 ? Math.max(frameAt, Math.round((Date.now() - startedAt) * speed)) : frameAt);
+  const emit = (event) => {
+    const timed = { at: now(), ...event };
+    events.push(timed);
+    onEvent(timed);
+  };
+
+  for (const device of harness.devices) {
+    device.on('capability', ({ capability, value }) => {
+      emit({ type: 'capability', device: device.getData().subDeviceId || 'main', capability, value });
+    });
+  }
+  harness.homey.flow.on('trigger', ({ id, device, tokens }) => {
+    emit({ type: 'trigger', card: id, device: device ? device.getData().subDeviceId || 'main' : null, tokens });
+  });
+
+  const waitUntil = async (at) => {
+    if (speed > 0) {
+      const delay = at / speed - (Date.now() - startedAt);
+      if (delay > 0) await wait(delay);
+    }
+    frameAt = at;
+  };
+
+  try {
+    for (const frame of capture.frames) {
+      await waitUntil(frame.at);
+      emit({ type: 'frame', frame, description: describeFrame(frame) });
+      try {
+        await deliver(harness, frame);
+      } catch (err) {
+        emit({ type: 'error', message: err.message });
+      }
+      await harness.flush();
+    }
+
+    const last = capture.frames.length ? capture.frames[capture.frames.length - 1].at : 0;
+    if (tail > 0) await waitUntil(last + tail);
+    await tick();
+  } finally {
+    await harness.destroy();
+  }
+
+  return events;
+}
+
+/**
+ * One output line per event
+ */
+function formatEvent(event) {
+  const time = `+${String(event.at).padStart(6)}ms`;
+  switch (event.type) {
+    case 'frame':
+      return `${time}  ← ${event.description}`;
+    case 'capability':
+      return `${time}      ${event.device}: ${event.capability} = ${JSON.stringify(event.value)}`;
+    case 'trigger': {
+      const tokens = Object.keys(event.tokens || {}).length ? ` ${JSON.stringify(event.tokens)}` : '';
+      return `${time}      ⚡ ${event.card}${event.device ? ` (${event.device})` : ''}${tokens}`;
+    }
+    case 'error':
+      return `${time}      ❌ ${event.message}`;
+    default:
+      return `${time}      ${JSON.stringify(event)}`;
+  }
+}
+
+module.exports = {
+  loadCapture,
+  replay,
+  formatEvent,
+};
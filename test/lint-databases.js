@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Lint the Tuya engine JSON databases
+ *
+ *   npm run lint:db [-- --schema] [--json]
+ *
+ * Validates lib/tuya-engine against the JSON schemas in its schemas/ folder,
+ * then (unless --schema) checks what a schema cannot see:
+ * - duplicate keys (JSON.parse silently keeps the last one)
+ * - manufacturerNames mapped to conflicting profiles
+ * - profiles referenced by a fingerprint or detection rule but not defined
+ * - capabilities that are neither Homey system capabilities nor defined in app.json,
+ *   DP mappings of capabilities a profile does not have
+ * - converters and traits referenced but missing from converters/ and traits/
+ * Exits with 1 when anything was found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const HomeyLib = require('homey-lib');
+const { TRAITS } = require('../lib/tuya-engine/traits');
+
+const LIB_DIR = path.join(__dirname, '..', 'lib');
+
+const ENGINES = {
+  'tuya-engine': {
+    files: ['fingerprints', 'profiles', 'dp-database', 'capability-map'],
+    converterExports: ['fromDP', 'toDP'],
+  },
+};
+
+/**
+ * Homey system capabilities plus the custom capabilities of app.json
+ */
+function knownCapabilities() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'app.json'), 'utf8'));
+  return new Set([...Object.keys(HomeyLib.getCapabilities()), ...Object.keys(manifest.capabilities || {})]);
+}
+
+// Sub-capabilities (onoff.gang2) are instances of their base capability
+const baseCapability = capability => capability.split('.')[0];
+
+/**
+ * Paths of object keys that appear twice in the same object
+ * @param {string} text - JSON source
+ * @returns {string[]} e.g. ['fingerprints._TZ3000_abc']
+ */
+function findDuplicateKeys(text) {
+  const duplicates = [];
+  const stack = [];
+  let expectKey = false;
+  let lastKey = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const scope = stack[stack.length - 1];
+
+    if (char === '"') {
+      let end = i + 1;
+      while (text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+      if (scope && scope.keys && expectKey) {
+        const key = JSON.parse(text.slice(i, end + 1));
+        if (scope.keys.has(key)) duplicates.push([...stack.slice(1).map(s => s.name), key].join('.'));
+        scope.keys.add(key);
+        lastKey = key;
+        expectKey = false;
+      }
+      i = end;
+    } else if (char === '{' || char === '[') {
+      stack.push({ keys: char === '{' ? new Set() : null, name: scope && scope.keys ? lastKey : `${scope ? scope.name : ''}[]` });
+      expectKey = char === '{';
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+    } else if (char === ',') {
+      expectKey = Boolean(scope && scope.keys);
+    }
+  }
+
+  return duplicates;
+}
+
+/**
+ * Private: ajv instance holding every schema of an engine
+ */
+function createValidator(name) {
+  const ajv = new Ajv({ allErrors: true });
+  const schemaDir = path.join(LIB_DIR, name, 'schemas');
+  for (const file of ENGINES[name].files) {
+    ajv.addSchema(JSON.parse(fs.readFileSync(path.join(schemaDir, `${file}.schema.json`), 'utf8')));
+  }
+  return file => ajv.getSchema(`${name}/${file}.schema.json`);
+}
+
+function formatSchemaError(err) {
+  const at = err.dataPath.replace(/\['([A-Za-z_]\w*)'\]/g, '.$1').replace(/^\./, '') || '(root)';
+  if (err.keyword === 'propertyNames') return `${at}: invalid key "${err.params.propertyName}"`;
+  if (err.keyword === 'additionalProperties') return `${at}: unknown field "${err.params.additionalProperty}"`;
+  if (err.keyword === 'enum') return `${at}: ${err.message} ${err.params.allowedValues.join(', ')}`;
+  return `${at}: ${err.message}`;
+}
+
+/**
+ * Private: cross-file checks of lib/tuya-engine
+ */
+function checkTuyaEngine(data, report, { capabilities, converters }) {
+  const profiles = data.profiles.profiles || {};
+  const fingerprints = Object.entries(data.fingerprints.fingerprints || {});
+
+  // Same model + manufacturer, different profile, nothing (datapoints) to tell them apart
+  for (let i = 0; i < fingerprints.length; i++) {
+    const [id, fingerprint] = fingerprints[i];
+    for (const [otherId, other] of fingerprints.slice(0, i)) {
+      if (fingerprint.model !== other.model ||
+        fingerprint.manufacturer.toLowerCase() !== other.manufacturer.toLowerCase() ||
+        fingerprint.profile === other.profile) continue;
+      const datapoints = String(fingerprint.datapoints || []);
+      if (fingerprint.datapoints && other.datapoints && datapoints !== String(other.datapoints)) continue;
+      report('fingerprints', `${id}: ${fingerprint.manufacturer} / ${fingerprint.model} is mapped to "${other.profile}" by ${otherId} and to "${fingerprint.profile}"`);
+    }
+  }
+
+  for (const [id, fingerprint] of fingerprints) {
+    if (!profiles[fingerprint.profile]) report('fingerprints', `${id}: profile "${fingerprint.profile}" is not defined`);
+  }
+  for (const [id, rule] of Object.entries(data.fingerprints.detection_rules || {})) {
+    if (!profiles[rule.suggest_profile]) report('fingerprints', `detection rule ${id}: profile "${rule.suggest_profile}" is not defined`);
+  }
+
+  const classes = new Set(Object.keys(HomeyLib.getDeviceClasses()));
+  for (const [id, profile] of Object.entries(profiles)) {
+    if (!classes.has(profile.class)) report('profiles', `${id}: "${profile.class}" is not a Homey device class`);
+    for (const capability of profile.capabilities || []) {
+      if (!capabilities.has(baseCapability(capability))) report('profiles', `${id}: capability "${capability}" is not defined`);
+    }
+    for (const [capability, entry] of Object.entries(profile.dpMap || {})) {
+      if (!(profile.capabilities || []).includes(capability)) {
+        report('profiles', `${id}: dpMap of "${capability}" which is not in its capabilities`);
+      }
+      if (entry.converter && !converters.has(entry.converter)) {
+        report('profiles', `${id}: converter "${entry.converter}" of ${capability} is missing from converters/`);
+      }
+    }
+    for (const trait of profile.traits || []) {
+      if (!TRAITS[trait]) report('profiles', `${id}: trait "${trait}" is not defined in traits/`);
+    }
+  }
+
+  for (const [category, { dpMap = {} }] of Object.entries(data['dp-database'])) {
+    for (const [dp, entry] of Object.entries(dpMap)) {
+      if (entry.capability && !capabilities.has(baseCapability(entry.capability))) {
+        report('dp-database', `${category} DP${dp}: capability "${entry.capability}" is not defined`);
+      }
+    }
+  }
+
+  const capabilityMap = data['capability-map'].capabilities || {};
+  for (const [capability, entry] of Object.entries(capabilityMap)) {
+    if (!capabilities.has(baseCapability(capability))) report('capability-map', `capability "${capability}" is not defined`);
+    if (entry.converter && !converters.has(entry.converter)) {
+      report('capability-map', `${capability}: converter "${entry.converter}" is missing from converters/`);
+    }
+  }
+  for (const [id, pattern] of Object.entries(data['capability-map'].common_patterns || {})) {
+    for (const capability of pattern.capabilities) {
+      if (!capabilityMap[capability] && !capabilityMap[baseCapability(capability)]) report('capability-map', `pattern ${id}: capability "${capability}" is not in the map`);
+    }
+  }
+}
+
+const CHECKS = {
+  'tuya-engine': checkTuyaEngine,
+};
+
+/**
+ * Private: converter modules in converters/, with a problem per module that does not load
+ */
+function loadConverters(name, dir, report) {
+  const converterDir = path.join(dir, 'converters');
+  const converters = new Set();
+  const files = fs.existsSync(converterDir) ? fs.readdirSync(converterDir).filter(file => file.endsWith('.js')) : [];
+
+  for (const file of files.filter(file => file !== 'index.js')) {
+    const id = path.basename(file, '.js');
+    try {
+      const converter = require(path.join(converterDir, file));
+      const missing = ENGINES[name].converterExports.filter(fn => typeof converter[fn] !== 'function');
+      if (missing.length) report(`converters/${file}`, `does not export ${missing.join(', ')}`, '');
+      converters.add(id);
+    } catch (err) {
+      report(`converters/${file}`, `cannot be loaded: ${err.message.split('\n')[0]}`, '');
+    }
+  }
+
+  // converters/index.js requires its converters by name
+  if (files.includes('index.js')) {
+    const source = fs.readFileSync(path.join(converterDir, 'index.js'), 'utf8');
+    for (const [, id] of source.matchAll(/require\(\s*['"]\.\/([\w-]+)(?:\.js)?['"]\s*\)/g)) {
+      if (!converters.has(id)) report('converters/index.js', `requires "./${id}" which is missing from converters/`, '');
+    }
+  }
+
+  return converters;
+}
+
+/**
+ * Lint the databases of one engine
+ * @param {string} name - 'tuya-engine'
+ * @param {object} [options]
+ * @param {string} [options.dir] - Engine folder (defaults to lib/<name>), schemas always come from lib/<name>
+ * @param {Set<string>} [options.capabilities] - Defined capability ids
+ * @param {boolean} [options.schemaOnly=false] - Only parse and validate against the schemas
+ * @returns {string[]} problems, '<name>/<file>: <message>'
+ */
+function lintEngine(name, { dir = path.join(LIB_DIR, name), capabilities, schemaOnly = false } = {}) {
+  if (!ENGINES[name]) throw new Error(`Unknown engine ${name}`);
+  const problems = [];
+  const report = (file, message, extension = '.json') => problems.push(`${name}/${file}${extension}: ${message}`);
+  const getSchema = createValidator(name);
+  const data = {};
+
+  for (const file of ENGINES[name].files) {
+    let text;
+    try {
+      text = fs.readFileSync(path.join(dir, `${file}.json`), 'utf8');
+      data[file] = JSON.parse(text);
+    } catch (err) {
+      report(file, err.message);
+      continue;
+    }
+
+    for (const key of findDuplicateKeys(text)) report(file, `${key}: duplicate key, only the last one is used`);
+
+    const validate = getSchema(file);
+    if (!validate(data[file])) {
+      // propertyNames also reports the failing keyword of the key, once is enough
+      for (const err of validate.errors.filter(e => !e.schemaPath.includes('/propertyNames/'))) {
+        report(file, formatSchemaError(err));
+      }
+    }
+  }
+
+  if (schemaOnly) return problems;
+
+  const converters = loadConverters(name, dir, report);
+  // Cross-file checks need every file, a broken one was reported above
+  if (ENGINES[name].files.every(file => data[file])) {
+    CHECKS[name](data, report, { capabilities: capabilities || knownCapabilities(), converters });
+  }
+
+  return problems;
+}
+
+/**
+ * Lint every engine
+ * @param {object} [options] - schemaOnly, see lintEngine()
+ * @returns {string[]} problems
+ */
+function lintDatabases({ schemaOnly = false } = {}) {
+  const capabilities = schemaOnly ? null : knownCapabilities();
+  return Object.keys(ENGINES).flatMap(name => lintEngine(name, { capabilities, schemaOnly }));
+}
+
+function main() {
+  const json = process.argv.includes('--json');
+  const problems = lintDatabases({ schemaOnly: process.argv.includes('--schema') });
+
+  if (json) {
+    console.log(JSON.stringify(problems, null, 2));
+  } else if (problems.length) {
+    for (const problem of problems) console.log(`❌ ${problem}`);
+    console.log(`\n${problems.length} problem(s) in ${Object.keys(ENGINES).map(name => `lib/${name}`).join(', ')}`);
+  } else {
+    console.log(`✅ ${Object.keys(ENGINES).map(name => `lib/${name}`).join(', ')}: no problems`);
+  }
+  return problems.length ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
+
+module.exports = {
+  ENGINES,
+  findDuplicateKeys,
+  lintEngine,
+  lintDatabases,
+};
@@ -0,0 +1,116 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { findDuplicateKeys, lintEngine, lintDatabases } = require('./lint-databases');
+
+const CAPABILITIES = new Set(['onoff', 'dim', 'measure_power', 'measure_temperature', 'alarm_contact']);
+
+/**
+ * Copy of a shipped engine folder, `edit(data)` changes the parsed JSON files before they are written
+ */
+function engineDir(name, edit = () => {}) {
+  const source = path.join(__dirname, '..', 'lib', name);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+  fs.cpSync(path.join(source, 'converters'), path.join(dir, 'converters'), { recursive: true });
+
+  const data = {};
+  for (const file of fs.readdirSync(source).filter(file => file.endsWith('.json'))) {
+    data[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(source, file), 'utf8'));
+  }
+  edit(data);
+  for (const [file, content] of Object.entries(data)) {
+    fs.writeFileSync(path.join(dir, `${file}.json`), typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+  return dir;
+}
+
+describe('database lint', () => {
+  let dir;
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  it('the shipped databases have no problems', () => {
+    assert.deepEqual(lintDatabases(), []);
+  });
+
+  it('finds duplicate keys JSON.parse would drop', () => {
+    assert.deepEqual(findDuplicateKeys('{ "a": 1, "b": { "c": "{\\"", "c": 2 }, "d": [{ "e": 1 }, { "e": 2 }], "a": 3 }'),
+      ['b.c', 'a']);
+    assert.deepEqual(findDuplicateKeys('{ "fingerprints": { "_TZ3000_abc": {}, "_TZ3000_ABC": {} } }'), []);
+  });
+
+  it('schema errors, unknown profiles, capabilities, traits and converters', () => {
+    dir = engineDir('tuya-engine', (data) => {
+      data.fingerprints = JSON.stringify({ ...data.fingerprints, extra: true }, null, 2).replace('"fingerprints": {',
+        '"fingerprints": {\n    "TS0601_gas": { "manufacturer": "_TZE200_*", "model": "TS0601", "profile": "gas_detector_tuya" },');
+      data.profiles.profiles.smart_plug_basic.dpMap.onoff.type = 'boolean';
+    });
+
+    const problems = lintEngine('tuya-engine', { dir, schemaOnly: true });
+    assert.deepEqual(problems, [
+      'tuya-engine/fingerprints.json: fingerprints.TS0601_gas: duplicate key, only the last one is used',
+      'tuya-engine/fingerprints.json: (root): unknown field "extra"',
+      'tuya-engine/profiles.json: profiles.smart_plug_basic.dpMap.onoff.type: should be equal to one of the allowed values raw, bool, value, string, enum, bitmap',
+    ]);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    dir = engineDir('tuya-engine', (data) => {
+      const { smart_plug_basic: plug } = data.profiles.profiles;
+      plug.capabilities.push('measure_wattage');
+      plug.dpMap.onoff.converter = 'relay';
+      plug.dpMap.dim = { dp: 2, type: 'value' };
+      plug.traits = ['OnOffTrait', 'RelayTrait'];
+      data.fingerprints.detection_rules.has_dp_1_bool.suggest_profile = 'relay_1gang';
+      data['capability-map'].capabilities.dim.converter = 'brightness';
+    });
+    const all = lintEngine('tuya-engine', { dir, capabilities: CAPABILITIES });
+    const expected = [
+      'tuya-engine/fingerprints.json: detection rule has_dp_1_bool: profile "relay_1gang" is not defined',
+      'tuya-engine/profiles.json: smart_plug_basic: capability "measure_wattage" is not defined',
+      'tuya-engine/profiles.json: smart_plug_basic: converter "relay" of onoff is missing from converters/',
+      'tuya-engine/profiles.json: smart_plug_basic: dpMap of "dim" which is not in its capabilities',
+      'tuya-engine/profiles.json: smart_plug_basic: trait "RelayTrait" is not defined in traits/',
+      'tuya-engine/capability-map.json: dim: converter "brightness" is missing from converters/',
+    ];
+    for (const problem of expected) assert.ok(all.includes(problem), problem);
+  });
+
+  it('fingerprints told apart by their datapoints do not conflict', () => {
+    dir = engineDir('tuya-engine', (data) => {
+      const { fingerprints } = data.fingerprints;
+      fingerprints.TS0601_lock = { ...fingerprints.TS0601_gas, profile: 'smart_lock', datapoints: [1, 2, 13] };
+      fingerprints.TS0601_valve = { ...fingerprints.TS0601_gas, profile: 'water_valve', datapoints: [1, 5] };
+      fingerprints.TS011F_other = { ...fingerprints.TS011F_plug, manufacturer: '_tz3000_*', profile: 'smart_plug_basic' };
+      data.profiles.profiles.smart_plug_basic.class = 'plug';
+    });
+    fs.writeFileSync(path.join(dir, 'converters', 'onoff.js'), 'module.exports = { fromDP: v => v };');
+    fs.writeFileSync(path.join(dir, 'converters', 'index.js'), "module.exports = { onoff: require('./onoff'), fan: require('./fan') };");
+
+    const problems = lintEngine('tuya-engine', { dir });
+    const expected = [
+      'tuya-engine/converters/onoff.js: does not export toDP',
+      'tuya-engine/converters/index.js: requires "./fan" which is missing from converters/',
+      'tuya-engine/fingerprints.json: TS0601_lock: _TZE200_* / TS0601 is mapped to "gas_detector_tuya" by TS0601_gas and to "smart_lock"',
+      'tuya-engine/fingerprints.json: TS011F_other: _tz3000_* / TS011F is mapped to "smart_plug_metering" by TS011F_plug and to "smart_plug_basic"',
+      'tuya-engine/fingerprints.json: TS0601_valve: profile "water_valve" is not defined',
+      'tuya-engine/profiles.json: smart_plug_basic: "plug" is not a Homey device class',
+    ];
+    for (const problem of expected) assert.ok(problems.includes(problem), problem);
+    assert.ok(!problems.some(problem => problem.includes('TS0601_valve: _TZE200_*')), 'different datapoints');
+  });
+
+  it('command line: --schema checks the schemas only', () => {
+    const output = execFileSync(process.execPath, [path.join(__dirname, 'lint-databases.js'), '--schema'],
+      { encoding: 'utf8', timeout: 30000 });
+    assert.match(output, /lib\/tuya-engine: no problems/);
+  });
+});
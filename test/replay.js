@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Replay a recorded capture against the real device class (offline)
+ *
+ *   npm run replay -- capture.json [--driver <id>] [--manufacturer <name>] [--product <id>]
+ *                                  [--speed <n> | --fast] [--tail <ms>] [--echo] [--json]
+ *
+ * Prints every frame fed to the device with the capability changes and flow
+ * triggers it caused. See test/harness/replay.js for the capture formats.
+ * Set HOMEY_TEST_LOG=1 to see the device logs as well.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { loadCapture, replay, formatEvent } = require('./harness/replay');
+
+const USAGE = 'Usage: npm run replay -- <capture.json> [--driver <id>] [--manufacturer <name>] [--product <id>] '
+  + '[--speed <n> | --fast] [--tail <ms>] [--echo] [--json]';
+
+function parseArgs(argv) {
+  const options = { speed: 1, tail: 0, echo: null, json: false };
+  const files = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--driver': options.driver = next(); break;
+      case '--manufacturer': options.manufacturerName = next(); break;
+      case '--product': options.productId = next(); break;
+      case '--speed': options.speed = Number(next()); break;
+      case '--fast': options.speed = 0; break;
+      case '--tail': options.tail = Number(next()); break;
+      case '--echo': options.echo = 0x01; break;
+      case '--json': options.json = true; break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        files.push(arg);
+    }
+  }
+
+  if (!Number.isFinite(options.speed) || options.speed < 0) throw new Error('--speed must be 0 or more');
+  if (!Number.isFinite(options.tail) || options.tail < 0) throw new Error('--tail must be 0 or more');
+  return { options, file: files[0] };
+}
+
+async function main() {
+  const { options, file } = parseArgs(process.argv.slice(2));
+  if (options.help || !file) {
+    console.log(USAGE);
+    return options.help ? 0 : 1;
+  }
+
+  const capture = loadCapture(JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')), options);
+
+  if (!options.json) {
+    const model = [capture.manufacturerName, capture.productId].filter(Boolean).join(' / ');
+    console.log(`Replaying ${capture.frames.length} frames into ${capture.driver}${model ? ` (${model})` : ''}`);
+    if (capture.skipped) console.log(`Skipped ${capture.skipped} entries that are not device frames`);
+  }
+
+  const events = await replay(capture, {
+    speed: options.speed,
+    tail: options.tail,
+    echo: options.echo,
+    onEvent: options.json ? undefined : event => console.log(formatEvent(event)),
+  });
+
+  if (options.json) console.log(JSON.stringify(events, null, 2));
+  return events.some(event => event.type === 'error') ? 2 : 0;
+}
+
+main().then((code) => {
+  process.exitCode = code;
+}, (err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
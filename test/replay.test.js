@@ -0,0 +1,88 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+const { createDevice } = require('./harness');
+const { loadCapture, replay } = require('./harness/replay');
+const fixture = require('./fixtures/replay-2gang-switch.json');
+
+const triggers = events => events.filter(e => e.type === 'trigger').map(e => `${e.card}:${e.device}`);
+
+describe('replay', () => {
+  let harness;
+
+  afterEach(async () => {
+    if (harness) await harness.destroy();
+    harness = null;
+  });
+
+  it('feeds ZCL reports and app commands to the device class', async () => {
+    const events = await replay(loadCapture(fixture), { speed: 0 });
+
+    assert.deepEqual(events.filter(e => e.type === 'error'), []);
+    assert.deepEqual(triggers(events), ['wall_switch_2gang_1way_turned_on_physical:secondSwitch']);
+    assert.deepEqual(
+      events.filter(e => e.type === 'capability').map(e => [e.at, e.device, e.capability, e.value]),
+      [[0, 'secondSwitch', 'onoff', true], [450, 'secondSwitch', 'onoff', false]]
+    );
+  });
+
+  it('keeps the original timing between frames', async () => {
+    const started = Date.now();
+    await replay(loadCapture(fixture), { speed: 10 });
+    assert.ok(Date.now() - started >= 45, 'last frame at 450ms / speed 10');
+  });
+
+  it('replays a DP capture export', async () => {
+    harness = await createDevice('wall_dimmer_1gang_1way', { dps: { 1: false, 2: 10 }, settings: { dp_capture: true } });
+    await harness.device.triggerCapabilityListener('onoff', true);
+    await harness.flush();
+    await harness.tuya.report(2, 505);
+    await harness.flush();
+    const exported = JSON.parse(harness.device.exportDPCapture());
+
+    const capture = loadCapture(exported);
+    assert.equal(capture.driver, 'wall_dimmer_1gang_1way');
+    assert.equal(capture.frames.length, 2);
+    assert.equal(capture.skipped, 1, 'the outbound write');
+
+    const events = await replay(capture, { speed: 0 });
+    assert.deepEqual(
+      events.filter(e => e.type === 'capability' && e.capability !== 'countdown_remaining').map(e => [e.capability, e.value]),
+      [['onoff', true], ['dim', 0.5]]
+    );
+    // Without the app command the echo of DP1 now counts as a physical press
+    assert.deepEqual(triggers(events), ['wall_dimmer_1gang_1way_turned_on:main']);
+  });
+
+  it('reads LogBuffer entries and TuyaE000BoundCluster frame logs', () => {
+    const logs = loadCapture([
+      { timestamp: '2026-01-01T10:00:00.000Z', category: 'DEVICE', message: 'boot', meta: null },
+      { timestamp: '2026-01-01T10:00:01.000Z', category: 'CLUSTER', message: 'DP', meta: { dp: 1, value: true } },
+      { timestamp: '2026-01-01T10:00:03.500Z', category: 'CLUSTER', message: 'attr', meta: { endpoint: 2, cluster: 'onOff', attributes: { onOff: true } } },
+    ], { driver: 'wall_switch_2gang_1way' });
+    assert.deepEqual(logs.frames.map(f => [f.type, f.at]), [['dp', 0], ['attr', 2500]]);
+    assert.equal(logs.skipped, 1);
+
+    const frameLog = loadCapture([
+      { timestamp: 1000, cmdId: 0xfd, data: '00', rawFrame: '11fd00', endpoint: 1 },
+      { timestamp: 1800, cmdId: 0xfd, data: '01', rawFrame: '11fd01', endpoint: 1 },
+    ], { driver: 'wall_switch_1gang_1way' });
+    assert.deepEqual(frameLog.frames.map(f => [f.type, f.cluster, f.at]), [['frame', 57344, 0], ['frame', 57344, 800]]);
+
+    assert.throws(() => loadCapture({ frames: [] }), /--driver/);
+  });
+
+  it('command line: prints frames, capability changes and triggers', () => {
+    const output = execFileSync(process.execPath, [
+      path.join(__dirname, 'replay.js'), path.join(__dirname, 'fixtures', 'replay-2gang-switch.json'), '--fast',
+    ], { encoding: 'utf8', timeout: 30000 });
+
+    assert.match(output, /Replaying 3 frames into wall_switch_2gang_1way/);
+    assert.match(output, /← EP2 onOff attributes \{"onOff":true\}/);
+    assert.match(output, /⚡ wall_switch_2gang_1way_turned_on_physical \(secondSwitch\)/);
+  });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Cluster } = require('zigbee-clusters');
+
+const TuyaTimeSyncFormats = require('../lib/tuya/TuyaTimeSyncFormats');
+const { LEARNED_FORMATS_KEY, CONFIRM_WINDOW_MS } = require('../lib/tuya/TimeSyncService');
+const { createDevice } = require('./harness');
+
+const { TIME_FORMAT, TUYA_EPOCH_OFFSET } = TuyaTimeSyncFormats;
+const HOUR = 60 * 60 * 1000;
+
+describe('Time sync', () => {
+  let harness;
+
+  afterEach(async () => {
+    if (harness) await harness.destroy();
+    harness = null;
+    mock.timers.reset();
+  });
+
+  /**
+   * Dimmer (tuya cluster on endpoint 1) with mocked timers and clock from `now`
+   */
+  const createDimmer = (now, { timezone = 'UTC', ...options } = {}) => createDevice('wall_dimmer_1gang_1way', {
+    dps: { 1: false },
+    ...options,
+    beforeInit: (h) => {
+      h.homey.clock.timezone = timezone;
+      mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.parse(now) });
+    },
+  });
+
+  const timeRequest = async () => {
+    harness.zclNode.clearSent();
+    await harness.zclNode.endpoints[1].clusters.tuya.receiveCommand(0x24, Buffer.from([0x00, 0x01]));
+    await harness.flush();
+    return harness.zclNode.getSent({ command: 'mcuSyncTime' });
+  };
+
+  it('answers time requests in the detected format and learns it when the device stays quiet', async () => {
+    harness = await createDimmer('2026-07-01T10:00:00Z', { timezone: 'Europe/Amsterdam' });
+    const { manufacturerName } = harness.zclNode;
+    const detected = TuyaTimeSyncFormats.detectFormat(manufacturerName, harness.zclNode.modelId);
+
+    const [answer] = await timeRequest();
+    const expected = TuyaTimeSyncFormats.buildPayload(detected, { date: new Date(), timezone: 120, dst: true });
+    assert.deepEqual(answer.args, { payloadSize: expected.length, payload: expected });
+    assert.equal(harness.homey.settings.get(LEARNED_FORMATS_KEY), null);
+
+    mock.timers.tick(CONFIRM_WINDOW_MS);
+    assert.deepEqual(harness.homey.settings.get(LEARNED_FORMATS_KEY), { [manufacturerName]: detected });
+  });
+
+  it('a device asking again rejected the format, the next one is probed and learned', async () => {
+    harness = await createDimmer('2026-07-01T10:00:00Z');
+    const { manufacturerName } = harness.zclNode;
+    const build = format => TuyaTimeSyncFormats.buildPayload(format, { date: new Date(), timezone: 0, dst: false });
+
+    assert.deepEqual((await timeRequest())[0].args.payload, build(TIME_FORMAT.ZIGBEE_2000));
+    mock.timers.tick(5000);
+    assert.deepEqual((await timeRequest())[0].args.payload, build(TIME_FORMAT.ZIGBEE_2000_LOCAL));
+
+    mock.timers.tick(CONFIRM_WINDOW_MS);
+    assert.deepEqual(harness.homey.settings.get(LEARNED_FORMATS_KEY), { [manufacturerName]: TIME_FORMAT.ZIGBEE_2000_LOCAL });
+
+    // Learned formats and the time_sync_format setting are used without probing
+    mock.timers.tick(CONFIRM_WINDOW_MS);
+    assert.deepEqual((await timeRequest())[0].args.payload, build(TIME_FORMAT.ZIGBEE_2000_LOCAL));
+    await harness.device.setSettings({ time_sync_format: TIME_FORMAT.UNIX_1970 });
+    assert.deepEqual((await timeRequest())[0].args.payload, build(TIME_FORMAT.UNIX_1970));
+  });
+
+  it('answers ZCL Time reads with the local time and DST of the Homey timezone', async () => {
+    harness = await createDimmer('2026-07-01T10:00:00Z', { timezone: 'Europe/Amsterdam' });
+    const timeServer = harness.zclNode.endpoints[1].bindings.time;
+
+    const { attributes } = await timeServer.readAttributes({ attributes: [0, 2, 3, 4, 5, 7] });
+    const values = Object.fromEntries(Cluster.getCluster('time').attributeArrayStatusDataType.fromBuffer(attributes, 0)
+      .map(({ name, value }) => [name, value]));
+
+    const time = Date.parse('2026-07-01T10:00:00Z') / 1000 - TUYA_EPOCH_OFFSET;
+    assert.deepEqual(values, {
+      time,
+      timeZone: 3600,
+      dstStart: Date.parse('2026-03-29T01:00:00Z') / 1000 - TUYA_EPOCH_OFFSET,
+      dstEnd: Date.parse('2026-10-25T01:00:00Z') / 1000 - TUYA_EPOCH_OFFSET,
+      dstShift: 3600,
+      localTime: time + 7200,
+    });
+  });
+
+  it('resyncs devices when the UTC offset changes', async () => {
+    harness = await createDimmer('2026-10-25T00:30:00Z', { timezone: 'Europe/Amsterdam', settings: { time_sync_format: TIME_FORMAT.TUYA_STANDARD } });
+
+    harness.zclNode.clearSent();
+    mock.timers.tick(HOUR);
+    await harness.flush();
+
+    // 01:30 UTC is 02:30 CET, it was 02:30 CEST an hour before
+    const [push] = harness.zclNode.getSent({ command: 'mcuSyncTime' });
+    assert.deepEqual([...push.args.payload], [26, 10, 25, 2, 30, 0, 7]);
+  });
+});
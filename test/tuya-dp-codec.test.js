@@ -0,0 +1,160 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createDevice, getDriverManifest } = require('./harness');
+const TuyaDPCodec = require('../lib/tuya/TuyaDPCodec');
+const TuyaCommandSender = require('../lib/tuya/TuyaCommandSender');
+
+const { DP_TYPE } = TuyaDPCodec;
+
+describe('TuyaDPCodec', () => {
+  it('encodes every DP type', () => {
+    const hex = (type, value, options) => TuyaDPCodec.encodeValue(type, value, options).toString('hex');
+
+    assert.equal(hex('bool', true), '01');
+    assert.equal(hex('bool', 0), '00');
+    assert.equal(hex('value', 505), '000001f9');
+    assert.equal(hex('value', -100), 'ffffff9c');
+    assert.equal(hex('enum', 2), '02');
+    assert.equal(hex('string', '1.0.2'), '312e302e32');
+    assert.equal(hex('bitmap', 5), '05');
+    assert.equal(hex('bitmap', 258), '0102');
+    assert.equal(hex('bitmap', 65536), '00010000');
+    assert.equal(hex('bitmap', 5, { size: 4 }), '00000005');
+    assert.equal(hex('raw', [0xde, 0xad]), 'dead');
+    assert.equal(hex(DP_TYPE.ENUM, 1), '01');
+  });
+
+  it('builds datapoint command arguments with the data length', () => {
+    const datapoint = TuyaDPCodec.buildDatapoint(2, 505, 'value', { transid: 7 });
+
+    assert.deepEqual(datapoint, {
+      status: 0, transid: 7, dp: 2, datatype: DP_TYPE.VALUE, length: 4, data: Buffer.from('000001f9', 'hex'),
+    });
+    assert.equal(TuyaDPCodec.encodeFrame(datapoint).toString('hex'), '000702020004000001f9');
+  });
+
+  it('rejects values outside the range of their type', () => {
+    assert.throws(() => TuyaDPCodec.encodeValue('value', 2 ** 31), RangeError);
+    assert.throws(() => TuyaDPCodec.encodeValue('value', 50.5), RangeError);
+    assert.throws(() => TuyaDPCodec.encodeValue('enum', 256), RangeError);
+    assert.throws(() => TuyaDPCodec.encodeValue('bitmap', 256, { size: 1 }), RangeError);
+    assert.throws(() => TuyaDPCodec.encodeValue('bitmap', Buffer.alloc(3)), RangeError);
+    assert.throws(() => TuyaDPCodec.encodeValue('bool', 2), TypeError);
+    assert.throws(() => TuyaDPCodec.encodeValue('string', 12), TypeError);
+    assert.throws(() => TuyaDPCodec.encodeValue('raw', 'dead'), TypeError);
+    assert.throws(() => TuyaDPCodec.encodeValue('float', 1), /Unknown Tuya DP type/);
+    assert.throws(() => TuyaDPCodec.buildDatapoint(0, true, 'bool'), /DP id/);
+    assert.throws(() => TuyaDPCodec.buildDatapoint(256, true, 'bool'), /DP id/);
+  });
+
+  it('hands out sequential transaction IDs', () => {
+    const first = TuyaDPCodec.buildDatapoint(1, true, 'bool').transid;
+    const second = TuyaDPCodec.buildDatapoint(1, false, 'bool').transid;
+
+    assert.equal(second, (first + 1) & 0xFF);
+    assert.equal(TuyaDPCodec.currentTransid(), second);
+  });
+
+  it('decodes what it encodes', () => {
+    const frame = Buffer.concat([
+      Buffer.from([0, 9]),
+      TuyaDPCodec.encodeRecord(1, true, 'bool'),
+      TuyaDPCodec.encodeRecord(2, -5, 'value'),
+      TuyaDPCodec.encodeRecord(101, 'abc', 'string'),
+    ]);
+
+    const { transid, dps } = TuyaDPCodec.decodeFrame(frame);
+    assert.equal(transid, 9);
+    assert.deepEqual(dps.map(({ dp, value }) => [dp, value]), [[1, true], [2, -5], [101, 'abc']]);
+  });
+});
+
+describe('Tuya DP senders', () => {
+  let harness;
+
+  afterEach(async () => {
+    if (harness) await harness.destroy();
+    harness = null;
+  });
+
+  it('1-gang dimmer: writes are accepted by the MCU with sequential transids', async () => {
+    harness = await createDevice('wall_dimmer_1gang_1way', { dps: { 1: false, 2: 10 } });
+
+    await harness.device.triggerCapabilityListener('onoff', true);
+    await harness.device.sendTuyaCommand(2, 505, 'value');
+    await harness.flush();
+
+    const [state, brightness] = harness.tuya.getWrites().slice(-2);
+    assert.deepEqual(harness.tuya.errors, []);
+    assert.deepEqual([state.dp, state.value], [1, true]);
+    assert.deepEqual([brightness.dp, brightness.value], [2, 505]);
+    assert.equal(brightness.transid, (state.transid + 1) & 0xFF);
+  });
+
+  it('1-gang dimmer: an out-of-range value is rejected before sending', async () => {
+    harness = await createDevice('wall_dimmer_1gang_1way');
+    harness.zclNode.clearSent();
+
+    await assert.rejects(harness.device.sendTuyaCommand(4, 300, 'enum'), RangeError);
+    assert.deepEqual(harness.zclNode.getSent({ command: 'datapoint' }), []);
+  });
+
+  it('2-gang dimmer: both channels share one transid sequence', async () => {
+    harness = await createDevice('wall_dimmer_2gang_1way', { dps: { 1: false, 7: false } });
+    const second = harness.getSubDevice('secondDimmer');
+
+    await harness.device.triggerCapabilityListener('onoff', true);
+    await second.triggerCapabilityListener('onoff', true);
+    await harness.flush();
+
+    const [first, other] = harness.tuya.getWrites().slice(-2);
+    assert.deepEqual(harness.tuya.errors, []);
+    assert.deepEqual([first.dp, other.dp], [1, 7]);
+    assert.notEqual(first.transid, other.transid);
+  });
+
+  it('wall switch: Tuya DPs carry their length', async () => {
+    const { endpoints } = getDriverManifest('wall_switch_1gang_1way').zigbee;
+    harness = await createDevice('wall_switch_1gang_1way', {
+      endpoints: { ...endpoints, 1: { clusters: [...endpoints[1].clusters, 61184] } },
+      dps: { 102: 100 },
+    });
+
+    await harness.device.setBacklightBrightness(40);
+    await harness.flush();
+
+    assert.deepEqual(harness.tuya.errors, []);
+    assert.equal(harness.tuya.get(102), 40);
+  });
+
+  it('wall switch: clusters without a datapoint command get the encoded frame', async () => {
+    harness = await createDevice('wall_switch_1gang_1way');
+    const frames = [];
+    harness.zclNode.endpoints[1].clusters.tuya = {
+      setData: async ({ data }) => frames.push(data),
+    };
+
+    assert.equal(await harness.device.setBacklightMode('inverted'), true);
+
+    assert.equal(frames.length, 1);
+    const [record] = TuyaDPCodec.decodeFrame(frames[0]).dps;
+    assert.deepEqual([record.dp, record.datatype, record.value], [15, DP_TYPE.ENUM, 2]);
+  });
+
+  it('time sync: raw DP payloads are sent as the 8 time bytes', async () => {
+    const payloads = [];
+    const cluster = { command: async (commandType, payload) => payloads.push({ commandType, payload }) };
+
+    assert.equal(await TuyaCommandSender.sendTimeSync(cluster, null), true);
+
+    assert.equal(payloads.length, 1);
+    const [{ commandType, payload }] = payloads;
+    assert.equal(commandType, 0x00);
+    assert.deepEqual([payload.dp, payload.datatype, payload.length], [0x67, DP_TYPE.RAW, 8]);
+    assert.ok(Buffer.isBuffer(payload.data));
+    assert.equal(payload.data.readUInt32BE(0), payload.dpValues[0].data.readUInt32BE(0));
+  });
+});
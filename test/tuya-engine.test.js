@@ -0,0 +1,70 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TuyaEngine = require('../lib/tuya-engine');
+const { createDevice } = require('./harness');
+
+describe('Tuya engine', () => {
+  let harness;
+
+  afterEach(async () => {
+    if (harness) await harness.destroy();
+    harness = null;
+  });
+
+  it('an exact manufacturerName beats a prefix, a prefix beats "*"', () => {
+    assert.equal(TuyaEngine.findFingerprint('_TZ3000_8NKB7MOF', 'TS011F').profile, 'smart_plug_metering');
+    assert.equal(TuyaEngine.findFingerprint('_TZ3000_unknown', 'TS011F').id, 'TS011F_plug');
+    assert.equal(TuyaEngine.findFingerprint('_TZE200_unknown', 'TS0601').id, 'TS0601_any');
+    assert.equal(TuyaEngine.findFingerprint('_TZ3000_unknown', 'TS9999'), null);
+  });
+
+  it('fingerprints with datapoints only match devices reporting them', () => {
+    const dps = { 1: { datatype: 'bool', value: true }, 2: { datatype: 'value', value: 100 }, 13: { datatype: 'value', value: 0 } };
+
+    assert.equal(TuyaEngine.findFingerprint('_TZE200_unknown', 'TS0601', { dps }).id, 'TS0601_gas');
+    assert.equal(TuyaEngine.findFingerprint('_TZE200_unknown', 'TS0601', { dps: { 1: dps[1] } }).id, 'TS0601_any');
+  });
+
+  it('detection rules pick the profile of an unknown TS0601 from its DPs', () => {
+    const profile = (dps) => TuyaEngine.resolveProfile({ manufacturerName: '_TZE200_unknown', modelId: 'TS0601', dps }).id;
+
+    assert.equal(profile({ 1: { datatype: 'bool', value: true } }), 'wall_switch_1gang');
+    assert.equal(profile({ 2: { datatype: 'value', value: 500 } }), 'wall_dimmer_1gang');
+    assert.equal(profile({ 1: { datatype: 4, value: 0 }, 2: { datatype: 2, value: 200 }, 3: { datatype: 2, value: 215 } }), 'thermostat_basic');
+    assert.equal(TuyaEngine.resolveProfile({ manufacturerName: '_TZE200_unknown', modelId: 'TS0601' }).id, 'generic_ts0601');
+  });
+
+  it('mappings use the profile dpMap, then the capability map', () => {
+    assert.deepEqual(TuyaEngine.getMapping('wall_dimmer_1gang', 'dim'), { dp: 2, type: 'value', converter: 'dim' });
+    assert.equal(TuyaEngine.getMapping('generic_ts0601', 'measure_power').dp, 19);
+    assert.equal(TuyaEngine.getMapping('generic_ts0601', 'onoff.gang2').dp, 1);
+  });
+
+  it('converters come from the mapping, the trait or the DP type', () => {
+    const convert = (mapping, capability, raw) => TuyaEngine.converterFor(mapping, capability).fromDP(raw, mapping);
+
+    assert.equal(convert({ dp: 2, type: 'value', converter: 'dim' }, 'dim', 1000), 1);
+    assert.equal(convert({ dp: 3, type: 'value' }, 'measure_temperature', 215), 21.5);
+    assert.equal(convert({ dp: 1, type: 'bool' }, 'alarm_water', 1), true);
+    assert.equal(convert({ dp: 6, type: 'value', scale: 10 }, 'measure_pm25', 125), 12.5);
+    assert.equal(convert({ dp: 7, type: 'string' }, 'custom', 'abc'), 'abc');
+    assert.equal(TuyaEngine.getConverter('temperature').toDP(21.5), 215);
+  });
+
+  it('dimmers convert brightness through the profile dim converter and their dimming curve', async () => {
+    harness = await createDevice('wall_dimmer_1gang_1way', { dps: { 1: true, 2: 10 }, settings: { max_brightness: 50 } });
+
+    await harness.tuya.report(2, 505);
+    await harness.flush();
+    assert.equal(harness.device.getCapabilityValue('dim'), 1);
+
+    harness.zclNode.clearSent();
+    await harness.device.triggerCapabilityListener('dim', 0.5, { duration: 0 });
+    const [write] = harness.zclNode.getSent({ command: 'datapoint' });
+    assert.equal(write.args.dp, 2);
+    assert.equal(write.args.data.readInt32BE(0), 258);
+  });
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Installs the homey mock before the device base classes load homey-zigbeedriver
+require('./harness');
+
+const TuyaDPCodec = require('../lib/tuya/TuyaDPCodec');
+const TuyaDPParser = require('../lib/tuya/TuyaDPParser');
+const UniversalTuyaParser = require('../lib/tuya/UniversalTuyaParser');
+const dpParserEnhanced = require('../lib/tuya/dp-parser-enhanced');
+const TuyaProtocolParser = require('../lib/utils/data/TuyaProtocolParser');
+const TuyaSpecificClusterDevice = require('../lib/tuya/TuyaSpecificClusterDevice');
+const BaseTuyaDPDevice = require('../lib/devices/BaseTuyaDPDevice');
+
+const { frames } = require('./fixtures/tuya-frames.json');
+
+/**
+ * Golden-frame runner - every Tuya DP parser of the app against one corpus
+ *
+ * Each adapter feeds a corpus payload to a parser in the layout that parser
+ * documents and maps its result to [{ dp, datatype, value }]. Buffers become
+ * lowercase hex, so raw DPs compare with the corpus.
+ *
+ * KNOWN_DIVERGENCES lists the frames a parser decodes differently today. Those
+ * are asserted to still differ: fixing a parser makes its entry fail until it
+ * is removed here, any new divergence fails straight away.
+ */
+
+const toHex = value => (Buffer.isBuffer(value) ? value.toString('hex') : value);
+
+const normalize = dps => dps.map(({ dp, datatype, value }) => ({ dp, datatype, value: toHex(value) }));
+
+// Parsers that log through console
+function silently(fn) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+const PARSERS = {
+  // Canonical codec, no divergences allowed
+  TuyaDPCodec: payload => TuyaDPCodec.decodeFrame(payload).dps,
+
+  // Single DP after the status/transid header
+  TuyaDPParser: (payload) => {
+    try {
+      const { dpId, dpType, dpValue } = TuyaDPParser.parse(payload);
+      return [{ dp: dpId, datatype: dpType, value: dpValue }];
+    } catch (err) {
+      return [];
+    }
+  },
+
+  // Detects the header length itself
+  UniversalTuyaParser: payload => UniversalTuyaParser.parseTuyaFrame(payload, () => {})
+    .map(({ dpId, dpType, value }) => ({ dp: dpId, datatype: dpType, value })),
+
+  // DP records without header
+  'dp-parser-enhanced': payload => silently(() => dpParserEnhanced.parseTuyaDp(payload.subarray(2)))
+    .map(({ dpId, dpType, value }) => ({ dp: dpId, datatype: dpType, value })),
+
+  // MCU frame: seq (uint16) | command | length (uint16) | DP records
+  TuyaProtocolParser: (payload) => {
+    const dps = payload.subarray(2);
+    const header = Buffer.alloc(5);
+    header.writeUInt16BE(payload.length >= 2 ? payload.readUInt16BE(0) : 0, 0);
+    header[2] = TuyaProtocolParser.TUYA_COMMAND.DP_REPORT;
+    header.writeUInt16BE(dps.length, 3);
+    return TuyaProtocolParser.parseFrame(Buffer.concat([header, dps])).dps
+      .map(({ id, type, value }) => ({ dp: id, datatype: type, value: value?.raw ? Buffer.from(value.raw) : value }));
+  },
+
+  // Raw 0xEF00 frame fallback, hands each DP to handleTuyaDataReport
+  'TuyaSpecificClusterDevice._parseRawTuyaFrame': (payload) => {
+    const reports = [];
+    TuyaSpecificClusterDevice.prototype._parseRawTuyaFrame.call({
+      handleTuyaDataReport: report => reports.push(report),
+      error: () => {},
+    }, payload);
+    return reports.map(({ dp, datatype, value }) => ({ dp, datatype, value }));
+  },
+
+  // DP records from a dataReport buffer, values through _parseDPValue
+  'BaseTuyaDPDevice._parseRawTuyaFrame': (payload) => {
+    const { _parseRawTuyaFrame, _parseDPValue } = BaseTuyaDPDevice.prototype;
+    return _parseRawTuyaFrame(payload.subarray(2))
+      .map(({ dp, dataType, data }) => ({ dp, datatype: dataType, value: _parseDPValue(dataType, data) }));
+  },
+};
+
+const SET_BITS = 'bitmap decoded as the list of set bits of the first byte';
+const UNDECODED_TYPES = 'only bool, value and enum are decoded, other types stay raw';
+const SHIFTED_TYPES = '_parseDPValue numbers the DP types from 0x00 = bool, one below the protocol';
+
+const KNOWN_DIVERGENCES = {
+  TuyaDPParser: {
+    'bitmap 1 byte': SET_BITS,
+    'bitmap 2 bytes': SET_BITS,
+    'bitmap 4 bytes': SET_BITS,
+    'multi-DP': 'only the first DP is decoded',
+    'length field past the end of the frame': 'decodes the bytes that are there',
+  },
+  UniversalTuyaParser: {
+    value: 'header detection tries offset 5 first and reads DP 4 from the length and data bytes',
+  },
+  'dp-parser-enhanced': {
+    'negative value': 'value read as unsigned int32',
+    'bitmap 1 byte': 'bitmaps shorter than 4 bytes stay raw',
+    'bitmap 2 bytes': 'bitmaps shorter than 4 bytes stay raw',
+  },
+  'TuyaSpecificClusterDevice._parseRawTuyaFrame': {
+    string: UNDECODED_TYPES,
+    'bitmap 1 byte': UNDECODED_TYPES,
+    'bitmap 2 bytes': UNDECODED_TYPES,
+    'bitmap 4 bytes': UNDECODED_TYPES,
+    'multi-DP': 'only the first DP is decoded',
+  },
+  'BaseTuyaDPDevice._parseRawTuyaFrame': {
+    'bool on': SHIFTED_TYPES,
+    'bool off': SHIFTED_TYPES,
+    value: SHIFTED_TYPES,
+    'negative value': SHIFTED_TYPES,
+    string: SHIFTED_TYPES,
+    'bitmap 2 bytes': SHIFTED_TYPES,
+    raw: SHIFTED_TYPES,
+    'multi-DP': SHIFTED_TYPES,
+    'trailing byte after the last DP': SHIFTED_TYPES,
+    'second DP truncated': SHIFTED_TYPES,
+  },
+};
+
+describe('Tuya golden frames', () => {
+  for (const [parserName, parse] of Object.entries(PARSERS)) {
+    describe(parserName, () => {
+      const known = KNOWN_DIVERGENCES[parserName] || {};
+
+      for (const frame of frames) {
+        const payload = Buffer.from(frame.payload.replace(/\s/g, ''), 'hex');
+
+        if (known[frame.name]) {
+          it(`${frame.name} (known divergence: ${known[frame.name]})`, () => {
+            assert.notDeepEqual(normalize(parse(payload)), frame.dps,
+              `${parserName} now decodes "${frame.name}" correctly, remove it from KNOWN_DIVERGENCES`);
+          });
+          continue;
+        }
+
+        it(frame.name, () => {
+          assert.deepEqual(normalize(parse(payload)), frame.dps);
+        });
+      }
+
+      it('has no stale known divergences', () => {
+        const names = frames.map(frame => frame.name);
+        assert.deepEqual(Object.keys(known).filter(name => !names.includes(name)), []);
+      });
+    });
+  }
+});
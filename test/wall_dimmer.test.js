@@ -0,0 +1,124 @@
+'use strict';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createDevice, TuyaSimulator } = require('./harness');
+
+const { DP_TYPE } = TuyaSimulator;
+
+describe('wall dimmers', () => {
+  let harness;
+
+  afterEach(async () => {
+    if (harness) await harness.destroy();
+    harness = null;
+    mock.timers.reset();
+  });
+
+  it('1-gang: DP reports update onoff and dim', async () => {
+    harness = await createDevice('wall_dimmer_1gang_1way', { dps: { 1: false, 2: 10 } });
+
+    await harness.tuya.report(1, true);
+    await harness.tuya.report(2, 505);
+    await harness.flush();
+
+    assert.equal(harness.device.getCapabilityValue('onoff'), true);
+    assert.equal(harness.device.getCapabilityValue('dim'), 0.5);
+  });
+
+  it('1-gang: a DP report without app command triggers turned_on', async () => {
+    harness = await createDevice('wall_dimmer_1gang_1way', { dps: { 1: false } });
+
+    await harness.tuya.report(1, true);
+    await harness.flush();
+
+    assert.equal(harness.getTriggers('wall_dimmer_1gang_1way_turned_on').length, 1);
+  });
+
+  it('1-gang: app commands write the state DP', async () => {
+    harness = await createDevice('wall_dimmer_1gang_1way', { dps: { 1: true } });
+    harness.zclNode.clearSent();
+
+    await harness.device.triggerCapabilityListener('onoff', false);
+
+    const [write] = harness.zclNode.getSent({ command: 'datapoint' });
+    assert.equal(write.args.dp, 1);
+    assert.equal(write.args.datatype, DP_TYPE.BOOL);
+    assert.deepEqual(write.args.data, Buffer.from([0]));
+  });
+
+  it('1-gang: turn_on_for writes the channel 1 countdown DP', async () => {
+    harness = await createDevice('wall_dimmer_1gang_1way', { dps: { 1: false } });
+
+    await harness.homey.flow.getActionCard('wall_dimmer_1gang_1way_turn_on_for')
+      .run({ device: harness.device, minutes: 2 });
+    await harness.flush();
+
+    assert.deepEqual(harness.tuya.getWrites(6).map(w => w.value), [120]);
+    assert.equal(harness.tuya.getWrites(9).length, 0);
+  });
+
+  it('1-gang: switching off mid-fade cancels the remaining brightness steps', async () => {
+    harness = await createDevice('wall_dimmer_1gang_1way', {
+      beforeInit: () => mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] }),
+      dps: { 1: true, 2: 100 },
+    });
+    await harness.device.setCapabilityValue('dim', 0.1);
+
+    const fade = harness.device.triggerCapabilityListener('dim', 0.9, { duration: 3000 });
+    await harness.flush();
+    mock.timers.tick(600);
+    await harness.flush();
+
+    await harness.device.triggerCapabilityListener('onoff', false);
+    for (let step = 0; step < 10; step++) {
+      mock.timers.tick(300);
+      await harness.flush();
+    }
+    await fade;
+
+    const writes = harness.tuya.getWrites().map(w => w.dp);
+    const off = writes.indexOf(1);
+    assert.ok(writes.slice(0, off).includes(2));
+    assert.equal(writes.slice(off).includes(2), false);
+    assert.ok(harness.tuya.get(2) < 900);
+  });
+
+  it('2-gang: channel 2 reports reach the sub-device only', async () => {
+    harness = await createDevice('wall_dimmer_2gang_1way', { dps: { 1: false, 7: false } });
+    const second = harness.getSubDevice('secondDimmer');
+
+    await harness.tuya.report(7, true);
+    await harness.flush();
+
+    assert.equal(second.getCapabilityValue('onoff'), true);
+    assert.notEqual(harness.device.getCapabilityValue('onoff'), true);
+    assert.deepEqual(harness.getTriggers('wall_dimmer_2gang_1way_turned_on').map(t => t.device), [second]);
+  });
+
+  it('2-gang: channel 2 dim writes the channel 2 brightness DP', async () => {
+    harness = await createDevice('wall_dimmer_2gang_1way', { dps: { 8: 10 } });
+    const second = harness.getSubDevice('secondDimmer');
+    harness.zclNode.clearSent();
+
+    await second.triggerCapabilityListener('dim', 0.5);
+
+    const [write] = harness.zclNode.getSent({ command: 'datapoint' });
+    assert.equal(write.args.dp, 8);
+    assert.equal(write.args.datatype, DP_TYPE.VALUE);
+    assert.equal(write.args.data.readInt32BE(0), 505);
+  });
+
+  it('2-gang: turn_on_for on channel 2 writes the channel 2 countdown DP', async () => {
+    harness = await createDevice('wall_dimmer_2gang_1way', { dps: { 1: false, 7: false } });
+    const second = harness.getSubDevice('secondDimmer');
+
+    await harness.homey.flow.getActionCard('wall_dimmer_2gang_1way_turn_on_for')
+      .run({ device: second, minutes: 1 });
+    await harness.flush();
+
+    assert.deepEqual(harness.tuya.getWrites(12).map(w => w.value), [60]);
+    assert.equal(harness.tuya.getWrites(6).length, 0);
+  });
+});
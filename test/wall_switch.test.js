@@ -0,0 +1,568 @@
+'use strict';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createDevice, getDriverManifest, manifest } = require('./harness');
+
+describe('wall switches', () => {
+  let harness;
+
+  afterEach(async () => {
+    if (harness) await harness.destroy();
+    harness = null;
+    mock.timers.reset();
+  });
+
+  const withTimers = { beforeInit: () => mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] }) };
+
+  /**
+   * Manifest endpoints of a driver with the tuya cluster (0xEF00) on endpoint 1
+   */
+  const withTuyaCluster = (driverId) => {
+    const { endpoints } = getDriverManifest(driverId).zigbee;
+    return { ...endpoints, 1: { clusters: [...endpoints[1].clusters, 61184] } };
+  };
+
+  /**
+   * Physical presses on an endpoint: toggle relays report every press as a state change
+   */
+  const press = async (endpoint, ...states) => {
+    for (const onOff of states) {
+      harness.zclNode.endpoints[endpoint].clusters.onOff.reportAttributes({ onOff });
+      await harness.flush();
+      mock.timers.tick(200);
+    }
+  };
+
+  /**
+   * Press classified by the device on cluster 0xE000: [button, press type 0=single 1=double 2=long]
+   */
+  const scenePress = async (endpoint, data) => {
+    await harness.zclNode.endpoints[endpoint].bindings[57344].handleFrame({ data: Buffer.from(data) }, {});
+    await harness.flush();
+    mock.timers.tick(1000);
+  };
+
+  it('1-gang: reads the initial state and configures onOff reporting', async () => {
+    harness = await createDevice('wall_switch_1gang_1way');
+    const onOff = harness.zclNode.endpoints[1].clusters.onOff;
+
+    assert.equal(harness.device.getCapabilityValue('onoff'), false);
+    assert.equal(onOff.reportingConfigurations.length, 1);
+    assert.ok(onOff.reportingConfigurations[0].onOff);
+  });
+
+  it('1-gang: app commands are sent to endpoint 1', async () => {
+    harness = await createDevice('wall_switch_1gang_1way');
+    harness.zclNode.clearSent();
+
+    await harness.device.triggerCapabilityListener('onoff', true);
+
+    assert.deepEqual(harness.zclNode.sent.map(r => `${r.endpoint}:${r.command}`), ['1:setOn']);
+  });
+
+  it('1-gang: turn_on_for flow writes onTime and switches on', async () => {
+    harness = await createDevice('wall_switch_1gang_1way', {
+      beforeInit: ({ zclNode }) => zclNode.endpoints[1].clusters.onOff.setAttributes({ onTime: 0 }),
+    });
+
+    await harness.homey.flow.getActionCard('wall_switch_1gang_1way_turn_on_for')
+      .run({ device: harness.device, minutes: 2 });
+
+    const sent = harness.zclNode.getSent({ cluster: 'onOff' }).slice(-2);
+    assert.deepEqual(sent.map(r => r.command), ['writeAttributes', 'setOn']);
+    assert.deepEqual(sent[0].args, { onTime: 120 });
+    assert.equal(harness.device.getCapabilityValue('countdown_remaining'), 120);
+    assert.equal(await harness.homey.flow.getConditionCard('wall_switch_1gang_1way_countdown_active')
+      .run({ device: harness.device }), true);
+  });
+
+  it('2-gang: turn_on_for on the second card counts down gang 2', async () => {
+    harness = await createDevice('wall_switch_2gang_1way', {
+      beforeInit: ({ zclNode }) => zclNode.endpoints[2].clusters.onOff.setAttributes({ onTime: 0 }),
+    });
+    const second = harness.getSubDevice('secondSwitch');
+    harness.zclNode.clearSent();
+
+    await harness.homey.flow.getActionCard('wall_switch_2gang_1way_turn_on_for')
+      .run({ device: second, minutes: 1 });
+
+    const sent = harness.zclNode.getSent({ cluster: 'onOff' }).slice(-2);
+    assert.deepEqual(sent.map(r => `${r.endpoint}:${r.command}`), ['2:writeAttributes', '2:setOn']);
+    assert.deepEqual(sent[0].args, { onTime: 60 });
+    assert.equal(second.countdownManager.hasActiveCountdown(2), true);
+    assert.equal(second.getCapabilityValue('countdown_remaining'), 60);
+  });
+
+  it('2-gang: turn_on_for writes the countdown DP when the gang has no onTime', async () => {
+    harness = await createDevice('wall_switch_2gang_1way', {
+      endpoints: withTuyaCluster('wall_switch_2gang_1way'),
+    });
+    const second = harness.getSubDevice('secondSwitch');
+    harness.zclNode.clearSent();
+
+    await harness.homey.flow.getActionCard('wall_switch_2gang_1way_turn_on_for')
+      .run({ device: second, minutes: 1 });
+    await harness.flush();
+
+    assert.equal(harness.zclNode.getSent({ command: 'writeAttributes' }).length, 0);
+    assert.deepEqual(harness.tuya.getWrites(8).map(w => w.value), [60]);
+    assert.equal(second.countdownManager.hasActiveCountdown(2), true);
+  });
+
+  it('2-gang: the off ending an inching pulse is not a press, a later off is', async () => {
+    harness = await createDevice('wall_switch_2gang_1way', withTimers);
+    const second = harness.getSubDevice('secondSwitch');
+    await second.changeSettings({ inching_enabled: true, inching_duration: 2 });
+
+    await press(2, true);
+    mock.timers.tick(1800);
+    await press(2, false);
+    assert.equal(harness.getTriggers('wall_switch_2gang_1way_turned_off_physical').length, 0);
+
+    // Inching turned off: the next off within the old pulse window is a press again
+    await second.changeSettings({ inching_enabled: false });
+    await press(2, true, false);
+
+    const triggers = harness.getTriggers('wall_switch_2gang_1way_turned_off_physical');
+    assert.deepEqual(triggers.map(t => t.device), [second]);
+  });
+
+  for (const driverId of ['wall_switch_1gang_1way', 'wall_switch_2gang_1way', 'wall_switch_3gang_1way', 'wall_switch_4gang_1way']) {
+    it(`${driverId}: every action and condition card has a run listener`, async () => {
+      harness = await createDevice(driverId);
+      const cards = [
+        ...manifest.flow.actions.map(card => harness.homey.flow.getActionCard(card.id)),
+        ...manifest.flow.conditions.map(card => harness.homey.flow.getConditionCard(card.id)),
+      ].filter(card => card.id.startsWith(`${driverId}_`));
+
+      assert.ok(cards.length > 10);
+      assert.deepEqual(cards.filter(card => !card.runListener).map(card => card.id), []);
+    });
+  }
+
+  it('2-gang: creates the sub-device on endpoint 2', async () => {
+    harness = await createDevice('wall_switch_2gang_1way');
+    const second = harness.getSubDevice('secondSwitch');
+    harness.zclNode.clearSent();
+
+    await second.triggerCapabilityListener('onoff', true);
+
+    assert.equal(harness.devices.length, 2);
+    assert.deepEqual(harness.zclNode.sent.map(r => `${r.endpoint}:${r.command}`), ['2:setOn']);
+  });
+
+  it('2-gang: every gang card reads its power-on behavior back and writes it to its endpoint', async () => {
+    harness = await createDevice('wall_switch_2gang_1way', {
+      beforeInit: ({ zclNode }) => {
+        zclNode.endpoints[1].clusters.onOff.setAttributes({ startUpOnOff: 'off' });
+        zclNode.endpoints[2].clusters.onOff.setAttributes({ startUpOnOff: 'on' });
+      },
+    });
+    const second = harness.getSubDevice('secondSwitch');
+    await harness.flush();
+
+    assert.equal(harness.device.getSetting('power_on_behavior'), 'off');
+    assert.equal(second.getSetting('power_on_behavior'), 'on');
+
+    harness.zclNode.clearSent();
+    await second.changeSettings({ power_on_behavior: 'memory' });
+
+    const sent = harness.zclNode.getSent({ cluster: 'onOff', command: 'writeAttributes' });
+    assert.deepEqual(sent.map(r => [r.endpoint, r.args]), [[2, { startUpOnOff: 'previous' }]]);
+  });
+
+  it('2-gang: power-on behavior falls back to the gang DP when startUpOnOff is unsupported', async () => {
+    harness = await createDevice('wall_switch_2gang_1way', {
+      endpoints: withTuyaCluster('wall_switch_2gang_1way'),
+      beforeInit: ({ zclNode }) => zclNode.endpoints[2].clusters.onOff.setUnsupported('startUpOnOff'),
+    });
+    const second = harness.getSubDevice('secondSwitch');
+    await harness.flush();
+    assert.equal(second.getSetting('power_on_behavior'), 'memory');
+
+    await second.changeSettings({ power_on_behavior: 'on' });
+
+    assert.equal(harness.zclNode.getSent({ endpoint: 2, command: 'writeAttributes' }).length, 1);
+    assert.deepEqual(harness.tuya.getWrites(30).map(w => w.value), [1]);
+  });
+
+  it('2-gang: a report without app command triggers the physical flow of that gang', async () => {
+    harness = await createDevice('wall_switch_2gang_1way');
+    const second = harness.getSubDevice('secondSwitch');
+
+    harness.zclNode.endpoints[2].clusters.onOff.reportAttributes({ onOff: true });
+    await harness.flush();
+
+    const triggers = harness.getTriggers('wall_switch_2gang_1way_turned_on_physical');
+    assert.equal(second.getCapabilityValue('onoff'), true);
+    assert.equal(harness.device.getCapabilityValue('onoff'), false);
+    assert.deepEqual(triggers.map(t => t.device), [second]);
+  });
+
+  it('2-gang: the report confirming an app command is not a physical press', async () => {
+    harness = await createDevice('wall_switch_2gang_1way');
+    const second = harness.getSubDevice('secondSwitch');
+
+    await second.triggerCapabilityListener('onoff', true);
+    harness.zclNode.endpoints[2].clusters.onOff.reportAttributes({ onOff: true });
+    await harness.flush();
+
+    assert.equal(harness.getTriggers('wall_switch_2gang_1way_turned_on_physical').length, 0);
+  });
+
+  it('4-gang TS0726: binds every endpoint and handles onOff commands from the device', async () => {
+    harness = await createDevice('wall_switch_4gang_1way');
+    const fourth = harness.getSubDevice('fourthSwitch');
+
+    assert.deepEqual(harness.zclNode.getSent({ command: 'bind' }).map(r => r.endpoint), [1, 2, 3, 4]);
+
+    await harness.zclNode.endpoints[4].clusters.onOff.receiveCommand('toggle');
+    await harness.flush();
+
+    assert.equal(fourth.getCapabilityValue('onoff'), true);
+    assert.equal(harness.getTriggers('wall_switch_4gang_1way_turned_on_physical').length, 1);
+  });
+
+  it('1-gang: quick presses trigger the double and triple press cards, app commands do not', async () => {
+    harness = await createDevice('wall_switch_1gang_1way', withTimers);
+
+    await press(1, true, false);
+    mock.timers.tick(1000);
+    await press(1, true, false, true);
+    mock.timers.tick(1000);
+
+    await harness.device.triggerCapabilityListener('onoff', false);
+    await press(1, false, true);
+    mock.timers.tick(1000);
+
+    assert.deepEqual(harness.getTriggers('wall_switch_1gang_1way_double_press').map(t => t.tokens), [{ presses: 2 }]);
+    assert.deepEqual(harness.getTriggers('wall_switch_1gang_1way_triple_press').map(t => t.tokens), [{ presses: 3 }]);
+  });
+
+  it('3-gang: multi-press cards fire on the primary device with the gang', async () => {
+    harness = await createDevice('wall_switch_3gang_1way', withTimers);
+    const cardOf = id => harness.homey.flow.getDeviceTriggerCard(`wall_switch_3gang_1way_${id}`);
+
+    await press(2, true, false, true);
+    mock.timers.tick(1000);
+
+    // Hold gang 1: on, released 1.2 s later
+    await press(1, true);
+    mock.timers.tick(1000);
+    await press(1, false);
+    mock.timers.tick(1000);
+
+    const [triple] = harness.getTriggers('wall_switch_3gang_1way_triple_press');
+    assert.equal(triple.device, harness.device);
+    assert.deepEqual(triple.state, { gang: 2 });
+    assert.equal(await cardOf('triple_press').run({ device: harness.device, gang: '2' }, triple.state), true);
+    assert.equal(await cardOf('triple_press').run({ device: harness.device, gang: '3' }, triple.state), false);
+
+    const longPresses = harness.getTriggers('wall_switch_3gang_1way_long_press');
+    assert.deepEqual(longPresses.map(t => [t.tokens, t.state]), [[{ duration: 1.2 }, { gang: 1 }]]);
+    assert.equal(harness.getTriggers('wall_switch_3gang_1way_double_press').length, 0);
+  });
+
+  it('3-gang: switching off minutes later is not a long press', async () => {
+    harness = await createDevice('wall_switch_3gang_1way', withTimers);
+
+    await press(3, true);
+    mock.timers.tick(5 * 60 * 1000);
+    await press(3, false);
+    mock.timers.tick(1000);
+
+    assert.equal(harness.getTriggers('wall_switch_3gang_1way_long_press').length, 0);
+    assert.equal(harness.getTriggers('wall_switch_3gang_1way_double_press').length, 0);
+  });
+
+  it('1-gang: decoupled mode writes switchMode and turns 0xE000 presses into press cards', async () => {
+    harness = await createDevice('wall_switch_1gang_1way', withTimers);
+
+    // Coupled: the relay reports the press itself
+    await scenePress(1, [1, 0]);
+    assert.equal(harness.getTriggers('wall_switch_1gang_1way_single_press').length, 0);
+
+    await harness.device.changeSettings({ decoupled: true });
+    assert.deepEqual(harness.zclNode.getSent({ cluster: 'tuyaExternalSwitch', command: 'writeAttributes' })
+      .map(r => [r.endpoint, r.args]), [[1, { switchMode: 'scene' }]]);
+
+    harness.zclNode.clearSent();
+    await scenePress(1, [1, 0]);
+    await scenePress(1, [1, 2]);
+
+    assert.deepEqual(harness.getTriggers('wall_switch_1gang_1way_single_press').map(t => t.tokens), [{ presses: 1 }]);
+    assert.equal(harness.getTriggers('wall_switch_1gang_1way_long_press').length, 1);
+    assert.equal(harness.device.getCapabilityValue('onoff'), false);
+    assert.equal(harness.zclNode.getSent({ cluster: 'onOff' }).length, 0);
+  });
+
+  it('4-gang TS0726: onOff commands of a decoupled gang are presses, the relay keeps its state', async () => {
+    harness = await createDevice('wall_switch_4gang_1way', withTimers);
+    const fourth = harness.getSubDevice('fourthSwitch');
+
+    await fourth.changeSettings({ decoupled: true });
+    assert.deepEqual(harness.zclNode.getSent({ cluster: 'tuyaExternalSwitch', command: 'writeAttributes' })
+      .map(r => [r.endpoint, r.args]), [[4, { switchMode: 'scene' }]]);
+
+    for (let i = 0; i < 2; i++) {
+      await harness.zclNode.endpoints[4].clusters.onOff.receiveCommand('toggle');
+      await harness.flush();
+      mock.timers.tick(200);
+    }
+    mock.timers.tick(1000);
+
+    assert.equal(fourth.getCapabilityValue('onoff'), false);
+    assert.equal(harness.getTriggers('wall_switch_4gang_1way_turned_on_physical').length, 0);
+    const doubles = harness.getTriggers('wall_switch_4gang_1way_double_press');
+    assert.deepEqual(doubles.map(t => [t.device, t.state]), [[harness.device, { gang: 4 }]]);
+  });
+
+  it('2-gang: backlight flow actions write the backlight DPs', async () => {
+    harness = await createDevice('wall_switch_2gang_1way', {
+      endpoints: withTuyaCluster('wall_switch_2gang_1way'),
+      dps: { 15: 1, 16: true, 102: 100, 103: 3, 104: 3 },
+    });
+    const run = (id, args) => harness.homey.flow.getActionCard(`wall_switch_2gang_1way_${id}`)
+      .run({ device: harness.device, ...args });
+
+    await run('set_backlight', { mode: 'inverted' });
+    await run('set_backlight_on_color', { color: 'blue' });
+    await run('set_backlight_off_color', { color: 'warm_yellow' });
+    await run('set_backlight_brightness', { brightness: 35 });
+    await run('set_backlight_enabled', { enabled: 'off' });
+    await harness.flush();
+
+    assert.deepEqual(harness.tuya.errors, []);
+    assert.deepEqual([15, 103, 104, 102, 16].map(dp => harness.tuya.get(dp)), [2, 1, 8, 35, false]);
+  });
+
+  it('1-gang: child lock is written to the onOff cluster and confirmed by reading it back', async () => {
+    harness = await createDevice('wall_switch_1gang_1way');
+    harness.zclNode.clearSent();
+
+    await harness.device.changeSettings({ child_lock: true });
+
+    const sent = harness.zclNode.getSent({ cluster: 'onOff' });
+    assert.deepEqual(sent.map(r => r.command), ['writeAttributes', 'readAttributes']);
+    assert.deepEqual(sent[0].args, { childLock: true });
+  });
+
+  it('1-gang: child lock is refused when the onOff cluster has no childLock attribute', async () => {
+    harness = await createDevice('wall_switch_1gang_1way', {
+      beforeInit: ({ zclNode }) => zclNode.endpoints[1].clusters.onOff.setUnsupported('childLock'),
+    });
+
+    await assert.rejects(harness.device.changeSettings({ child_lock: true }), /did not confirm the child lock/);
+  });
+
+  it('child lock over a DP is confirmed by the echo of the device', async () => {
+    harness = await createDevice('wall_switch_1gang_1way', {
+      manufacturerName: '_TZE200_unknown0',
+      endpoints: withTuyaCluster('wall_switch_1gang_1way'),
+    });
+
+    await harness.device.changeSettings({ child_lock: true });
+
+    assert.deepEqual(harness.tuya.getWrites(101).map(w => w.value), [true]);
+  });
+
+  it('child lock over a DP is refused when the device does not echo it within 5 s', async () => {
+    harness = await createDevice('wall_switch_1gang_1way', {
+      ...withTimers,
+      manufacturerName: '_TZE200_unknown0',
+      endpoints: withTuyaCluster('wall_switch_1gang_1way'),
+      echo: null,
+    });
+
+    const change = harness.device.changeSettings({ child_lock: true });
+    await harness.flush();
+    assert.equal(harness.tuya.get(101), true);
+
+    mock.timers.tick(5000);
+    await assert.rejects(change, /did not confirm the child lock/);
+  });
+
+  it('2-gang: a gang card only reaches the cards of its own switch when two are paired', async () => {
+    harness = await createDevice('wall_switch_2gang_1way');
+    const other = await harness.pair();
+    harness.zclNode.clearSent();
+    other.zclNode.clearSent();
+
+    await other.getSubDevice('secondSwitch').changeSettings({ child_lock: true });
+
+    assert.deepEqual(harness.zclNode.getSent({ command: 'writeAttributes' }), []);
+    assert.deepEqual(other.zclNode.getSent({ command: 'writeAttributes' }).map(r => [r.endpoint, r.args]),
+      [[1, { childLock: true }]]);
+    assert.equal(other.device.getSetting('child_lock'), true);
+    assert.deepEqual(harness.devices.map(device => device.getSetting('child_lock')), [false, false]);
+    assert.equal(other.getSubDevice('secondSwitch').getPressFlowDevice(), other.device);
+  });
+
+  it('4-gang TS0726: child lock is not supported and nothing is written', async () => {
+    harness = await createDevice('wall_switch_4gang_1way');
+    harness.zclNode.clearSent();
+
+    await assert.rejects(harness.device.changeSettings({ child_lock: true }), /Child lock is not supported/);
+    assert.deepEqual(harness.zclNode.getSent({ command: 'writeAttributes' }), []);
+  });
+
+  it('decoupled mode is refused by variants without it', async () => {
+    harness = await createDevice('wall_switch_2gang_1way');
+
+    await assert.rejects(harness.getSubDevice('secondSwitch').changeSettings({ decoupled: true }), /not supported/);
+    assert.equal(harness.getSubDevice('secondSwitch').getSetting('decoupled'), false);
+  });
+
+  it('1-gang: protocol_mode forces the protocol, the learned decision does not override it', async () => {
+    harness = await createDevice('wall_switch_1gang_1way', withTimers);
+    const { device } = harness;
+
+    await device.changeSettings({ protocol_mode: 'zcl_only' });
+    mock.timers.tick(15 * 60 * 1000);
+    await harness.flush();
+
+    assert.equal(device.protocolOptimizer.getMode(), 'zcl_only');
+    assert.equal(device.protocolOptimizer.forced, true);
+    assert.equal(device.getSetting('protocol_learned'), 'zcl_only (forced) - no reports yet');
+  });
+
+  it('1-gang: shows the learned protocol per capability, re-learn goes back to auto', async () => {
+    harness = await createDevice('wall_switch_1gang_1way', { ...withTimers, settings: { protocol_mode: 'tuya_only' } });
+    const { device } = harness;
+    assert.equal(device.protocolOptimizer.getMode(), 'tuya_only');
+
+    harness.zclNode.endpoints[1].clusters.onOff.reportAttributes({ onOff: true });
+    await harness.flush();
+    assert.equal(device.getSetting('protocol_learned'), 'tuya_only (forced) - onoff: zcl');
+
+    await harness.homey.flow.getActionCard('wall_switch_1gang_1way_relearn_protocol').run({ device });
+    assert.equal(device.getSetting('protocol_mode'), 'auto');
+    assert.equal(device.protocolOptimizer.forced, false);
+    assert.equal(device.getSetting('protocol_learned'), 'learning - no reports yet');
+
+    harness.zclNode.endpoints[1].clusters.onOff.reportAttributes({ onOff: false });
+    await harness.flush();
+    mock.timers.tick(15 * 60 * 1000);
+    await harness.flush();
+    assert.equal(device.getSetting('protocol_learned'), 'zcl_only (learned) - onoff: zcl');
+  });
+
+  it('2-gang: the protocol setting of a gang card applies to the switch and every card', async () => {
+    harness = await createDevice('wall_switch_2gang_1way', withTimers);
+    const second = harness.getSubDevice('secondSwitch');
+
+    await second.changeSettings({ protocol_mode: 'hybrid' });
+    mock.timers.tick(0);
+    await harness.flush();
+
+    assert.equal(harness.device.protocolOptimizer.getMode(), 'hybrid');
+    assert.equal(harness.device.protocolOptimizer.forced, true);
+    assert.equal(harness.device.getSetting('protocol_mode'), 'hybrid');
+    assert.equal(second.getSetting('protocol_learned'), 'hybrid (forced) - no reports yet');
+  });
+
+  it('2-gang: hybrid learns ZCL for a gang card that reports over ZCL', async () => {
+    harness = await createDevice('wall_switch_2gang_1way', {
+      ...withTimers,
+      endpoints: withTuyaCluster('wall_switch_2gang_1way'),
+      dps: { 1: false, 2: false },
+      settings: { protocol_mode: 'hybrid' },
+    });
+    const second = harness.getSubDevice('secondSwitch');
+
+    await harness.tuya.report(2, true);
+    await press(2, false, true);
+    assert.equal(harness.device.protocolOptimizer.getProtocolPerCapability()['onoff.gang2'], 'zcl');
+
+    harness.zclNode.clearSent();
+    await second.triggerCapabilityListener('onoff', false);
+    await harness.flush();
+
+    assert.deepEqual(harness.zclNode.getSent({ cluster: 'onOff' }).map(r => `${r.endpoint}:${r.command}`), ['2:setOff']);
+    assert.equal(harness.tuya.getWrites(2).length, 0);
+  });
+
+  it('1-gang: a learned zcl_only decision sends on/off over ZCL only', async () => {
+    harness = await createDevice('wall_switch_1gang_1way', {
+      endpoints: withTuyaCluster('wall_switch_1gang_1way'),
+      dps: { 1: false },
+      store: { protocol_mode: 'zcl_only', protocol_decision_time: Date.now(), protocol_decision_version: 2 },
+    });
+    assert.equal(harness.device.protocolOptimizer.getMode(), 'zcl_only');
+    harness.zclNode.clearSent();
+
+    await harness.device.triggerCapabilityListener('onoff', true);
+    await harness.flush();
+
+    assert.deepEqual(harness.zclNode.getSent({ cluster: 'onOff' }).map(r => `${r.endpoint}:${r.command}`), ['1:setOn']);
+    assert.equal(harness.tuya.getWrites(1).length, 0);
+  });
+
+  it('2-gang: tuya_only switches every gang with its DP, without ZCL commands', async () => {
+    harness = await createDevice('wall_switch_2gang_1way', {
+      endpoints: withTuyaCluster('wall_switch_2gang_1way'),
+      dps: { 1: false, 2: false },
+      settings: { protocol_mode: 'tuya_only' },
+    });
+    harness.zclNode.clearSent();
+
+    await harness.device.triggerCapabilityListener('onoff', true);
+    await harness.getSubDevice('secondSwitch').triggerCapabilityListener('onoff', true);
+    await harness.flush();
+
+    assert.deepEqual(harness.zclNode.getSent({ cluster: 'onOff' }), []);
+    assert.deepEqual(harness.tuya.getWrites().map(w => [w.dp, w.value]), [[1, true], [2, true]]);
+    assert.equal(harness.getSubDevice('secondSwitch').getCapabilityValue('onoff'), true);
+  });
+
+  it('1-gang: bind_target binds the gang to a bulb, a new target replaces the old binding', async () => {
+    harness = await createDevice('wall_switch_1gang_1way', withTimers);
+    const { device, zdo } = harness;
+
+    await device.changeSettings({ bind_target: '0x00158d0001a2b3c4/1' });
+    mock.timers.tick(0);
+    await harness.flush();
+    assert.deepEqual(zdo.bindings(), [{
+      sourceIeee: '0x00124b0000000001', endpoint: 1, clusterId: 6, target: { ieee: '0x00158d0001a2b3c4', endpoint: 1 },
+    }]);
+    assert.equal(device.getSetting('bindings_list'), 'onOff → 0x00158d0001a2b3c4/1');
+
+    await device.changeSettings({ bind_target: 'group 100' });
+    mock.timers.tick(0);
+    await harness.flush();
+    assert.deepEqual(zdo.bindings().map(b => b.target), [{ group: 100 }]);
+    assert.equal(device.getSetting('bindings_list'), 'onOff → group 100');
+
+    await assert.rejects(device.changeSettings({ bind_target: 'kitchen' }), /Invalid binding target/);
+    assert.equal(device.getSetting('bind_target'), 'group 100');
+  });
+
+  it('3-gang: bind, list and unbind flow cards work on the endpoint of the gang card', async () => {
+    harness = await createDevice('wall_switch_3gang_1way');
+    const { zdo, homey } = harness;
+    const second = harness.getSubDevice('secondSwitch');
+    homey.zigbee.ieeeAddress = '0x00178801ffee0001';
+    zdo.pageSize = 2;
+    zdo.addBinding({ endpoint: 1, clusterId: 6, target: { ieee: homey.zigbee.ieeeAddress, endpoint: 1 } });
+    const card = id => homey.flow.getActionCard(`wall_switch_3gang_1way_${id}`);
+
+    await card('bind_gang').run({ device: second, target: 'group 0x1f' });
+    await card('bind_gang').run({ device: second, target: '00:15:8d:00:01:a2:b3:c4/11' });
+    const { bindings } = await card('list_bindings').run({ device: harness.device });
+    assert.deepEqual(bindings.split('\n'), [
+      'EP1 onOff → Homey',
+      'EP2 onOff → group 31',
+      'EP2 onOff → 0x00158d0001a2b3c4/11',
+    ]);
+    assert.equal(second.getSetting('bindings_list'), 'onOff → group 31, onOff → 0x00158d0001a2b3c4/11');
+
+    await card('unbind_gang').run({ device: second, target: 'group 31' });
+    assert.deepEqual(zdo.bindings().map(b => [b.endpoint, b.target.group ?? b.target.endpoint]), [[1, 1], [2, 11]]);
+    await assert.rejects(card('unbind_gang').run({ device: second, target: 'group 31' }), /Unbind failed: NO_ENTRY/);
+
+    zdo.capacity = zdo.table.length;
+    await assert.rejects(card('bind_gang').run({ device: second, target: 'group 5' }), /Bind failed: TABLE_FULL/);
+  });
+});